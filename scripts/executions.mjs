@@ -0,0 +1,267 @@
+#!/usr/bin/env node
+
+import { parseArgs } from 'node:util';
+import { createLambdaClient } from './lib/lambda-client.mjs';
+import {
+  INSPECT_EXIT_CODES,
+  buildOperationTree,
+  describeExecution,
+  formatDuration,
+  formatExecutionList,
+  formatOperationTree,
+  getExecutionHistory,
+  listExecutions,
+  resolveExecutionArn
+} from './lib/execution-history.mjs';
+import { executionOutcome, formatResultSummary, waitForExecution } from './lib/start-execution.mjs';
+import { requestStop } from './lib/stop-execution.mjs';
+
+/**
+ * CLI script to inspect durable executions of the example workflow
+ * Usage:
+ *   node scripts/executions.mjs list [--status <status>] [--max <n>]
+ *   node scripts/executions.mjs describe <name|arn>
+ *   node scripts/executions.mjs history <name|arn> [--events]
+ *   node scripts/executions.mjs stop <name|arn> [--reason <text>] [--force] [--wait]
+ *
+ * Examples:
+ *   # Executions still waiting or running
+ *   node scripts/executions.mjs list --status RUNNING
+ *
+ *   # Failed and timed out executions
+ *   node scripts/executions.mjs list --status FAILED --status TIMED_OUT
+ *
+ *   # Input, output and status of one execution
+ *   node scripts/executions.mjs describe durable-demo-001
+ *
+ *   # Operation tree with durations and retry counts
+ *   node scripts/executions.mjs history durable-demo-001
+ *
+ *   # Export the raw history events, e.g. for scripts/render-timeline.mjs
+ *   node scripts/executions.mjs history durable-demo-001 --events > history.json
+ *
+ *   # Cancel at the current wait, run the cleanup steps and wait for the cancelled result
+ *   node scripts/executions.mjs stop durable-demo-001 --reason "Duplicate order" --wait
+ *
+ *   # End the execution straight away, without cleanup
+ *   node scripts/executions.mjs stop durable-demo-001 --force
+ *
+ * Executions can be named by their execution name (looked up on --function) or by ARN.
+ * stop completes the stop-request callback of the region the workflow is waiting in (the external
+ * callback, the 5 second wait or the readiness check), so the workflow cleans up and returns a
+ * `cancelled` result. --force calls StopDurableExecution, which ends it without running the handler.
+ *
+ * Options:
+ *   --function  Function name or ARN (default: DURABLE_FUNCTION_NAME)
+ *   --qualifier Version or alias
+ *   --status    RUNNING, SUCCEEDED, FAILED, TIMED_OUT or STOPPED; repeatable (list only)
+ *   --max       Most executions to list (default 20)
+ *   --reason    Why the execution is stopped (stop only, default "Stop requested")
+ *   --requested-by Who asked for the stop (stop only, default USER)
+ *   --force     Stop without cleanup (stop only)
+ *   --wait      Poll until the stopped execution finishes and print its result (stop only)
+ *   --poll-interval Seconds between polls (default 5)
+ *   --timeout   Seconds to wait before giving up (default 3600)
+ *   --endpoint  Lambda API endpoint override (default: AWS_ENDPOINT_URL_LAMBDA)
+ *   --json      Print machine-readable output
+ *   --events    Print the raw history events as JSON (history only)
+ *
+ * Exit codes: 0 ok, 1 unexpected error, 2 rejected before calling AWS, 3 execution not found,
+ * 4 execution not running, 5 no stop point to cancel at (retry with --force), 6 still running after --timeout.
+ */
+
+const COMMANDS = ['list', 'describe', 'history', 'stop'];
+
+const OPTIONS = {
+  function: { type: 'string', default: process.env.DURABLE_FUNCTION_NAME },
+  qualifier: { type: 'string' },
+  status: { type: 'string', multiple: true },
+  max: { type: 'string', default: '20' },
+  reason: { type: 'string', default: 'Stop requested' },
+  'requested-by': { type: 'string', default: process.env.USER },
+  force: { type: 'boolean', default: false },
+  wait: { type: 'boolean', default: false },
+  'poll-interval': { type: 'string', default: '5' },
+  timeout: { type: 'string', default: '3600' },
+  endpoint: { type: 'string', default: process.env.AWS_ENDPOINT_URL_LAMBDA },
+  json: { type: 'boolean', default: false },
+  events: { type: 'boolean', default: false }
+};
+
+function reject(message) {
+  console.error(`❌ ${message}`);
+  process.exit(INSPECT_EXIT_CODES.REJECTED);
+}
+
+const printJson = value => console.log(JSON.stringify(value, null, 2));
+
+function toPositiveNumber(value, name) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) {
+    reject(`--${name} must be a positive number of seconds`);
+  }
+  return number;
+}
+
+async function list(client, options) {
+  const maxItems = Number(options.max);
+  if (!Number.isInteger(maxItems) || maxItems <= 0) {
+    reject('--max must be a positive whole number');
+  }
+  if (!options.function) {
+    reject('Pass --function or set DURABLE_FUNCTION_NAME to list its executions');
+  }
+
+  const statuses = options.status?.map(status => status.toUpperCase());
+  const executions = await listExecutions(client, {
+    functionName: options.function,
+    qualifier: options.qualifier,
+    statuses,
+    maxItems
+  });
+
+  if (options.json) {
+    printJson(executions);
+  } else {
+    console.log(formatExecutionList(executions));
+  }
+}
+
+async function describe(client, options, arn) {
+  const execution = await describeExecution(client, arn);
+
+  if (options.json) {
+    printJson(execution);
+    return;
+  }
+
+  console.log(`📋 ${execution.name} ${execution.status}`);
+  console.log(`   ${execution.arn}`);
+  console.log(`   Started:  ${new Date(execution.startedAt).toISOString()}`);
+  if (execution.endedAt !== undefined) {
+    console.log(`   Ended:    ${new Date(execution.endedAt).toISOString()} (${formatDuration(execution.durationMs)})`);
+  }
+  console.log('\nInput:');
+  console.log(JSON.stringify(execution.input, null, 2));
+  if (execution.result !== undefined) {
+    console.log('\nOutput:');
+    console.log(JSON.stringify(execution.result, null, 2));
+  }
+  if (execution.error) {
+    console.log('\nError:');
+    console.log(`${execution.error.ErrorType ?? 'Error'}: ${execution.error.ErrorMessage}`);
+  }
+}
+
+async function history(client, options, arn) {
+  if (options.events) {
+    printJson(await getExecutionHistory(client, arn));
+    return;
+  }
+
+  const [execution, events] = await Promise.all([
+    describeExecution(client, arn),
+    getExecutionHistory(client, arn)
+  ]);
+  const tree = buildOperationTree(events);
+
+  if (options.json) {
+    printJson({ name: execution.name, arn, status: execution.status, durationMs: execution.durationMs, operations: tree });
+    return;
+  }
+
+  console.log(`📋 ${execution.name} ${execution.status} (${formatDuration(execution.durationMs)})`);
+  console.log(tree.length > 0 ? formatOperationTree(tree) : 'No operations recorded yet');
+}
+
+async function stop(client, options, arn) {
+  const pollIntervalMs = toPositiveNumber(options['poll-interval'], 'poll-interval') * 1000;
+  const timeoutMs = toPositiveNumber(options.timeout, 'timeout') * 1000;
+  const log = (...args) => !options.json && console.log(...args);
+
+  const stopped = await requestStop(client, arn, {
+    reason: options.reason,
+    requestedBy: options['requested-by'],
+    force: options.force
+  });
+
+  if (stopped.mode === 'forced') {
+    log(`🛑 Stopped ${arn} without cleanup`);
+  } else {
+    log(`🛑 Stop requested during ${stopped.region}: ${stopped.request.reason}`);
+  }
+
+  if (!options.wait) {
+    if (options.json) {
+      printJson(stopped);
+    }
+    return;
+  }
+
+  const { exitCode, ...outcome } = executionOutcome(await waitForExecution(client, arn, {
+    pollIntervalMs,
+    timeoutMs,
+    onPoll: execution => execution.Status === 'RUNNING' && log(`⏳ ${execution.Status}...`)
+  }));
+
+  if (options.json) {
+    printJson({ ...stopped, ...outcome });
+  } else if (outcome.status === 'SUCCEEDED') {
+    const summary = formatResultSummary(outcome.result);
+    log(`✅ Execution finished${summary ? `: ${summary}` : ''}`);
+    log(JSON.stringify(outcome.result, null, 2));
+  } else {
+    log(`✅ Execution ${outcome.status}`);
+  }
+
+  // The stop only took effect if the workflow returned its cancelled result or was stopped outright
+  if (outcome.result?.status !== 'cancelled' && outcome.status !== 'STOPPED') {
+    console.error(`❌ Execution ended ${outcome.status} before the stop took effect`);
+    process.exitCode = INSPECT_EXIT_CODES.ERROR;
+  }
+}
+
+async function main() {
+  let options;
+  let positionals;
+  try {
+    ({ values: options, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true }));
+  } catch (error) {
+    reject(error.message);
+  }
+
+  const [command, execution] = positionals;
+  if (!COMMANDS.includes(command)) {
+    reject(`Command must be one of: ${COMMANDS.join(', ')}`);
+  }
+  if (command !== 'list' && !execution) {
+    reject(`Usage: node scripts/executions.mjs ${command} <name|arn>`);
+  }
+
+  let client;
+  try {
+    client = createLambdaClient({ endpoint: options.endpoint });
+  } catch (error) {
+    reject(error.message);
+  }
+
+  try {
+    if (command === 'list') {
+      await list(client, options);
+      return;
+    }
+
+    const arn = await resolveExecutionArn(client, { functionName: options.function, qualifier: options.qualifier, execution });
+    await { describe, history, stop }[command](client, options, arn);
+  } catch (error) {
+    const exitCode = error.exitCode ??
+      (error.name === 'ResourceNotFoundException' ? INSPECT_EXIT_CODES.NOT_FOUND : INSPECT_EXIT_CODES.ERROR);
+    console.error(`❌ ${error.name === 'Error' ? '' : `${error.name}: `}${error.message}`);
+    process.exit(exitCode);
+  }
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(INSPECT_EXIT_CODES.ERROR);
+});
@@ -0,0 +1,397 @@
+/**
+ * Batch support for scripts/resume-workflow.mjs
+ * Reads {callbackId, action, payload} records from JSONL or CSV, validates them and sends
+ * them with limited concurrency, retrying throttled requests.
+ */
+
+import {
+  SendDurableExecutionCallbackSuccessCommand,
+  SendDurableExecutionCallbackFailureCommand,
+  SendDurableExecutionCallbackHeartbeatCommand
+} from '@aws-sdk/client-lambda';
+import {
+  CallbackIdError,
+  isSignedCallbackId,
+  unwrapCallbackId,
+  validateCallbackId
+} from '../../workflows/durable-function-example/lib/callback-helper.mjs';
+import { EXIT_CODES, classifyCallbackError } from './callback-errors.mjs';
+
+export const CALLBACK_ACTIONS = ['success', 'failure', 'heartbeat'];
+export const RECORD_FORMATS = ['jsonl', 'csv'];
+
+const THROTTLING_ERRORS = ['TooManyRequestsException', 'ThrottlingException'];
+const FAILURE_FIELDS = ['type', 'message', 'data', 'stack'];
+const DEFAULT_FAILURE_MESSAGE = 'Workflow failed via CLI script';
+
+/**
+ * Pick the record format from a file name, defaulting to JSONL (also for stdin)
+ */
+export function detectRecordFormat(path) {
+  return path && path.toLowerCase().endsWith('.csv') ? 'csv' : 'jsonl';
+}
+
+/**
+ * Split CSV text into rows of fields, honouring quoted fields with "" escapes and embedded newlines
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push({ line: rowLine, fields: row });
+      row = [];
+      field = '';
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`CSV line ${rowLine}: unterminated quoted field`);
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push({ line: rowLine, fields: row });
+  }
+
+  return rows.filter(({ fields }) => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse records from JSONL (one object per line) or CSV (header row with callbackId, action, payload)
+ * Each record keeps the line it came from for the result report
+ */
+export function parseCallbackRecords(text, format = 'jsonl') {
+  if (!RECORD_FORMATS.includes(format)) {
+    throw new Error(`Record format must be one of: ${RECORD_FORMATS.join(', ')}`);
+  }
+
+  if (format === 'csv') {
+    const [header, ...rows] = parseCsvRows(text);
+    if (!header) {
+      return [];
+    }
+
+    const columns = header.fields.map(name => name.trim());
+    if (!columns.includes('callbackId')) {
+      throw new Error('CSV header must include a callbackId column');
+    }
+
+    return rows.map(({ line, fields }) => {
+      const record = { line };
+      columns.forEach((name, index) => {
+        if (fields[index] !== undefined && fields[index] !== '') {
+          record[name] = fields[index];
+        }
+      });
+      return record;
+    });
+  }
+
+  return text.split(/\r?\n/).flatMap((content, index) => {
+    if (content.trim() === '') {
+      return [];
+    }
+
+    try {
+      const record = JSON.parse(content);
+      if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        return [{ line: index + 1, parseError: 'Record must be a JSON object' }];
+      }
+      return [{ ...record, line: index + 1 }];
+    } catch (error) {
+      return [{ line: index + 1, parseError: `Invalid JSON: ${error.message}` }];
+    }
+  });
+}
+
+/**
+ * Turn a failure payload into the ErrorObject sent with the callback failure
+ * Accepts a plain error message or { type, message, data, stack }, as an object or JSON text
+ */
+export function toCallbackErrorObject(payload = DEFAULT_FAILURE_MESSAGE) {
+  let failure = payload;
+
+  if (typeof failure === 'string') {
+    try {
+      const parsed = JSON.parse(failure);
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+        failure = parsed;
+      }
+    } catch {
+      // Not JSON, so the whole string is the message
+    }
+  }
+
+  if (typeof failure === 'string') {
+    return { ErrorMessage: failure || DEFAULT_FAILURE_MESSAGE };
+  }
+
+  if (!failure || typeof failure !== 'object' || Array.isArray(failure)) {
+    throw new Error('failure payload must be an error message or an object with type, message, data, stack');
+  }
+
+  const unknown = Object.keys(failure).filter(key => !FAILURE_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`failure payload may only contain: ${FAILURE_FIELDS.join(', ')} (got ${unknown.join(', ')})`);
+  }
+
+  const { type, message = DEFAULT_FAILURE_MESSAGE, data, stack } = failure;
+  if (type !== undefined && typeof type !== 'string') {
+    throw new Error('failure type must be a string');
+  }
+  if (typeof message !== 'string') {
+    throw new Error('failure message must be a string');
+  }
+  if (stack !== undefined && typeof stack !== 'string' && !(Array.isArray(stack) && stack.every(line => typeof line === 'string'))) {
+    throw new Error('failure stack must be a string or an array of strings');
+  }
+
+  return {
+    ...(type !== undefined && { ErrorType: type }),
+    ErrorMessage: message,
+    ...(data !== undefined && { ErrorData: typeof data === 'string' ? data : JSON.stringify(data) }),
+    ...(stack !== undefined && { StackTrace: typeof stack === 'string' ? stack.split('\n') : stack })
+  };
+}
+
+/**
+ * Check one record and normalise its payload
+ * Success payloads must be JSON (objects in JSONL, JSON text in CSV); failure payloads are an error
+ * message or structured error data; heartbeats take no payload
+ * Signed callback IDs are verified and replaced by the service callback ID they wrap
+ * Returns { record } or { error }
+ */
+export function validateCallbackRecord(record, { secret } = {}) {
+  if (record.parseError) {
+    return { error: record.parseError };
+  }
+
+  const { action = 'success', payload } = record;
+  let { callbackId } = record;
+
+  if (!callbackId || typeof callbackId !== 'string') {
+    return { error: 'callbackId must be a non-empty string' };
+  }
+
+  if (!CALLBACK_ACTIONS.includes(action)) {
+    return { error: `action must be one of: ${CALLBACK_ACTIONS.join(', ')}` };
+  }
+
+  if (secret || isSignedCallbackId(callbackId)) {
+    try {
+      validateCallbackId(callbackId, { secret });
+      callbackId = unwrapCallbackId(callbackId, { secret });
+    } catch (error) {
+      if (!(error instanceof CallbackIdError)) {
+        throw error;
+      }
+      return { error: `${error.message} (${error.name})` };
+    }
+  }
+
+  let normalizedPayload = payload;
+  if (action === 'success' && typeof payload === 'string') {
+    try {
+      normalizedPayload = JSON.parse(payload);
+    } catch {
+      return { error: 'success payload must be valid JSON' };
+    }
+  }
+  if (action === 'failure') {
+    try {
+      toCallbackErrorObject(payload);
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+  if (action === 'heartbeat' && payload !== undefined) {
+    return { error: 'heartbeat records take no payload' };
+  }
+
+  return { record: { line: record.line, callbackId, action, payload: normalizedPayload } };
+}
+
+/**
+ * Build the Lambda command that completes or heartbeats a callback
+ */
+export function buildCallbackCommand({ callbackId, action, payload }) {
+  if (action === 'heartbeat') {
+    return new SendDurableExecutionCallbackHeartbeatCommand({ CallbackId: callbackId });
+  }
+
+  if (action === 'failure') {
+    return new SendDurableExecutionCallbackFailureCommand({
+      CallbackId: callbackId,
+      Error: toCallbackErrorObject(payload)
+    });
+  }
+
+  const result = payload ?? { approved: true, completedAt: new Date().toISOString() };
+  return new SendDurableExecutionCallbackSuccessCommand({
+    CallbackId: callbackId,
+    Result: new TextEncoder().encode(JSON.stringify(result))
+  });
+}
+
+export function isThrottlingError(error) {
+  return THROTTLING_ERRORS.includes(error?.name) || error?.$retryable?.throttling === true;
+}
+
+/**
+ * Send a command, retrying throttled requests with exponential backoff and jitter
+ * A retryAfterSeconds hint from the service takes precedence over the backoff
+ * Returns the number of attempts made; rethrows the last error with error.attempts set
+ */
+export async function sendWithRetry(client, command, {
+  maxRetries = 4,
+  baseDelayMs = 200,
+  maxDelayMs = 5000,
+  sleep = ms => new Promise(resolve => setTimeout(resolve, ms)),
+  random = Math.random
+} = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await client.send(command);
+      return attempt;
+    } catch (error) {
+      if (!isThrottlingError(error) || attempt > maxRetries) {
+        error.attempts = attempt;
+        throw error;
+      }
+
+      const retryAfterMs = Number(error.retryAfterSeconds) * 1000;
+      const backoffMs = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+      await sleep(retryAfterMs > 0 ? retryAfterMs : backoffMs * (0.5 + random() / 2));
+    }
+  }
+}
+
+/**
+ * Validate and send records with at most `concurrency` requests in flight
+ * In dry-run mode records are only validated
+ * Results come back in input order as { line, callbackId, action, status, attempts, error, exitCode }
+ * with status one of: sent, failed, invalid, valid (dry run); failed and invalid records carry
+ * the exit code of their problem (see callback-errors.mjs)
+ */
+export async function resumeCallbacks(records, {
+  client,
+  concurrency = 5,
+  dryRun = false,
+  secret,
+  ...retryOptions
+} = {}) {
+  const seen = new Map();
+  const results = new Array(records.length);
+  const pending = [];
+
+  records.forEach((raw, index) => {
+    const { record, error } = validateCallbackRecord(raw, { secret });
+    const base = { line: raw.line, callbackId: raw.callbackId, action: raw.action ?? 'success' };
+
+    if (error) {
+      results[index] = { ...base, status: 'invalid', attempts: 0, error, exitCode: EXIT_CODES.REJECTED };
+    } else if (seen.has(record.callbackId)) {
+      results[index] = {
+        ...base,
+        status: 'invalid',
+        attempts: 0,
+        error: `duplicate callbackId, first seen on line ${seen.get(record.callbackId)}`,
+        exitCode: EXIT_CODES.REJECTED
+      };
+    } else {
+      seen.set(record.callbackId, record.line);
+      if (dryRun) {
+        results[index] = { ...base, status: 'valid', attempts: 0 };
+      } else {
+        pending.push({ index, record, base });
+      }
+    }
+  });
+
+  let next = 0;
+  const worker = async () => {
+    while (next < pending.length) {
+      const { index, record, base } = pending[next++];
+      try {
+        const attempts = await sendWithRetry(client, buildCallbackCommand(record), retryOptions);
+        results[index] = { ...base, status: 'sent', attempts };
+      } catch (error) {
+        results[index] = {
+          ...base,
+          status: 'failed',
+          attempts: error.attempts ?? 1,
+          error: `${error.name}: ${error.message}`,
+          exitCode: classifyCallbackError(error).exitCode
+        };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, pending.length)) }, worker));
+
+  return results;
+}
+
+/**
+ * Count results per status
+ */
+export function summarizeResults(results) {
+  return results.reduce((summary, { status }) => {
+    summary[status] = (summary[status] ?? 0) + 1;
+    return summary;
+  }, { total: results.length });
+}
+
+/**
+ * Render results as a fixed-width table followed by a summary line
+ */
+export function formatResultReport(results) {
+  const lines = results.map(({ line, callbackId, action, status, attempts, error }) => [
+    String(line ?? '-').padEnd(6),
+    status.padEnd(8),
+    String(action).padEnd(8),
+    String(attempts).padEnd(9),
+    callbackId ?? '(missing)',
+    error ? ` - ${error}` : ''
+  ].join(' ').trimEnd());
+
+  const summary = summarizeResults(results);
+  const counts = ['sent', 'valid', 'failed', 'invalid']
+    .filter(status => summary[status])
+    .map(status => `${summary[status]} ${status}`);
+
+  return [
+    `${'LINE'.padEnd(6)} ${'STATUS'.padEnd(8)} ${'ACTION'.padEnd(8)} ${'ATTEMPTS'.padEnd(9)} CALLBACK ID`,
+    ...lines,
+    '',
+    `${summary.total} record${summary.total === 1 ? '' : 's'}: ${counts.join(', ') || 'nothing to do'}`
+  ].join('\n');
+}
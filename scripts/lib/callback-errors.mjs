@@ -0,0 +1,99 @@
+/**
+ * Exit codes and operator hints for errors returned by the durable callback API
+ * Every AWS error type gets its own exit code so scripts calling resume-workflow.mjs
+ * can branch on the outcome without parsing its output.
+ */
+
+export const EXIT_CODES = {
+  OK: 0,
+  ERROR: 1,
+  REJECTED: 2,
+  VALIDATION: 3,
+  INVALID_PARAMETER: 4,
+  ALREADY_COMPLETED: 5,
+  NOT_FOUND: 6,
+  TIMED_OUT: 7,
+  THROTTLED: 8,
+  SERVICE: 9,
+  KMS_ACCESS_DENIED: 10,
+  KMS_DISABLED: 11,
+  KMS_INVALID_STATE: 12,
+  KMS_NOT_FOUND: 13
+};
+
+const KMS_HINT = 'Lambda could not use the KMS key of the durable function - check the key and its policy';
+
+const AWS_ERRORS = {
+  ValidationException: {
+    exitCode: EXIT_CODES.VALIDATION,
+    reason: 'invalid',
+    hint: 'The request was rejected as invalid - check the callback ID and payload'
+  },
+  InvalidParameterValueException: {
+    exitCode: EXIT_CODES.INVALID_PARAMETER,
+    reason: 'invalid',
+    hint: 'The callback ID or payload is not valid'
+  },
+  ResourceNotFoundException: {
+    exitCode: EXIT_CODES.NOT_FOUND,
+    reason: 'not-found',
+    hint: 'The callback ID was not found - check the region and account, or the execution may have ended'
+  },
+  CallbackTimeoutException: {
+    exitCode: EXIT_CODES.TIMED_OUT,
+    reason: 'timed-out',
+    hint: 'The callback timed out before it was completed'
+  },
+  TooManyRequestsException: {
+    exitCode: EXIT_CODES.THROTTLED,
+    reason: 'throttled',
+    hint: 'Still throttled after retrying - lower --concurrency or try again later'
+  },
+  ServiceException: {
+    exitCode: EXIT_CODES.SERVICE,
+    reason: 'service-error',
+    hint: 'Lambda returned an internal error - try again'
+  },
+  KMSAccessDeniedException: { exitCode: EXIT_CODES.KMS_ACCESS_DENIED, reason: 'kms', hint: KMS_HINT },
+  KMSDisabledException: { exitCode: EXIT_CODES.KMS_DISABLED, reason: 'kms', hint: KMS_HINT },
+  KMSInvalidStateException: { exitCode: EXIT_CODES.KMS_INVALID_STATE, reason: 'kms', hint: KMS_HINT },
+  KMSNotFoundException: { exitCode: EXIT_CODES.KMS_NOT_FOUND, reason: 'kms', hint: KMS_HINT }
+};
+
+const ALREADY_COMPLETED = {
+  exitCode: EXIT_CODES.ALREADY_COMPLETED,
+  reason: 'already-completed',
+  hint: 'The callback was already completed - nothing left to do'
+};
+
+/**
+ * Map an error from the callback API to { exitCode, reason, hint }
+ * The service reports a callback that is no longer open as an invalid parameter, so
+ * "already completed" is told apart by its message.
+ */
+export function classifyCallbackError(error) {
+  const known = AWS_ERRORS[error?.name];
+
+  if (!known) {
+    return { exitCode: EXIT_CODES.ERROR, reason: 'error', hint: undefined };
+  }
+
+  if (known.reason === 'invalid' && /already/i.test(error.message ?? '')) {
+    return ALREADY_COMPLETED;
+  }
+
+  return known;
+}
+
+/**
+ * Single exit code for a batch: the shared code when every problem record agrees, otherwise ERROR
+ */
+export function batchExitCode(results) {
+  const codes = new Set(results.filter(result => result.exitCode).map(result => result.exitCode));
+
+  if (codes.size === 0) {
+    return EXIT_CODES.OK;
+  }
+
+  return codes.size === 1 ? [...codes][0] : EXIT_CODES.ERROR;
+}
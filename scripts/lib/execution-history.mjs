@@ -0,0 +1,324 @@
+/**
+ * Inspecting durable executions for scripts/executions.mjs
+ * Lists executions, describes one and turns its event history back into the operation tree
+ * the handler built: parallel branches, map iterations and child contexts nest under their parent.
+ */
+
+import {
+  GetDurableExecutionCommand,
+  paginateGetDurableExecutionHistory,
+  paginateListDurableExecutionsByFunction
+} from '@aws-sdk/client-lambda';
+import { executionOutcome } from './start-execution.mjs';
+
+export const EXECUTION_STATUSES = ['RUNNING', 'SUCCEEDED', 'FAILED', 'TIMED_OUT', 'STOPPED'];
+
+export const INSPECT_EXIT_CODES = {
+  OK: 0,
+  ERROR: 1,
+  REJECTED: 2,
+  NOT_FOUND: 3,
+  NOT_RUNNING: 4,
+  NO_STOP_POINT: 5,
+  STILL_RUNNING: 6
+};
+
+const OPERATION_TYPES = {
+  Step: 'STEP',
+  Wait: 'WAIT',
+  Callback: 'CALLBACK',
+  Context: 'CONTEXT',
+  ChainedInvoke: 'CHAINED_INVOKE'
+};
+
+const EVENT_STATUSES = {
+  Started: 'STARTED',
+  Succeeded: 'SUCCEEDED',
+  Failed: 'FAILED',
+  TimedOut: 'TIMED_OUT',
+  Stopped: 'STOPPED',
+  Cancelled: 'CANCELLED'
+};
+
+const EVENT_TYPE_PATTERN = /^(Step|Wait|Callback|Context|ChainedInvoke)(Started|Succeeded|Failed|TimedOut|Stopped|Cancelled)$/;
+
+const toMillis = timestamp => (timestamp === undefined ? undefined : new Date(timestamp).getTime());
+
+/**
+ * Executions of a function, newest first, across as many pages as needed for maxItems
+ */
+export async function listExecutions(client, { functionName, qualifier, statuses, name, maxItems = 20 }) {
+  const invalid = (statuses ?? []).filter(status => !EXECUTION_STATUSES.includes(status));
+  if (invalid.length > 0) {
+    throw Object.assign(
+      new Error(`Status must be one of: ${EXECUTION_STATUSES.join(', ')} (got ${invalid.join(', ')})`),
+      { exitCode: INSPECT_EXIT_CODES.REJECTED }
+    );
+  }
+
+  const executions = [];
+  const pages = paginateListDurableExecutionsByFunction({ client, pageSize: Math.min(maxItems, 100) }, {
+    FunctionName: functionName,
+    Qualifier: qualifier,
+    DurableExecutionName: name,
+    Statuses: statuses?.length ? statuses : undefined
+  });
+
+  for await (const page of pages) {
+    executions.push(...(page.DurableExecutions ?? []));
+    if (executions.length >= maxItems) {
+      break;
+    }
+  }
+
+  return executions.slice(0, maxItems);
+}
+
+/**
+ * ARN for an execution given either its ARN or its name
+ */
+export async function resolveExecutionArn(client, { functionName, qualifier, execution }) {
+  if (execution.startsWith('arn:')) {
+    return execution;
+  }
+
+  if (!functionName) {
+    throw Object.assign(
+      new Error(`Pass --function to look up execution ${execution} by name, or pass its ARN`),
+      { exitCode: INSPECT_EXIT_CODES.REJECTED }
+    );
+  }
+
+  const [match] = await listExecutions(client, { functionName, qualifier, name: execution, maxItems: 1 });
+  if (!match) {
+    throw Object.assign(
+      new Error(`No execution named ${execution} for ${functionName}`),
+      { exitCode: INSPECT_EXIT_CODES.NOT_FOUND }
+    );
+  }
+
+  return match.DurableExecutionArn;
+}
+
+/**
+ * Status, input and output of one execution
+ * Returns { name, arn, status, input, result, error, startedAt, endedAt, durationMs }
+ */
+export async function describeExecution(client, durableExecutionArn) {
+  const execution = await client.send(new GetDurableExecutionCommand({ DurableExecutionArn: durableExecutionArn }));
+  const { status, result, error } = executionOutcome(execution);
+
+  let input = execution.InputPayload;
+  try {
+    input = JSON.parse(input);
+  } catch {
+    // Not JSON, keep the raw input
+  }
+
+  const startedAt = toMillis(execution.StartTimestamp);
+  const endedAt = toMillis(execution.EndTimestamp);
+
+  return {
+    name: execution.DurableExecutionName,
+    arn: execution.DurableExecutionArn,
+    status,
+    input,
+    result,
+    error,
+    startedAt,
+    endedAt,
+    durationMs: endedAt === undefined ? undefined : endedAt - startedAt
+  };
+}
+
+/**
+ * Every history event of an execution, oldest first
+ */
+export async function getExecutionHistory(client, durableExecutionArn, { includeExecutionData = true } = {}) {
+  const events = [];
+  const pages = paginateGetDurableExecutionHistory({ client }, {
+    DurableExecutionArn: durableExecutionArn,
+    IncludeExecutionData: includeExecutionData
+  });
+
+  for await (const page of pages) {
+    events.push(...(page.Events ?? []));
+  }
+
+  return events;
+}
+
+function createNode(event, type) {
+  return {
+    id: event.Id,
+    name: event.Name,
+    type,
+    subType: event.SubType,
+    parentId: event.ParentId,
+    status: undefined,
+    startedAt: toMillis(event.EventTimestamp),
+    endedAt: undefined,
+    durationMs: undefined,
+    attempts: 0,
+    retries: 0,
+    error: undefined,
+    children: []
+  };
+}
+
+/**
+ * Rebuild the operation tree from history events
+ * Each node carries its status, duration (first to final event) and retries. A step's retries are its
+ * attempts after the first, which covers both retried failures and waitForCondition polls.
+ * Returns the top-level operations in the order they started
+ */
+export function buildOperationTree(events) {
+  const nodes = new Map();
+
+  for (const event of [...events].sort((a, b) => (a.EventId ?? 0) - (b.EventId ?? 0))) {
+    const match = EVENT_TYPE_PATTERN.exec(event.EventType ?? '');
+    if (!match) {
+      continue;
+    }
+
+    const [, kind, outcome] = match;
+    let node = nodes.get(event.Id);
+    if (!node) {
+      node = createNode(event, OPERATION_TYPES[kind]);
+      nodes.set(event.Id, node);
+    }
+
+    const details = event[`${event.EventType}Details`];
+    const currentAttempt = details?.RetryDetails?.CurrentAttempt;
+
+    if (kind === 'Step' && outcome === 'Started') {
+      node.attempts += 1;
+    }
+    if (currentAttempt !== undefined) {
+      node.attempts = Math.max(node.attempts, currentAttempt);
+    }
+
+    node.status = EVENT_STATUSES[outcome];
+    node.error = details?.Error?.Payload;
+
+    if (outcome === 'Failed' && details?.RetryDetails?.NextAttemptDelaySeconds !== undefined) {
+      node.status = 'PENDING';
+    } else if (outcome !== 'Started') {
+      node.endedAt = toMillis(event.EventTimestamp);
+      node.durationMs = node.endedAt - node.startedAt;
+    }
+
+    node.retries = Math.max(node.attempts - 1, 0);
+  }
+
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parentId === undefined ? undefined : nodes.get(node.parentId);
+    (parent ? parent.children : roots).push(node);
+  }
+
+  return roots;
+}
+
+/**
+ * Human-readable duration: 850ms, 12.3s, 4m 05s, 2h 10m
+ */
+export function formatDuration(ms) {
+  if (ms === undefined) {
+    return '-';
+  }
+  if (ms < 1000) {
+    return `${ms}ms`;
+  }
+  if (ms < 60 * 1000) {
+    return `${(ms / 1000).toFixed(1)}s`;
+  }
+
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 60) {
+    return `${minutes}m ${String(Math.floor((ms % 60000) / 1000)).padStart(2, '0')}s`;
+  }
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+/**
+ * Label for an operation; unnamed branches and iterations are numbered among their siblings
+ */
+function labelFor(node, index) {
+  if (node.name) {
+    return node.name;
+  }
+  if (node.subType === 'ParallelBranch') {
+    return `branch ${index + 1}`;
+  }
+  if (node.subType === 'MapIteration') {
+    return `iteration ${index}`;
+  }
+  return `(${node.subType ?? node.type})`;
+}
+
+/**
+ * Render the operation tree as text, one operation per line with type, status, duration and retries
+ */
+export function formatOperationTree(roots) {
+  const rows = [];
+
+  const visit = (nodes, prefix) => {
+    const siblings = {};
+    nodes.forEach((node, position) => {
+      const index = siblings[node.subType] = (siblings[node.subType] ?? -1) + 1;
+      const last = position === nodes.length - 1;
+
+      rows.push({
+        tree: `${prefix}${last ? '└─ ' : '├─ '}${labelFor(node, index)}`,
+        kind: `${node.type}/${node.subType}`,
+        status: node.status,
+        duration: formatDuration(node.durationMs),
+        retries: node.type === 'STEP' ? `${node.retries} ${node.retries === 1 ? 'retry' : 'retries'}` : '',
+        error: node.error ? `${node.error.ErrorType ?? 'Error'}: ${node.error.ErrorMessage}` : ''
+      });
+
+      visit(node.children, `${prefix}${last ? '   ' : '│  '}`);
+    });
+  };
+  visit(roots, '');
+
+  const width = key => Math.max(...rows.map(row => row[key].length));
+  const widths = { tree: width('tree'), kind: width('kind'), status: width('status'), duration: width('duration') };
+
+  return rows.map(row => [
+    row.tree.padEnd(widths.tree),
+    row.kind.padEnd(widths.kind),
+    row.status.padEnd(widths.status),
+    row.duration.padStart(widths.duration),
+    row.retries,
+    row.error
+  ].join('  ').trimEnd()).join('\n');
+}
+
+/**
+ * Render a list of executions as a table
+ */
+export function formatExecutionList(executions) {
+  if (executions.length === 0) {
+    return 'No executions found';
+  }
+
+  const rows = executions.map(execution => {
+    const startedAt = toMillis(execution.StartTimestamp);
+    const endedAt = toMillis(execution.EndTimestamp);
+    return [
+      execution.DurableExecutionName ?? '-',
+      execution.Status ?? '-',
+      startedAt === undefined ? '-' : new Date(startedAt).toISOString(),
+      formatDuration(endedAt === undefined ? undefined : endedAt - startedAt)
+    ];
+  });
+
+  const header = ['NAME', 'STATUS', 'STARTED', 'DURATION'];
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+
+  return [header, ...rows]
+    .map(row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd())
+    .join('\n');
+}
@@ -0,0 +1,406 @@
+/**
+ * Execution timelines for scripts/render-timeline.mjs
+ * Turns an exported execution history into rows of time segments, one row per operation, and
+ * renders them as a Mermaid Gantt diagram or a self-contained HTML page. Every step attempt is its
+ * own segment, with the retry or poll delay before the next attempt in between, and every Lambda
+ * invocation (the first run and each replay) gets a bar of its own.
+ */
+
+import { formatDuration } from './execution-history.mjs';
+
+const EVENT_TYPE_PATTERN = /^(Step|Wait|Callback|Context|ChainedInvoke)(Started|Succeeded|Failed|TimedOut|Stopped|Cancelled)$/;
+const EXECUTION_END_PATTERN = /^Execution(Succeeded|Failed|TimedOut|Stopped)$/;
+
+const STATUSES = {
+  Started: 'STARTED',
+  Succeeded: 'SUCCEEDED',
+  Failed: 'FAILED',
+  TimedOut: 'TIMED_OUT',
+  Stopped: 'STOPPED',
+  Cancelled: 'CANCELLED'
+};
+
+// Branches and iterations only wrap the operations inside them, so they get no row of their own
+const WRAPPER_SUBTYPES = ['ParallelBranch', 'MapIteration'];
+
+/**
+ * Milliseconds since the epoch for a history timestamp
+ * Numbers are epoch seconds, as the API serializes them; strings and Dates are parsed
+ */
+function toMillis(timestamp) {
+  if (timestamp === undefined || timestamp === null) {
+    return undefined;
+  }
+  if (typeof timestamp === 'number') {
+    return Math.round(timestamp * 1000);
+  }
+  return new Date(timestamp).getTime();
+}
+
+/**
+ * Events from an exported history: a JSON array of events, or a GetDurableExecutionHistory
+ * response (or a list of them) with an Events array
+ */
+export function parseHistoryExport(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`History is not valid JSON: ${error.message}`);
+  }
+
+  const pages = Array.isArray(parsed) && parsed.every(page => Array.isArray(page?.Events)) && parsed.length > 0
+    ? parsed
+    : [parsed];
+  const events = pages.flatMap(page => (Array.isArray(page) ? page : page?.Events ?? []));
+
+  if (events.length === 0 || !events.every(event => typeof event?.EventType === 'string')) {
+    throw new Error('History must be an array of events or an object with an Events array');
+  }
+
+  return events;
+}
+
+function openAttempt(operation, start) {
+  operation.attempts += 1;
+  operation.current = { kind: 'attempt', attempt: operation.attempts, start, end: undefined, status: 'STARTED' };
+  operation.segments.push(operation.current);
+}
+
+function closeAttempt(operation, end, status, error) {
+  Object.assign(operation.current, { end, status, error });
+  operation.current = undefined;
+}
+
+/**
+ * Build the timeline of an execution from its history events
+ * Returns { status, startedAt, endedAt, durationMs, invocations, rows }. Rows are in tree order with
+ * their depth and the top-level operation (section) they belong to; each has segments of kind
+ * `attempt` or `delay` with start, end and status. Operations that never finished end when their
+ * parent or the execution ended.
+ */
+export function buildTimeline(events) {
+  const sorted = [...events].sort((a, b) => (a.EventId ?? 0) - (b.EventId ?? 0));
+  const operations = new Map();
+  const invocations = [];
+  let status = 'RUNNING';
+  let startedAt;
+  let endedAt;
+  let lastEventAt;
+
+  for (const event of sorted) {
+    const at = toMillis(event.EventTimestamp);
+    const details = event[`${event.EventType}Details`];
+    lastEventAt = Math.max(lastEventAt ?? at, at);
+
+    if (event.EventType === 'ExecutionStarted') {
+      startedAt = at;
+      continue;
+    }
+
+    const executionEnd = EXECUTION_END_PATTERN.exec(event.EventType);
+    if (executionEnd) {
+      status = STATUSES[executionEnd[1]];
+      endedAt = at;
+      continue;
+    }
+
+    if (event.EventType === 'InvocationCompleted') {
+      invocations.push({
+        number: invocations.length + 1,
+        requestId: details?.RequestId,
+        start: toMillis(details?.StartTimestamp) ?? at,
+        end: toMillis(details?.EndTimestamp) ?? at,
+        error: details?.Error?.Payload
+      });
+      continue;
+    }
+
+    const match = EVENT_TYPE_PATTERN.exec(event.EventType);
+    if (!match) {
+      continue;
+    }
+
+    const [, kind, outcome] = match;
+    let operation = operations.get(event.Id);
+    if (!operation) {
+      operation = {
+        id: event.Id,
+        name: event.Name,
+        type: kind,
+        subType: event.SubType,
+        parentId: event.ParentId,
+        status: undefined,
+        start: at,
+        end: undefined,
+        attempts: 0,
+        segments: [],
+        current: undefined,
+        delayFrom: undefined
+      };
+      operations.set(event.Id, operation);
+    }
+
+    const error = details?.Error?.Payload;
+
+    if (outcome === 'Started') {
+      operation.status = 'STARTED';
+
+      if (kind === 'Step' && operation.current) {
+        // A poll ends without an event of its own; only the next attempt shows it is over
+        closeAttempt(operation, operation.current.start, 'SUCCEEDED');
+        operation.delayFrom = operation.segments.at(-1).end;
+      }
+      if (operation.delayFrom !== undefined) {
+        operation.segments.push({ kind: 'delay', attempt: operation.attempts + 1, start: operation.delayFrom, end: at, status: 'SUCCEEDED' });
+        operation.delayFrom = undefined;
+      }
+      openAttempt(operation, at);
+      continue;
+    }
+
+    if (!operation.current) {
+      // Terminal event without a start of its own, such as a callback completed by the service
+      openAttempt(operation, operation.segments.at(-1)?.end ?? operation.start);
+    }
+
+    if (outcome === 'Failed' && details?.RetryDetails?.NextAttemptDelaySeconds !== undefined) {
+      closeAttempt(operation, at, 'FAILED', error);
+      operation.status = 'PENDING';
+      operation.delayFrom = at;
+      continue;
+    }
+
+    closeAttempt(operation, at, STATUSES[outcome], error);
+    operation.status = STATUSES[outcome];
+    operation.end = at;
+  }
+
+  const executionEnd = endedAt ?? lastEventAt;
+
+  const endOf = operation => {
+    if (operation.end !== undefined) {
+      return operation.end;
+    }
+    const parent = operations.get(operation.parentId);
+    return parent ? endOf(parent) : executionEnd;
+  };
+
+  const children = new Map();
+  const roots = [];
+  for (const operation of operations.values()) {
+    const siblings = operations.has(operation.parentId) ? children.get(operation.parentId) ?? [] : roots;
+    siblings.push(operation);
+    if (operations.has(operation.parentId)) {
+      children.set(operation.parentId, siblings);
+    }
+  }
+
+  const rows = [];
+  const visit = (nodes, depth, section) => {
+    for (const operation of nodes) {
+      const rowSection = section ?? operation.id;
+
+      if (WRAPPER_SUBTYPES.includes(operation.subType)) {
+        visit(children.get(operation.id) ?? [], depth, rowSection);
+        continue;
+      }
+
+      const end = endOf(operation);
+      if (operation.current) {
+        operation.current.end = end;
+      }
+      if (operation.delayFrom !== undefined) {
+        operation.segments.push({ kind: 'delay', attempt: operation.attempts + 1, start: operation.delayFrom, end, status: 'STARTED' });
+      }
+
+      rows.push({
+        id: operation.id,
+        label: operation.name ?? `(${operation.subType ?? operation.type})`,
+        type: operation.type,
+        subType: operation.subType,
+        status: operation.status,
+        section: rowSection,
+        depth,
+        start: operation.start,
+        end,
+        durationMs: end - operation.start,
+        attempts: operation.attempts,
+        segments: operation.segments.map(({ kind, attempt, start, end: segmentEnd, status: segmentStatus, error }) =>
+          ({ kind, attempt, start, end: segmentEnd, status: segmentStatus, error }))
+      });
+
+      visit(children.get(operation.id) ?? [], depth + 1, rowSection);
+    }
+  };
+  visit(roots, 0, undefined);
+
+  const start = startedAt ?? Math.min(...rows.map(row => row.start));
+  return {
+    status,
+    startedAt: start,
+    endedAt,
+    durationMs: executionEnd - start,
+    invocations,
+    rows
+  };
+}
+
+function invocationLabel(invocation) {
+  return invocation.number === 1 ? 'invocation 1' : `invocation ${invocation.number} (replay)`;
+}
+
+function segmentLabel(row, segment) {
+  if (segment.kind === 'delay') {
+    return `${row.label} delay before attempt ${segment.attempt}`;
+  }
+  return row.attempts > 1 ? `${row.label} attempt ${segment.attempt}` : row.label;
+}
+
+/**
+ * Mermaid Gantt diagram of a timeline: a section for the invocations, then one per top-level operation
+ */
+export function renderMermaidGantt(timeline, { title = 'Durable execution timeline' } = {}) {
+  // Colons, semicolons and hashes end a task name in Mermaid
+  const clean = text => String(text).replace(/[:;#]/g, ' ').replace(/\s+/g, ' ').trim();
+  const tags = { SUCCEEDED: ['done'], STARTED: ['active'], PENDING: ['active'] };
+
+  const lines = ['gantt', `  title ${clean(title)}`, '  dateFormat x', '  axisFormat %H:%M:%S'];
+  let taskNumber = 0;
+  // Zero-length tasks do not render, so every bar lasts at least a millisecond
+  const task = (label, taskTags, start, end) => {
+    taskNumber += 1;
+    lines.push(`  ${clean(label)} :${[...taskTags, `t${taskNumber}`, start, Math.max(end, start + 1)].join(', ')}`);
+  };
+
+  if (timeline.invocations.length > 0) {
+    lines.push('  section Invocations');
+    for (const invocation of timeline.invocations) {
+      task(invocationLabel(invocation), invocation.error ? ['crit'] : ['done'], invocation.start, invocation.end);
+    }
+  }
+
+  let section;
+  for (const row of timeline.rows) {
+    if (row.section !== section) {
+      section = row.section;
+      lines.push(`  section ${clean(row.label)}`);
+    }
+    for (const segment of row.segments) {
+      const segmentTags = segment.kind === 'delay' ? [] : tags[segment.status] ?? ['crit'];
+      task(segmentLabel(row, segment), segmentTags, segment.start, segment.end);
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+const escapeHtml = text => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const HTML_STYLE = `
+  body { font: 13px/1.4 -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; margin: 24px; color: #1f2328; }
+  h1 { font-size: 18px; margin: 0 0 4px; }
+  .summary { color: #59636e; margin: 0 0 12px; }
+  .legend span { display: inline-block; margin-right: 16px; }
+  .legend i { display: inline-block; width: 12px; height: 12px; margin-right: 4px; vertical-align: -2px; border-radius: 2px; }
+  table { border-collapse: collapse; width: 100%; margin-top: 12px; }
+  th, td { padding: 2px 8px; text-align: left; white-space: nowrap; }
+  th { border-bottom: 1px solid #d1d9e0; font-weight: 600; }
+  tr.section td { padding-top: 10px; font-weight: 600; border-bottom: 1px solid #eef1f4; }
+  td.duration { text-align: right; color: #59636e; font-variant-numeric: tabular-nums; }
+  td.track { position: relative; width: 70%; min-width: 400px; }
+  .axis { position: relative; height: 16px; }
+  .axis span { position: absolute; transform: translateX(-50%); color: #59636e; font-weight: normal; }
+  .bar { position: absolute; top: 4px; height: 12px; min-width: 2px; border-radius: 2px; }
+  .succeeded { background: #2da44e; }
+  .failed { background: #cf222e; }
+  .running { background: #0969da; }
+  .delay { background: repeating-linear-gradient(45deg, #d1d9e0, #d1d9e0 3px, #f6f8fa 3px, #f6f8fa 6px); }
+`;
+
+const BAR_CLASSES = { SUCCEEDED: 'succeeded', STARTED: 'running', PENDING: 'running' };
+
+/**
+ * Self-contained HTML page of a timeline: inline styles, no scripts; hover a bar for its details
+ */
+export function renderTimelineHtml(timeline, { title = 'Durable execution timeline' } = {}) {
+  const bars = [...timeline.invocations, ...timeline.rows.flatMap(row => row.segments)];
+  const origin = Math.min(timeline.startedAt, ...bars.map(bar => bar.start));
+  const span = Math.max(Math.max(...bars.map(bar => bar.end), origin + timeline.durationMs) - origin, 1);
+  const percent = value => `${(((value - origin) / span) * 100).toFixed(3)}%`;
+  const width = (start, end) => `${(((end - start) / span) * 100).toFixed(3)}%`;
+  const iso = value => new Date(value).toISOString();
+
+  const bar = (className, start, end, tooltip) =>
+    `<span class="bar ${className}" style="left:${percent(start)};width:${width(start, end)}" title="${escapeHtml(tooltip)}"></span>`;
+
+  const ticks = [0, 0.25, 0.5, 0.75, 1]
+    .map(fraction => `<span style="left:${fraction * 100}%">+${formatDuration(Math.round(span * fraction))}</span>`)
+    .join('');
+
+  const body = [];
+  const row = (label, depth, durationMs, track) => body.push(
+    `<tr><td style="padding-left:${8 + depth * 16}px">${escapeHtml(label)}</td>` +
+    `<td class="duration">${formatDuration(durationMs)}</td><td class="track">${track}</td></tr>`
+  );
+
+  if (timeline.invocations.length > 0) {
+    body.push('<tr class="section"><td colspan="3">Invocations</td></tr>');
+    for (const invocation of timeline.invocations) {
+      const label = invocationLabel(invocation);
+      const error = invocation.error ? ` ${invocation.error.ErrorType ?? 'Error'}: ${invocation.error.ErrorMessage}` : '';
+      row(label, 0, invocation.end - invocation.start, bar(
+        invocation.error ? 'failed' : 'succeeded',
+        invocation.start,
+        invocation.end,
+        `${label} ${invocation.requestId ?? ''}: ${iso(invocation.start)} → ${iso(invocation.end)}${error}`
+      ));
+    }
+  }
+
+  let section;
+  for (const timelineRow of timeline.rows) {
+    if (timelineRow.section !== section) {
+      section = timelineRow.section;
+      body.push(`<tr class="section"><td colspan="3">${escapeHtml(timelineRow.label)}</td></tr>`);
+    }
+
+    const track = timelineRow.segments.map(segment => {
+      const error = segment.error ? `\n${segment.error.ErrorType ?? 'Error'}: ${segment.error.ErrorMessage}` : '';
+      const tooltip = `${segmentLabel(timelineRow, segment)}: ${segment.kind === 'delay' ? 'waiting' : segment.status}, ` +
+        `${formatDuration(segment.end - segment.start)} (${iso(segment.start)} → ${iso(segment.end)})${error}`;
+      const className = segment.kind === 'delay' ? 'delay' : BAR_CLASSES[segment.status] ?? 'failed';
+      return bar(className, segment.start, segment.end, tooltip);
+    }).join('');
+
+    const retries = timelineRow.attempts > 1 ? ` (${timelineRow.attempts} attempts)` : '';
+    row(`${timelineRow.label}${retries}`, timelineRow.depth, timelineRow.durationMs, track);
+  }
+
+  const ended = timeline.endedAt === undefined ? 'still running' : `took ${formatDuration(timeline.durationMs)}`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="summary">${escapeHtml(timeline.status)} · started ${iso(timeline.startedAt)} · ${ended} · ${timeline.invocations.length} invocations</p>
+<div class="legend"><span><i class="succeeded"></i>succeeded</span><span><i class="failed"></i>failed</span><span><i class="running"></i>running</span><span><i class="delay"></i>retry or poll delay</span></div>
+<table>
+<thead><tr><th>Operation</th><th>Duration</th><th><div class="axis">${ticks}</div></th></tr></thead>
+<tbody>
+${body.join('\n')}
+</tbody>
+</table>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,29 @@
+/**
+ * Lambda client shared by the CLI scripts
+ * An endpoint override points them at another Lambda API, such as the local stand-in started by
+ * scripts/local-callback-server.mjs. Local endpoints get placeholder credentials when none are
+ * configured, so no AWS account is needed.
+ */
+
+import { LambdaClient } from '@aws-sdk/client-lambda';
+
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+export function createLambdaClient({ endpoint, env = process.env } = {}) {
+  let local = false;
+  if (endpoint) {
+    try {
+      local = LOCAL_HOSTS.includes(new URL(endpoint).hostname);
+    } catch {
+      throw new Error(`--endpoint must be a URL, got ${endpoint}`);
+    }
+  }
+
+  return new LambdaClient({
+    region: env.AWS_REGION || 'us-east-1',
+    ...(endpoint && { endpoint }),
+    ...(local && !env.AWS_ACCESS_KEY_ID && {
+      credentials: { accessKeyId: 'local', secretAccessKey: 'local' }
+    })
+  });
+}
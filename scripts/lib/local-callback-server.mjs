@@ -0,0 +1,419 @@
+/**
+ * Local stand-in for the Lambda durable callback API
+ * Serves SendDurableExecutionCallbackSuccess / Failure / Heartbeat over HTTP and routes them into
+ * LocalDurableExecution instances, so scripts/resume-workflow.mjs can run against it with --endpoint.
+ * It also describes, lists, stops and returns the history of the executions it holds, and with a
+ * functions map starts new ones through Invoke, which is enough for scripts/start-workflow.mjs and
+ * scripts/executions.mjs.
+ */
+
+import { randomUUID } from 'node:crypto';
+import { createServer } from 'node:http';
+import { LocalDurableExecution } from './local-durable-runtime.mjs';
+
+const CALLBACK_ROUTE = /^\/2025-12-01\/durable-execution-callbacks\/([^/]+)\/(succeed|fail|heartbeat)$/;
+const INVOKE_ROUTE = /^\/2015-03-31\/functions\/([^/]+)\/invocations$/;
+const EXECUTION_ROUTE = /^\/2025-12-01\/durable-executions\/([^/]+)$/;
+const HISTORY_ROUTE = /^\/2025-12-01\/durable-executions\/([^/]+)\/history$/;
+const STOP_ROUTE = /^\/2025-12-01\/durable-executions\/([^/]+)\/stop$/;
+const LIST_ROUTE = /^\/2025-12-01\/functions\/([^/]+)\/durable-executions$/;
+const CALLBACK_ID_PATTERN = /^[\x21-\x7e]{1,1024}$/;
+const MAX_RESULT_BYTES = 256 * 1024;
+const ERROR_OBJECT_FIELDS = ['ErrorType', 'ErrorMessage', 'ErrorData', 'StackTrace'];
+
+const STATUS_CODES = {
+  ValidationException: 400,
+  InvalidParameterValueException: 400,
+  CallbackTimeoutException: 400,
+  ResourceNotFoundException: 404,
+  UnknownOperationException: 404,
+  InvalidRequestContentException: 400,
+  DurableExecutionAlreadyStartedException: 409,
+  ServiceException: 500
+};
+
+class ApiError extends Error {
+  constructor(name, message) {
+    super(message);
+    this.name = name;
+  }
+}
+
+function validationError(value, field, constraint) {
+  return new ApiError(
+    'ValidationException',
+    `1 validation error detected: Value '${value}' at '${field}' failed to satisfy constraint: ${constraint}`
+  );
+}
+
+async function readBody(request) {
+  const chunks = [];
+  for await (const chunk of request) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Decode a fail or stop request body into an ErrorObject, rejecting what the service would not accept
+ */
+function parseErrorObject(body) {
+  if (body.length === 0) {
+    return {};
+  }
+
+  let error;
+  try {
+    error = JSON.parse(body.toString('utf-8'));
+  } catch {
+    throw new ApiError('ValidationException', 'Request body is not valid JSON');
+  }
+
+  if (!error || typeof error !== 'object' || Array.isArray(error)) {
+    throw validationError(JSON.stringify(error), 'error', 'Member must be an ErrorObject');
+  }
+
+  for (const [field, value] of Object.entries(error)) {
+    if (!ERROR_OBJECT_FIELDS.includes(field)) {
+      throw validationError(field, 'error', `Member must only contain: ${ERROR_OBJECT_FIELDS.join(', ')}`);
+    }
+    const valid = field === 'StackTrace'
+      ? Array.isArray(value) && value.every(line => typeof line === 'string')
+      : typeof value === 'string';
+    if (!valid) {
+      throw validationError(JSON.stringify(value), `error.${field}`, 'Member has the wrong type');
+    }
+  }
+
+  return error;
+}
+
+/**
+ * Function name from an Invoke path segment, which may be a name, a qualified name or an ARN
+ */
+function toFunctionName(segment) {
+  const name = decodeURIComponent(segment);
+  const arnMatch = /:function:([^:]+)/.exec(name);
+  return arnMatch ? arnMatch[1] : name.split(':')[0];
+}
+
+function summarizeExecution(execution, name) {
+  const timestamp = date => (date ? date.getTime() / 1000 : undefined);
+
+  return {
+    DurableExecutionArn: execution.executionArn,
+    DurableExecutionName: name,
+    FunctionArn: `arn:aws:lambda:local:000000000000:function:${execution.functionName}`,
+    Status: execution.status,
+    StartTimestamp: timestamp(execution.startTimestamp),
+    EndTimestamp: execution.status === 'RUNNING' ? undefined : timestamp(execution.endTimestamp)
+  };
+}
+
+/**
+ * History event as the API returns it: timestamps in epoch seconds, payloads only with execution data
+ */
+function toApiEvent(event, includeExecutionData) {
+  const convert = value => {
+    if (value instanceof Date) {
+      return value.getTime() / 1000;
+    }
+    if (Array.isArray(value)) {
+      return value.map(convert);
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value)
+        .filter(([key]) => includeExecutionData || !['Payload', 'Input', 'Result'].includes(key))
+        .map(([key, item]) => [key, convert(item)]));
+    }
+    return value;
+  };
+
+  return convert(event);
+}
+
+function describeExecution(execution, name) {
+  return {
+    ...summarizeExecution(execution, name),
+    InputPayload: execution.input,
+    ...(execution.status === 'SUCCEEDED' && { Result: JSON.stringify(execution.result) }),
+    ...(execution.error && { Error: { ErrorType: execution.error.name, ErrorMessage: execution.error.message } })
+  };
+}
+
+/**
+ * Start the stand-in API on a local port (random by default)
+ * Completed callbacks resume their execution, skipping waits when advanceTimers is set, before the
+ * response is sent, so a caller sees the workflow's next state as soon as its request returns.
+ * `functions` maps function names to durable handlers (or { handler, options } with
+ * LocalDurableExecution options) that Invoke may start; like Lambda, invoking again with the same
+ * execution name and payload returns the existing execution.
+ * Returns { url, requests, executions, add(execution), close() }; requests logs every call with its outcome.
+ */
+export async function startLocalCallbackServer(executions = [], {
+  port = 0,
+  host = '127.0.0.1',
+  advanceTimers = true,
+  functions = {},
+  onCallback
+} = {}) {
+  const registered = [].concat(executions);
+  const names = new Map(registered.map(execution => [execution, execution.executionId]));
+  const requests = [];
+
+  const findExecution = callbackId => registered.find(execution =>
+    execution.getOperations().some(operation => operation.CallbackDetails?.CallbackId === callbackId));
+
+  async function handleCallback(callbackId, action, body, entry) {
+    if (!CALLBACK_ID_PATTERN.test(callbackId)) {
+      throw validationError(callbackId, 'callbackId', 'Member must have length between 1 and 1024 and contain no whitespace');
+    }
+
+    const execution = findExecution(callbackId);
+    if (!execution) {
+      throw new ApiError('ResourceNotFoundException', `Callback ${callbackId} not found`);
+    }
+
+    if (action === 'heartbeat') {
+      await execution.sendCallbackHeartbeat(callbackId);
+    } else if (action === 'succeed') {
+      if (body.length > MAX_RESULT_BYTES) {
+        throw validationError(`${body.length} bytes`, 'result', `Member must be at most ${MAX_RESULT_BYTES} bytes`);
+      }
+      await execution.sendCallbackSuccess(callbackId, body.length > 0 ? body.toString('utf-8') : undefined);
+    } else {
+      await execution.sendCallbackFailure(callbackId, parseErrorObject(body));
+    }
+
+    if (action !== 'heartbeat' && advanceTimers) {
+      await execution.run({ advanceTimers: true });
+    }
+
+    entry.status = 200;
+    await onCallback?.({ action, callbackId, execution });
+    return { status: 200, body: {} };
+  }
+
+  async function handleInvoke(functionName, request, body, entry) {
+    const definition = functions[functionName];
+    if (!definition) {
+      throw new ApiError('ResourceNotFoundException', `Function not found: ${functionName}`);
+    }
+
+    const { handler, options = {} } = typeof definition === 'function' ? { handler: definition } : definition;
+    const name = request.headers['x-amz-durable-execution-name'] ?? randomUUID();
+    entry.name = name;
+
+    let payload = '{}';
+    if (body.length > 0) {
+      try {
+        payload = JSON.stringify(JSON.parse(body.toString('utf-8')));
+      } catch {
+        throw new ApiError('InvalidRequestContentException', 'Could not parse request body into json');
+      }
+    }
+
+    let execution = registered.find(candidate =>
+      names.get(candidate) === name && candidate.functionName === functionName);
+
+    if (execution && execution.input !== payload) {
+      throw new ApiError(
+        'DurableExecutionAlreadyStartedException',
+        `Durable execution ${name} already exists with a different payload`
+      );
+    }
+
+    if (!execution) {
+      execution = new LocalDurableExecution(handler, JSON.parse(payload), {
+        ...options,
+        executionId: `${name}-${randomUUID().substring(0, 8)}`,
+        functionName
+      });
+      registered.push(execution);
+      names.set(execution, name);
+      await execution.run({ advanceTimers });
+      entry.started = true;
+    }
+
+    const asynchronous = request.headers['x-amz-invocation-type'] === 'Event';
+    entry.status = asynchronous ? 202 : 200;
+
+    return {
+      status: entry.status,
+      headers: { 'x-amz-durable-execution-arn': execution.executionArn },
+      body: !asynchronous && execution.status === 'SUCCEEDED' ? execution.result : undefined
+    };
+  }
+
+  function handleGetExecution(arn, entry) {
+    const execution = registered.find(candidate => candidate.executionArn === arn);
+    if (!execution) {
+      throw new ApiError('ResourceNotFoundException', `Durable execution ${arn} not found`);
+    }
+
+    entry.status = 200;
+    return { status: 200, body: describeExecution(execution, names.get(execution)) };
+  }
+
+  function handleGetHistory(arn, query, entry) {
+    const execution = registered.find(candidate => candidate.executionArn === arn);
+    if (!execution) {
+      throw new ApiError('ResourceNotFoundException', `Durable execution ${arn} not found`);
+    }
+
+    const events = [...execution.events];
+    if (query.get('ReverseOrder') === 'true') {
+      events.reverse();
+    }
+
+    const start = Number(query.get('Marker') ?? 0);
+    const end = start + Number(query.get('MaxItems') ?? 100);
+    const includeExecutionData = query.get('IncludeExecutionData') === 'true';
+
+    entry.status = 200;
+    return {
+      status: 200,
+      body: {
+        Events: events.slice(start, end).map(event => toApiEvent(event, includeExecutionData)),
+        ...(end < events.length && { NextMarker: String(end) })
+      }
+    };
+  }
+
+  function handleStopExecution(arn, body, entry) {
+    const execution = registered.find(candidate => candidate.executionArn === arn);
+    if (!execution) {
+      throw new ApiError('ResourceNotFoundException', `Durable execution ${arn} not found`);
+    }
+
+    const error = parseErrorObject(body);
+    try {
+      execution.stop(error);
+    } catch (stopError) {
+      throw new ApiError(stopError.name, stopError.message);
+    }
+
+    entry.status = 200;
+    return { status: 200, body: { StopTimestamp: execution.endTimestamp.getTime() / 1000 } };
+  }
+
+  /**
+   * Newest first unless ReverseOrder, paged with the index of the next item as Marker
+   */
+  function handleListExecutions(functionName, query, entry) {
+    const statuses = query.getAll('Statuses');
+    const name = query.get('DurableExecutionName');
+    const startedAfter = query.has('StartedAfter') ? new Date(query.get('StartedAfter')) : undefined;
+    const startedBefore = query.has('StartedBefore') ? new Date(query.get('StartedBefore')) : undefined;
+
+    const matching = registered
+      .filter(execution => execution.functionName === functionName)
+      .filter(execution => !name || names.get(execution) === name)
+      .filter(execution => statuses.length === 0 || statuses.includes(execution.status))
+      .filter(execution => !startedAfter || execution.startTimestamp >= startedAfter)
+      .filter(execution => !startedBefore || execution.startTimestamp <= startedBefore)
+      .sort((a, b) => b.startTimestamp - a.startTimestamp);
+
+    if (query.get('ReverseOrder') === 'true') {
+      matching.reverse();
+    }
+
+    const start = Number(query.get('Marker') ?? 0);
+    const end = start + Number(query.get('MaxItems') ?? 50);
+
+    entry.status = 200;
+    return {
+      status: 200,
+      body: {
+        DurableExecutions: matching.slice(start, end).map(execution => summarizeExecution(execution, names.get(execution))),
+        ...(end < matching.length && { NextMarker: String(end) })
+      }
+    };
+  }
+
+  async function handle(request, entry) {
+    const { pathname: path, searchParams: query } = new URL(request.url, 'http://localhost');
+    const body = await readBody(request);
+    let match;
+
+    if (request.method === 'POST' && (match = CALLBACK_ROUTE.exec(path))) {
+      Object.assign(entry, { action: match[2], callbackId: decodeURIComponent(match[1]) });
+      requests.push(entry);
+      return handleCallback(entry.callbackId, entry.action, body, entry);
+    }
+
+    if (request.method === 'POST' && (match = INVOKE_ROUTE.exec(path))) {
+      Object.assign(entry, { action: 'invoke', functionName: toFunctionName(match[1]) });
+      requests.push(entry);
+      return handleInvoke(entry.functionName, request, body, entry);
+    }
+
+    if (request.method === 'GET' && (match = EXECUTION_ROUTE.exec(path))) {
+      Object.assign(entry, { action: 'get-execution', durableExecutionArn: decodeURIComponent(match[1]) });
+      requests.push(entry);
+      return handleGetExecution(entry.durableExecutionArn, entry);
+    }
+
+    if (request.method === 'GET' && (match = HISTORY_ROUTE.exec(path))) {
+      Object.assign(entry, { action: 'get-history', durableExecutionArn: decodeURIComponent(match[1]) });
+      requests.push(entry);
+      return handleGetHistory(entry.durableExecutionArn, query, entry);
+    }
+
+    if (request.method === 'POST' && (match = STOP_ROUTE.exec(path))) {
+      Object.assign(entry, { action: 'stop-execution', durableExecutionArn: decodeURIComponent(match[1]) });
+      requests.push(entry);
+      return handleStopExecution(entry.durableExecutionArn, body, entry);
+    }
+
+    if (request.method === 'GET' && (match = LIST_ROUTE.exec(path))) {
+      Object.assign(entry, { action: 'list-executions', functionName: toFunctionName(match[1]) });
+      requests.push(entry);
+      return handleListExecutions(entry.functionName, query, entry);
+    }
+
+    throw new ApiError('UnknownOperationException', `Unknown operation ${request.method} ${request.url}`);
+  }
+
+  const server = createServer((request, response) => {
+    const entry = {};
+
+    handle(request, entry).then(
+      ({ status, headers = {}, body }) => {
+        response.writeHead(status, { 'content-type': 'application/json', ...headers });
+        response.end(body === undefined ? '' : JSON.stringify(body));
+      },
+      error => {
+        const name = STATUS_CODES[error.name] ? error.name : 'ServiceException';
+        const status = STATUS_CODES[name];
+        if (entry.action) {
+          Object.assign(entry, { status, errorType: name });
+        }
+
+        response.writeHead(status, { 'content-type': 'application/json', 'x-amzn-errortype': name });
+        response.end(JSON.stringify({ Type: status < 500 ? 'User' : 'Service', message: error.message }));
+      }
+    );
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+
+  return {
+    url: `http://${host}:${server.address().port}`,
+    requests,
+    executions: registered,
+    add(execution) {
+      registered.push(execution);
+      names.set(execution, execution.executionId);
+    },
+    close() {
+      return new Promise((resolve, reject) => {
+        server.close(error => (error ? reject(error) : resolve()));
+        server.closeIdleConnections();
+      });
+    }
+  };
+}
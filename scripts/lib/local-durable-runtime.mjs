@@ -0,0 +1,1322 @@
+/**
+ * Local durable execution runtime for tests and scripts/local-callback-server.mjs
+ * Runs a durable handler in-process against a real checkpoint log and replays it
+ * from the start on every invocation, the same way the Lambda durable service does
+ */
+
+import { randomUUID } from 'node:crypto';
+import {
+  BatchItemStatus,
+  CallbackError,
+  ChildContextError,
+  DurableOperationError,
+  InvokeError,
+  JitterStrategy,
+  OperationSubType,
+  StepInterruptedError,
+  StepSemantics,
+  WaitForConditionError,
+  createRetryStrategy
+} from '@aws/durable-execution-sdk-js';
+import { VirtualClock, toSeconds } from './virtual-clock.mjs';
+
+export { VirtualClock, toSeconds };
+
+// Same settings as the SDK default strategy, without jitter so local runs are repeatable
+const defaultRetryStrategy = createRetryStrategy({
+  maxAttempts: 6,
+  initialDelay: { seconds: 5 },
+  maxDelay: { seconds: 60 },
+  backoffRate: 2,
+  jitter: JitterStrategy.NONE
+});
+
+const DEFAULT_MAX_INVOCATIONS = 1000;
+
+const never = () => new Promise(() => {});
+
+/**
+ * Error raised when a replay reaches a checkpointed operation with a different type or name
+ */
+export class NonDeterministicExecutionError extends Error {
+  constructor(operationId, recorded, replayed) {
+    super(
+      `Non-deterministic replay at operation ${operationId}: ` +
+      `recorded ${describeOperation(recorded)}, replayed ${describeOperation(replayed)}`
+    );
+    this.name = 'NonDeterministicExecutionError';
+    this.operationId = operationId;
+    this.recorded = recorded;
+    this.replayed = replayed;
+  }
+}
+
+function describeOperation({ Type, SubType, Name }) {
+  return `${Type}/${SubType} "${Name ?? 'unnamed'}"`;
+}
+
+/**
+ * Order operation IDs the way the SDK allocates them ("2" < "2-1" < "2-10" < "3")
+ */
+export function compareOperationIds(a, b) {
+  const left = a.split('-').map(Number);
+  const right = b.split('-').map(Number);
+
+  for (let i = 0; i < Math.min(left.length, right.length); i++) {
+    if (left[i] !== right[i]) {
+      return left[i] - right[i];
+    }
+  }
+
+  return left.length - right.length;
+}
+
+/**
+ * Human readable location of an operation, e.g. "isolated-operations > processMetadata"
+ */
+export function operationPath(operations, id) {
+  const names = [];
+  let current = operations.get(id);
+
+  while (current) {
+    names.unshift(current.Name ?? `${current.SubType} ${current.Id}`);
+    current = operations.get(current.ParentId);
+  }
+
+  return names.join(' > ') || id;
+}
+
+function serialize(value) {
+  return value === undefined ? undefined : JSON.stringify(value);
+}
+
+function deserialize(payload) {
+  return payload === undefined ? undefined : JSON.parse(payload);
+}
+
+function toErrorObject(error) {
+  if (error instanceof DurableOperationError) {
+    return error.toErrorObject();
+  }
+
+  if (error instanceof Error) {
+    return {
+      ErrorType: error.name,
+      ErrorMessage: error.message,
+      ErrorData: error.errorData
+    };
+  }
+
+  return { ErrorMessage: 'Unknown error' };
+}
+
+function toCallbackPayload(result) {
+  if (result === undefined || typeof result === 'string') {
+    return result;
+  }
+
+  if (result instanceof Uint8Array) {
+    return Buffer.from(result).toString('utf-8');
+  }
+
+  return JSON.stringify(result);
+}
+
+function serviceError(name, message) {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+/**
+ * Thenable that only starts its work when awaited, like the SDK's DurablePromise
+ */
+function lazy(start) {
+  let promise;
+  const run = () => (promise ??= start());
+
+  return {
+    then: (onFulfilled, onRejected) => run().then(onFulfilled, onRejected),
+    catch: (onRejected) => run().catch(onRejected),
+    finally: (onFinally) => run().finally(onFinally)
+  };
+}
+
+/**
+ * Result of a local parallel or map operation, matching the SDK BatchResult interface
+ */
+export class LocalBatchResult {
+  constructor(all, completionReason) {
+    this.all = all;
+    this.completionReason = completionReason;
+  }
+
+  static fromJSON({ all, completionReason }) {
+    return new LocalBatchResult(
+      all.map(item => ({
+        ...item,
+        error: item.error && DurableOperationError.fromErrorObject(item.error)
+      })),
+      completionReason
+    );
+  }
+
+  toJSON() {
+    return {
+      all: this.all.map(item => ({
+        ...item,
+        error: item.error && toErrorObject(item.error)
+      })),
+      completionReason: this.completionReason
+    };
+  }
+
+  // Like the SDK, an item without a result (or error) is left out, e.g. a branch that only waited
+  succeeded() {
+    return this.all.filter(item => item.status === BatchItemStatus.SUCCEEDED && item.result !== undefined);
+  }
+
+  failed() {
+    return this.all.filter(item => item.status === BatchItemStatus.FAILED && item.error !== undefined);
+  }
+
+  started() {
+    return this.all.filter(item => item.status === BatchItemStatus.STARTED);
+  }
+
+  get status() {
+    return this.hasFailure ? BatchItemStatus.FAILED : BatchItemStatus.SUCCEEDED;
+  }
+
+  get hasFailure() {
+    return this.all.some(item => item.status === BatchItemStatus.FAILED);
+  }
+
+  throwIfError() {
+    const firstError = this.all.find(item => item.status === BatchItemStatus.FAILED)?.error;
+    if (firstError) {
+      throw firstError;
+    }
+  }
+
+  getResults() {
+    return this.succeeded().map(item => item.result);
+  }
+
+  getErrors() {
+    return this.failed().map(item => item.error);
+  }
+
+  get successCount() {
+    return this.all.filter(item => item.status === BatchItemStatus.SUCCEEDED).length;
+  }
+
+  get failureCount() {
+    return this.all.filter(item => item.status === BatchItemStatus.FAILED).length;
+  }
+
+  get startedCount() {
+    return this.started().length;
+  }
+
+  get totalCount() {
+    return this.all.length;
+  }
+}
+
+/**
+ * One Lambda invocation of the handler. It ends when the handler settles, or once every
+ * running branch is suspended on a wait, retry, callback or chained invoke.
+ */
+class LocalInvocation {
+  constructor(execution, number) {
+    this.execution = execution;
+    this.number = number;
+    this.requestId = `local-invocation-${number}`;
+    this.alive = true;
+    this.suspended = false;
+    this.activeBodies = 0;
+    this.ended = new Promise(resolve => {
+      this.end = (outcome) => {
+        if (this.alive) {
+          this.alive = false;
+          resolve(outcome);
+        }
+      };
+    });
+    this.lambdaContext = {
+      awsRequestId: this.requestId,
+      functionName: execution.functionName,
+      getRemainingTimeInMillis: () => 900000
+    };
+  }
+
+  run(fn) {
+    Promise.resolve()
+      .then(fn)
+      .then(
+        result => this.end({ status: 'SUCCEEDED', result }),
+        error => this.end({ status: 'FAILED', error })
+      );
+
+    return this.ended;
+  }
+
+  suspend() {
+    this.suspended = true;
+    this.checkQuiescent();
+  }
+
+  checkQuiescent() {
+    if (!this.suspended || this.activeBodies > 0) {
+      return;
+    }
+
+    // Let pending continuations start their next operation before deciding
+    setImmediate(() => {
+      if (this.activeBodies === 0) {
+        this.end({ status: 'PENDING' });
+      }
+    });
+  }
+}
+
+/**
+ * Durable context handed to the handler, child contexts, parallel branches and map items
+ */
+class LocalDurableContext {
+  constructor(execution, invocation, parentId) {
+    this.execution = execution;
+    this.invocation = invocation;
+    this.parentId = parentId;
+    this.counter = 0;
+
+    this.executionContext = { durableExecutionArn: execution.executionArn };
+    // The SDK's internal view of the checkpoints being replayed, read by versioning.mjs
+    this._executionContext = { getStepData: id => execution.operations.get(id) };
+    this.lambdaContext = invocation.lambdaContext;
+    this.logger = execution.createLogger(parentId);
+    this.promise = {
+      all: (nameOrPromises, promises) => Promise.all(promises ?? nameOrPromises),
+      allSettled: (nameOrPromises, promises) => Promise.allSettled(promises ?? nameOrPromises),
+      any: (nameOrPromises, promises) => Promise.any(promises ?? nameOrPromises),
+      race: (nameOrPromises, promises) => Promise.race(promises ?? nameOrPromises)
+    };
+  }
+
+  configureLogger() {}
+
+  step(nameOrFn, fnOrConfig, maybeConfig) {
+    const [name, fn, config] = typeof nameOrFn === 'function'
+      ? [undefined, nameOrFn, fnOrConfig]
+      : [nameOrFn, fnOrConfig, maybeConfig];
+
+    return this.runStep(this.nextId(), name, fn, config);
+  }
+
+  wait(nameOrDuration, maybeDuration) {
+    const [name, duration] = typeof nameOrDuration === 'string'
+      ? [nameOrDuration, maybeDuration]
+      : [undefined, nameOrDuration];
+
+    return this.runWait(this.nextId(), name, duration);
+  }
+
+  createCallback(nameOrConfig, maybeConfig) {
+    const [name, config] = typeof nameOrConfig === 'object'
+      ? [undefined, nameOrConfig]
+      : [nameOrConfig, maybeConfig];
+
+    return this.runCreateCallback(this.nextId(), name, config);
+  }
+
+  waitForCallback(nameOrSubmitter, submitterOrConfig, maybeConfig) {
+    const [name, submitter, config = {}] = typeof nameOrSubmitter === 'function'
+      ? [undefined, nameOrSubmitter, submitterOrConfig]
+      : [nameOrSubmitter, submitterOrConfig, maybeConfig];
+
+    // Same shape as the SDK: a child context holding the callback and the submitter step
+    return this.runChildContext(this.nextId(), name, OperationSubType.WAIT_FOR_CALLBACK, async (childCtx) => {
+      const [callback, callbackId] = await childCtx.createCallback({
+        timeout: config.timeout,
+        heartbeatTimeout: config.heartbeatTimeout,
+        serdes: config.serdes
+      });
+
+      await childCtx.step(
+        async (stepCtx) => submitter(callbackId, { logger: stepCtx.logger }),
+        config.retryStrategy ? { retryStrategy: config.retryStrategy } : undefined
+      );
+
+      return await callback;
+    });
+  }
+
+  waitForCondition(nameOrCheck, checkOrConfig, maybeConfig) {
+    const [name, check, config] = typeof nameOrCheck === 'function'
+      ? [undefined, nameOrCheck, checkOrConfig]
+      : [nameOrCheck, checkOrConfig, maybeConfig];
+
+    return this.runWaitForCondition(this.nextId(), name, check, config);
+  }
+
+  invoke(nameOrFuncId, funcIdOrInput, inputOrConfig) {
+    const [name, funcId, input] = typeof funcIdOrInput === 'string'
+      ? [nameOrFuncId, funcIdOrInput, inputOrConfig]
+      : [undefined, nameOrFuncId, funcIdOrInput];
+
+    return this.runInvoke(this.nextId(), name, funcId, input);
+  }
+
+  runInChildContext(nameOrFn, fnOrConfig, maybeConfig) {
+    const [name, fn, config = {}] = typeof nameOrFn === 'function'
+      ? [undefined, nameOrFn, fnOrConfig]
+      : [nameOrFn, fnOrConfig, maybeConfig];
+
+    return this.runChildContext(this.nextId(), name, config.subType ?? OperationSubType.RUN_IN_CHILD_CONTEXT, fn);
+  }
+
+  parallel(nameOrBranches, branchesOrConfig, maybeConfig) {
+    const [name, branches, config] = Array.isArray(nameOrBranches)
+      ? [undefined, nameOrBranches, branchesOrConfig]
+      : [nameOrBranches, branchesOrConfig, maybeConfig];
+
+    // Like the SDK, a branch without a name is named after its position
+    const units = branches.map((branch, index) => typeof branch === 'function'
+      ? { name: `parallel-branch-${index}`, run: branch }
+      : { name: branch.name || `parallel-branch-${index}`, run: branch.func });
+
+    return this.runBatch(this.nextId(), name, OperationSubType.PARALLEL, OperationSubType.PARALLEL_BRANCH, units, config,
+      branches.map(branch => (typeof branch === 'function' ? null : branch.name ?? null)));
+  }
+
+  map(nameOrItems, itemsOrFn, fnOrConfig, maybeConfig) {
+    const [name, items, mapFunc, config = {}] = Array.isArray(nameOrItems)
+      ? [undefined, nameOrItems, itemsOrFn, fnOrConfig]
+      : [nameOrItems, itemsOrFn, fnOrConfig, maybeConfig];
+
+    const units = items.map((item, index) => ({
+      name: config.itemNamer?.(item, index) || `map-item-${index}`,
+      run: (ctx) => mapFunc(ctx, item, index, items)
+    }));
+
+    return this.runBatch(this.nextId(), name, OperationSubType.MAP, OperationSubType.MAP_ITERATION, units, config, items);
+  }
+
+  nextId() {
+    this.counter += 1;
+    return this.parentId ? `${this.parentId}-${this.counter}` : `${this.counter}`;
+  }
+
+  suspend() {
+    this.invocation.suspend();
+    return never();
+  }
+
+  /**
+   * Validate a replayed operation against its checkpoint; a mismatch fails the invocation
+   */
+  replay(id, expected, input) {
+    const operation = this.execution.operations.get(id);
+
+    this.execution.trace.push({
+      Invocation: this.invocation.number,
+      ...expected,
+      ParentId: this.parentId,
+      Input: serialize(input)
+    });
+
+    if (operation && (
+      operation.Type !== expected.Type ||
+      operation.SubType !== expected.SubType ||
+      operation.Name !== expected.Name
+    )) {
+      this.invocation.end({
+        status: 'FAILED',
+        error: new NonDeterministicExecutionError(id, operation, expected)
+      });
+      return { diverged: true };
+    }
+
+    return { operation };
+  }
+
+  /**
+   * Write a checkpoint; returns false when the invocation is dead, including when it
+   * crashed right after this write
+   */
+  checkpoint(update, eventType, eventDetails) {
+    if (!this.invocation.alive) {
+      return false;
+    }
+
+    this.execution.checkpoint({ ParentId: this.parentId, ...update }, eventType, eventDetails);
+    return this.invocation.alive;
+  }
+
+  async runBody(operationId, attempt, fn) {
+    const run = { operationId, attempt, invocation: this.invocation.number, completed: false };
+    this.execution.bodyRuns.push(run);
+    this.invocation.activeBodies++;
+
+    const body = (async () => {
+      try {
+        return { result: await fn() };
+      } catch (error) {
+        return { error };
+      }
+    })();
+
+    this.execution.runningBodies.add(body);
+    try {
+      const outcome = await body;
+      run.completed = this.invocation.alive;
+      return outcome;
+    } finally {
+      this.execution.runningBodies.delete(body);
+      this.invocation.activeBodies--;
+      this.invocation.checkQuiescent();
+    }
+  }
+
+  async runStep(id, name, fn, config = {}) {
+    const expected = { Id: id, Type: 'STEP', SubType: OperationSubType.STEP, Name: name };
+    let { operation, diverged } = this.replay(id, expected);
+    if (diverged) return never();
+
+    while (true) {
+      if (operation?.Status === 'SUCCEEDED') {
+        return deserialize(operation.StepDetails.Result);
+      }
+      if (operation?.Status === 'FAILED') {
+        throw DurableOperationError.fromErrorObject(operation.StepDetails.Error);
+      }
+      if (operation?.Status === 'PENDING') {
+        return this.suspend();
+      }
+
+      const attempt = (operation?.StepDetails?.Attempt ?? 0) + 1;
+      let outcome;
+
+      if (operation?.Status === 'STARTED' && config.semantics === StepSemantics.AtMostOncePerRetry) {
+        outcome = { error: new StepInterruptedError(id, name) };
+      } else {
+        if (!this.checkpoint({ ...expected, Status: 'STARTED', StepDetails: { Attempt: attempt } }, 'StepStarted', {})) {
+          return never();
+        }
+        outcome = await this.runBody(id, attempt, () => fn({ logger: this.execution.createLogger(id) }));
+      }
+
+      if (!this.invocation.alive) return never();
+
+      if ('result' in outcome) {
+        const payload = serialize(outcome.result);
+        this.checkpoint(
+          { ...expected, Status: 'SUCCEEDED', StepDetails: { Attempt: attempt, Result: payload } },
+          'StepSucceeded',
+          { Result: { Payload: payload }, RetryDetails: { CurrentAttempt: attempt } }
+        );
+      } else {
+        const errorObject = toErrorObject(outcome.error);
+        const decision = (config.retryStrategy ?? defaultRetryStrategy)(outcome.error, attempt);
+        const delaySeconds = decision.shouldRetry ? toSeconds(decision.delay) : undefined;
+
+        this.checkpoint(
+          {
+            ...expected,
+            Status: decision.shouldRetry ? 'PENDING' : 'FAILED',
+            StepDetails: {
+              Attempt: attempt,
+              Error: errorObject,
+              NextAttemptTimestamp: decision.shouldRetry
+                ? this.execution.clock.schedule(id, 'retry', delaySeconds)
+                : undefined
+            }
+          },
+          'StepFailed',
+          { Error: { Payload: errorObject }, RetryDetails: { CurrentAttempt: attempt, NextAttemptDelaySeconds: delaySeconds } }
+        );
+      }
+
+      if (!this.invocation.alive) return never();
+      operation = this.execution.operations.get(id);
+    }
+  }
+
+  async runWait(id, name, duration) {
+    const expected = { Id: id, Type: 'WAIT', SubType: OperationSubType.WAIT, Name: name };
+    const { operation, diverged } = this.replay(id, expected, { Duration: toSeconds(duration) });
+    if (diverged) return never();
+
+    if (operation?.Status === 'SUCCEEDED') {
+      return;
+    }
+
+    if (!operation) {
+      const seconds = toSeconds(duration);
+      const scheduledEnd = this.execution.clock.schedule(id, 'wait', seconds);
+
+      if (!this.checkpoint(
+        { ...expected, Status: 'STARTED', WaitDetails: { ScheduledEndTimestamp: scheduledEnd } },
+        'WaitStarted',
+        { Duration: seconds, ScheduledEndTimestamp: scheduledEnd }
+      )) {
+        return never();
+      }
+    }
+
+    return this.suspend();
+  }
+
+  async runCreateCallback(id, name, config = {}) {
+    const expected = { Id: id, Type: 'CALLBACK', SubType: OperationSubType.CALLBACK, Name: name };
+    const { operation, diverged } = this.replay(id, expected, {
+      Timeout: config.timeout ? toSeconds(config.timeout) : undefined,
+      HeartbeatTimeout: config.heartbeatTimeout ? toSeconds(config.heartbeatTimeout) : undefined
+    });
+    if (diverged) return never();
+
+    let callbackId = operation?.CallbackDetails?.CallbackId;
+
+    if (!operation) {
+      callbackId = this.execution.createCallbackId(id);
+      const timeout = config.timeout ? toSeconds(config.timeout) : undefined;
+      const heartbeatTimeout = config.heartbeatTimeout ? toSeconds(config.heartbeatTimeout) : undefined;
+
+      if (!this.checkpoint(
+        { ...expected, Status: 'STARTED', CallbackDetails: { CallbackId: callbackId } },
+        'CallbackStarted',
+        { CallbackId: callbackId, Timeout: timeout, HeartbeatTimeout: heartbeatTimeout }
+      )) {
+        return never();
+      }
+    }
+
+    return [lazy(() => this.awaitCallback(id, config)), callbackId];
+  }
+
+  async awaitCallback(id, config) {
+    const operation = this.execution.operations.get(id);
+
+    if (operation.Status === 'SUCCEEDED') {
+      const payload = operation.CallbackDetails.Result;
+      return config.serdes
+        ? await config.serdes.deserialize(payload, { entityId: id, durableExecutionArn: this.execution.executionArn })
+        : payload;
+    }
+
+    if (operation.Status === 'FAILED' || operation.Status === 'TIMED_OUT') {
+      const error = operation.CallbackDetails.Error;
+      if (!error) {
+        throw new CallbackError('Callback failed');
+      }
+      const cause = new Error(error.ErrorMessage);
+      cause.name = error.ErrorType || 'Error';
+      throw new CallbackError(error.ErrorMessage || 'Callback failed', cause, error.ErrorData);
+    }
+
+    return this.suspend();
+  }
+
+  async runWaitForCondition(id, name, check, config) {
+    const expected = { Id: id, Type: 'STEP', SubType: OperationSubType.WAIT_FOR_CONDITION, Name: name };
+    const { operation, diverged } = this.replay(id, expected, config.initialState);
+    if (diverged) return never();
+
+    if (operation?.Status === 'SUCCEEDED') {
+      return deserialize(operation.StepDetails.Result);
+    }
+    if (operation?.Status === 'FAILED') {
+      const { ErrorMessage, ErrorData } = operation.StepDetails.Error;
+      throw new WaitForConditionError(ErrorMessage, undefined, ErrorData);
+    }
+    if (operation?.Status === 'PENDING') {
+      return this.suspend();
+    }
+
+    const attempt = (operation?.StepDetails?.Attempt ?? 0) + 1;
+    const previousState = operation?.StepDetails?.Result;
+    const state = previousState !== undefined ? deserialize(previousState) : config.initialState;
+
+    if (!this.checkpoint(
+      { ...expected, Status: 'STARTED', StepDetails: { Attempt: attempt, Result: previousState } },
+      'StepStarted',
+      {}
+    )) {
+      return never();
+    }
+
+    const outcome = await this.runBody(id, attempt, () => check(state, { logger: this.execution.createLogger(id) }));
+    if (!this.invocation.alive) return never();
+
+    if ('error' in outcome) {
+      const errorObject = toErrorObject(outcome.error);
+      this.checkpoint(
+        { ...expected, Status: 'FAILED', StepDetails: { Attempt: attempt, Error: errorObject } },
+        'StepFailed',
+        { Error: { Payload: errorObject }, RetryDetails: { CurrentAttempt: attempt } }
+      );
+      throw new WaitForConditionError(errorObject.ErrorMessage, outcome.error);
+    }
+
+    const payload = serialize(outcome.result);
+    const decision = config.waitStrategy(outcome.result, attempt);
+
+    if (!decision.shouldContinue) {
+      this.checkpoint(
+        { ...expected, Status: 'SUCCEEDED', StepDetails: { Attempt: attempt, Result: payload } },
+        'StepSucceeded',
+        { Result: { Payload: payload }, RetryDetails: { CurrentAttempt: attempt } }
+      );
+      return deserialize(payload);
+    }
+
+    const delaySeconds = toSeconds(decision.delay);
+    this.checkpoint({
+      ...expected,
+      Status: 'PENDING',
+      StepDetails: {
+        Attempt: attempt,
+        Result: payload,
+        NextAttemptTimestamp: this.execution.clock.schedule(id, 'poll', delaySeconds)
+      }
+    });
+
+    return this.suspend();
+  }
+
+  async runInvoke(id, name, funcId, input) {
+    const expected = { Id: id, Type: 'CHAINED_INVOKE', SubType: OperationSubType.CHAINED_INVOKE, Name: name };
+    const { operation, diverged } = this.replay(id, expected, { FunctionName: funcId, Payload: input });
+    if (diverged) return never();
+
+    if (operation?.Status === 'SUCCEEDED') {
+      return deserialize(operation.ChainedInvokeDetails.Result);
+    }
+    if (['FAILED', 'TIMED_OUT', 'STOPPED'].includes(operation?.Status)) {
+      const { ErrorMessage, ErrorData } = operation.ChainedInvokeDetails.Error ?? {};
+      throw new InvokeError(ErrorMessage || 'Invoke failed', undefined, ErrorData);
+    }
+
+    if (!operation) {
+      const payload = serialize(input);
+
+      if (!this.checkpoint(
+        { ...expected, Status: 'STARTED', ChainedInvokeDetails: {} },
+        'ChainedInvokeStarted',
+        { FunctionName: funcId, Input: { Payload: payload } }
+      )) {
+        return never();
+      }
+    }
+
+    return this.suspend();
+  }
+
+  async runChildContext(id, name, subType, fn) {
+    const expected = { Id: id, Type: 'CONTEXT', SubType: subType, Name: name };
+    const { operation, diverged } = this.replay(id, expected);
+    if (diverged) return never();
+
+    if (operation?.Status === 'SUCCEEDED') {
+      return deserialize(operation.ContextDetails.Result);
+    }
+    if (operation?.Status === 'FAILED') {
+      const original = DurableOperationError.fromErrorObject(operation.ContextDetails.Error);
+      throw new ChildContextError(original.message, original);
+    }
+
+    if (!operation && !this.checkpoint({ ...expected, Status: 'STARTED', ContextDetails: {} }, 'ContextStarted', {})) {
+      return never();
+    }
+
+    const childContext = new LocalDurableContext(this.execution, this.invocation, id);
+    let result;
+
+    try {
+      result = await fn(childContext);
+    } catch (error) {
+      if (!this.invocation.alive) return never();
+
+      const errorObject = toErrorObject(error);
+      this.checkpoint(
+        { ...expected, Status: 'FAILED', ContextDetails: { Error: errorObject } },
+        'ContextFailed',
+        { Error: { Payload: errorObject } }
+      );
+
+      const original = DurableOperationError.fromErrorObject(errorObject);
+      throw new ChildContextError(original.message, original);
+    }
+
+    if (!this.invocation.alive) return never();
+
+    const payload = serialize(result);
+    this.checkpoint(
+      { ...expected, Status: 'SUCCEEDED', ContextDetails: { Result: payload } },
+      'ContextSucceeded',
+      { Result: { Payload: payload } }
+    );
+
+    return deserialize(payload);
+  }
+
+  async runBatch(id, name, subType, itemSubType, units, config = {}, input) {
+    const expected = { Id: id, Type: 'CONTEXT', SubType: subType, Name: name };
+    const { operation, diverged } = this.replay(id, expected, input);
+    if (diverged) return never();
+
+    if (operation?.Status === 'SUCCEEDED') {
+      return LocalBatchResult.fromJSON(deserialize(operation.ContextDetails.Result));
+    }
+
+    if (!operation && !this.checkpoint({ ...expected, Status: 'STARTED', ContextDetails: {} }, 'ContextStarted', {})) {
+      return never();
+    }
+
+    const batchContext = new LocalDurableContext(this.execution, this.invocation, id);
+    const runUnit = async (unit, index) => {
+      try {
+        const result = await batchContext.runChildContext(`${id}-${index + 1}`, unit.name, itemSubType, unit.run);
+        return { index, status: BatchItemStatus.SUCCEEDED, result };
+      } catch (error) {
+        return { index, status: BatchItemStatus.FAILED, error };
+      }
+    };
+
+    const { all, completionReason } = await runConcurrently(units, runUnit, config);
+    if (!this.invocation.alive) return never();
+
+    const payload = serialize(new LocalBatchResult(all, completionReason));
+    this.checkpoint(
+      { ...expected, Status: 'SUCCEEDED', ContextDetails: { Result: payload } },
+      'ContextSucceeded',
+      { Result: { Payload: payload } }
+    );
+
+    return LocalBatchResult.fromJSON(deserialize(payload));
+  }
+}
+
+/**
+ * Run batch units with the SDK's concurrency and completion rules
+ */
+function runConcurrently(units, runUnit, { maxConcurrency = Infinity, completionConfig } = {}) {
+  const hasCriteria = completionConfig && Object.values(completionConfig).some(value => value !== undefined);
+  const results = new Map();
+  let nextIndex = 0;
+  let active = 0;
+  let successCount = 0;
+  let failureCount = 0;
+
+  const toleranceExceeded = () => {
+    if (!hasCriteria) {
+      return failureCount > 0;
+    }
+
+    const { toleratedFailureCount, toleratedFailurePercentage } = completionConfig;
+    return (toleratedFailureCount !== undefined && failureCount > toleratedFailureCount) ||
+      (toleratedFailurePercentage !== undefined && (failureCount / units.length) * 100 > toleratedFailurePercentage);
+  };
+
+  const minSuccessfulReached = () =>
+    completionConfig?.minSuccessful !== undefined && successCount >= completionConfig.minSuccessful;
+
+  return new Promise(resolve => {
+    let finished = false;
+
+    const finish = () => {
+      finished = true;
+      const all = [...Array(nextIndex).keys()].map(index =>
+        results.get(index) ?? { index, status: BatchItemStatus.STARTED });
+
+      const completionReason = toleranceExceeded()
+        ? 'FAILURE_TOLERANCE_EXCEEDED'
+        : results.size < units.length && minSuccessfulReached()
+          ? 'MIN_SUCCESSFUL_REACHED'
+          : 'ALL_COMPLETED';
+
+      resolve({ all, completionReason });
+    };
+
+    const launch = () => {
+      while (!finished && active < maxConcurrency && nextIndex < units.length && !toleranceExceeded() && !minSuccessfulReached()) {
+        const index = nextIndex++;
+        active++;
+
+        runUnit(units[index], index).then(item => {
+          active--;
+          if (finished) return;
+
+          results.set(index, item);
+          if (item.status === BatchItemStatus.SUCCEEDED) successCount++;
+          else failureCount++;
+
+          // Like the SDK, stop as soon as the outcome is decided; units still running stay STARTED
+          if (results.size === units.length || minSuccessfulReached() || toleranceExceeded()) {
+            finish();
+          } else {
+            launch();
+          }
+        });
+      }
+    };
+
+    if (units.length === 0) {
+      finish();
+    } else {
+      launch();
+    }
+  });
+}
+
+/**
+ * A single durable execution of a handler, including the service side of the protocol:
+ * firing timers, completing callbacks and running chained invokes
+ */
+export class LocalDurableExecution {
+  /**
+   * @param {Function} handler - Durable handler body, i.e. the function passed to withDurableExecution
+   * @param {object} event - Execution input
+   * @param {object} [options]
+   * @param {string} [options.executionId] - Execution ID, the last segment of the execution ARN
+   * @param {string} [options.functionName] - Function name used in the execution ARN
+   * @param {Object<string, Function>} [options.functions] - Handlers that context.invoke can call, keyed by function ID
+   * @param {number} [options.maxInvocations] - Safety limit on invocations per run
+   * @param {object[]} [options.checkpoints] - Checkpoint log to start from, e.g. another execution's getOperations()
+   * @param {VirtualClock} [options.clock] - Clock to run on; time only moves when advanced
+   * @param {number|Date|string} [options.startTime] - Start time of a new clock when none is given
+   * @param {Function} [options.onCheckpoint] - Called as (operation, checkpointNumber) after every checkpoint
+   *   an invocation writes; call crash() from it to kill the invocation at that point
+   */
+  constructor(handler, event, options = {}) {
+    this.handler = handler;
+    this.executionId = options.executionId ?? `local-${randomUUID()}`;
+    this.functionName = options.functionName ?? 'LocalDurableFunction';
+    this.executionArn = `arn:aws:lambda:local:000000000000:function:${this.functionName}/durable-execution/${this.executionId}`;
+    this.functions = options.functions ?? {};
+    this.onCheckpoint = options.onCheckpoint;
+    this.maxInvocations = options.maxInvocations ?? DEFAULT_MAX_INVOCATIONS;
+
+    this.input = serialize(event ?? {});
+    this.status = 'RUNNING';
+    this.result = undefined;
+    this.error = undefined;
+    this.operations = new Map(
+      (options.checkpoints ?? []).map(operation => [operation.Id, structuredClone(operation)])
+    );
+    this.events = [];
+    // Every operation the handler reached, once per invocation, with the input it was called with
+    this.trace = [];
+    this.checkpointCount = 0;
+    this.bodyRuns = [];
+    this.runningBodies = new Set();
+    this.logs = [];
+    this.invocations = [];
+    this.clock = options.clock ?? new VirtualClock(options.startTime);
+    this.callbackTimeouts = new Map();
+    this.serviceWork = new Set();
+    this.serviceUpdates = 0;
+    this.running = false;
+    this.startTimestamp = new Date(this.now());
+
+    this.recordEvent({ EventType: 'ExecutionStarted', Id: this.executionId }, { Input: { Payload: this.input } });
+  }
+
+  now() {
+    return this.clock.now();
+  }
+
+  /**
+   * Invoke the handler until it completes or only waits on time or external callbacks
+   * @param {object} [options]
+   * @param {boolean} [options.advanceTimers] - Jump the clock to each pending wait, retry or poll instead of
+   *   stopping; callback timeouts only fire when time is advanced explicitly
+   */
+  async run({ advanceTimers = false } = {}) {
+    if (this.running) {
+      return this;
+    }
+
+    this.running = true;
+    try {
+      let invocationsThisRun = 0;
+      this.fireDueTimers();
+
+      while (this.status === 'RUNNING') {
+        if (++invocationsThisRun > this.maxInvocations) {
+          throw new Error(`Execution ${this.executionId} exceeded ${this.maxInvocations} invocations`);
+        }
+
+        this.serviceUpdates = 0;
+        const outcome = await this.invoke();
+        if (this.status !== 'RUNNING') break;
+        // Lambda retries a crashed invocation straight away
+        if (outcome === 'CRASHED') continue;
+
+        await Promise.all([...this.serviceWork]);
+        this.fireDueTimers();
+        if (this.serviceUpdates > 0) continue;
+
+        const nextTimer = this.nextTimer();
+        if (!advanceTimers || nextTimer === undefined) break;
+
+        this.clock.advanceTo(nextTimer);
+      }
+    } finally {
+      this.running = false;
+    }
+
+    return this;
+  }
+
+  /**
+   * Run a single invocation of the handler and return its outcome status
+   */
+  async invoke() {
+    const invocation = new LocalInvocation(this, this.invocations.length + 1);
+    this.invocations.push(invocation);
+
+    const startTimestamp = new Date(this.now());
+    const context = new LocalDurableContext(this, invocation);
+    const outcome = await invocation.run(() => this.handler(deserialize(this.input), context));
+
+    this.recordEvent(
+      { EventType: 'InvocationCompleted', Id: this.executionId },
+      {
+        StartTimestamp: startTimestamp,
+        EndTimestamp: new Date(this.now()),
+        RequestId: invocation.requestId,
+        Error: outcome.status === 'FAILED'
+          ? { Payload: toErrorObject(outcome.error) }
+          : outcome.status === 'CRASHED'
+            ? { Payload: { ErrorType: 'Runtime.ExitError', ErrorMessage: 'Invocation crashed' } }
+            : undefined
+      }
+    );
+
+    if (outcome.status === 'SUCCEEDED') {
+      this.status = 'SUCCEEDED';
+      this.result = deserialize(serialize(outcome.result));
+      this.endTimestamp = new Date(this.now());
+      this.recordEvent(
+        { EventType: 'ExecutionSucceeded', Id: this.executionId },
+        { Result: { Payload: serialize(outcome.result) } }
+      );
+    } else if (outcome.status === 'FAILED') {
+      this.status = 'FAILED';
+      this.error = outcome.error;
+      this.endTimestamp = new Date(this.now());
+      this.recordEvent(
+        { EventType: 'ExecutionFailed', Id: this.executionId },
+        { Error: { Payload: toErrorObject(outcome.error) } }
+      );
+    }
+
+    return outcome.status;
+  }
+
+  /**
+   * Complete every callback the execution waits on and skip every timer until it ends
+   * @param {Function} [resolveCallback] - Returns the success payload for a pending callback
+   */
+  async runToCompletion(resolveCallback = () => ({})) {
+    await this.run({ advanceTimers: true });
+
+    let callbacks = this.pendingCallbacks();
+    while (this.status === 'RUNNING' && callbacks.length > 0) {
+      for (const callback of callbacks) {
+        if (this.status !== 'RUNNING') break;
+        await this.sendCallbackSuccess(callback.callbackId, await resolveCallback(callback));
+      }
+
+      await this.run({ advanceTimers: true });
+      callbacks = this.pendingCallbacks();
+    }
+
+    return this;
+  }
+
+  /**
+   * Kill the running invocation, like a Lambda timeout or out-of-memory error. Checkpoints
+   * it already wrote are kept; step bodies still in flight finish without checkpointing.
+   */
+  crash() {
+    this.invocations.at(-1)?.end({ status: 'CRASHED' });
+  }
+
+  /**
+   * Stop the execution like StopDurableExecution: it ends STOPPED without running the handler again
+   * @param {object} [error] - ErrorObject recorded as the reason
+   */
+  stop(error = {}) {
+    if (this.status !== 'RUNNING') {
+      throw serviceError('InvalidParameterValueException', `Durable execution ${this.executionId} is already ${this.status}`);
+    }
+
+    this.invocations.at(-1)?.end({ status: 'CRASHED' });
+    this.status = 'STOPPED';
+    this.error = Object.assign(new Error(error.ErrorMessage ?? 'Execution stopped'), { name: error.ErrorType ?? 'ExecutionStopped' });
+    this.endTimestamp = new Date(this.now());
+    this.recordEvent({ EventType: 'ExecutionStopped', Id: this.executionId }, { Error: { Payload: error } });
+
+    return this;
+  }
+
+  /**
+   * Wait for step bodies left running by crashed invocations
+   */
+  async settle() {
+    while (this.runningBodies.size > 0) {
+      await Promise.all([...this.runningBodies]);
+    }
+  }
+
+  /**
+   * Move the clock forward and resume anything that became due
+   */
+  async advanceTime(duration) {
+    this.clock.advance(duration);
+    return this.run();
+  }
+
+  /**
+   * Callbacks the execution is currently waiting on
+   */
+  pendingCallbacks() {
+    return this.getOperations()
+      .filter(operation => operation.Type === 'CALLBACK' && operation.Status === 'STARTED')
+      .map(operation => ({
+        callbackId: operation.CallbackDetails.CallbackId,
+        operationId: operation.Id,
+        name: operation.Name ?? this.operations.get(operation.ParentId)?.Name
+      }));
+  }
+
+  async sendCallbackSuccess(callbackId, result) {
+    const operation = this.findOpenCallback(callbackId);
+    const payload = toCallbackPayload(result);
+
+    this.update(
+      operation.Id,
+      { Status: 'SUCCEEDED', CallbackDetails: { Result: payload } },
+      'CallbackSucceeded',
+      { Result: { Payload: payload } }
+    );
+
+    return this.run();
+  }
+
+  async sendCallbackFailure(callbackId, error = {}) {
+    const operation = this.findOpenCallback(callbackId);
+    const errorObject = error instanceof Error ? toErrorObject(error) : error;
+
+    this.update(
+      operation.Id,
+      { Status: 'FAILED', CallbackDetails: { Error: errorObject } },
+      'CallbackFailed',
+      { Error: { Payload: errorObject } }
+    );
+
+    return this.run();
+  }
+
+  /**
+   * Record a heartbeat for a callback, restarting its heartbeat timeout
+   */
+  async sendCallbackHeartbeat(callbackId) {
+    const operation = this.findOpenCallback(callbackId);
+    const timeouts = this.callbackTimeouts.get(operation.Id);
+
+    if (timeouts?.heartbeatTimeout) {
+      timeouts.heartbeatDueAt = this.clock.schedule(operation.Id, 'heartbeat-timeout', timeouts.heartbeatTimeout);
+    }
+
+    return this;
+  }
+
+  findOpenCallback(callbackId) {
+    const operation = [...this.operations.values()]
+      .find(candidate => candidate.CallbackDetails?.CallbackId === callbackId);
+
+    if (!operation) {
+      throw serviceError('ResourceNotFoundException', `Callback ${callbackId} not found`);
+    }
+    if (operation.Status === 'TIMED_OUT') {
+      throw serviceError('CallbackTimeoutException', `Callback ${callbackId} timed out`);
+    }
+    if (operation.Status !== 'STARTED') {
+      throw serviceError('InvalidParameterValueException', `Callback ${callbackId} is already ${operation.Status}`);
+    }
+
+    return operation;
+  }
+
+  /**
+   * Operations from the checkpoint log in the order the SDK allocates their IDs
+   */
+  getOperations() {
+    return [...this.operations.values()].sort((a, b) => compareOperationIds(a.Id, b.Id));
+  }
+
+  createCallbackId(operationId) {
+    return `callback-${this.executionId}-${operationId}-${randomUUID()}`;
+  }
+
+  createLogger(operationId) {
+    const log = (level) => (message, ...args) => {
+      this.logs.push({ level, message, args, operationId, timestamp: new Date(this.now()) });
+    };
+
+    return { info: log('INFO'), warn: log('WARN'), error: log('ERROR'), debug: log('DEBUG') };
+  }
+
+  /**
+   * Write a checkpoint coming from a live invocation and start the service work it asks for
+   */
+  checkpoint(update, eventType, eventDetails) {
+    this.writeOperation(update, eventType, eventDetails);
+    this.checkpointCount++;
+
+    if (eventType === 'CallbackStarted') {
+      this.armCallbackTimeouts(update.Id, eventDetails.Timeout, eventDetails.HeartbeatTimeout);
+    } else if (eventType === 'ChainedInvokeStarted') {
+      this.startChainedInvoke(update.Id, eventDetails.FunctionName, eventDetails.Input.Payload);
+    }
+
+    this.onCheckpoint?.(this.operations.get(update.Id), this.checkpointCount);
+  }
+
+  /**
+   * Write an operation change made by the service itself (timers, callbacks, chained invokes)
+   */
+  update(id, changes, eventType, eventDetails) {
+    this.writeOperation({ ...this.operations.get(id), ...changes }, eventType, eventDetails);
+    this.serviceUpdates++;
+  }
+
+  writeOperation(update, eventType, eventDetails) {
+    const existing = this.operations.get(update.Id);
+    const timestamp = new Date(this.now());
+    const operation = { ...existing, ...update, StartTimestamp: existing?.StartTimestamp ?? timestamp };
+
+    for (const details of ['StepDetails', 'WaitDetails', 'CallbackDetails', 'ContextDetails', 'ChainedInvokeDetails']) {
+      if (existing?.[details] || update[details]) {
+        operation[details] = { ...existing?.[details], ...update[details] };
+      }
+    }
+
+    if (['SUCCEEDED', 'FAILED', 'TIMED_OUT', 'CANCELLED', 'STOPPED'].includes(operation.Status)) {
+      operation.EndTimestamp = timestamp;
+    }
+
+    this.operations.set(operation.Id, operation);
+
+    if (eventType) {
+      this.recordEvent(operation, eventDetails, eventType);
+    }
+  }
+
+  recordEvent(source, details, eventType = source.EventType) {
+    this.events.push({
+      EventId: this.events.length + 1,
+      EventType: eventType,
+      Id: source.Id,
+      Name: source.Name,
+      ParentId: source.ParentId,
+      SubType: source.SubType,
+      EventTimestamp: new Date(this.now()),
+      [`${eventType}Details`]: details
+    });
+  }
+
+  armCallbackTimeouts(id, timeout, heartbeatTimeout) {
+    if (!timeout && !heartbeatTimeout) {
+      return;
+    }
+
+    this.callbackTimeouts.set(id, {
+      heartbeatTimeout,
+      timeoutDueAt: timeout ? this.clock.schedule(id, 'callback-timeout', timeout) : undefined,
+      heartbeatDueAt: heartbeatTimeout ? this.clock.schedule(id, 'heartbeat-timeout', heartbeatTimeout) : undefined
+    });
+  }
+
+  startChainedInvoke(id, funcId, payload) {
+    const target = this.functions[funcId];
+
+    const work = (async () => {
+      if (!target) {
+        const errorObject = { ErrorType: 'ResourceNotFoundException', ErrorMessage: `Function not found: ${funcId}` };
+        this.update(id, { Status: 'FAILED', ChainedInvokeDetails: { Error: errorObject } }, 'ChainedInvokeFailed', { Error: { Payload: errorObject } });
+        return;
+      }
+
+      try {
+        const result = serialize(await target(deserialize(payload), { functionName: funcId }));
+        this.update(id, { Status: 'SUCCEEDED', ChainedInvokeDetails: { Result: result } }, 'ChainedInvokeSucceeded', { Result: { Payload: result } });
+      } catch (error) {
+        const errorObject = toErrorObject(error);
+        this.update(id, { Status: 'FAILED', ChainedInvokeDetails: { Error: errorObject } }, 'ChainedInvokeFailed', { Error: { Payload: errorObject } });
+      }
+    })();
+
+    this.serviceWork.add(work);
+    work.finally(() => this.serviceWork.delete(work));
+  }
+
+  fireDueTimers() {
+    const now = this.now();
+
+    for (const operation of this.operations.values()) {
+      if (operation.Type === 'WAIT' && operation.Status === 'STARTED' &&
+        operation.WaitDetails.ScheduledEndTimestamp.getTime() <= now) {
+        this.update(operation.Id, { Status: 'SUCCEEDED' }, 'WaitSucceeded', {
+          Duration: Math.round((operation.WaitDetails.ScheduledEndTimestamp - operation.StartTimestamp) / 1000)
+        });
+      } else if (operation.Status === 'PENDING' && operation.StepDetails?.NextAttemptTimestamp?.getTime() <= now) {
+        this.update(operation.Id, { Status: 'READY' });
+      } else if (operation.Type === 'CALLBACK' && operation.Status === 'STARTED') {
+        this.fireCallbackTimeout(operation, now);
+      }
+    }
+  }
+
+  fireCallbackTimeout(operation, now) {
+    const { timeoutDueAt, heartbeatDueAt } = this.callbackTimeouts.get(operation.Id) ?? {};
+    // As on the SDK's test runner, a timed-out callback's error has a message but no error type
+    let errorObject;
+
+    if (timeoutDueAt?.getTime() <= now) {
+      errorObject = { ErrorMessage: 'Callback timed out' };
+    } else if (heartbeatDueAt?.getTime() <= now) {
+      errorObject = { ErrorMessage: 'Callback timed out on heartbeat' };
+    } else {
+      return;
+    }
+
+    this.callbackTimeouts.delete(operation.Id);
+    this.update(
+      operation.Id,
+      { Status: 'TIMED_OUT', CallbackDetails: { Error: errorObject } },
+      'CallbackTimedOut',
+      { Error: { Payload: errorObject } }
+    );
+  }
+
+  nextTimer() {
+    const timers = [...this.operations.values()]
+      .map(operation => {
+        if (operation.Type === 'WAIT' && operation.Status === 'STARTED') {
+          return operation.WaitDetails.ScheduledEndTimestamp.getTime();
+        }
+        if (operation.Status === 'PENDING') {
+          return operation.StepDetails?.NextAttemptTimestamp?.getTime();
+        }
+        return undefined;
+      })
+      .filter(timer => timer !== undefined);
+
+    return timers.length > 0 ? Math.min(...timers) : undefined;
+  }
+}
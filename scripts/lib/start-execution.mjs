@@ -0,0 +1,203 @@
+/**
+ * Starting durable executions for scripts/start-workflow.mjs
+ * Executions are named after the event's workflowId, so Lambda hands back the existing
+ * execution when the same event is submitted again instead of starting a duplicate.
+ */
+
+import { createHash } from 'node:crypto';
+import { GetDurableExecutionCommand, InvokeCommand, ListDurableExecutionsByFunctionCommand } from '@aws-sdk/client-lambda';
+import { validateWorkflowInput } from '../../workflows/durable-function-example/lib/input-validation.mjs';
+
+export const START_EXIT_CODES = {
+  OK: 0,
+  ERROR: 1,
+  REJECTED: 2,
+  FAILED: 3,
+  TIMED_OUT: 4,
+  STOPPED: 5,
+  STILL_RUNNING: 6,
+  NAME_CONFLICT: 7
+};
+
+const EXECUTION_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const MAX_NAME_LENGTH = 64;
+
+/**
+ * Durable execution name for a workflowId
+ * IDs that are not valid names are cleaned up and suffixed with a hash of the original,
+ * so two different workflowIds never share a name
+ */
+export function executionNameFor(workflowId) {
+  if (typeof workflowId !== 'string' || workflowId.trim() === '') {
+    throw new Error('workflowId is required to name the execution');
+  }
+
+  if (EXECUTION_NAME_PATTERN.test(workflowId)) {
+    return workflowId;
+  }
+
+  const hash = createHash('sha256').update(workflowId).digest('hex').substring(0, 8);
+  const cleaned = workflowId.replace(/[^A-Za-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '');
+
+  return `${cleaned.substring(0, MAX_NAME_LENGTH - hash.length - 1)}-${hash}`.replace(/^-/, '');
+}
+
+/**
+ * Check an explicit execution name against the names Lambda accepts
+ */
+export function validateExecutionName(name) {
+  if (!EXECUTION_NAME_PATTERN.test(name)) {
+    throw new Error(`Execution name must be 1-${MAX_NAME_LENGTH} letters, digits, hyphens or underscores: ${JSON.stringify(name)}`);
+  }
+
+  return name;
+}
+
+/**
+ * Build the execution input from an event file and/or inline items
+ * Inline items replace the event's inputData.items; an explicit workflowId replaces the event's.
+ * The result is checked against the workflow input schema, so a bad event is rejected before calling AWS
+ */
+export function buildStartEvent({ event = {}, items, workflowId } = {}) {
+  const startEvent = structuredClone(event);
+
+  if (items?.length) {
+    startEvent.inputData = { ...startEvent.inputData, items };
+  }
+  if (workflowId) {
+    startEvent.workflowId = workflowId;
+  }
+
+  if (!Array.isArray(startEvent.inputData?.items) || startEvent.inputData.items.length === 0) {
+    throw new Error('Event must have at least one item in inputData.items');
+  }
+
+  executionNameFor(startEvent.workflowId);
+  validateWorkflowInput(startEvent);
+
+  return startEvent;
+}
+
+/**
+ * Start (or look up) the named execution
+ * The durable function runs for up to an hour, longer than a synchronous invoke may wait,
+ * so it is invoked asynchronously. Listing executions by name first tells a re-submission apart.
+ * Returns { durableExecutionArn, name, status, reused }
+ */
+export async function startExecution(client, { functionName, qualifier, event, name = executionNameFor(event.workflowId) }) {
+  const { DurableExecutions: existing = [] } = await client.send(new ListDurableExecutionsByFunctionCommand({
+    FunctionName: functionName,
+    Qualifier: qualifier,
+    DurableExecutionName: name
+  }));
+
+  let response;
+  try {
+    response = await client.send(new InvokeCommand({
+      FunctionName: functionName,
+      Qualifier: qualifier,
+      InvocationType: 'Event',
+      DurableExecutionName: name,
+      Payload: new TextEncoder().encode(JSON.stringify(event))
+    }));
+  } catch (error) {
+    if (error.name === 'DurableExecutionAlreadyStartedException') {
+      error.message = `An execution named ${name} was already started with a different input. ` +
+        'Use a new workflowId (or --name) to start another one.';
+    }
+    throw error;
+  }
+
+  if (!response.DurableExecutionArn) {
+    throw new Error(`${functionName} did not start a durable execution - is it a durable function?`);
+  }
+
+  const execution = await client.send(new GetDurableExecutionCommand({ DurableExecutionArn: response.DurableExecutionArn }));
+
+  return {
+    durableExecutionArn: response.DurableExecutionArn,
+    name,
+    status: execution.Status,
+    reused: existing.some(candidate => candidate.DurableExecutionArn === response.DurableExecutionArn)
+  };
+}
+
+/**
+ * Poll the execution until it is no longer RUNNING
+ * Returns the last GetDurableExecution response; throws with code STILL_RUNNING after timeoutMs
+ */
+export async function waitForExecution(client, durableExecutionArn, {
+  pollIntervalMs = 5000,
+  timeoutMs = 3600 * 1000,
+  sleep = ms => new Promise(resolve => setTimeout(resolve, ms)),
+  clock = Date.now,
+  onPoll
+} = {}) {
+  const deadline = clock() + timeoutMs;
+
+  for (;;) {
+    const execution = await client.send(new GetDurableExecutionCommand({ DurableExecutionArn: durableExecutionArn }));
+    await onPoll?.(execution);
+
+    if (execution.Status !== 'RUNNING') {
+      return execution;
+    }
+
+    if (clock() + pollIntervalMs > deadline) {
+      throw Object.assign(
+        new Error(`Execution ${execution.DurableExecutionName} is still running after ${Math.round(timeoutMs / 1000)}s`),
+        { exitCode: START_EXIT_CODES.STILL_RUNNING }
+      );
+    }
+
+    await sleep(pollIntervalMs);
+  }
+}
+
+/**
+ * Decode the outcome of a finished execution into { status, result, error, exitCode }
+ */
+export function executionOutcome(execution) {
+  const exitCodes = {
+    SUCCEEDED: START_EXIT_CODES.OK,
+    FAILED: START_EXIT_CODES.FAILED,
+    TIMED_OUT: START_EXIT_CODES.TIMED_OUT,
+    STOPPED: START_EXIT_CODES.STOPPED,
+    RUNNING: START_EXIT_CODES.STILL_RUNNING
+  };
+
+  let result = execution.Result;
+  if (typeof result === 'string') {
+    try {
+      result = JSON.parse(result);
+    } catch {
+      // Not JSON, keep the raw result
+    }
+  }
+
+  return {
+    status: execution.Status,
+    result,
+    error: execution.Error,
+    exitCode: exitCodes[execution.Status] ?? START_EXIT_CODES.ERROR
+  };
+}
+
+/**
+ * One-line summary of the example workflow's aggregated result
+ */
+export function formatResultSummary(result) {
+  if (!result || typeof result !== 'object' || !('itemsProcessed' in result)) {
+    return undefined;
+  }
+
+  if (result.status === 'cancelled') {
+    return `cancelled during ${result.cancellation.region} (${result.cancellation.reason}), ` +
+      `${result.itemsProcessed} items processed before the stop`;
+  }
+
+  const rate = `${Math.round((result.successRate ?? 0) * 100)}%`;
+  const failed = result.failedItems?.length ? `, ${result.failedItems.length} failed` : '';
+  return `${result.successfulItems}/${result.itemsProcessed} items processed (${rate}${failed}), ` +
+    `${result.parallelResults?.length ?? 0} parallel tasks, took ${result.totalDuration}ms`;
+}
@@ -0,0 +1,109 @@
+/**
+ * Stopping durable executions for scripts/executions.mjs
+ * A stop is requested by completing the open stop-request callback of the region the workflow is
+ * waiting in, so the handler can run its cleanup steps and return a cancelled result.
+ * A forced stop calls StopDurableExecution instead, which ends the execution without cleanup.
+ */
+
+import {
+  GetDurableExecutionCommand,
+  SendDurableExecutionCallbackSuccessCommand,
+  StopDurableExecutionCommand
+} from '@aws-sdk/client-lambda';
+import { STOP_REQUEST_CALLBACK } from '../../workflows/durable-function-example/lib/cancellation.mjs';
+import { INSPECT_EXIT_CODES, getExecutionHistory } from './execution-history.mjs';
+
+const CALLBACK_END_EVENTS = ['CallbackSucceeded', 'CallbackFailed', 'CallbackTimedOut'];
+const CONTEXT_END_EVENTS = ['ContextSucceeded', 'ContextFailed'];
+
+/**
+ * The stop-request callback the execution is waiting on, if any
+ * Regions that already finished leave their stop-request callback open, so callbacks under a
+ * completed context are skipped. Returns { callbackId, operationId, region } or undefined
+ */
+export function findOpenStopRequest(events) {
+  const parents = new Map();
+  const ended = new Set();
+
+  for (const event of events) {
+    if (event.ParentId !== undefined) {
+      parents.set(event.Id, event.ParentId);
+    }
+    if (CALLBACK_END_EVENTS.includes(event.EventType) || CONTEXT_END_EVENTS.includes(event.EventType)) {
+      ended.add(event.Id);
+    }
+  }
+
+  const names = new Map(events.filter(event => event.Name !== undefined).map(event => [event.Id, event.Name]));
+  const ancestors = id => {
+    const chain = [];
+    for (let parent = parents.get(id); parent !== undefined; parent = parents.get(parent)) {
+      chain.push(parent);
+    }
+    return chain;
+  };
+
+  const open = events
+    .filter(event => event.EventType === 'CallbackStarted' && event.Name === STOP_REQUEST_CALLBACK)
+    .filter(event => !ended.has(event.Id) && !ancestors(event.Id).some(id => ended.has(id)))
+    .sort((a, b) => (b.EventId ?? 0) - (a.EventId ?? 0));
+
+  if (open.length === 0) {
+    return undefined;
+  }
+
+  const [latest] = open;
+  // stop-request callback -> its parallel branch -> the guarded region
+  const [, region] = ancestors(latest.Id);
+
+  return {
+    callbackId: latest.CallbackStartedDetails.CallbackId,
+    operationId: latest.Id,
+    region: names.get(region)
+  };
+}
+
+/**
+ * Stop a running execution
+ * Without force, completes the open stop-request callback with { reason, requestedBy, requestedAt }
+ * and returns { mode: 'requested', region, callbackId, request }. With force, calls
+ * StopDurableExecution and returns { mode: 'forced', stoppedAt }.
+ */
+export async function requestStop(client, durableExecutionArn, {
+  reason = 'Stop requested',
+  requestedBy,
+  force = false,
+  now = () => new Date()
+} = {}) {
+  const execution = await client.send(new GetDurableExecutionCommand({ DurableExecutionArn: durableExecutionArn }));
+  if (execution.Status !== 'RUNNING') {
+    throw Object.assign(
+      new Error(`Execution ${execution.DurableExecutionName} is already ${execution.Status}`),
+      { exitCode: INSPECT_EXIT_CODES.NOT_RUNNING }
+    );
+  }
+
+  if (force) {
+    const response = await client.send(new StopDurableExecutionCommand({
+      DurableExecutionArn: durableExecutionArn,
+      Error: { ErrorType: 'StopRequested', ErrorMessage: reason }
+    }));
+    return { mode: 'forced', stoppedAt: response.StopTimestamp };
+  }
+
+  const stopRequest = findOpenStopRequest(await getExecutionHistory(client, durableExecutionArn, { includeExecutionData: false }));
+  if (!stopRequest) {
+    throw Object.assign(
+      new Error(`Execution ${execution.DurableExecutionName} is not waiting where it can be stopped; pass --force to stop it without cleanup`),
+      { exitCode: INSPECT_EXIT_CODES.NO_STOP_POINT }
+    );
+  }
+
+  const request = { reason, requestedBy: requestedBy ?? null, requestedAt: now().toISOString() };
+  await client.send(new SendDurableExecutionCallbackSuccessCommand({
+    CallbackId: stopRequest.callbackId,
+    Result: new TextEncoder().encode(JSON.stringify(request))
+  }));
+
+  return { mode: 'requested', region: stopRequest.region, callbackId: stopRequest.callbackId, request };
+}
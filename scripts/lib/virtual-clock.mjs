@@ -0,0 +1,73 @@
+/**
+ * Virtual clock for the local durable runtime
+ * Time only moves when a test advances it, and every timer the runtime schedules
+ * (waits, step retries, waitForCondition polls, callback timeouts) is recorded
+ */
+
+/**
+ * Convert a durable Duration object into seconds
+ */
+export function toSeconds(duration = {}) {
+  const { days = 0, hours = 0, minutes = 0, seconds = 0 } = duration;
+  return days * 86400 + hours * 3600 + minutes * 60 + seconds;
+}
+
+export class VirtualClock {
+  /**
+   * @param {number|Date|string} [start] - Starting time, defaults to the real current time
+   */
+  constructor(start = Date.now()) {
+    this.time = new Date(start).getTime();
+    this.timers = [];
+  }
+
+  now() {
+    return this.time;
+  }
+
+  /**
+   * Move the clock forward by a Duration object or a number of milliseconds
+   */
+  advance(duration) {
+    this.time += typeof duration === 'number' ? duration : toSeconds(duration) * 1000;
+    return this.time;
+  }
+
+  /**
+   * Move the clock forward to a timestamp; the clock never goes backwards
+   */
+  advanceTo(timestamp) {
+    this.time = Math.max(this.time, new Date(timestamp).getTime());
+    return this.time;
+  }
+
+  /**
+   * Record a timer requested by an operation and return when it is due
+   * @param {string} operationId - Operation that asked for the timer
+   * @param {string} kind - wait, retry, poll, callback-timeout or heartbeat-timeout
+   * @param {number} delaySeconds - Requested delay
+   */
+  schedule(operationId, kind, delaySeconds) {
+    const dueAt = new Date(this.time + delaySeconds * 1000);
+
+    this.timers.push({
+      operationId,
+      kind,
+      delaySeconds,
+      scheduledAt: new Date(this.time),
+      dueAt
+    });
+
+    return dueAt;
+  }
+
+  /**
+   * Delays in seconds that were requested, optionally filtered by kind and operation
+   */
+  delays(kind, operationId) {
+    return this.timers
+      .filter(timer => (kind === undefined || timer.kind === kind) &&
+        (operationId === undefined || timer.operationId === operationId))
+      .map(timer => timer.delaySeconds);
+  }
+}
@@ -0,0 +1,438 @@
+/**
+ * Amazon States Language export of workflow graphs for scripts/workflow-graph.mjs
+ * Turns the operation tree of a durable handler (extractWorkflowGraph) or of a declarative
+ * pipeline definition into a state machine: steps become Lambda Tasks with their retry policy as
+ * Retry, parallel becomes Parallel, map becomes Map, waitForCallback becomes a waitForTaskToken
+ * Task and waitForCondition becomes a Task, Choice and Wait loop. A child context is a Parallel
+ * with one branch, a loop a Map that runs one iteration at a time, an if/else a Choice and a
+ * catch block the Catch of the operation before it. Every top-level Task, Parallel and Map state
+ * catches into HandleError and FailExecution, like the album state machine.
+ *
+ * Functions are ${...} placeholders for DefinitionSubstitutions (ASL_FUNCTIONS). Each Task
+ * passes on its Payload, so a state's input is the previous result. Handler conditions are
+ * JavaScript, so a Choice tests booleans named after it under $.conditions instead, and a
+ * condition's maxAttempts is not exported.
+ */
+
+import { retryPolicyFor, toAslRetry } from '../../workflows/durable-function-example/lib/retry-policies.mjs';
+
+const LAMBDA_INVOKE = 'arn:aws:states:::lambda:invoke';
+const DURATION_SECONDS = { d: 86400, h: 3600, m: 60, s: 1 };
+const DURATION_UNITS = { days: 'd', hours: 'h', minutes: 'm', seconds: 's' };
+const NAME_PLACEHOLDER = /\$\{[^}]*\}|\{\$\.[^}]*\}/g;
+const KIND_NAMES = {
+  step: 'Step',
+  wait: 'Wait',
+  waitForCallback: 'WaitForCallback',
+  createCallback: 'WaitForCallback',
+  waitForCondition: 'WaitForCondition',
+  invoke: 'Invoke',
+  parallel: 'Parallel',
+  map: 'Map',
+  runInChildContext: 'ChildContext'
+};
+const CATCHING_TYPES = ['Task', 'Parallel', 'Map'];
+const ERROR_STATES = { handler: 'HandleError', fail: 'FailExecution' };
+
+/**
+ * Lambda functions the exported Tasks call, as DefinitionSubstitutions placeholders
+ * activity runs step bodies and condition checks, callback hands out task tokens and invoke is
+ * called by invoke operations that do not name a function of their own
+ */
+export const ASL_FUNCTIONS = {
+  activity: '${ActivityFunctionArn}',
+  callback: '${CallbackFunctionArn}',
+  invoke: '${InvokeFunctionArn}',
+  errorHandler: '${ErrorHandlerFunctionArn}'
+};
+
+// The SDK retries a step without a retry strategy 3 times in all, 5s apart doubling up to 5 minutes
+const SDK_DEFAULT_RETRY = [{
+  ErrorEquals: ['States.ALL'],
+  IntervalSeconds: 5,
+  MaxAttempts: 2,
+  BackoffRate: 2,
+  MaxDelaySeconds: 300,
+  JitterStrategy: 'FULL'
+}];
+
+/** Seconds of a duration label such as "1h 30m", or undefined when it was not a literal */
+function durationSeconds(label) {
+  if (!label) {
+    return undefined;
+  }
+  const seconds = label.split(' ').reduce((total, part) => total + Number(part.slice(0, -1)) * DURATION_SECONDS[part.at(-1)], 0);
+  return Number.isFinite(seconds) ? seconds : undefined;
+}
+
+/** A Duration such as { minutes: 60 } as a graph duration label ("60m") */
+function formatDuration(duration) {
+  const parts = Object.entries(DURATION_UNITS).filter(([unit]) => duration?.[unit]).map(([unit, suffix]) => `${duration[unit]}${suffix}`);
+  return parts.length > 0 ? parts.join(' ') : undefined;
+}
+
+/** An operation name as a state name: placeholders dropped, other characters ASL names avoid replaced */
+function sanitizeName(name) {
+  return (name ?? '')
+    .replace(NAME_PLACEHOLDER, '')
+    .replace(/[^\w.-]+/g, '-')
+    .replace(/-{2,}/g, '-')
+    .replace(/^[-.]+|[-.]+$/g, '')
+    .slice(0, 80);
+}
+
+/** ItemsPath of a map: the definition's reference, the handler's property chain, or $.items */
+function itemsPath(items) {
+  if (typeof items !== 'string') {
+    return '$.items';
+  }
+  if (/^\$(\.[\w-]+)+$/.test(items)) {
+    return items;
+  }
+  return /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/.test(items) ? `$.${items}` : '$.items';
+}
+
+/** FunctionName of an invoke: an environment variable reference becomes its placeholder */
+function invokeFunctionName(reference, functions) {
+  const variable = typeof reference === 'string' && reference.match(/^\$\.env\.(\w+)$/)?.[1];
+  if (variable) {
+    return `\${${variable}}`;
+  }
+  return typeof reference === 'string' && !reference.startsWith('$') ? reference : functions.invoke;
+}
+
+function createBuilder(options) {
+  const names = new Set(Object.values(ERROR_STATES));
+  return {
+    functions: { ...ASL_FUNCTIONS, ...options.functions },
+    retryPolicyFor: options.retryPolicyFor ?? retryPolicyFor,
+    name(preferred, fallback) {
+      const base = sanitizeName(preferred) || fallback;
+      let name = base;
+      for (let count = 2; names.has(name); count++) {
+        name = `${base}-${count}`;
+      }
+      names.add(name);
+      return name;
+    }
+  };
+}
+
+/**
+ * Continue a state with whatever follows: Next, or End when nothing does
+ * Choice rules cannot end a machine, so they continue to a Succeed state instead
+ */
+function nextOf(state, key = 'Next') {
+  return (next, scope) => {
+    if (next !== undefined) {
+      state[key] = next;
+    } else if (key === 'Next' && state.Type !== 'Choice') {
+      state.End = true;
+    } else {
+      state[key] = scope.succeed();
+    }
+  };
+}
+
+function createScope(builder) {
+  const scope = {
+    states: {},
+    add(name, state) {
+      scope.states[name] = state;
+      return state;
+    },
+    succeed() {
+      if (scope.succeeded === undefined) {
+        scope.succeeded = builder.name('Done');
+        scope.add(scope.succeeded, { Type: 'Succeed' });
+      }
+      return scope.succeeded;
+    }
+  };
+  return scope;
+}
+
+function lambdaTask(functionName, payload) {
+  return {
+    Type: 'Task',
+    Resource: LAMBDA_INVOKE,
+    Parameters: { FunctionName: functionName, Payload: payload },
+    OutputPath: '$.Payload'
+  };
+}
+
+function stepRetry(operation, builder) {
+  const policy = 'retry' in operation ? operation.retry : builder.retryPolicyFor(operation.name ?? '');
+  if (!policy) {
+    return SDK_DEFAULT_RETRY;
+  }
+  const retry = toAslRetry(policy);
+  return retry.length > 0 ? retry : undefined;
+}
+
+/** States machine ({ StartAt, States }) of a nested sequence: a parallel branch, map iteration or child context */
+function buildMachine(operations, builder, fallbackName) {
+  const scope = createScope(builder);
+  const fragment = buildSequence(operations, scope, builder);
+  if (fragment.start === undefined) {
+    const name = builder.name(`${fallbackName}-Pass`, 'Pass');
+    return { StartAt: name, States: { [name]: { Type: 'Pass', End: true } } };
+  }
+  fragment.exits.forEach(exit => exit(undefined, scope));
+  return { StartAt: fragment.start, States: scope.states };
+}
+
+/** Fragment { start, exits } of one durable operation */
+function buildOperation(operation, scope, builder) {
+  const name = builder.name(operation.name, KIND_NAMES[operation.kind] ?? 'Step');
+  const { functions } = builder;
+
+  switch (operation.kind) {
+    case 'wait': {
+      const seconds = durationSeconds(operation.duration);
+      const state = scope.add(name, { Type: 'Wait', ...(seconds === undefined ? { SecondsPath: '$.waitSeconds' } : { Seconds: seconds }) });
+      return { start: name, exits: [nextOf(state)], catchable: state };
+    }
+
+    case 'waitForCallback':
+    case 'createCallback': {
+      const seconds = durationSeconds(operation.timeout);
+      const state = scope.add(name, {
+        Type: 'Task',
+        Resource: `${LAMBDA_INVOKE}.waitForTaskToken`,
+        Parameters: {
+          FunctionName: functions.callback,
+          Payload: { callback: name, 'taskToken.$': '$$.Task.Token', 'input.$': '$' }
+        },
+        ...(seconds !== undefined && { TimeoutSeconds: seconds })
+      });
+      return { start: name, exits: [nextOf(state)], catchable: state };
+    }
+
+    case 'waitForCondition': {
+      const met = builder.name(`${name}-Met`);
+      const delay = builder.name(`${name}-Delay`);
+      const seconds = durationSeconds(operation.delay);
+      const check = scope.add(name, lambdaTask(functions.activity, { condition: name, 'state.$': '$' }));
+      check.Next = met;
+      const rule = { Variable: `$.${operation.until ?? 'conditionMet'}`, BooleanEquals: true };
+      scope.add(met, { Type: 'Choice', Choices: [rule], Default: delay });
+      scope.add(delay, { Type: 'Wait', ...(seconds === undefined ? { SecondsPath: '$.delaySeconds' } : { Seconds: seconds }), Next: name });
+      return { start: name, exits: [nextOf(rule)], catchable: check };
+    }
+
+    case 'invoke': {
+      const state = scope.add(name, {
+        Type: 'Task',
+        Resource: LAMBDA_INVOKE,
+        Parameters: { FunctionName: invokeFunctionName(operation.function, functions), 'Payload.$': '$' },
+        OutputPath: '$.Payload'
+      });
+      return { start: name, exits: [nextOf(state)], catchable: state };
+    }
+
+    case 'parallel': {
+      const state = scope.add(name, {
+        Type: 'Parallel',
+        Branches: operation.branches.map((branch, index) => buildMachine(branch.operations, builder, `${name}-${index + 1}`))
+      });
+      return { start: name, exits: [nextOf(state)], catchable: state };
+    }
+
+    case 'map': {
+      const state = scope.add(name, {
+        Type: 'Map',
+        ItemsPath: itemsPath(operation.items),
+        MaxConcurrency: operation.maxConcurrency ?? 0,
+        ItemProcessor: { ProcessorConfig: { Mode: 'INLINE' }, ...buildMachine(operation.operations, builder, name) }
+      });
+      return { start: name, exits: [nextOf(state)], catchable: state };
+    }
+
+    case 'runInChildContext': {
+      const state = scope.add(name, {
+        Type: 'Parallel',
+        Comment: 'Child context',
+        Branches: [buildMachine(operation.operations, builder, name)],
+        OutputPath: '$[0]'
+      });
+      return { start: name, exits: [nextOf(state)], catchable: state };
+    }
+
+    default: {
+      const state = scope.add(name, lambdaTask(functions.activity, { step: name, 'input.$': '$' }));
+      const retry = stepRetry(operation, builder);
+      if (retry) {
+        state.Retry = retry;
+      }
+      return { start: name, exits: [nextOf(state)], catchable: state };
+    }
+  }
+}
+
+/** Fragment of an if/else-if/else chain, or of a switch, as one Choice state */
+function buildChoice(blocks, scope, builder) {
+  const name = builder.name(blocks[0].label, 'Choice');
+  const choice = scope.add(name, { Type: 'Choice', Comment: blocks.map(block => block.label).join(' / '), Choices: [] });
+  const exits = [];
+
+  for (const block of blocks) {
+    const branch = buildSequence(block.operations, scope, builder);
+    exits.push(...branch.exits);
+    if (block.label === 'else') {
+      choice.Default = branch.start;
+    } else {
+      const suffix = choice.Choices.length > 0 ? `-${choice.Choices.length + 1}` : '';
+      choice.Choices.push({ Variable: `$.conditions.${name}${suffix}`, BooleanEquals: true, Next: branch.start });
+    }
+  }
+  if (choice.Default === undefined) {
+    exits.push(nextOf(choice, 'Default'));
+  }
+
+  return { start: name, exits };
+}
+
+/** Fragment of a loop body as a Map state that runs one iteration at a time */
+function buildLoop(block, scope, builder) {
+  const name = builder.name('loop', 'Loop');
+  const state = scope.add(name, {
+    Type: 'Map',
+    Comment: 'Loop in the handler, one iteration per item',
+    ItemsPath: '$.iterations',
+    MaxConcurrency: 1,
+    ItemProcessor: { ProcessorConfig: { Mode: 'INLINE' }, ...buildMachine(block.operations, builder, name) }
+  });
+  return { start: name, exits: [nextOf(state)], catchable: state };
+}
+
+/**
+ * Fragment { start, exits } of a sequence of operations
+ * exits continue with whatever follows the sequence; start is undefined for an empty sequence
+ */
+function buildSequence(operations, scope, builder) {
+  let start;
+  let exits = [];
+  let previous;
+
+  const append = (fragment) => {
+    if (fragment.start === undefined) {
+      return;
+    }
+    if (start === undefined) {
+      start = fragment.start;
+    } else {
+      exits.forEach(exit => exit(fragment.start, scope));
+    }
+    exits = fragment.exits;
+    previous = fragment.catchable;
+  };
+
+  for (let index = 0; index < operations.length; index++) {
+    const operation = operations[index];
+
+    if (operation.kind !== 'block') {
+      append(buildOperation(operation, scope, builder));
+    } else if (operation.label === 'on error') {
+      // The catch block runs instead of what follows the operation before it, then rejoins it
+      const fallback = buildSequence(operation.operations, scope, builder);
+      if (!previous || fallback.start === undefined) {
+        continue;
+      }
+      previous.Catch = [{ ErrorEquals: ['States.ALL'], ResultPath: '$.error', Next: fallback.start }];
+      exits = [...exits, ...fallback.exits];
+      previous = undefined;
+    } else if (operation.label === 'loop') {
+      append(buildLoop(operation, scope, builder));
+    } else {
+      const blocks = [operation];
+      while (operations[index + 1]?.kind === 'block' && operations[index + 1].alternative) {
+        blocks.push(operations[++index]);
+      }
+      append(buildChoice(blocks, scope, builder));
+      previous = undefined;
+    }
+  }
+
+  return { start, exits };
+}
+
+/**
+ * The operation tree of a declarative pipeline definition, in the shape extractWorkflowGraph returns
+ * @param {object} definition - Parsed definition, see workflows/durable-function-example/lib/workflow-definition.mjs
+ */
+export function definitionToWorkflowGraph(definition) {
+  const toOperations = nodes => nodes.map(node => {
+    switch (node.type) {
+      case 'step':
+        return { kind: 'step', name: node.name, retry: node.retry };
+      case 'wait':
+        return { kind: 'wait', name: node.name, duration: formatDuration(node.duration) };
+      case 'callback':
+        return { kind: 'waitForCallback', name: node.name, timeout: formatDuration(node.timeout) };
+      case 'parallel':
+        return {
+          kind: 'parallel',
+          name: node.name,
+          branches: node.branches.map(branch => ({ name: branch.name, operations: toOperations(branch.steps) }))
+        };
+      case 'map':
+        return { kind: 'map', name: node.name, items: node.items, maxConcurrency: node.maxConcurrency, operations: toOperations(node.steps) };
+      case 'condition':
+        return { kind: 'waitForCondition', name: node.name, until: node.until, delay: formatDuration(node.delay) };
+      case 'invoke':
+        return { kind: 'invoke', name: node.name, function: node.function };
+      case 'child':
+        return { kind: 'runInChildContext', name: node.name, operations: toOperations(node.steps) };
+      default:
+        throw new Error(`Node type must be one of: step, wait, callback, parallel, map, condition, invoke, child (got ${node.type})`);
+    }
+  });
+
+  return { operations: toOperations(definition.steps) };
+}
+
+/**
+ * Amazon States Language document of an operation tree
+ * @param {object} workflow - { operations } from extractWorkflowGraph or definitionToWorkflowGraph
+ * @param {object} [options]
+ * @param {string} [options.comment] - Comment of the state machine
+ * @param {object} [options.functions] - Overrides of ASL_FUNCTIONS
+ * @param {Function} [options.retryPolicyFor] - Retry policy name of a handler step, see retry-policies.mjs
+ */
+export function toAslStateMachine({ operations }, options = {}) {
+  const builder = createBuilder(options);
+  const scope = createScope(builder);
+  const fragment = buildSequence(operations, scope, builder);
+  if (fragment.start === undefined) {
+    throw new Error('The workflow has no durable operations to export');
+  }
+  fragment.exits.forEach(exit => exit(undefined, scope));
+
+  const catchAll = { ErrorEquals: ['States.ALL'], ResultPath: '$.error', Next: ERROR_STATES.handler };
+  for (const state of Object.values(scope.states)) {
+    if (CATCHING_TYPES.includes(state.Type) && !state.Catch?.some(catcher => catcher.ErrorEquals.includes('States.ALL'))) {
+      state.Catch = [...(state.Catch ?? []), catchAll];
+    }
+  }
+
+  return {
+    Comment: options.comment ?? 'Exported from a durable function operation graph',
+    StartAt: fragment.start,
+    States: {
+      ...scope.states,
+      [ERROR_STATES.handler]: {
+        Type: 'Task',
+        Resource: LAMBDA_INVOKE,
+        Parameters: { FunctionName: builder.functions.errorHandler, 'Payload.$': '$' },
+        ResultPath: null,
+        Next: ERROR_STATES.fail
+      },
+      [ERROR_STATES.fail]: {
+        Type: 'Fail',
+        ErrorPath: '$.error.Error',
+        CausePath: '$.error.Cause'
+      }
+    }
+  };
+}
@@ -0,0 +1,581 @@
+/**
+ * Static workflow graphs for scripts/workflow-graph.mjs
+ * Parses the source of a durable handler without running it, finds the durable calls on its
+ * context (step, wait, waitForCallback, parallel, map, ...) and lays them out as a flow graph:
+ * parallel as a fork/join, map and for/while loops as a node with a back edge, and runInChildContext
+ * as a subgraph. Calls inside if/else/catch blocks hang off dashed edges because they do not run on
+ * every execution.
+ *
+ * The walk only follows functions declared in the same file: helpers imported from other
+ * modules show up as the durable calls they are passed, not the ones they make.
+ */
+
+import { parse } from 'acorn';
+
+const DURABLE_METHODS = new Set([
+  'step',
+  'wait',
+  'waitForCallback',
+  'createCallback',
+  'waitForCondition',
+  'invoke',
+  'parallel',
+  'map',
+  'runInChildContext'
+]);
+
+const FUNCTION_TYPES = new Set(['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression']);
+const LOOP_TYPES = new Set(['ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement']);
+const DURATION_UNITS = { days: 'd', hours: 'h', minutes: 'm', seconds: 's' };
+const MAX_CONDITION_LENGTH = 40;
+
+/** Child nodes of an AST node in source order */
+function childNodes(node) {
+  const children = new Set(Object.values(node)
+    .flatMap(value => Array.isArray(value) ? value : [value])
+    .filter(value => typeof value?.type === 'string'));
+  return [...children].sort((a, b) => a.start - b.start);
+}
+
+function walk(node, visit) {
+  visit(node);
+  childNodes(node).forEach(child => walk(child, visit));
+}
+
+/** The durable method of a call such as context.step(...), with the name of its receiver */
+function durableCall(node, methods) {
+  const callee = node.type === 'CallExpression' ? node.callee : undefined;
+  if (callee?.type !== 'MemberExpression' || callee.computed || callee.object.type !== 'Identifier'
+    || !methods.has(callee.property.name)) {
+    return undefined;
+  }
+  return { receiver: callee.object.name, method: callee.property.name };
+}
+
+/**
+ * Names used as durable contexts: receivers of any durable method except map, which would also
+ * match Array.prototype.map
+ */
+function findContextNames(program) {
+  const unambiguous = new Set([...DURABLE_METHODS].filter(method => method !== 'map'));
+  const contexts = new Set();
+  walk(program, node => {
+    const call = durableCall(node, unambiguous);
+    if (call) {
+      contexts.add(call.receiver);
+    }
+  });
+  return contexts;
+}
+
+/** Every function declared by name in the file */
+function findDeclarations(program) {
+  const declarations = new Map();
+  walk(program, node => {
+    if (node.type === 'FunctionDeclaration' && node.id) {
+      declarations.set(node.id.name, node);
+    } else if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && node.init) {
+      declarations.set(node.id.name, node.init);
+    }
+  });
+  return declarations;
+}
+
+function createScanner(source) {
+  const program = parse(source, { ecmaVersion: 'latest', sourceType: 'module', locations: true });
+  return {
+    source,
+    program,
+    contexts: findContextNames(program),
+    declarations: findDeclarations(program),
+    expanding: new Set()
+  };
+}
+
+function sourceText(state, node) {
+  return state.source.slice(node.start, node.end);
+}
+
+/** A function passed as an argument, inline or by the name of a function declared in the file */
+function functionAt(state, node) {
+  if (node?.type === 'Identifier') {
+    const declaration = state.declarations.get(node.name);
+    return FUNCTION_TYPES.has(declaration?.type) ? declaration : null;
+  }
+  return FUNCTION_TYPES.has(node?.type) ? node : null;
+}
+
+function scanFunction(state, node) {
+  // Only helpers referenced by name can recurse; inline functions are never guarded
+  const name = node?.type === 'Identifier' ? node.name : undefined;
+  const fn = !(name && state.expanding.has(name)) ? functionAt(state, node) : null;
+  if (!fn) {
+    return [];
+  }
+
+  if (fn.params[0]?.type === 'Identifier') {
+    state.contexts.add(fn.params[0].name);
+  }
+  if (name) {
+    state.expanding.add(name);
+  }
+  try {
+    return scanOperations(state, fn.body);
+  } finally {
+    state.expanding.delete(name);
+  }
+}
+
+function isLiteral(node) {
+  return (node?.type === 'Literal' && typeof node.value === 'string') || node?.type === 'TemplateLiteral';
+}
+
+/** A name argument: the text of a literal, or the expression as a ${placeholder} */
+function nameText(state, node) {
+  return isLiteral(node) ? state.source.slice(node.start + 1, node.end - 1) : `\${${sourceText(state, node)}}`;
+}
+
+/** Value of a key in an object literal, if the node is one */
+function objectProperty(node, key) {
+  if (node?.type !== 'ObjectExpression') {
+    return undefined;
+  }
+
+  const property = node.properties.find(property => property.type === 'Property' && !property.computed
+    && !property.shorthand && (property.key.name ?? property.key.value) === key);
+  return property?.value;
+}
+
+/** A Duration object literal such as { minutes: 60 } as "60m", when its values are literal numbers */
+function formatDurationLiteral(node) {
+  const parts = Object.entries(DURATION_UNITS).flatMap(([unit, suffix]) => {
+    const value = objectProperty(node, unit);
+    return value?.type === 'Literal' && typeof value.value === 'number' ? [`${value.raw}${suffix}`] : [];
+  });
+  return parts.length > 0 ? parts.join(' ') : undefined;
+}
+
+function parseBranches(state, node) {
+  if (!node) {
+    return [];
+  }
+
+  if (node.type !== 'ArrayExpression') {
+    return [{ name: sourceText(state, node), operations: scanOperations(state, node) }];
+  }
+
+  return node.elements.filter(Boolean).map(element => {
+    const func = objectProperty(element, 'func');
+    const name = objectProperty(element, 'name');
+    return {
+      name: func && name ? nameText(state, name) : undefined,
+      operations: scanFunction(state, func ?? element)
+    };
+  });
+}
+
+/**
+ * Whether the first argument is the optional operation name, told apart from the other
+ * arguments by their shape when the name is not a literal
+ */
+function hasName(state, method, args) {
+  const isFunction = node => functionAt(state, node) !== null;
+
+  switch (method) {
+    case 'invoke':
+      // invoke(functionId, input) has no name, so a leading string only names it when more arguments follow
+      return isLiteral(args[0]) && args.length >= 3;
+    case 'step':
+    case 'runInChildContext':
+      return isLiteral(args[0]) || (args.length >= 2 && !isFunction(args[0]));
+    case 'waitForCallback':
+    case 'waitForCondition':
+      return isLiteral(args[0]) || isFunction(args[1]);
+    case 'parallel':
+      return isLiteral(args[0]) || args[1]?.type === 'ArrayExpression';
+    case 'map':
+      return isLiteral(args[0]) || isFunction(args[2]);
+    case 'createCallback':
+      return args.length >= 2 || (args[0] !== undefined && args[0].type !== 'ObjectExpression');
+    default:
+      return isLiteral(args[0]) || args.length >= 2;
+  }
+}
+
+function parseDurableCall(state, node, method) {
+  let args = node.arguments;
+
+  const named = hasName(state, method, args);
+  const operation = { kind: method, name: named ? nameText(state, args[0]) : undefined, line: node.loc.start.line };
+  if (named) {
+    args = args.slice(1);
+  }
+
+  switch (method) {
+    case 'wait':
+      operation.duration = formatDurationLiteral(args[0]);
+      break;
+    case 'waitForCallback':
+      operation.timeout = formatDurationLiteral(objectProperty(args[1], 'timeout'));
+      break;
+    case 'createCallback':
+      operation.timeout = formatDurationLiteral(objectProperty(args[0], 'timeout'));
+      break;
+    case 'parallel':
+      operation.branches = parseBranches(state, args[0]);
+      break;
+    case 'map':
+      operation.items = args[0] ? sourceText(state, args[0]) : undefined;
+      operation.operations = scanFunction(state, args[1]);
+      break;
+    case 'runInChildContext':
+      operation.operations = scanFunction(state, args[0]);
+      break;
+  }
+
+  return operation;
+}
+
+function truncate(text) {
+  const oneLine = text.replace(/\s+/g, ' ');
+  return oneLine.length > MAX_CONDITION_LENGTH ? `${oneLine.slice(0, MAX_CONDITION_LENGTH - 1)}…` : oneLine;
+}
+
+/** The operations of nodes that only run under a condition, grouped under its { label, alternative, header } */
+function scanBlock(state, condition, nodes) {
+  const operations = nodes.flatMap(node => scanOperations(state, node));
+  return operations.length > 0 ? [{ kind: 'block', ...condition, operations }] : [];
+}
+
+/** An if statement and its else if / else chain */
+function scanIf(state, node, alternative = false) {
+  const operations = [
+    ...scanOperations(state, node.test),
+    ...scanBlock(state, { label: `if ${truncate(sourceText(state, node.test))}`, alternative }, [node.consequent])
+  ];
+
+  if (node.alternate?.type === 'IfStatement') {
+    operations.push(...scanIf(state, node.alternate, true));
+  } else if (node.alternate) {
+    operations.push(...scanBlock(state, { label: 'else', alternative: true, exclusive: true }, [node.alternate]));
+  }
+
+  return operations;
+}
+
+/**
+ * Durable operations of a same-file helper called with a durable context, such as
+ * await processBatch(context, items)
+ */
+function helperOperations(state, node) {
+  if (node.callee.type !== 'Identifier' || !state.declarations.has(node.callee.name)) {
+    return [];
+  }
+
+  const passesContext = node.arguments.some(arg => arg.type === 'Identifier' && state.contexts.has(arg.name));
+  return passesContext ? scanFunction(state, node.callee) : [];
+}
+
+function scanOperations(state, node) {
+  const call = durableCall(node, DURABLE_METHODS);
+  if (call && state.contexts.has(call.receiver)) {
+    return [parseDurableCall(state, node, call.method)];
+  }
+
+  if (node.type === 'IfStatement') {
+    return scanIf(state, node);
+  }
+  if (node.type === 'CatchClause') {
+    return scanBlock(state, { label: 'on error' }, [node.body]);
+  }
+  if (LOOP_TYPES.has(node.type)) {
+    const header = childNodes(node).filter(child => child !== node.body);
+    const headerText = node.type === 'DoWhileStatement'
+      ? `do … while (${sourceText(state, node.test)})`
+      : state.source.slice(node.start, node.body.start).trim();
+    return [
+      ...header.flatMap(child => scanOperations(state, child)),
+      ...scanBlock(state, { label: 'loop', header: truncate(headerText) }, [node.body])
+    ];
+  }
+  if (node.type === 'SwitchStatement') {
+    return [
+      ...scanOperations(state, node.discriminant),
+      ...scanBlock(state, { label: `switch ${truncate(sourceText(state, node.discriminant))}` }, node.cases)
+    ];
+  }
+
+  return [
+    ...(node.type === 'CallExpression' ? helperOperations(state, node) : []),
+    ...childNodes(node).flatMap(child => scanOperations(state, child))
+  ];
+}
+
+/**
+ * Find the durable operations of a handler from its source
+ * Starts at the function passed to withDurableExecution, or walks the whole file when there is none.
+ * Returns { operations }, a tree of { kind, name, line, ... } where kind is the durable method.
+ * parallel has branches: [{ name, operations }], map and runInChildContext have operations, and
+ * kind 'block' groups the operations of an if/else/catch/loop body under its label; a loop's has
+ * the label 'loop' and the loop statement's header as header
+ */
+export function extractWorkflowGraph(source) {
+  const state = createScanner(source);
+  let entry;
+  walk(state.program, node => {
+    if (!entry && node.type === 'CallExpression' && node.callee.type === 'Identifier' && node.callee.name === 'withDurableExecution') {
+      entry = node;
+    }
+  });
+
+  const fn = entry ? functionAt(state, entry.arguments[0]) : null;
+  if (fn) {
+    if (fn.params[0]?.type === 'Identifier') {
+      state.contexts.add(fn.params[0].name);
+    }
+    return { operations: scanOperations(state, fn.body) };
+  }
+
+  return { operations: scanOperations(state, state.program) };
+}
+
+/** Count the durable operations in a graph, including those nested in branches, loops and subgraphs */
+export function countOperations(operations) {
+  return operations.reduce((count, operation) => count
+    + (operation.kind === 'block' ? 0 : 1)
+    + countOperations(operation.operations ?? [])
+    + (operation.branches ?? []).reduce((sum, branch) => sum + countOperations(branch.operations), 0), 0);
+}
+
+function joinLabel(...parts) {
+  return parts.filter(Boolean).join(' ');
+}
+
+function operationLabel(operation) {
+  switch (operation.kind) {
+    case 'wait':
+      return joinLabel('wait', operation.name, operation.duration);
+    case 'waitForCallback':
+    case 'createCallback':
+      return joinLabel(operation.kind, operation.name, operation.timeout && `(timeout ${operation.timeout})`);
+    case 'map':
+      return joinLabel('map', operation.name, operation.items && `over ${operation.items}`);
+    default:
+      return joinLabel(operation.kind, operation.name);
+  }
+}
+
+/**
+ * Lay out the operation tree as nodes, subgraphs and edges between a start and an end node
+ * Edges carry an optional label and a dashed flag for paths that do not always run
+ */
+export function layoutWorkflowGraph({ operations }) {
+  const nodes = [];
+  const edges = [];
+  let counter = 0;
+
+  const addNode = (shape, label, parent) => {
+    const id = shape === 'subgraph' ? `s${++counter}` : `n${++counter}`;
+    nodes.push({ id, shape, label, parent });
+    return id;
+  };
+  const connect = (incoming, to) => {
+    for (const edge of incoming) {
+      edges.push({ from: edge.from, to, label: edge.label, dashed: edge.dashed ?? false });
+    }
+  };
+
+  let addSequence;
+
+  const addOperation = (operation, incoming, parent) => {
+    switch (operation.kind) {
+      case 'parallel': {
+        const fork = addNode('fork', joinLabel('parallel', operation.name), parent);
+        connect(incoming, fork);
+        const join = addNode('join', 'join', parent);
+        operation.branches.forEach((branch, index) => {
+          connect(addSequence(branch.operations, [{ from: fork, label: branch.name ?? `branch ${index + 1}` }], parent), join);
+        });
+        return [{ from: join }];
+      }
+      case 'map': {
+        const loop = addNode('map', operationLabel(operation), parent);
+        connect(incoming, loop);
+        const exits = addSequence(operation.operations, [{ from: loop, label: 'each item' }], parent);
+        connect(exits.map(({ from }) => ({ from, label: 'next item', dashed: true })), loop);
+        return [{ from: loop, label: 'done' }];
+      }
+      case 'runInChildContext': {
+        const subgraph = addNode('subgraph', operationLabel(operation), parent);
+        if (operation.operations.length === 0) {
+          const empty = addNode('empty', 'no durable operations', subgraph);
+          connect(incoming, empty);
+          return [{ from: empty }];
+        }
+        return addSequence(operation.operations, incoming, subgraph);
+      }
+      default: {
+        const node = addNode(operation.kind, operationLabel(operation), parent);
+        connect(incoming, node);
+        if (operation.kind === 'waitForCondition') {
+          edges.push({ from: node, to: node, label: 'poll', dashed: true });
+        }
+        return [{ from: node }];
+      }
+    }
+  };
+
+  addSequence = (sequence, incoming, parent) => {
+    let pending = incoming;
+    let beforeBlock = incoming;
+
+    for (const operation of sequence) {
+      if (operation.kind !== 'block') {
+        pending = addOperation(operation, pending, parent);
+        beforeBlock = pending;
+        continue;
+      }
+
+      // A loop gets a node like map, so its next iteration and the path past it start from that node
+      if (operation.label === 'loop') {
+        const loop = addNode('loop', operation.header ?? 'loop', parent);
+        connect(pending, loop);
+        const exits = addSequence(operation.operations, [{ from: loop, label: 'each iteration' }], parent);
+        connect(exits.map(({ from }) => ({ from, label: 'next iteration', dashed: true })), loop);
+        pending = [{ from: loop, label: 'done' }];
+        beforeBlock = pending;
+        continue;
+      }
+
+      // An if/else chain branches off the edges from before its first block; a final else
+      // removes the path that skipped every block
+      const guarded = operation.alternative ? beforeBlock : pending;
+      const exits = addSequence(operation.operations, guarded.map(({ from }) => ({ from, label: operation.label, dashed: true })), parent);
+      const skipped = operation.exclusive ? pending.filter(edge => !guarded.includes(edge)) : pending;
+      beforeBlock = guarded;
+      pending = [...skipped, ...exits];
+    }
+
+    return pending;
+  };
+
+  nodes.push({ id: 'start', shape: 'start', label: 'start' });
+  const exits = addSequence(operations, [{ from: 'start' }], undefined);
+  nodes.push({ id: 'finish', shape: 'finish', label: 'end' });
+  connect(exits, 'finish');
+
+  return { nodes, edges };
+}
+
+const MERMAID_SHAPES = {
+  start: ['((', '))'],
+  finish: ['((', '))'],
+  step: ['[', ']'],
+  wait: ['([', '])'],
+  waitForCallback: ['>', ']'],
+  createCallback: ['>', ']'],
+  waitForCondition: ['{', '}'],
+  invoke: ['[[', ']]'],
+  fork: ['{{', '}}'],
+  join: ['{{', '}}'],
+  map: ['[/', '\\]'],
+  loop: ['[\\', '/]'],
+  empty: ['[', ']']
+};
+
+/** Render a workflow graph as a Mermaid flowchart */
+export function renderMermaidFlowchart(workflow) {
+  const { nodes, edges } = layoutWorkflowGraph(workflow);
+  const quote = text => `"${text.replace(/"/g, '#quot;')}"`;
+  const lines = ['flowchart TD'];
+
+  const addNodes = (parent, indent) => {
+    for (const node of nodes.filter(candidate => candidate.parent === parent)) {
+      if (node.shape === 'subgraph') {
+        lines.push(`${indent}subgraph ${node.id} [${quote(node.label)}]`);
+        addNodes(node.id, `${indent}  `);
+        lines.push(`${indent}end`);
+        continue;
+      }
+      const [open, close] = MERMAID_SHAPES[node.shape];
+      lines.push(`${indent}${node.id}${open}${quote(node.label)}${close}`);
+    }
+  };
+
+  addNodes(undefined, '  ');
+  for (const { from, to, label, dashed } of edges) {
+    const arrow = dashed ? '-.->' : '-->';
+    lines.push(`  ${from} ${arrow}${label ? `|${quote(label)}|` : ''} ${to}`);
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+const DOT_SHAPES = {
+  start: 'circle',
+  finish: 'doublecircle',
+  step: 'box',
+  wait: 'oval',
+  waitForCallback: 'cds',
+  createCallback: 'cds',
+  waitForCondition: 'diamond',
+  invoke: 'component',
+  fork: 'hexagon',
+  join: 'hexagon',
+  map: 'trapezium',
+  loop: 'invtrapezium',
+  empty: 'plaintext'
+};
+
+/** Render a workflow graph as a Graphviz DOT digraph */
+export function renderDotGraph(workflow) {
+  const { nodes, edges } = layoutWorkflowGraph(workflow);
+  const quote = text => `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  const lines = ['digraph workflow {', '  rankdir=TB;'];
+
+  const addNodes = (parent, indent) => {
+    for (const node of nodes.filter(candidate => candidate.parent === parent)) {
+      if (node.shape === 'subgraph') {
+        lines.push(`${indent}subgraph cluster_${node.id} {`, `${indent}  label=${quote(node.label)};`);
+        addNodes(node.id, `${indent}  `);
+        lines.push(`${indent}}`);
+        continue;
+      }
+      lines.push(`${indent}${node.id} [label=${quote(node.label)}, shape=${DOT_SHAPES[node.shape]}];`);
+    }
+  };
+
+  addNodes(undefined, '  ');
+  for (const { from, to, label, dashed } of edges) {
+    const attributes = [label && `label=${quote(label)}`, dashed && 'style=dashed'].filter(Boolean);
+    lines.push(`  ${from} -> ${to}${attributes.length > 0 ? ` [${attributes.join(', ')}]` : ''};`);
+  }
+  lines.push('}');
+
+  return `${lines.join('\n')}\n`;
+}
+
+/** A diagram in a Markdown code block */
+export function fenceDiagram(diagram, format) {
+  return `\`\`\`${format}\n${diagram}\`\`\`\n`;
+}
+
+/** Markers around the generated graph of a handler in a Markdown file */
+export function generatedSectionMarkers(handlerPath) {
+  return { begin: `<!-- workflow-graph: ${handlerPath} -->`, end: '<!-- /workflow-graph -->' };
+}
+
+/**
+ * Replace the generated section for handlerPath in a Markdown document with content
+ * Throws when the document has no markers for that handler
+ */
+export function replaceGeneratedSection(document, handlerPath, content) {
+  const { begin, end } = generatedSectionMarkers(handlerPath);
+  const start = document.indexOf(begin);
+  const finish = start === -1 ? -1 : document.indexOf(end, start);
+  if (finish === -1) {
+    throw new Error(`No generated section for ${handlerPath}; add the lines ${begin} and ${end} where the graph goes`);
+  }
+
+  return `${document.slice(0, start)}${begin}\n${content}${document.slice(finish)}`;
+}
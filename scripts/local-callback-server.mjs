@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { LocalDurableExecution } from './lib/local-durable-runtime.mjs';
+import { startLocalCallbackServer } from './lib/local-callback-server.mjs';
+import { workflow } from '../workflows/durable-function-example/index.mjs';
+import { STOP_REQUEST_CALLBACK } from '../workflows/durable-function-example/lib/cancellation.mjs';
+import { handler as helloWorld } from '../functions/hello-world/index.mjs';
+
+/**
+ * Run the example durable workflow on this machine and serve the callback API for it
+ * Usage:
+ *   node scripts/local-callback-server.mjs [--event path/to/event.json] [--port 4010]
+ *
+ * The workflow runs in the in-process test runtime until it waits for a callback. Resume it with
+ * scripts/resume-workflow.mjs and --endpoint, exactly as against AWS; no AWS account is needed.
+ * The server exits once the execution has finished.
+ */
+
+const HELLO_WORLD_ARN = 'arn:aws:lambda:local:000000000000:function:HelloWorldFunction';
+const DEFAULT_EVENT = new URL('../workflows/durable-function-example/test-event.json', import.meta.url);
+
+function printPendingCallbacks(execution, url) {
+  // Stop-request callbacks are completed by the stop command, not resumed by hand
+  const callbacks = execution.pendingCallbacks().filter(({ name }) => name !== STOP_REQUEST_CALLBACK);
+  for (const { callbackId, name } of callbacks) {
+    console.log(`⏸️  Execution ${execution.executionId} is waiting for callback ${name ?? ''}`);
+    console.log(`   node scripts/resume-workflow.mjs --endpoint ${url} ${callbackId} success '{"approved":true}'`);
+  }
+  console.log(`   To cancel it instead: node scripts/executions.mjs --endpoint ${url} stop ${execution.executionArn} --reason "..."`);
+}
+
+async function main() {
+  const { values: options } = parseArgs({
+    options: {
+      event: { type: 'string' },
+      port: { type: 'string', default: '4010' }
+    }
+  });
+
+  const event = JSON.parse(await readFile(options.event ?? DEFAULT_EVENT, 'utf-8'));
+
+  process.env.HELLO_WORLD_FUNCTION_ARN = HELLO_WORLD_ARN;
+  const execution = new LocalDurableExecution(workflow, event, {
+    executionId: `local-${event.workflowId ?? Date.now()}`,
+    functions: { [HELLO_WORLD_ARN]: helloWorld }
+  });
+
+  await execution.run({ advanceTimers: true });
+
+  const server = await startLocalCallbackServer(execution, {
+    port: Number(options.port),
+    onCallback: async ({ action, callbackId }) => {
+      console.log(`📨 ${action} ${callbackId}`);
+
+      if (execution.status === 'RUNNING') {
+        printPendingCallbacks(execution, server.url);
+        return;
+      }
+
+      console.log(`🏁 Execution ${execution.status}`);
+      console.log(JSON.stringify(execution.status === 'SUCCEEDED' ? execution.result : execution.error?.message, null, 2));
+      setImmediate(() => server.close());
+    }
+  });
+
+  console.log(`Local durable callback API listening on ${server.url}`);
+  if (execution.status !== 'RUNNING') {
+    console.log(`🏁 Execution ${execution.status} without waiting for a callback`);
+    await server.close();
+    return;
+  }
+
+  printPendingCallbacks(execution, server.url);
+}
+
+main().catch(error => {
+  console.error('❌ Local callback server failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { extname } from 'node:path';
+import { text } from 'node:stream/consumers';
+import { parseArgs } from 'node:util';
+import { buildTimeline, parseHistoryExport, renderMermaidGantt, renderTimelineHtml } from './lib/execution-timeline.mjs';
+
+/**
+ * CLI script to draw the timeline of a durable execution from its exported history
+ * Usage:
+ *   node scripts/render-timeline.mjs <history.json|-> [--format html|mermaid] [--out <file>] [--title <text>]
+ *
+ * Examples:
+ *   # Export a run from AWS and open it as a web page
+ *   node scripts/executions.mjs history durable-demo-001 --events > history.json
+ *   node scripts/render-timeline.mjs history.json --out timeline.html
+ *
+ *   # Mermaid Gantt diagram in a Markdown file, ready to paste into an issue
+ *   node scripts/render-timeline.mjs history.json --out timeline.md
+ *
+ *   # From the AWS CLI, on stdin
+ *   aws lambda get-durable-execution-history --durable-execution-arn <arn> | node scripts/render-timeline.mjs - --format mermaid
+ *
+ * The history is a JSON array of events (such as LocalDurableExecution#events from the local
+ * runtime) or a GetDurableExecutionHistory response with an Events array. Every step attempt,
+ * every retry or poll delay and every invocation (the first run and each replay) is drawn as its own bar.
+ *
+ * Options:
+ *   --format  html or mermaid (default: from the --out extension, .md/.mmd for mermaid, else html)
+ *   --out     File to write (default: stdout); a .md file gets the diagram in a mermaid code block
+ *   --title   Chart title (default: "Durable execution timeline")
+ *
+ * Exit codes: 0 written, 1 unexpected error, 2 rejected (bad arguments or history).
+ */
+
+const FORMATS = ['html', 'mermaid'];
+const MERMAID_EXTENSIONS = ['.md', '.mmd'];
+
+const OPTIONS = {
+  format: { type: 'string' },
+  out: { type: 'string' },
+  title: { type: 'string', default: 'Durable execution timeline' }
+};
+
+function reject(message) {
+  console.error(`❌ ${message}`);
+  process.exit(2);
+}
+
+async function main() {
+  let options;
+  let positionals;
+  try {
+    ({ values: options, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true }));
+  } catch (error) {
+    reject(error.message);
+  }
+
+  const [source] = positionals;
+  if (!source) {
+    reject('Usage: node scripts/render-timeline.mjs <history.json|-> [--format html|mermaid] [--out <file>]');
+  }
+
+  const extension = options.out ? extname(options.out).toLowerCase() : '';
+  const format = options.format ?? (MERMAID_EXTENSIONS.includes(extension) ? 'mermaid' : 'html');
+  if (!FORMATS.includes(format)) {
+    reject(`Format must be one of: ${FORMATS.join(', ')}`);
+  }
+
+  let timeline;
+  try {
+    const input = source === '-' ? await text(process.stdin) : await readFile(source, 'utf-8');
+    timeline = buildTimeline(parseHistoryExport(input));
+  } catch (error) {
+    reject(error.message);
+  }
+
+  let output = format === 'mermaid'
+    ? renderMermaidGantt(timeline, { title: options.title })
+    : renderTimelineHtml(timeline, { title: options.title });
+
+  if (format === 'mermaid' && extension === '.md') {
+    output = `\`\`\`mermaid\n${output}\`\`\`\n`;
+  }
+
+  if (!options.out) {
+    process.stdout.write(output);
+    return;
+  }
+
+  await writeFile(options.out, output);
+  console.log(`📈 Wrote ${format} timeline of ${timeline.rows.length} operations and ${timeline.invocations.length} invocations to ${options.out}`);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
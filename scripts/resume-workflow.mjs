@@ -1,13 +1,34 @@
 #!/usr/bin/env node
 
-import { LambdaClient, SendDurableExecutionCallbackSuccessCommand, SendDurableExecutionCallbackFailureCommand } from '@aws-sdk/client-lambda';
-
-const client = new LambdaClient({ region: process.env.AWS_REGION || 'us-east-1' });
+import { readFile } from 'node:fs/promises';
+import { text } from 'node:stream/consumers';
+import { parseArgs } from 'node:util';
+import {
+  CallbackIdError,
+  isSignedCallbackId,
+  parseCallbackId,
+  unwrapCallbackId
+} from '../workflows/durable-function-example/lib/callback-helper.mjs';
+import {
+  CALLBACK_ACTIONS,
+  RECORD_FORMATS,
+  buildCallbackCommand,
+  detectRecordFormat,
+  formatResultReport,
+  parseCallbackRecords,
+  resumeCallbacks,
+  sendWithRetry,
+  summarizeResults,
+  toCallbackErrorObject
+} from './lib/callback-batch.mjs';
+import { EXIT_CODES, batchExitCode, classifyCallbackError } from './lib/callback-errors.mjs';
+import { createLambdaClient } from './lib/lambda-client.mjs';
 
 /**
  * Simple CLI script to resume a durable function workflow
  * Usage:
- *   node scripts/resume-workflow.mjs <callbackId> [success|failure] [payload]
+ *   node scripts/resume-workflow.mjs <callbackId> [success|failure|heartbeat] [payload]
+ *   node scripts/resume-workflow.mjs --file <records.jsonl|records.csv|-> [options]
  *
  * Examples:
  *   # Resume with success and validation data
@@ -19,15 +40,121 @@ const client = new LambdaClient({ region: process.env.AWS_REGION || 'us-east-1'
  *   # Resume with failure
  *   node scripts/resume-workflow.mjs callback-123 failure "User rejected validation"
  *
+ *   # Resume with structured error data
+ *   node scripts/resume-workflow.mjs callback-123 failure '{"type":"ValidationRejected","message":"Year out of range","data":{"albumIndex":1}}'
+ *
+ *   # Keep a long-running callback alive
+ *   node scripts/resume-workflow.mjs callback-123 heartbeat
+ *
  *   # Default success (no payload)
  *   node scripts/resume-workflow.mjs callback-123
+ *
+ *   # Resume every callback listed in a JSONL file, 10 at a time
+ *   node scripts/resume-workflow.mjs --file approvals.jsonl --concurrency 10
+ *
+ *   # Validate CSV records piped on stdin without sending anything
+ *   cat approvals.csv | node scripts/resume-workflow.mjs --file - --format csv --dry-run
+ *
+ * Batch records are {callbackId, action, payload}: one JSON object per line, or CSV with a
+ * callbackId,action,payload header. Throttled requests are retried with backoff and a
+ * per-record report is printed at the end (--json for machine-readable output).
+ *
+ * Signed callback IDs are verified locally before anything is sent to AWS, and the service
+ * callback ID they wrap is what gets sent. Set CALLBACK_SIGNING_SECRET to the secret the
+ * workflow signed them with; while it is set, unsigned IDs are refused as well.
+ *
+ * --endpoint (or AWS_ENDPOINT_URL_LAMBDA) points the script at another Lambda API, such as the
+ * local stand-in started by scripts/local-callback-server.mjs (see lib/lambda-client.mjs).
+ *
+ * Exit codes (see scripts/lib/callback-errors.mjs): 0 done, 1 unexpected error,
+ * 2 rejected before calling AWS, 3 ValidationException, 4 InvalidParameterValueException,
+ * 5 callback already completed, 6 ResourceNotFoundException, 7 CallbackTimeoutException,
+ * 8 TooManyRequestsException, 9 ServiceException, 10-13 KMS errors.
+ * A batch exits with the code its failed records share, or 1 when they differ.
+ */
+
+const OPTIONS = {
+  file: { type: 'string', short: 'f' },
+  format: { type: 'string' },
+  concurrency: { type: 'string', default: '5' },
+  'max-retries': { type: 'string', default: '4' },
+  'dry-run': { type: 'boolean', default: false },
+  json: { type: 'boolean', default: false },
+  endpoint: { type: 'string', default: process.env.AWS_ENDPOINT_URL_LAMBDA }
+};
+
+function createClient(endpoint) {
+  try {
+    return createLambdaClient({ endpoint });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(EXIT_CODES.REJECTED);
+  }
+}
+
+function toPositiveInteger(value, name, { allowZero = false } = {}) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < (allowZero ? 0 : 1)) {
+    console.error(`❌ --${name} must be a ${allowZero ? 'non-negative' : 'positive'} integer`);
+    process.exit(EXIT_CODES.REJECTED);
+  }
+  return number;
+}
+
+/**
+ * Resume every callback listed in a JSONL/CSV file or stdin and print a per-record report
  */
+async function runBatch(options, client) {
+  const format = options.format ?? detectRecordFormat(options.file === '-' ? undefined : options.file);
+  if (!RECORD_FORMATS.includes(format)) {
+    console.error(`❌ --format must be one of: ${RECORD_FORMATS.join(', ')}`);
+    process.exit(EXIT_CODES.REJECTED);
+  }
+
+  const input = options.file === '-' ? await text(process.stdin) : await readFile(options.file, 'utf-8');
+  const records = parseCallbackRecords(input, format);
+  const dryRun = options['dry-run'];
+
+  if (!options.json) {
+    console.log(`${dryRun ? 'Validating' : 'Resuming'} ${records.length} callback records from ${options.file === '-' ? 'stdin' : options.file}`);
+  }
+
+  const results = await resumeCallbacks(records, {
+    client,
+    dryRun,
+    secret: process.env.CALLBACK_SIGNING_SECRET,
+    concurrency: toPositiveInteger(options.concurrency, 'concurrency'),
+    maxRetries: toPositiveInteger(options['max-retries'], 'max-retries', { allowZero: true })
+  });
+
+  const summary = summarizeResults(results);
+  if (options.json) {
+    console.log(JSON.stringify({ dryRun, summary, results }, null, 2));
+  } else {
+    console.log(formatResultReport(results));
+  }
+
+  process.exitCode = batchExitCode(results);
+}
 
 async function main() {
-  const args = process.argv.slice(2);
+  let parsed;
+  try {
+    parsed = parseArgs({ options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(EXIT_CODES.REJECTED);
+  }
+
+  const { values: options, positionals: args } = parsed;
+
+  if (options.file) {
+    return runBatch(options, createClient(options.endpoint));
+  }
 
   if (args.length < 1) {
-    console.error('Usage: node scripts/resume-workflow.mjs <callbackId> [success|failure] [payload]');
+    console.error('Usage: node scripts/resume-workflow.mjs <callbackId> [success|failure|heartbeat] [payload]');
+    console.error('       node scripts/resume-workflow.mjs --file <records.jsonl|records.csv|-> [--format jsonl|csv] [--concurrency 5] [--max-retries 4] [--dry-run] [--json] [--endpoint url]');
     console.error('');
     console.error('Examples:');
     console.error('  # Resume with success and validation data');
@@ -39,30 +166,68 @@ async function main() {
     console.error('  # Resume with failure');
     console.error('  node scripts/resume-workflow.mjs callback-123 failure "User rejected validation"');
     console.error('');
+    console.error('  # Resume with structured error data');
+    console.error('  node scripts/resume-workflow.mjs callback-123 failure \'{"type":"ValidationRejected","message":"Year out of range","data":{"albumIndex":1}}\'');
+    console.error('');
+    console.error('  # Keep a long-running callback alive');
+    console.error('  node scripts/resume-workflow.mjs callback-123 heartbeat');
+    console.error('');
     console.error('  # Default success (no payload)');
     console.error('  node scripts/resume-workflow.mjs callback-123');
-    process.exit(1);
+    console.error('');
+    console.error('  # Validate a batch of records without sending them');
+    console.error('  node scripts/resume-workflow.mjs --file approvals.jsonl --dry-run');
+    process.exit(EXIT_CODES.REJECTED);
   }
 
-  const callbackId = args[0];
+  let callbackId = args[0];
   const action = args[1] || 'success';
   const payload = args[2];
 
+  if (!CALLBACK_ACTIONS.includes(action)) {
+    console.error(`❌ Action must be one of: ${CALLBACK_ACTIONS.join(', ')}`);
+    process.exit(EXIT_CODES.REJECTED);
+  }
+
+  const signingSecret = process.env.CALLBACK_SIGNING_SECRET;
+  if (signingSecret || isSignedCallbackId(callbackId)) {
+    try {
+      const { executionId, expiresAt } = parseCallbackId(callbackId, { secret: signingSecret });
+      console.log(`Verified signed callback ID for execution ${executionId} (expires ${expiresAt})`);
+      callbackId = unwrapCallbackId(callbackId, { secret: signingSecret });
+    } catch (error) {
+      if (!(error instanceof CallbackIdError)) {
+        throw error;
+      }
+      console.error(`❌ Refusing to resume workflow: ${error.message} (${error.name})`);
+      process.exit(EXIT_CODES.REJECTED);
+    }
+  }
+
   console.log(`Resuming workflow with callback ID: ${callbackId}`);
   console.log(`Action: ${action}`);
 
+  const client = createClient(options.endpoint);
+
+  let errorObject;
+  if (action === 'failure') {
+    try {
+      errorObject = toCallbackErrorObject(payload);
+    } catch (error) {
+      console.error(`❌ Invalid failure payload: ${error.message}`);
+      process.exit(EXIT_CODES.REJECTED);
+    }
+  }
+
   try {
-    if (action === 'failure') {
+    if (action === 'heartbeat') {
+      await sendWithRetry(client, buildCallbackCommand({ callbackId, action }));
+      console.log(`✅ Heartbeat sent, callback is still open`);
+    } else if (action === 'failure') {
       // Send failure
-      const errorMessage = payload || 'Workflow failed via CLI script';
-      const command = new SendDurableExecutionCallbackFailureCommand({
-        CallbackId: callbackId,
-        Error: errorMessage
-      });
-
-      await client.send(command);
+      await sendWithRetry(client, buildCallbackCommand({ callbackId, action, payload }));
       console.log(`✅ Successfully sent failure to workflow`);
-      console.log(`Error message: ${errorMessage}`);
+      console.log(`Error sent:`, JSON.stringify(errorObject, null, 2));
     } else {
       // Send success
       let resultPayload = { approved: true, completedAt: new Date().toISOString() };
@@ -75,26 +240,23 @@ async function main() {
         }
       }
 
-      const command = new SendDurableExecutionCallbackSuccessCommand({
-        CallbackId: callbackId,
-        Payload: JSON.stringify(resultPayload)
-      });
-
-      await client.send(command);
+      await sendWithRetry(client, buildCallbackCommand({ callbackId, action, payload: resultPayload }));
       console.log(`✅ Successfully resumed workflow`);
       console.log(`Payload sent:`, JSON.stringify(resultPayload, null, 2));
     }
   } catch (error) {
-    console.error('❌ Failed to resume workflow:', error.message);
+    const { exitCode, reason, hint } = classifyCallbackError(error);
+    console.error(`❌ Failed to ${action === 'heartbeat' ? 'heartbeat callback' : 'resume workflow'}: ${error.name}: ${error.message}`);
 
-    if (error.name === 'ValidationException') {
-      console.error('💡 This usually means the callback ID is invalid or already used');
-    } else if (error.name === 'ResourceNotFoundException') {
-      console.error('💡 The callback ID was not found - it may have expired or been used already');
+    if (hint) {
+      console.error(`💡 ${hint} (${reason})`);
     }
 
-    process.exit(1);
+    process.exit(exitCode);
   }
 }
 
-main().catch(console.error);
\ No newline at end of file
+main().catch(error => {
+  console.error(error);
+  process.exit(EXIT_CODES.ERROR);
+});
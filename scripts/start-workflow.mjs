@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { createLambdaClient } from './lib/lambda-client.mjs';
+import {
+  START_EXIT_CODES,
+  buildStartEvent,
+  executionNameFor,
+  executionOutcome,
+  formatResultSummary,
+  startExecution,
+  validateExecutionName,
+  waitForExecution
+} from './lib/start-execution.mjs';
+
+/**
+ * CLI script to start the durable function example workflow
+ * Usage:
+ *   node scripts/start-workflow.mjs --function <name|arn> [options]
+ *
+ * Examples:
+ *   # Start from test-event.json (the default event)
+ *   node scripts/start-workflow.mjs --function my-stack-DurableFunctionExampleFunction-abc123
+ *
+ *   # Start from another event file, wait for it to finish and print the aggregated result
+ *   node scripts/start-workflow.mjs --event my-event.json --wait
+ *
+ *   # Start with inline items under a new workflowId
+ *   node scripts/start-workflow.mjs --workflow-id batch-2024-06 --item "Reconcile invoices" --item "Sync CRM"
+ *
+ * The execution is named after the event's workflowId. Submitting the same event again returns
+ * the existing execution instead of starting a duplicate; submitting a different event under the
+ * same workflowId is refused by Lambda.
+ *
+ * Options:
+ *   --function      Function name or ARN (default: DURABLE_FUNCTION_NAME)
+ *   --qualifier     Version or alias to invoke
+ *   --event         Event file (default: workflows/durable-function-example/test-event.json)
+ *   --item          Inline work item, repeatable; replaces the event's inputData.items
+ *   --workflow-id   Replaces the event's workflowId
+ *   --name          Explicit execution name instead of one derived from workflowId (1-64 of A-Z a-z 0-9 _ -)
+ *   --wait          Poll until the execution finishes and print its result
+ *   --poll-interval Seconds between polls (default 5)
+ *   --timeout       Seconds to wait before giving up (default 3600)
+ *   --endpoint      Lambda API endpoint override (default: AWS_ENDPOINT_URL_LAMBDA)
+ *   --json          Print machine-readable output
+ *
+ * Exit codes: 0 started or succeeded, 1 unexpected error, 2 rejected before calling AWS,
+ * 3 execution failed, 4 execution timed out, 5 execution stopped, 6 still running after --timeout,
+ * 7 workflowId already used with a different input.
+ */
+
+const DEFAULT_EVENT = new URL('../workflows/durable-function-example/test-event.json', import.meta.url);
+
+const OPTIONS = {
+  function: { type: 'string', default: process.env.DURABLE_FUNCTION_NAME },
+  qualifier: { type: 'string' },
+  event: { type: 'string' },
+  item: { type: 'string', multiple: true },
+  'workflow-id': { type: 'string' },
+  name: { type: 'string' },
+  wait: { type: 'boolean', default: false },
+  'poll-interval': { type: 'string', default: '5' },
+  timeout: { type: 'string', default: '3600' },
+  endpoint: { type: 'string', default: process.env.AWS_ENDPOINT_URL_LAMBDA },
+  json: { type: 'boolean', default: false }
+};
+
+function reject(message) {
+  console.error(`❌ ${message}`);
+  process.exit(START_EXIT_CODES.REJECTED);
+}
+
+function toPositiveNumber(value, name) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) {
+    reject(`--${name} must be a positive number of seconds`);
+  }
+  return number;
+}
+
+async function main() {
+  let options;
+  try {
+    ({ values: options } = parseArgs({ options: OPTIONS }));
+  } catch (error) {
+    reject(error.message);
+  }
+
+  if (!options.function) {
+    reject('Pass --function or set DURABLE_FUNCTION_NAME. The ARN is the DurableFunctionExampleFunctionArn stack output.');
+  }
+
+  let event;
+  let name;
+  let client;
+  try {
+    const baseEvent = JSON.parse(await readFile(options.event ?? DEFAULT_EVENT, 'utf-8'));
+    event = buildStartEvent({ event: baseEvent, items: options.item, workflowId: options['workflow-id'] });
+    name = options.name === undefined ? executionNameFor(event.workflowId) : validateExecutionName(options.name);
+    client = createLambdaClient({ endpoint: options.endpoint });
+  } catch (error) {
+    reject(error.message);
+  }
+
+  const pollIntervalMs = toPositiveNumber(options['poll-interval'], 'poll-interval') * 1000;
+  const timeoutMs = toPositiveNumber(options.timeout, 'timeout') * 1000;
+  const log = (...args) => !options.json && console.log(...args);
+
+  let started;
+  try {
+    started = await startExecution(client, { functionName: options.function, qualifier: options.qualifier, event, name });
+  } catch (error) {
+    console.error(`❌ Failed to start workflow: ${error.name}: ${error.message}`);
+    process.exit(error.name === 'DurableExecutionAlreadyStartedException' ? START_EXIT_CODES.NAME_CONFLICT : START_EXIT_CODES.ERROR);
+  }
+
+  log(`${started.reused ? '♻️  Found existing' : '🚀 Started'} execution ${started.name} (${started.status})`);
+  log(`   ${started.durableExecutionArn}`);
+
+  if (!options.wait) {
+    if (options.json) {
+      console.log(JSON.stringify(started, null, 2));
+    }
+    return;
+  }
+
+  let finished;
+  try {
+    finished = await waitForExecution(client, started.durableExecutionArn, {
+      pollIntervalMs,
+      timeoutMs,
+      onPoll: execution => execution.Status === 'RUNNING' && log(`⏳ ${execution.Status}...`)
+    });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(error.exitCode ?? START_EXIT_CODES.ERROR);
+  }
+
+  const outcome = executionOutcome(finished);
+
+  if (options.json) {
+    console.log(JSON.stringify({ ...started, ...outcome }, null, 2));
+  } else if (outcome.status === 'SUCCEEDED') {
+    const summary = formatResultSummary(outcome.result);
+    log(`✅ Execution ${started.name} succeeded${summary ? `: ${summary}` : ''}`);
+    log(JSON.stringify(outcome.result, null, 2));
+  } else {
+    console.error(`❌ Execution ${started.name} ${outcome.status}`);
+    if (outcome.error) {
+      console.error(`   ${outcome.error.ErrorType ?? 'Error'}: ${outcome.error.ErrorMessage}`);
+    }
+  }
+
+  process.exitCode = outcome.exitCode;
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(START_EXIT_CODES.ERROR);
+});
@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { extname, relative, resolve, sep } from 'node:path';
+import { parseArgs } from 'node:util';
+import {
+  countOperations,
+  extractWorkflowGraph,
+  fenceDiagram,
+  renderDotGraph,
+  renderMermaidFlowchart,
+  replaceGeneratedSection
+} from './lib/workflow-graph.mjs';
+import { definitionToWorkflowGraph, toAslStateMachine } from './lib/workflow-asl.mjs';
+import { DEFINITION_EXTENSIONS, loadWorkflowDefinition } from '../workflows/durable-function-example/lib/workflow-definition.mjs';
+
+/**
+ * CLI script to draw the flow of a durable handler from its source, without running it
+ * Usage:
+ *   node scripts/workflow-graph.mjs <handler.mjs|definition.yaml> [--format mermaid|dot|asl] [--out <file>] [--check]
+ *
+ * Examples:
+ *   # Mermaid flowchart of the example workflow on stdout
+ *   node scripts/workflow-graph.mjs workflows/durable-function-example/index.mjs
+ *
+ *   # Graphviz rendering
+ *   node scripts/workflow-graph.mjs workflows/durable-function-example/index.mjs --out workflow.dot
+ *   dot -Tsvg workflow.dot > workflow.svg
+ *
+ *   # Refresh the generated diagram in docs/ARCHITECTURE.md (npm run docs:graph)
+ *   node scripts/workflow-graph.mjs workflows/durable-function-example/index.mjs --out docs/ARCHITECTURE.md
+ *
+ *   # Fail when the diagram in the docs no longer matches the handler
+ *   node scripts/workflow-graph.mjs workflows/durable-function-example/index.mjs --out docs/ARCHITECTURE.md --check
+ *
+ *   # Step Functions state machine of a declarative pipeline
+ *   node scripts/workflow-graph.mjs workflows/durable-function-example/pipelines/example-pipeline.yaml --out pipeline.asl.json
+ *
+ * Every durable call on the handler's context becomes a node: parallel is drawn as a fork/join,
+ * map as a loop and runInChildContext as a subgraph. Calls under if/else/catch/loop blocks hang
+ * off dashed edges. Helpers declared in the same file are followed; imported ones are not. A .json,
+ * .yaml or .yml input is a declarative pipeline definition and is drawn from its nodes instead.
+ *
+ * The asl format exports the same graph as an Amazon States Language state machine; see
+ * scripts/lib/workflow-asl.mjs for how each operation maps to states.
+ *
+ * A Markdown --out file gets the diagram in a code block. An existing Markdown file must mark
+ * where the diagram goes with <!-- workflow-graph: <handler path> --> and <!-- /workflow-graph -->;
+ * only that section is rewritten.
+ *
+ * Options:
+ *   --format  mermaid, dot or asl (default: dot for a .dot/.gv --out file, asl for .json, else mermaid)
+ *   --out     File to write (default: stdout)
+ *   --check   Do not write; exit 3 when --out differs from the generated graph
+ *
+ * Exit codes: 0 written or up to date, 1 unexpected error, 2 rejected (bad arguments, handler or definition),
+ * 3 --out is out of date (--check).
+ */
+
+const FORMATS = ['mermaid', 'dot', 'asl'];
+const DOT_EXTENSIONS = ['.dot', '.gv'];
+const OUT_OF_DATE = 3;
+
+const OPTIONS = {
+  format: { type: 'string' },
+  out: { type: 'string' },
+  check: { type: 'boolean', default: false }
+};
+
+function reject(message) {
+  console.error(`❌ ${message}`);
+  process.exit(2);
+}
+
+/** Operation graph of a handler's source or of a declarative pipeline definition */
+async function readWorkflowGraph(inputPath) {
+  if (DEFINITION_EXTENSIONS.includes(extname(inputPath).toLowerCase())) {
+    try {
+      return definitionToWorkflowGraph(loadWorkflowDefinition(inputPath));
+    } catch (error) {
+      reject(`Cannot read ${inputPath}: ${error.message}`);
+    }
+  }
+
+  let source;
+  try {
+    source = await readFile(inputPath, 'utf-8');
+  } catch (error) {
+    reject(`Cannot read ${inputPath}: ${error.message}`);
+  }
+  try {
+    return extractWorkflowGraph(source);
+  } catch (error) {
+    reject(`Cannot parse ${inputPath}: ${error.message}`);
+  }
+}
+
+function render(workflow, format, inputPath) {
+  switch (format) {
+    case 'dot':
+      return renderDotGraph(workflow);
+    case 'asl':
+      return `${JSON.stringify(toAslStateMachine(workflow, { comment: `Exported from ${inputPath}` }), null, 2)}\n`;
+    default:
+      return renderMermaidFlowchart(workflow);
+  }
+}
+
+async function readIfExists(path) {
+  try {
+    return await readFile(path, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return undefined;
+    }
+    throw error;
+  }
+}
+
+async function main() {
+  let options;
+  let positionals;
+  try {
+    ({ values: options, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true }));
+  } catch (error) {
+    reject(error.message);
+  }
+
+  const [handlerPath] = positionals;
+  if (!handlerPath) {
+    reject('Usage: node scripts/workflow-graph.mjs <handler.mjs|definition.yaml> [--format mermaid|dot|asl] [--out <file>] [--check]');
+  }
+  if (options.check && !options.out) {
+    reject('--check needs the --out file to compare against');
+  }
+
+  const extension = options.out ? extname(options.out).toLowerCase() : '';
+  const format = options.format ?? (DOT_EXTENSIONS.includes(extension) ? 'dot' : extension === '.json' ? 'asl' : 'mermaid');
+  if (!FORMATS.includes(format)) {
+    reject(`Format must be one of: ${FORMATS.join(', ')}`);
+  }
+
+  const workflow = await readWorkflowGraph(handlerPath);
+  const operations = countOperations(workflow.operations);
+  if (operations === 0) {
+    reject(`No durable operations found in ${handlerPath}`);
+  }
+
+  // Markers and the ASL comment name the input relative to the working directory, with forward slashes on every platform
+  const inputPath = relative(process.cwd(), resolve(handlerPath)).split(sep).join('/');
+  const diagram = render(workflow, format, inputPath);
+  if (!options.out) {
+    process.stdout.write(diagram);
+    return;
+  }
+
+  const existing = await readIfExists(options.out);
+  let output = diagram;
+  if (extension === '.md') {
+    const fence = format === 'asl' ? 'json' : format;
+    try {
+      output = existing === undefined
+        ? fenceDiagram(diagram, fence)
+        : replaceGeneratedSection(existing, inputPath, fenceDiagram(diagram, fence));
+    } catch (error) {
+      reject(error.message);
+    }
+  }
+
+  if (options.check) {
+    if (output !== existing) {
+      console.error(`❌ ${options.out} is out of date with ${handlerPath}; run the same command without --check to update it`);
+      process.exit(OUT_OF_DATE);
+    }
+    console.log(`✅ ${options.out} matches ${handlerPath}`);
+    return;
+  }
+
+  await writeFile(options.out, output);
+  console.log(`🗺️  Wrote ${format} graph of ${operations} durable operations to ${options.out}`);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
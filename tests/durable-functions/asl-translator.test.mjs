@@ -0,0 +1,253 @@
+import { describe, it, expect, vi } from 'vitest';
+import { withDurableExecution } from '@aws/durable-execution-sdk-js';
+import { WaitingOperationStatus } from '@aws/durable-execution-sdk-js-testing';
+import {
+  AslTranslationError,
+  createAslWorkflow,
+  findUnsupportedAslFeatures
+} from '../../workflows/durable-function-example/lib/asl-translator.mjs';
+import { toAslRetry } from '../../workflows/durable-function-example/lib/retry-policies.mjs';
+import { approve, runOnTestRunner, useExampleWorkflowEnvironment } from '../helpers/example-workflow.mjs';
+import albumFixture from './__fixtures__/album-registration.asl.json';
+
+const EVENT = { imageKey: 'uploads/shelf.jpg' };
+const ALBUMS = [
+  { title: 'Kind of Blue', artist: 'Miles Davis' },
+  { title: 'Blue Train', artist: 'John Coltrane' },
+  { title: 'Mingus Ah Um', artist: 'Charles Mingus' }
+];
+
+function lambdaError(name, message) {
+  return Object.assign(new Error(message), { name });
+}
+
+/** Integrations of the album fixture; calls records every call by integration key */
+function albumIntegrations(overrides = {}) {
+  const calls = [];
+  const record = (key, respond) => vi.fn(async (input) => {
+    calls.push({ key, input });
+    return respond(input);
+  });
+
+  const integrations = {
+    '${ImageProcessorFunctionArn}': record('image', () => ({ albums: ALBUMS })),
+    '${ValidationTaskManagerFunctionArn}': record('validation', () => ({ statusCode: 202 })),
+    '${PriceEstimatorFunctionArn}': record('price', ({ title }) => ({ title, price: title.length })),
+    'arn:aws:states:::dynamodb:putItem': record('putItem', () => ({})),
+    'arn:aws:states:::dynamodb:updateItem': record('updateItem', () => ({})),
+    ...overrides
+  };
+  return { integrations, calls };
+}
+
+/**
+ * State names along a definition's path, following Next and the first choice of each Choice
+ * state, for the states that run as durable operations
+ */
+function operationStatesAlongPath(definition) {
+  const names = [];
+  let name = definition.StartAt;
+  while (name) {
+    const state = definition.States[name];
+    if (!['Choice', 'Pass', 'Succeed', 'Fail'].includes(state.Type)) {
+      names.push(name);
+    }
+    name = state.Type === 'Choice' ? state.Choices[0].Next : state.Next;
+  }
+  return names;
+}
+
+/**
+ * Run the album registration on the SDK's test runner, answering its task token with decide()
+ * @param {Function|null} decide - Called as (operation) once the validation callback is created;
+ *   approves the albums by default. null leaves the callback unanswered
+ */
+function runAlbumRegistration(integrations, decide = operation => approve(operation, { approved: true, albums: ALBUMS })) {
+  return runOnTestRunner(withDurableExecution(createAslWorkflow(albumFixture, integrations)), EVENT, {
+    functions: {},
+    // The task token wait runs in a child context named after the state; its callback is the second operation of that name
+    callback: runner => runner.getOperationByNameAndIndex('WaitForValidation', 1),
+    waitFor: WaitingOperationStatus.STARTED,
+    onCallback: decide
+  });
+}
+
+describe('ASL Translator', () => {
+  useExampleWorkflowEnvironment({ runner: true });
+
+  describe('album registration', () => {
+    it('should run the album states as the same sequence of durable operations', async () => {
+      const { integrations, calls } = albumIntegrations();
+      let callbackId;
+      const execution = await runAlbumRegistration(integrations, (operation) => {
+        callbackId = operation.getCallbackDetails().callbackId;
+        return approve(operation, { approved: true, albums: ALBUMS });
+      });
+
+      expect(execution.status).toBe('SUCCEEDED');
+      expect(execution.result).toEqual({ status: 'COMPLETED' });
+      expect(calls.find(call => call.key === 'validation').input).toEqual({ taskToken: callbackId, albums: ALBUMS });
+
+      const { operations } = execution;
+      expect(operations.filter(operation => operation.ParentId === undefined).map(operation => operation.Name))
+        .toEqual(operationStatesAlongPath(albumFixture));
+      expect(operations.filter(operation => operation.Name === 'SaveAlbum')).toHaveLength(ALBUMS.length);
+      expect(operations.filter(operation => operation.Name === 'EstimatePrice')).toHaveLength(ALBUMS.length);
+
+      const { executionId } = calls.find(call => call.key === 'image').input;
+      expect(executionId).toEqual(expect.any(String));
+      const saved = calls.filter(call => call.key === 'putItem').map(call => call.input.Item);
+      expect(saved).toContainEqual({ pk: { S: executionId }, status: { S: 'PROCESSING' } });
+      expect(saved).toContainEqual({ pk: 'ALBUM#Blue Train', position: 1 });
+
+      const updates = calls.filter(call => call.key === 'updateItem');
+      expect(updates.map(call => call.input.Key.pk.S)).toEqual([executionId, executionId]);
+      const [, finalUpdate] = updates;
+      expect(JSON.parse(finalUpdate.input.ExpressionAttributeValues[':prices'].S)).toEqual(
+        ALBUMS.map(({ title }) => ({ title, price: title.length }))
+      );
+    });
+
+    it('should retry a Task by its Retry block before its result moves on', async () => {
+      let attempts = 0;
+      const { integrations } = albumIntegrations({
+        '${PriceEstimatorFunctionArn}': async ({ title }) => {
+          if (title === 'Blue Train' && ++attempts === 1) {
+            throw lambdaError('Lambda.TooManyRequestsException', 'Rate exceeded');
+          }
+          return { title, price: 10 };
+        }
+      });
+
+      const execution = await runAlbumRegistration(integrations);
+
+      expect(execution.status).toBe('SUCCEEDED');
+      expect(attempts).toBe(2);
+      expect(execution.operations.find(operation => operation.Name === 'EstimatePrice' && operation.StepDetails.Attempt === 2))
+        .toBeDefined();
+    });
+
+    it('should not retry validation errors under the Retry block of a policy', async () => {
+      let attempts = 0;
+      const definition = {
+        StartAt: 'SaveAlbum',
+        States: {
+          SaveAlbum: { Type: 'Task', Resource: 'arn:aws:states:::dynamodb:putItem', Retry: toAslRetry('exponential'), End: true }
+        }
+      };
+      const workflow = createAslWorkflow(definition, {
+        'arn:aws:states:::dynamodb:putItem': async () => {
+          attempts++;
+          throw lambdaError('ValidationException', 'One or more parameter values were invalid');
+        }
+      });
+
+      const execution = await runOnTestRunner(withDurableExecution(workflow), EVENT, { functions: {}, onCallback: null });
+
+      expect(execution.status).toBe('FAILED');
+      expect(execution.error.errorType).toBe('ValidationException');
+      expect(attempts).toBe(1);
+    });
+
+    it('should follow Catch to HandleError and fail with the caught error', async () => {
+      const { integrations, calls } = albumIntegrations({
+        '${ImageProcessorFunctionArn}': async () => {
+          throw lambdaError('ImageUnreadable', 'uploads/shelf.jpg is not an image');
+        }
+      });
+
+      const execution = await runAlbumRegistration(integrations);
+
+      expect(execution.status).toBe('FAILED');
+      expect(execution.error).toMatchObject({ errorType: 'ImageUnreadable', errorMessage: 'uploads/shelf.jpg is not an image' });
+      expect(calls.map(call => call.key)).toEqual(['updateItem']);
+      expect(calls[0].input.ExpressionAttributeValues[':failure']).toEqual({ S: 'uploads/shelf.jpg is not an image' });
+      expect(execution.operations.map(operation => operation.Name)).toEqual(['ProcessImage', 'HandleError']);
+    });
+
+    it('should fail on the Choice default and on a failed task token', async () => {
+      const rejected = await runAlbumRegistration(albumIntegrations().integrations, operation => approve(operation, { approved: false }));
+
+      expect(rejected.status).toBe('FAILED');
+      expect(rejected.error).toMatchObject({ errorType: 'ValidationRejected', errorMessage: 'The albums were not approved' });
+
+      const failed = await runAlbumRegistration(albumIntegrations().integrations, operation => operation.sendCallbackFailure({
+        ErrorType: 'CatalogUnavailable',
+        ErrorMessage: 'Catalog is down'
+      }));
+
+      expect(failed.status).toBe('FAILED');
+      expect(failed.error).toMatchObject({ errorType: 'CatalogUnavailable', errorMessage: 'Catalog is down' });
+    });
+
+    // The test runner times callbacks out in real time, so the task token is given a second
+    it('should catch a callback timeout as States.Timeout', async () => {
+      const definition = structuredClone(albumFixture);
+      definition.States.WaitForValidation.TimeoutSeconds = 1;
+
+      const { integrations } = albumIntegrations();
+      const timedOut = await runOnTestRunner(withDurableExecution(createAslWorkflow(definition, integrations)), EVENT, {
+        functions: {},
+        onCallback: null
+      });
+
+      expect(timedOut.status).toBe('FAILED');
+      expect(timedOut.error).toMatchObject({ errorType: 'States.Timeout', errorMessage: 'Callback timed out' });
+      expect(timedOut.operations.find(operation => operation.Type === 'CALLBACK').Status).toBe('TIMED_OUT');
+      expect(timedOut.operations.at(-1).Name).toBe('HandleError');
+    });
+  });
+
+  describe('unsupported features', () => {
+    it('should report every feature it cannot map, with its path', () => {
+      const definition = {
+        StartAt: 'Start',
+        TimeoutSeconds: 600,
+        States: {
+          Start: { Type: 'Wait', Timestamp: '2024-01-01T00:00:00Z', Next: 'Both' },
+          Both: {
+            Type: 'Parallel',
+            Retry: [{ ErrorEquals: ['States.ALL'] }],
+            Branches: [{ StartAt: 'Job', States: { Job: { Type: 'Task', Resource: 'arn:aws:states:::glue:startJobRun.sync', End: true } } }],
+            Next: 'Each'
+          },
+          Each: {
+            Type: 'Map',
+            ItemReader: { Resource: 'arn:aws:states:::s3:listObjectsV2' },
+            ItemProcessor: {
+              ProcessorConfig: { Mode: 'DISTRIBUTED' },
+              StartAt: 'Tag',
+              States: { Tag: { Type: 'Pass', Parameters: { 'id.$': 'States.UUID()' }, End: true } }
+            },
+            Next: 'Save'
+          },
+          Save: { Type: 'Task', Resource: 'arn:aws:states:::dynamodb:putItem', OutputPath: '$..id', Next: 'Done' }
+        }
+      };
+
+      expect(findUnsupportedAslFeatures(definition, {}).map(issue => issue.message)).toEqual([
+        'definition.TimeoutSeconds is not supported; set DurableConfig.ExecutionTimeout on the function instead',
+        'definition.States.Start.Timestamp is not supported on Wait states: a wait until a timestamp depends on the current time; use Seconds',
+        'definition.States.Both.Retry is not supported on Parallel states: parallel and map operations are not retried as a whole; retry the Tasks inside them',
+        'definition.States.Both.Branches[0].States.Job.Resource uses arn:aws:states:::glue:startJobRun.sync; .sync integrations are not supported',
+        'definition.States.Each.ItemReader is not supported on Map states: distributed maps are not supported',
+        'definition.States.Each.ItemProcessor.ProcessorConfig.Mode is DISTRIBUTED; distributed maps are not supported',
+        'definition.States.Each.ItemProcessor.States.Tag.Parameters.id.$ uses States.UUID; supported intrinsic functions are: '
+          + 'States.Format, States.StringToJson, States.JsonToString, States.Array, States.ArrayLength, States.ArrayGetItem, States.MathAdd',
+        'definition.States.Save.Next "Done" is not a state',
+        "definition.States.Save.OutputPath uses the path $..id; only $, $$, .member, [index] and ['member'] are supported",
+        'definition.States.Save.Resource has no integration registered for arn:aws:states:::dynamodb:putItem'
+      ]);
+      expect(() => createAslWorkflow(definition, {})).toThrow(AslTranslationError);
+    });
+
+    it('should list the integrations a definition needs', () => {
+      const issues = findUnsupportedAslFeatures(albumFixture, {});
+
+      expect(issues.every(issue => issue.feature === 'integration')).toBe(true);
+      expect([...new Set(issues.map(issue => issue.integration))].sort()).toEqual(Object.keys(albumIntegrations().integrations).sort());
+      expect(findUnsupportedAslFeatures(albumFixture)).toEqual([]);
+      expect(() => createAslWorkflow(albumFixture, {})).toThrow('ASL definition cannot be translated (8 issues):');
+    });
+  });
+});
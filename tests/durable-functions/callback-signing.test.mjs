@@ -0,0 +1,203 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { execFile } from 'node:child_process';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+import fc from 'fast-check';
+import { startLocalCallbackServer } from '../../scripts/lib/local-callback-server.mjs';
+import {
+  CallbackIdError,
+  CallbackIdExpiredError,
+  CallbackIdPurposeError,
+  CallbackIdSignatureError,
+  InvalidCallbackIdError,
+  generateCallbackId,
+  isSignedCallbackId,
+  parseCallbackId,
+  signCallbackId,
+  unwrapCallbackId,
+  validateCallbackId
+} from '../../workflows/durable-function-example/lib/callback-helper.mjs';
+import { createLocalExecution, useExampleWorkflowEnvironment } from '../helpers/example-workflow.mjs';
+
+const SECRET = 'test-signing-secret';
+const NOW = Date.parse('2024-01-01T00:00:00Z');
+const SERVICE_CALLBACK_ID = 'c2VydmljZS1jYWxsYmFjay0x';
+const RESUME_SCRIPT = fileURLToPath(new URL('../../scripts/resume-workflow.mjs', import.meta.url));
+
+const runResumeScript = promisify(execFile);
+
+/** Replace one character of the claims or signature segment */
+function tamper(callbackId, segment) {
+  const parts = callbackId.split('.');
+  const index = segment === 'claims' ? 1 : 2;
+  const value = parts[index];
+  parts[index] = `${value.slice(0, 5)}${value[5] === 'A' ? 'B' : 'A'}${value.slice(6)}`;
+  return parts.join('.');
+}
+
+describe('Signed Callback IDs', () => {
+  describe('signCallbackId', () => {
+    it('should keep the plain format for generated IDs', () => {
+      const callbackId = generateCallbackId('exec-1');
+
+      expect(callbackId).toMatch(/^callback-exec-1-[0-9a-f-]{36}$/);
+      expect(isSignedCallbackId(callbackId)).toBe(false);
+      expect(parseCallbackId(callbackId)).toMatchObject({ prefix: 'callback', executionId: 'exec-1' });
+    });
+
+    it('should sign the service callback ID with the execution ID, expiry and purpose', () => {
+      const callbackId = signCallbackId(SERVICE_CALLBACK_ID, { executionId: 'exec-1', secret: SECRET, ttlSeconds: 600, now: NOW });
+
+      expect(isSignedCallbackId(callbackId)).toBe(true);
+      expect(validateCallbackId(callbackId, { secret: SECRET, now: NOW })).toBe(true);
+      expect(parseCallbackId(callbackId, { secret: SECRET, now: NOW })).toEqual({
+        prefix: 'callback',
+        executionId: 'exec-1',
+        callbackId: SERVICE_CALLBACK_ID,
+        purpose: 'resume',
+        expiresAt: '2024-01-01T00:10:00.000Z',
+        signed: true
+      });
+      expect(unwrapCallbackId(callbackId, { secret: SECRET, now: NOW })).toBe(SERVICE_CALLBACK_ID);
+      expect(() => signCallbackId(SERVICE_CALLBACK_ID, { executionId: 'exec-1' })).toThrow(CallbackIdSignatureError);
+    });
+
+    it('Property 1: signed IDs round-trip any service callback ID, execution ID and purpose', () => {
+      fc.assert(fc.property(fc.string({ minLength: 1 }), fc.string({ minLength: 1 }), fc.string({ minLength: 1 }), (serviceCallbackId, executionId, purpose) => {
+        const callbackId = signCallbackId(serviceCallbackId, { executionId, secret: SECRET, purpose, now: NOW });
+        const parsed = parseCallbackId(callbackId, { secret: SECRET, purpose, now: NOW });
+
+        expect(parsed.executionId).toBe(executionId);
+        expect(parsed.purpose).toBe(purpose);
+        expect(unwrapCallbackId(callbackId, { secret: SECRET, purpose, now: NOW })).toBe(serviceCallbackId);
+      }), { numRuns: 100 });
+    });
+
+    it('should pass unsigned service IDs through only when no secret is set', () => {
+      expect(unwrapCallbackId(SERVICE_CALLBACK_ID)).toBe(SERVICE_CALLBACK_ID);
+      expect(() => unwrapCallbackId(SERVICE_CALLBACK_ID, { secret: SECRET })).toThrow('Callback ID is not signed');
+    });
+  });
+
+  describe('verification', () => {
+    const callbackId = signCallbackId(SERVICE_CALLBACK_ID, { executionId: 'exec-1', secret: SECRET, ttlSeconds: 600, now: NOW });
+
+    it('should reject tampered claims and signatures', () => {
+      expect(() => parseCallbackId(tamper(callbackId, 'claims'), { secret: SECRET, now: NOW }))
+        .toThrow(CallbackIdSignatureError);
+      expect(() => parseCallbackId(tamper(callbackId, 'signature'), { secret: SECRET, now: NOW }))
+        .toThrow('Callback ID signature is invalid');
+    });
+
+    it('should reject IDs signed with another secret', () => {
+      expect(() => parseCallbackId(callbackId, { secret: 'other-secret', now: NOW }))
+        .toThrow(CallbackIdSignatureError);
+    });
+
+    it('should reject expired IDs with their expiry', () => {
+      let error;
+      try {
+        parseCallbackId(callbackId, { secret: SECRET, now: NOW + 600 * 1000 });
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error).toBeInstanceOf(CallbackIdExpiredError);
+      expect(error.message).toBe('Callback ID expired at 2024-01-01T00:10:00.000Z');
+      expect(error.expiresAt).toBe(Math.floor(NOW / 1000) + 600);
+    });
+
+    it('should reject IDs issued for another purpose', () => {
+      expect(() => parseCallbackId(callbackId, { secret: SECRET, purpose: 'cancel', now: NOW }))
+        .toThrow(new CallbackIdPurposeError('Callback ID was issued for "resume", not "cancel"'));
+    });
+
+    it('should require the secret for signed IDs and a signature once a secret is set', () => {
+      expect(() => validateCallbackId(callbackId)).toThrow(CallbackIdSignatureError);
+      expect(() => validateCallbackId(generateCallbackId('exec-1'), { secret: SECRET }))
+        .toThrow('Callback ID is not signed');
+    });
+
+    it('should reject malformed IDs with InvalidCallbackIdError', () => {
+      expect(() => validateCallbackId('')).toThrow(InvalidCallbackIdError);
+      expect(() => validateCallbackId('abc-123')).toThrow('Callback ID must start with "callback-" prefix');
+      expect(() => validateCallbackId('callback-s1.onlyclaims', { secret: SECRET }))
+        .toThrow('Signed callback ID must have claims and a signature');
+      expect(new InvalidCallbackIdError('x')).toBeInstanceOf(CallbackIdError);
+    });
+  });
+
+  describe('resume-workflow script', () => {
+    async function resume(callbackId, env = {}) {
+      try {
+        await runResumeScript(process.execPath, [RESUME_SCRIPT, callbackId], {
+          env: { ...process.env, AWS_REGION: 'us-east-1', ...env },
+          timeout: 20000
+        });
+        return { code: 0 };
+      } catch (error) {
+        return { code: error.code, stderr: error.stderr };
+      }
+    }
+
+    it('should refuse a forged ID before calling AWS', async () => {
+      const forged = tamper(signCallbackId(SERVICE_CALLBACK_ID, { executionId: 'exec-1', secret: SECRET }), 'claims');
+
+      const { code, stderr } = await resume(forged, { CALLBACK_SIGNING_SECRET: SECRET });
+
+      expect(code).toBe(2);
+      expect(stderr).toContain('Refusing to resume workflow: Callback ID signature is invalid (CallbackIdSignatureError)');
+    });
+
+    it('should refuse unsigned IDs while a signing secret is configured', async () => {
+      const { code, stderr } = await resume('callback-exec-1-abc', { CALLBACK_SIGNING_SECRET: SECRET });
+
+      expect(code).toBe(2);
+      expect(stderr).toContain('Callback ID is not signed');
+    });
+  });
+
+  describe('end to end', () => {
+    let directory;
+    let server;
+
+    useExampleWorkflowEnvironment();
+
+    afterEach(async () => {
+      await server?.close();
+      await rm(directory, { recursive: true, force: true });
+      vi.unstubAllEnvs();
+    });
+
+    it('should resume the execution with the signed ID the workflow handed out', async () => {
+      directory = await mkdtemp(join(tmpdir(), 'callback-signing-'));
+      const outbox = join(directory, 'outbox.jsonl');
+      vi.stubEnv('CALLBACK_SIGNING_SECRET', SECRET);
+      vi.stubEnv('CALLBACK_SUBMITTER', 'outbox');
+      vi.stubEnv('CALLBACK_OUTBOX_PATH', outbox);
+
+      const execution = createLocalExecution();
+      await execution.run({ advanceTimers: true });
+      const [callback] = execution.pendingCallbacks();
+      const [{ callbackId: issuedId, payload }] = (await readFile(outbox, 'utf-8')).trim().split('\n').map(line => JSON.parse(line));
+
+      expect(isSignedCallbackId(issuedId)).toBe(true);
+      expect(payload.callbackId).toBe(issuedId);
+      expect(unwrapCallbackId(issuedId, { secret: SECRET })).toBe(callback.callbackId);
+
+      server = await startLocalCallbackServer(execution);
+      const { stdout } = await runResumeScript(process.execPath, [RESUME_SCRIPT, '--endpoint', server.url, issuedId, 'success', '{"approved":true}'], {
+        env: { ...process.env, AWS_REGION: 'us-east-1', AWS_ACCESS_KEY_ID: 'local', AWS_SECRET_ACCESS_KEY: 'local' },
+        timeout: 20000
+      });
+
+      expect(stdout).toContain(`Verified signed callback ID for execution ${execution.executionId}`);
+      expect(server.requests).toEqual([{ action: 'succeed', callbackId: callback.callbackId, status: 200 }]);
+      expect(execution.status).toBe('SUCCEEDED');
+      expect(JSON.parse(execution.result.callbackResult)).toEqual({ approved: true });
+    });
+  });
+});
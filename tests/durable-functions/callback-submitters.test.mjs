@@ -0,0 +1,205 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createCallbackPayload } from '../../workflows/durable-function-example/lib/callback-helper.mjs';
+import {
+  createCallbackSubmitter,
+  createNotifierSubmitter,
+  createOutboxSubmitter,
+  createQueueSubmitter,
+  createWebhookSubmitter,
+  getCallbackSubmitterConfig
+} from '../../workflows/durable-function-example/lib/callback-submitters.mjs';
+import { approve, runExampleWorkflow, testEvent, useExampleWorkflowEnvironment } from '../helpers/example-workflow.mjs';
+
+const submission = {
+  callbackId: 'callback-exec-1-abc',
+  executionId: 'exec-1',
+  payload: createCallbackPayload('callback-exec-1-abc', { workflowId: 'durable-demo-001' })
+};
+
+const okResponse = (status = 200) => ({ ok: status < 300, status });
+
+describe('Callback Submitters', () => {
+  let outboxDir;
+
+  useExampleWorkflowEnvironment({ runner: true });
+
+  beforeEach(async () => {
+    outboxDir = await mkdtemp(join(tmpdir(), 'callback-outbox-'));
+  });
+
+  afterEach(async () => {
+    vi.unstubAllEnvs();
+    await rm(outboxDir, { recursive: true, force: true });
+  });
+
+  describe('configuration', () => {
+    it('should pick the submitter from the environment', () => {
+      const config = getCallbackSubmitterConfig({}, {
+        CALLBACK_SUBMITTER: 'webhook',
+        CALLBACK_WEBHOOK_URL: 'https://hooks.example.com/callbacks'
+      });
+
+      expect(config).toMatchObject({ type: 'webhook', url: 'https://hooks.example.com/callbacks' });
+      expect(createCallbackSubmitter(config).type).toBe('webhook');
+    });
+
+    it('should let the event pick the submitter type but not its destination', () => {
+      const config = getCallbackSubmitterConfig(
+        { callbackSubmission: { type: 'webhook', url: 'http://169.254.169.254/latest', path: '/etc/cron.d/job' } },
+        { CALLBACK_SUBMITTER: 'outbox', CALLBACK_WEBHOOK_URL: 'https://hooks.example.com/callbacks' }
+      );
+
+      expect(config).toMatchObject({ type: 'webhook', url: 'https://hooks.example.com/callbacks', path: '/tmp/callback-outbox.jsonl' });
+      expect(createCallbackSubmitter(config).type).toBe('webhook');
+    });
+
+    it('should default to logging and reject unknown submitters', () => {
+      expect(createCallbackSubmitter(getCallbackSubmitterConfig({}, {})).type).toBe('log');
+      expect(() => createCallbackSubmitter({ type: 'pigeon' }))
+        .toThrow('Callback submitter must be one of: log, webhook, queue, notifier, outbox');
+    });
+
+    it('should reject adapters missing their destination', () => {
+      expect(() => createWebhookSubmitter({})).toThrow('Webhook callback submitter requires a url');
+      expect(() => createQueueSubmitter({})).toThrow('Queue callback submitter requires a queueUrl');
+      expect(() => createNotifierSubmitter({ channel: 'email', to: 'ops@example.com' }))
+        .toThrow('Email callback notifier requires to and from addresses');
+      expect(() => createOutboxSubmitter({})).toThrow('Outbox callback submitter requires a path');
+    });
+  });
+
+  describe('adapters', () => {
+    it('should POST the submission to the webhook and fail on error responses', async () => {
+      const fetch = vi.fn().mockResolvedValueOnce(okResponse(202)).mockResolvedValueOnce(okResponse(500));
+      const submitter = createWebhookSubmitter({ url: 'https://hooks.example.com/callbacks', headers: { 'x-api-key': 'k' }, fetch });
+
+      await expect(submitter.submit(submission)).resolves.toEqual({ delivered: true, status: 202 });
+
+      const [url, request] = fetch.mock.calls[0];
+      expect(url).toBe('https://hooks.example.com/callbacks');
+      expect(request.headers).toEqual({ 'content-type': 'application/json', 'x-api-key': 'k' });
+      expect(JSON.parse(request.body)).toEqual(submission);
+
+      await expect(submitter.submit(submission)).rejects.toThrow('Callback webhook responded with status 500');
+    });
+
+    it('should send a queue message with FIFO grouping by execution', async () => {
+      const sendMessage = vi.fn(async () => ({ MessageId: 'msg-1' }));
+      const submitter = createQueueSubmitter({
+        queueUrl: 'https://sqs.us-east-1.amazonaws.com/123456789012/callbacks.fifo',
+        sendMessage
+      });
+
+      await expect(submitter.submit(submission)).resolves.toEqual({ delivered: true, messageId: 'msg-1' });
+
+      const [message] = sendMessage.mock.calls[0];
+      expect(JSON.parse(message.MessageBody)).toEqual(submission);
+      expect(message).toMatchObject({
+        MessageGroupId: 'exec-1',
+        MessageDeduplicationId: 'callback-exec-1-abc',
+        MessageAttributes: { callbackId: { DataType: 'String', StringValue: 'callback-exec-1-abc' } }
+      });
+    });
+
+    it('should leave out FIFO fields for standard queues', async () => {
+      const sendMessage = vi.fn(async () => ({}));
+      await createQueueSubmitter({ queueUrl: 'https://sqs.us-east-1.amazonaws.com/123456789012/callbacks', sendMessage })
+        .submit(submission);
+
+      expect(sendMessage.mock.calls[0][0]).not.toHaveProperty('MessageGroupId');
+    });
+
+    it('should post a readable Slack message with the resume command', async () => {
+      const fetch = vi.fn(async () => okResponse());
+      await createNotifierSubmitter({ webhookUrl: 'https://hooks.slack.com/services/T/B/X', fetch }).submit(submission);
+
+      const { text } = JSON.parse(fetch.mock.calls[0][1].body);
+      expect(text).toContain('*Workflow exec-1 is waiting for a response*');
+      expect(text).toContain('node scripts/resume-workflow.mjs callback-exec-1-abc success');
+      expect(text).toContain('"workflowId":"durable-demo-001"');
+    });
+
+    it('should email the notification', async () => {
+      const sendEmail = vi.fn(async () => ({}));
+      await createNotifierSubmitter({ channel: 'email', to: 'ops@example.com', from: 'workflows@example.com', sendEmail })
+        .submit(submission);
+
+      expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'ops@example.com',
+        from: 'workflows@example.com',
+        subject: 'Workflow exec-1 is waiting for a response'
+      }));
+    });
+
+    it('should append one JSON line per callback to the outbox', async () => {
+      const path = join(outboxDir, 'nested', 'outbox.jsonl');
+      const submitter = createOutboxSubmitter({ path });
+
+      await submitter.submit(submission);
+      await submitter.submit({ ...submission, callbackId: 'callback-exec-1-def' });
+
+      const lines = (await readFile(path, 'utf-8')).trim().split('\n').map(line => JSON.parse(line));
+      expect(lines.map(line => line.callbackId)).toEqual(['callback-exec-1-abc', 'callback-exec-1-def']);
+    });
+  });
+
+  describe('example workflow', () => {
+    it('should write the pending callback to the outbox chosen by the event', async () => {
+      const path = join(outboxDir, 'outbox.jsonl');
+      vi.stubEnv('CALLBACK_OUTBOX_PATH', path);
+      let callbackId;
+
+      const execution = await runExampleWorkflow({ ...testEvent, callbackSubmission: { type: 'outbox' } }, {
+        onCallback: async (operation) => {
+          callbackId = operation.getCallbackDetails().callbackId;
+          await approve(operation);
+        }
+      });
+
+      const [entry] = (await readFile(path, 'utf-8')).trim().split('\n').map(line => JSON.parse(line));
+      expect(execution.status).toBe('SUCCEEDED');
+      expect(entry).toMatchObject({
+        callbackId,
+        executionId: execution.result.executionId,
+        payload: {
+          callbackId,
+          status: 'pending',
+          data: { workflowId: 'durable-demo-001', workItemsCount: 5, metadata: testEvent.metadata }
+        }
+      });
+    });
+
+    it('should reject an event that sets a submitter destination', async () => {
+      const execution = await runExampleWorkflow({
+        ...testEvent,
+        callbackSubmission: { type: 'webhook', url: 'http://169.254.169.254/latest' }
+      });
+
+      expect(execution.status).toBe('FAILED');
+      expect(execution.error.errorType).toBe('InputValidationError');
+      expect(execution.operations).toEqual([]);
+    });
+
+    it('should log the callback ID through the step logger by default', async () => {
+      vi.stubEnv('AWS_LAMBDA_LOG_LEVEL', 'INFO');
+      const stdout = vi.spyOn(process.stdout, 'write').mockImplementation(() => true);
+      let callbackId;
+
+      await runExampleWorkflow(testEvent, {
+        onCallback: async (operation) => {
+          callbackId = operation.getCallbackDetails().callbackId;
+          await approve(operation);
+        }
+      });
+
+      const logs = stdout.mock.calls.map(([line]) => JSON.parse(line));
+      expect(logs).toContainEqual(expect.objectContaining({
+        level: 'INFO',
+        message: `Callback ID ${callbackId} submitted to external system`
+      }));
+    });
+  });
+});
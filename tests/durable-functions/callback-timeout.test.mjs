@@ -0,0 +1,178 @@
+import { describe, it, expect } from 'vitest';
+import { CallbackError, ChildContextError, withDurableExecution } from '@aws/durable-execution-sdk-js';
+import { LocalDurableExecution } from '../../scripts/lib/local-durable-runtime.mjs';
+import {
+  getCallbackTimeout,
+  getCallbackTimeoutBehavior,
+  isCallbackTimeout
+} from '../../workflows/durable-function-example/lib/callback-helper.mjs';
+import { createLocalExecution, runOnTestRunner, testEvent, useExampleWorkflowEnvironment } from '../helpers/example-workflow.mjs';
+
+/** Workflow that waits for a callback with the given timeouts and reports how it failed */
+function callbackFailure(config) {
+  return async (event, context) => {
+    try {
+      return await context.waitForCallback('job', async () => {}, config);
+    } catch (error) {
+      return {
+        timeout: getCallbackTimeout(error) ?? null,
+        error: { name: error.name, message: error.message, cause: { name: error.cause.name, message: error.cause.message } }
+      };
+    }
+  };
+}
+
+describe('Callback Timeout Fallback', () => {
+  useExampleWorkflowEnvironment({ runner: true });
+
+  describe('example workflow', () => {
+    it('should continue with the timeout fallback when the 1-hour callback wait expires', async () => {
+      const execution = createLocalExecution(testEvent);
+
+      await execution.run();
+      await execution.advanceTime({ minutes: 60 });
+      await execution.run({ advanceTimers: true });
+
+      expect(execution.status).toBe('SUCCEEDED');
+      expect(execution.result.callbackResult).toMatchObject({
+        timedOut: true,
+        callbackId: 'wait-for-external-callback',
+        defaultValue: 'timeout-fallback',
+        timeoutSeconds: 3600
+      });
+      expect(execution.result.advancedOperations.invokeResult.statusCode).toBe(200);
+
+      const fallback = execution.operations.get('3-1-2');
+      expect(fallback).toMatchObject({ Type: 'STEP', Name: 'callback-timeout-fallback', Status: 'SUCCEEDED' });
+      expect(execution.operations.get('3-1-1').Status).toBe('FAILED');
+    });
+
+    it('should replay the checkpointed fallback instead of running it again', async () => {
+      const execution = createLocalExecution(testEvent);
+
+      await execution.run();
+      await execution.advanceTime({ minutes: 60 });
+      await execution.run({ advanceTimers: true });
+
+      const fallbackRuns = execution.bodyRuns.filter(run => run.operationId === '3-1-2');
+      expect(fallbackRuns).toHaveLength(1);
+      expect(execution.invocations.length).toBeGreaterThan(2);
+    });
+
+    it('should fail the execution on timeout when the event asks for it', async () => {
+      const execution = createLocalExecution({ ...testEvent, onCallbackTimeout: 'fail' });
+
+      await execution.run();
+      await execution.advanceTime({ minutes: 60 });
+
+      expect(execution.status).toBe('FAILED');
+      expect(execution.error).toBeInstanceOf(ChildContextError);
+      expect(execution.error.message).toBe('Callback timed out');
+    });
+
+    it('should still fail when the external system reports a failure', async () => {
+      const execution = createLocalExecution(testEvent);
+
+      await execution.run();
+      const [callback] = execution.pendingCallbacks();
+      await execution.sendCallbackFailure(callback.callbackId, { ErrorType: 'Rejected', ErrorMessage: 'Request rejected' });
+
+      expect(execution.status).toBe('FAILED');
+      expect(execution.error.message).toBe('Request rejected');
+      expect(execution.getOperations().some(operation => operation.Name === 'callback-timeout-fallback')).toBe(false);
+    });
+
+    it('should fail when the external failure only mentions a timeout', async () => {
+      const execution = createLocalExecution(testEvent);
+
+      await execution.run();
+      const [callback] = execution.pendingCallbacks();
+      await execution.sendCallbackFailure(callback.callbackId, { ErrorType: 'UpstreamTimeout', ErrorMessage: 'upstream timed out' });
+
+      expect(execution.status).toBe('FAILED');
+      expect(execution.error.message).toBe('upstream timed out');
+      expect(execution.getOperations().some(operation => operation.Name === 'callback-timeout-fallback')).toBe(false);
+    });
+
+    it('should reject an unknown timeout behavior before any operation runs', async () => {
+      const execution = createLocalExecution({ ...testEvent, onCallbackTimeout: 'retry' });
+
+      await execution.run();
+
+      expect(execution.status).toBe('FAILED');
+      expect(execution.error.name).toBe('InputValidationError');
+      expect(execution.error.message).toContain('- onCallbackTimeout must be one of: fallback, fail');
+      expect(execution.getOperations()).toEqual([]);
+    });
+  });
+
+  describe('getCallbackTimeoutBehavior', () => {
+    it('should default to the fallback', () => {
+      expect(getCallbackTimeoutBehavior({})).toBe('fallback');
+      expect(getCallbackTimeoutBehavior(undefined)).toBe('fallback');
+      expect(getCallbackTimeoutBehavior({ onCallbackTimeout: 'fail' })).toBe('fail');
+    });
+  });
+
+  // The test runner times callbacks out in real time, so these wait a second each
+  describe('on the SDK', () => {
+    it('should recognise a callback the service timed out', async () => {
+      const execution = await runOnTestRunner(withDurableExecution(callbackFailure({ timeout: { seconds: 1 } })), {}, { onCallback: null });
+
+      expect(execution.result).toEqual({
+        timeout: 'timeout',
+        error: { name: 'ChildContextError', message: 'Callback timed out', cause: { name: 'CallbackError', message: 'Callback timed out' } }
+      });
+      expect(execution.operations.find(operation => operation.Type === 'CALLBACK').Status).toBe('TIMED_OUT');
+    });
+
+    it('should recognise a heartbeat timeout', async () => {
+      const workflow = callbackFailure({ timeout: { minutes: 1 }, heartbeatTimeout: { seconds: 1 } });
+      const execution = await runOnTestRunner(withDurableExecution(workflow), {}, { onCallback: null });
+
+      expect(execution.result.timeout).toBe('heartbeat');
+      expect(execution.result.error.message).toBe('Callback timed out on heartbeat');
+    });
+
+    it('should fail the callback the same way on the local runtime', async () => {
+      const workflow = callbackFailure({ timeout: { seconds: 1 } });
+      const onRunner = await runOnTestRunner(withDurableExecution(workflow), {}, { onCallback: null });
+      const local = new LocalDurableExecution(workflow, {});
+      await local.run();
+      await local.advanceTime({ seconds: 1 });
+
+      expect(local.result).toEqual(onRunner.result);
+    });
+
+    it('should not treat a failure the external system reports as a timeout', async () => {
+      const execution = await runOnTestRunner(withDurableExecution(callbackFailure({ timeout: { minutes: 1 } })), {}, {
+        callback: 'job',
+        onCallback: operation => operation.sendCallbackFailure({ ErrorType: 'Rejected', ErrorMessage: 'Request rejected' })
+      });
+
+      expect(execution.result).toMatchObject({ timeout: null, error: { message: 'Request rejected' } });
+    });
+  });
+
+  describe('getCallbackTimeout', () => {
+    it('should recognise timeouts anywhere in the cause chain', () => {
+      const timeout = new ChildContextError('Callback timed out', new CallbackError('Callback timed out', new Error('Callback timed out')));
+      const heartbeat = new Error('wrapped', { cause: new CallbackError('Callback timed out on heartbeat') });
+
+      expect(getCallbackTimeout(timeout)).toBe('timeout');
+      expect(getCallbackTimeout(heartbeat)).toBe('heartbeat');
+    });
+
+    it('should treat a callback that failed without an error as timed out', () => {
+      expect(getCallbackTimeout(new CallbackError('Callback failed'))).toBe('timeout');
+    });
+
+    it('should not treat external failures as timeouts', () => {
+      expect(isCallbackTimeout(new ChildContextError('Request rejected', new CallbackError('Request rejected')))).toBe(false);
+      expect(isCallbackTimeout(new CallbackError('Callback timed out', Object.assign(new Error('Callback timed out'), { name: 'UpstreamTimeout' }))))
+        .toBe(false);
+      expect(isCallbackTimeout(Object.assign(new Error('Callback timed out'), { name: 'CallbackTimeout' }))).toBe(false);
+      expect(isCallbackTimeout(undefined)).toBe(false);
+    });
+  });
+});
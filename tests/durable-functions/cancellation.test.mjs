@@ -0,0 +1,194 @@
+import { describe, it, expect } from 'vitest';
+import { LocalDurableExecution } from '../../scripts/lib/local-durable-runtime.mjs';
+import {
+  STOP_REQUEST_CALLBACK,
+  WorkflowCancelledError,
+  createCancellationScope,
+  parseStopRequest
+} from '../../workflows/durable-function-example/lib/cancellation.mjs';
+import { createLocalExecution, testEvent, useExampleWorkflowEnvironment } from '../helpers/example-workflow.mjs';
+
+const STOP_REQUEST = JSON.stringify({ reason: 'Bad items in batch', requestedBy: 'ops', requestedAt: '2024-01-01T00:01:00.000Z' });
+
+/** The stop-request callback of the region the execution is waiting in */
+function openStopRequest(execution, region) {
+  const regionId = execution.getOperations().find(operation => operation.Name === region).Id;
+  return execution.pendingCallbacks().find(callback =>
+    callback.name === STOP_REQUEST_CALLBACK && callback.operationId.startsWith(`${regionId}-`));
+}
+
+describe('Workflow Cancellation', () => {
+  useExampleWorkflowEnvironment();
+
+  describe('example workflow', () => {
+    it('should cancel while waiting for the external callback and release every work item', async () => {
+      const execution = createLocalExecution();
+      await execution.run({ advanceTimers: true });
+
+      const stop = openStopRequest(execution, 'stoppable-external-callback');
+      await execution.sendCallbackSuccess(stop.callbackId, STOP_REQUEST);
+      await execution.run({ advanceTimers: true });
+
+      expect(execution.status).toBe('SUCCEEDED');
+      expect(execution.result).toEqual({
+        status: 'cancelled',
+        workflowId: testEvent.workflowId,
+        executionId: execution.executionId,
+        cancellation: {
+          reason: 'Bad items in batch',
+          requestedBy: 'ops',
+          requestedAt: '2024-01-01T00:01:00.000Z',
+          region: 'stoppable-external-callback'
+        },
+        mapResults: [],
+        itemsProcessed: 0,
+        cleanup: [{
+          name: 'release-work-items',
+          result: {
+            releasedItems: ['work-item-1', 'work-item-2', 'work-item-3', 'work-item-4', 'work-item-5'],
+            status: 'released',
+            reason: 'Bad items in batch'
+          }
+        }]
+      });
+
+      const names = execution.getOperations().map(operation => operation.Name);
+      expect(names).toContain('cleanup-release-work-items');
+      expect(names).not.toContain('aggregateResults');
+    });
+
+    it('should cancel during the readiness check with the map results that had finished', async () => {
+      const execution = createLocalExecution();
+      await execution.run();
+      const [approval] = execution.pendingCallbacks();
+      await execution.sendCallbackSuccess(approval.callbackId, { approved: true });
+      await execution.advanceTime({ seconds: 5 });
+
+      const stop = openStopRequest(execution, 'stoppable-condition');
+      await execution.sendCallbackSuccess(stop.callbackId, STOP_REQUEST);
+      await execution.run({ advanceTimers: true });
+
+      const { result } = execution;
+      expect(result.status).toBe('cancelled');
+      expect(result.cancellation.region).toBe('stoppable-condition');
+      expect(result.itemsProcessed).toBe(testEvent.inputData.items.length);
+      expect(result.mapResults.map(item => item.transformedData)).toEqual(
+        testEvent.inputData.items.map(item => `processed-${item}`)
+      );
+      expect(result.cleanup[0].result.releasedItems).toEqual([]);
+      expect(execution.getOperations().some(operation => operation.Name === 'invoke-hello-world')).toBe(false);
+    });
+
+    it('should checkpoint the cleanup step so replays do not run it again', async () => {
+      const execution = createLocalExecution();
+      await execution.run({ advanceTimers: true });
+
+      const stop = openStopRequest(execution, 'stoppable-external-callback');
+      await execution.sendCallbackSuccess(stop.callbackId, STOP_REQUEST);
+      const first = execution.result;
+
+      const replay = createLocalExecution(testEvent, {
+        executionId: execution.executionId,
+        checkpoints: execution.getOperations()
+      });
+      await replay.run();
+
+      const cleanupId = execution.getOperations().find(operation => operation.Name === 'cleanup-release-work-items').Id;
+      expect(replay.result).toEqual(first);
+      expect(replay.bodyRuns.filter(run => run.operationId === cleanupId)).toEqual([]);
+    });
+
+    it('should treat a failed stop-request callback as a stop with its message as the reason', async () => {
+      const execution = createLocalExecution();
+      await execution.run({ advanceTimers: true });
+
+      const stop = openStopRequest(execution, 'stoppable-external-callback');
+      await execution.sendCallbackFailure(stop.callbackId, { ErrorType: 'Aborted', ErrorMessage: 'Operator abort' });
+
+      expect(execution.result.status).toBe('cancelled');
+      expect(execution.result.cancellation).toMatchObject({ reason: 'Operator abort', requestedBy: null });
+    });
+
+    it('should complete normally when nobody asks to stop', async () => {
+      const execution = createLocalExecution();
+      await execution.runToCompletion(() => ({ approved: true }));
+
+      expect(execution.status).toBe('SUCCEEDED');
+      expect(execution.result.status).toBeUndefined();
+      expect(execution.getOperations().some(operation => operation.Name?.startsWith('cleanup-'))).toBe(false);
+    });
+  });
+
+  describe('createCancellationScope', () => {
+    it('should return the guarded work result when it finishes before a stop request', async () => {
+      const execution = new LocalDurableExecution(async (event, context) => {
+        const cancellation = createCancellationScope(context);
+        return await cancellation.guard('region', async (ctx) => ctx.step('work', async () => 42));
+      }, {});
+
+      await execution.run();
+
+      expect(execution.result).toBe(42);
+    });
+
+    it('should run cleanups last registered first, each as its own step', async () => {
+      const execution = new LocalDurableExecution(async (event, context) => {
+        const cancellation = createCancellationScope(context);
+        cancellation.onCancel('first', async ({ reason }) => `first: ${reason}`);
+        cancellation.onCancel('second', async ({ reason }) => `second: ${reason}`);
+
+        try {
+          return await cancellation.guard('region', async (ctx) => ctx.wait({ hours: 1 }));
+        } catch (error) {
+          return { region: error.region, cleanup: await cancellation.cleanUp(error) };
+        }
+      }, {});
+
+      await execution.run();
+      const [stop] = execution.pendingCallbacks();
+      await execution.sendCallbackSuccess(stop.callbackId, 'Operator abort');
+
+      expect(execution.result).toEqual({
+        region: 'region',
+        cleanup: [
+          { name: 'second', result: 'second: Operator abort' },
+          { name: 'first', result: 'first: Operator abort' }
+        ]
+      });
+      expect(execution.getOperations().filter(operation => operation.Type === 'STEP').map(operation => operation.Name))
+        .toEqual(['cleanup-second', 'cleanup-first']);
+    });
+
+    it('should let a failure in the guarded work fail the workflow', async () => {
+      const execution = new LocalDurableExecution(async (event, context) => {
+        const cancellation = createCancellationScope(context);
+        return await cancellation.guard('region', async (ctx) => ctx.step('work', async () => {
+          throw new Error('Work failed');
+        }, { retryStrategy: () => ({ shouldRetry: false }) }));
+      }, {});
+
+      await execution.run();
+
+      expect(execution.status).toBe('FAILED');
+      expect(execution.error.message).toBe('Work failed');
+      expect(execution.error).not.toBeInstanceOf(WorkflowCancelledError);
+    });
+  });
+
+  describe('parseStopRequest', () => {
+    it('should decode a JSON stop request', () => {
+      expect(parseStopRequest(STOP_REQUEST)).toEqual({
+        reason: 'Bad items in batch',
+        requestedBy: 'ops',
+        requestedAt: '2024-01-01T00:01:00.000Z'
+      });
+    });
+
+    it('should take plain text as the reason and default the rest', () => {
+      expect(parseStopRequest('Duplicate order')).toEqual({ reason: 'Duplicate order', requestedBy: null, requestedAt: null });
+      expect(parseStopRequest(undefined).reason).toBe('Stop requested');
+      expect(parseStopRequest('{"reason":"  "}').reason).toBe('Stop requested');
+      expect(parseStopRequest('[1,2]').reason).toBe('Stop requested');
+    });
+  });
+});
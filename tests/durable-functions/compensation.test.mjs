@@ -0,0 +1,208 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { runWithCrash } from '../helpers/crash-harness.mjs';
+import {
+  HELLO_WORLD_ARN,
+  runExampleWorkflow,
+  testEvent,
+  useExampleWorkflowEnvironment
+} from '../helpers/example-workflow.mjs';
+import { workflow } from '../../workflows/durable-function-example/index.mjs';
+import { createInvokePayload, resetSystemReadiness } from '../../workflows/durable-function-example/lib/advanced-operations.mjs';
+import { revertProcessedItems } from '../../workflows/durable-function-example/lib/data-processor.mjs';
+import { performDataEnrichment } from '../../workflows/durable-function-example/lib/parallel-operations.mjs';
+import { CompensatedWorkflowError, createCompensationScope } from '../../workflows/durable-function-example/lib/compensation.mjs';
+
+vi.mock('../../workflows/durable-function-example/lib/data-processor.mjs', async (importOriginal) => {
+  const actual = await importOriginal();
+  return { ...actual, revertProcessedItems: vi.fn(actual.revertProcessedItems) };
+});
+
+vi.mock('../../workflows/durable-function-example/lib/advanced-operations.mjs', async (importOriginal) => {
+  const actual = await importOriginal();
+  return { ...actual, createInvokePayload: vi.fn(actual.createInvokePayload) };
+});
+
+vi.mock('../../workflows/durable-function-example/lib/parallel-operations.mjs', async (importOriginal) => {
+  const actual = await importOriginal();
+  return { ...actual, performDataEnrichment: vi.fn(actual.performDataEnrichment) };
+});
+
+const WORK_ITEM_IDS = ['work-item-1', 'work-item-2', 'work-item-3', 'work-item-4', 'work-item-5'];
+
+// The invoke runs after the parallel and map stages, so both have registered their compensations
+const functions = {
+  [HELLO_WORLD_ARN]: async () => {
+    throw new Error('Hello world is unavailable');
+  }
+};
+
+function runToFailure(event = testEvent) {
+  return runExampleWorkflow(event, { functions });
+}
+
+/** An error the SDK marks as unrecoverable, shaped like its non-deterministic replay error */
+function unrecoverableError() {
+  return Object.assign(new Error('Non-deterministic execution detected'), {
+    name: 'NonDeterministicExecutionError',
+    isUnrecoverable: true,
+    isUnrecoverableExecution: true
+  });
+}
+
+const compensationSteps = execution => execution.operations
+  .filter(operation => operation.Type === 'STEP' && operation.Name?.startsWith('compensate-'));
+
+describe('Saga Compensation', () => {
+  useExampleWorkflowEnvironment({ runner: true });
+
+  beforeEach(() => {
+    revertProcessedItems.mockClear();
+    performDataEnrichment.mockClear();
+    createInvokePayload.mockClear();
+  });
+
+  it('should run the registered compensations in reverse order and report each outcome', async () => {
+    const execution = await runToFailure();
+
+    expect(execution.status).toBe('FAILED');
+    expect(execution.error.errorType).toBe('CompensatedWorkflowError');
+    expect(execution.error.errorMessage).toBe([
+      'Hello world is unavailable; all 2 compensations ran:',
+      '- compensate-revert-processed-items: compensated',
+      '- compensate-discard-enrichment: compensated'
+    ].join('\n'));
+    expect(compensationSteps(execution).map(operation => [operation.Name, operation.Status])).toEqual([
+      ['compensate-revert-processed-items', 'SUCCEEDED'],
+      ['compensate-discard-enrichment', 'SUCCEEDED']
+    ]);
+
+    const { error, compensations } = JSON.parse(execution.error.errorData);
+    expect(error.message).toBe('Hello world is unavailable');
+    expect(compensations).toEqual([
+      {
+        name: 'revert-processed-items',
+        status: 'compensated',
+        result: { revertedItems: WORK_ITEM_IDS, status: 'reverted', reason: 'Hello world is unavailable' }
+      },
+      {
+        name: 'discard-enrichment',
+        status: 'compensated',
+        result: { task: 2, type: 'enrichment', result: 'discarded', itemsDiscarded: 5, reason: 'Hello world is unavailable' }
+      }
+    ]);
+    expect(execution.operations.map(operation => operation.Name)).not.toContain('aggregateResults');
+  });
+
+  it('should record a compensation that fails after its retries and still run the rest', async () => {
+    revertProcessedItems.mockImplementation(() => {
+      throw new Error('Item store is read-only');
+    });
+
+    const execution = await runToFailure();
+
+    expect(execution.status).toBe('FAILED');
+    expect(execution.error.errorMessage).toMatch(/^Hello world is unavailable; 1 of 2 compensations failed:\n/);
+    expect(execution.error.errorMessage).toContain('- compensate-revert-processed-items: failed (Item store is read-only)');
+    expect(revertProcessedItems).toHaveBeenCalledTimes(8);
+
+    const { compensations } = JSON.parse(execution.error.errorData);
+    expect(compensations.map(({ name, status }) => ({ name, status }))).toEqual([
+      { name: 'revert-processed-items', status: 'failed' },
+      { name: 'discard-enrichment', status: 'compensated' }
+    ]);
+    expect(compensations[0].error).toEqual({ message: 'Item store is read-only' });
+  });
+
+  it('should not discard enrichment when the enrichment branch failed', async () => {
+    performDataEnrichment.mockImplementation(async () => {
+      throw Object.assign(new Error('Enrichment source rejected the batch'), { retryable: false });
+    });
+
+    const execution = await runToFailure();
+
+    expect(execution.status).toBe('FAILED');
+    expect(execution.error.errorType).toBe('CompensatedWorkflowError');
+    expect(execution.error.errorMessage).toBe([
+      'Hello world is unavailable; all 1 compensations ran:',
+      '- compensate-revert-processed-items: compensated'
+    ].join('\n'));
+    expect(compensationSteps(execution).map(operation => operation.Name)).toEqual(['compensate-revert-processed-items']);
+  });
+
+  it('should fail without compensating when no stage has completed', async () => {
+    const execution = await runToFailure({ ...testEvent, inputData: { items: [] } });
+
+    expect(execution.status).toBe('FAILED');
+    expect(execution.error.errorType).not.toBe('CompensatedWorkflowError');
+    expect(compensationSteps(execution)).toEqual([]);
+  });
+
+  it('should rethrow an unrecoverable error without compensating', async () => {
+    // The invoke payload is built outside any step, so its error reaches the workflow unchanged
+    createInvokePayload.mockImplementationOnce(() => {
+      throw unrecoverableError();
+    });
+
+    const execution = await runExampleWorkflow();
+
+    expect(execution.status).toBe('FAILED');
+    expect(execution.error).toMatchObject({
+      errorType: 'NonDeterministicExecutionError',
+      errorMessage: 'Non-deterministic execution detected'
+    });
+    expect(compensationSteps(execution)).toEqual([]);
+    expect(revertProcessedItems).not.toHaveBeenCalled();
+  });
+
+  it('should stop compensating at an unrecoverable compensation error and rethrow it', async () => {
+    const error = unrecoverableError();
+    const context = { step: vi.fn(async (name, fn) => fn()) };
+    const later = vi.fn();
+    const scope = createCompensationScope(context);
+    scope.register('later', later);
+    scope.register('first', async () => {
+      throw error;
+    });
+
+    await expect(scope.compensate(new Error('Stage failed'))).rejects.toBe(error);
+    expect(context.step.mock.calls.map(([name]) => name)).toEqual(['compensate-first']);
+    expect(later).not.toHaveBeenCalled();
+  });
+
+  it('should finish compensating with the same outcomes after a crash at any compensation checkpoint', async () => {
+    // The SDK's test runner cannot kill an invocation part way, so this runs on the local runtime
+    const exampleOptions = {
+      executionId: 'durable-demo-001',
+      startTime: '2024-01-01T00:00:00Z',
+      functions,
+      resolveCallback: () => ({ approved: true }),
+      beforeRun: resetSystemReadiness
+    };
+    const baseline = await runWithCrash(workflow, testEvent, exampleOptions);
+    const crashPoints = baseline.checkpoints
+      .filter(checkpoint => checkpoint.path.startsWith('compensate-'))
+      .map(checkpoint => checkpoint.checkpoint);
+    expect(crashPoints.length).toBeGreaterThanOrEqual(2);
+
+    for (const crashAfter of crashPoints) {
+      const { execution, crashedAt, duplicateBodies } = await runWithCrash(workflow, testEvent, { ...exampleOptions, crashAfter });
+
+      expect(crashedAt.path).toMatch(/^compensate-/);
+      expect(execution.status).toBe('FAILED');
+      expect(execution.error.message).toBe(baseline.execution.error.message);
+      expect(execution.getOperations().filter(operation => operation.Name?.startsWith('compensate-'))).toHaveLength(2);
+      expect(duplicateBodies).toEqual([]);
+    }
+  });
+
+  it('should list the failure and each compensation in the error message', () => {
+    const error = new CompensatedWorkflowError(new TypeError('Bad record'), [
+      { name: 'b', status: 'failed', error: { message: 'Store offline' } },
+      { name: 'a', status: 'compensated', result: null }
+    ]);
+
+    expect(error.message).toBe('Bad record; 1 of 2 compensations failed:\n- compensate-b: failed (Store offline)\n- compensate-a: compensated');
+    expect(error.failure).toEqual({ type: 'TypeError', message: 'Bad record' });
+    expect(error.cause).toBeInstanceOf(TypeError);
+  });
+});
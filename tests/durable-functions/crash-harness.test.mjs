@@ -0,0 +1,134 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { runWithCrash, sweepCrashPoints } from '../helpers/crash-harness.mjs';
+import { workflow } from '../../workflows/durable-function-example/index.mjs';
+import { resetSystemReadiness } from '../../workflows/durable-function-example/lib/advanced-operations.mjs';
+import { HELLO_WORLD_ARN, testEvent, useExampleWorkflowEnvironment } from '../helpers/example-workflow.mjs';
+
+// The sweep resumes a full run of the example for every checkpoint; skip the latency its business
+// logic simulates, and invoke a hello-world function that answers at once
+vi.mock('../../workflows/durable-function-example/lib/simulated-latency.mjs', () => ({
+  simulateLatency: async () => {}
+}));
+
+const exampleOptions = {
+  executionId: 'durable-demo-001',
+  startTime: '2024-01-01T00:00:00Z',
+  functions: {
+    [HELLO_WORLD_ARN]: async ({ name, message }) => ({ statusCode: 200, greeting: `${message}, ${name}!` })
+  },
+  resolveCallback: () => ({ approved: true }),
+  beforeRun: resetSystemReadiness
+};
+
+describe('Crash-and-Resume Harness', () => {
+  useExampleWorkflowEnvironment();
+
+  beforeEach(() => {
+    // Freeze Date so timestamps in step results match between runs
+    vi.useFakeTimers({ toFake: ['Date'], now: new Date('2024-01-01T00:00:00Z') });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('example workflow', () => {
+    it('should resume after a crash at every checkpoint with the same aggregateResults output', async () => {
+      const sweep = await sweepCrashPoints(workflow, testEvent, exampleOptions);
+
+      expect(sweep.baseline.status).toBe('SUCCEEDED');
+      expect(sweep.runs).toHaveLength(sweep.checkpoints);
+      expect(sweep.failures).toEqual([]);
+
+      const crashedPaths = sweep.runs.map(run => run.crashedAt.path);
+      expect(crashedPaths).toEqual(expect.arrayContaining([
+        'workflow-version',
+        'processInputData',
+        'stoppable-external-callback > work > wait-for-external-callback',
+        'recordApproval',
+        'Parallel 6 > parallel-branch-1 > parallelTask2',
+        'process-work-items > process-priority-3 > map-item-0 > processItem-2',
+        'invoke-hello-world',
+        'isolated-operations > processMetadata',
+        'isolated-operations > validateConfiguration',
+        'aggregateResults'
+      ]));
+      // A crash in the readiness check's stop-request branch lands while the check itself runs, and the
+      // check's leaked counter (see determinism-checker.test.mjs) then saves the resumed run a poll. A
+      // crash once invoke-hello-world has started lands where the invocation suspends for it anyway
+      const resumed = sweep.runs.filter(run => !run.crashedAt.path.startsWith('stoppable-condition > stop-request')
+        && !(run.crashedAt.path === 'invoke-hello-world' && run.crashedAt.status === 'STARTED'));
+      expect(resumed.every(run => run.invocations > sweep.baseline.invocations.length)).toBe(true);
+    });
+  });
+
+  describe('step bodies', () => {
+    it('should not rerun completed item bodies when a map crashes midway', async () => {
+      const body = vi.fn(async (index) => {
+        await new Promise(resolve => setTimeout(resolve, 10 * (index + 1)));
+        return index * 10;
+      });
+
+      const handler = async (event, context) => {
+        const results = await context.map([0, 1, 2], async (ctx, item) => ctx.step(`item-${item}`, () => body(item)));
+        return results.getResults();
+      };
+
+      const baseline = await runWithCrash(handler, {});
+      const firstItemDone = baseline.checkpoints
+        .find(checkpoint => checkpoint.path.endsWith('item-0') && checkpoint.status === 'SUCCEEDED');
+      body.mockClear();
+
+      const crashed = await runWithCrash(handler, {}, { crashAfter: firstItemDone.checkpoint });
+
+      expect(crashed.execution.status).toBe('SUCCEEDED');
+      expect(crashed.execution.result).toEqual([0, 10, 20]);
+      expect(crashed.duplicateBodies).toEqual([]);
+      expect(crashed.rerunBodies).toEqual(['1-2-1', '1-3-1']);
+      expect(body.mock.calls.map(([item]) => item)).toEqual([0, 1, 2, 1, 2]);
+    });
+
+    it('should not start a step body when the crash follows its start checkpoint', async () => {
+      const body = vi.fn(async () => 'done');
+
+      const crashed = await runWithCrash(async (event, context) => context.step('work', body), {}, { crashAfter: 1 });
+
+      expect(crashed.crashedAt).toMatchObject({ operationId: '1', status: 'STARTED' });
+      expect(crashed.execution.result).toBe('done');
+      expect(crashed.execution.invocations).toHaveLength(2);
+      expect(body).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('detection', () => {
+    it('should report crash points where a handler that keeps state outside steps changes its result', async () => {
+      let invocations = 0;
+
+      const sweep = await sweepCrashPoints(async (event, context) => {
+        invocations++;
+        const value = await context.step('value', async () => 42);
+        await context.wait({ seconds: 1 });
+        return { value, invocations };
+      }, {}, { beforeRun: () => { invocations = 0; } });
+
+      expect(sweep.checkpoints).toBe(3);
+      expect(sweep.failures.map(failure => failure.crashAfter)).toEqual([1, 2, 3]);
+      expect(sweep.failures[0].problems).toEqual(['result differs from the uninterrupted run']);
+    });
+
+    it('should accept those crash points once the volatile field is normalized away', async () => {
+      let invocations = 0;
+
+      const sweep = await sweepCrashPoints(async (event, context) => {
+        invocations++;
+        const value = await context.step('value', async () => 42);
+        return { value, invocations };
+      }, {}, {
+        beforeRun: () => { invocations = 0; },
+        normalize: ({ value }) => ({ value })
+      });
+
+      expect(sweep.failures).toEqual([]);
+    });
+  });
+});
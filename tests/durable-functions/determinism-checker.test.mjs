@@ -0,0 +1,141 @@
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import { checkDeterminism, formatDeterminismReport } from '../helpers/determinism-checker.mjs';
+import { workflow } from '../../workflows/durable-function-example/index.mjs';
+import { EXAMPLE_FUNCTIONS, testEvent, useExampleWorkflowEnvironment } from '../helpers/example-workflow.mjs';
+
+describe('Replay Determinism Checker', () => {
+  useExampleWorkflowEnvironment();
+
+  describe('example workflow', () => {
+    it('should flag the invoke payload built outside a step and the leaked readiness counter', async () => {
+      const report = await checkDeterminism(workflow, testEvent, {
+        executionId: 'durable-demo-001',
+        functions: EXAMPLE_FUNCTIONS,
+        resolveCallback: () => ({ approved: true })
+      });
+
+      expect(report.execution.status).toBe('SUCCEEDED');
+      expect(report.deterministic).toBe(false);
+
+      const invokeInput = report.divergences.find(divergence => divergence.kind === 'input');
+      expect(invokeInput).toMatchObject({
+        phase: 'replay',
+        operationId: '9',
+        path: 'invoke-hello-world'
+      });
+      expect(JSON.parse(invokeInput.recorded.Input).Payload.timestamp)
+        .not.toBe(JSON.parse(invokeInput.replayed.Input).Payload.timestamp);
+
+      const attempts = report.divergences.find(divergence => divergence.kind === 'attempts');
+      expect(attempts).toMatchObject({
+        phase: 'rerun',
+        operationId: '8-1-1',
+        recorded: { SubType: 'WaitForCondition', Attempt: 3 },
+        replayed: { SubType: 'WaitForCondition', Attempt: 1 }
+      });
+
+      expect(report.divergences.map(divergence => divergence.operationId)).toEqual(['8-1-1', '9']);
+      expect(formatDeterminismReport(report)).toContain('input at operation 9 (invoke-hello-world)');
+    });
+  });
+
+  describe('divergence detection', () => {
+    it('should report a deterministic handler as deterministic', async () => {
+      const report = await checkDeterminism(async (event, context) => {
+        const total = await context.step('sum', async () => event.values.reduce((a, b) => a + b, 0));
+        await context.wait({ seconds: 30 });
+        const approval = await context.waitForCallback('approval', async () => {}, { timeout: { hours: 1 } });
+        const doubled = await context.map(event.values, async (ctx, value, index) =>
+          ctx.step(`double-${index}`, async () => value * 2));
+        return { total, approval, doubled: doubled.getResults() };
+      }, { values: [1, 2, 3] }, { resolveCallback: () => 'approved' });
+
+      expect(report.execution.status).toBe('SUCCEEDED');
+      expect(report.divergences).toEqual([]);
+      expect(report.deterministic).toBe(true);
+      expect(formatDeterminismReport(report)).toMatch(/^Deterministic/);
+    });
+
+    it('should point at the operation whose name depends on module state', async () => {
+      let invocations = 0;
+
+      const report = await checkDeterminism(async (event, context) => {
+        invocations++;
+        await context.step('first', async () => 'ok');
+        await context.step(`second-${invocations}`, async () => 'ok');
+        await context.wait({ seconds: 1 });
+      }, {}, { rerun: false });
+
+      const [divergence] = report.divergences;
+      expect(divergence).toMatchObject({
+        phase: 'replay',
+        kind: 'name',
+        operationId: '2',
+        recorded: { Name: 'second-1' },
+        replayed: { Name: 'second-2' }
+      });
+    });
+
+    it('should report operations that change order as type changes', async () => {
+      let swapped = false;
+
+      const report = await checkDeterminism(async (event, context) => {
+        const order = swapped ? ['wait', 'step'] : ['step', 'wait'];
+        swapped = true;
+
+        for (const operation of order) {
+          if (operation === 'step') {
+            await context.step('work', async () => 'done');
+          } else {
+            await context.wait({ seconds: 1 });
+          }
+        }
+      }, {}, { rerun: false });
+
+      expect(report.divergences[0]).toMatchObject({
+        kind: 'type',
+        operationId: '1',
+        recorded: { Type: 'STEP' },
+        replayed: { Type: 'WAIT' }
+      });
+    });
+
+    it('should report operations a rerun no longer reaches', async () => {
+      let runs = 0;
+
+      const report = await checkDeterminism(async (event, context) => {
+        runs++;
+        await context.step('always', async () => 'ok');
+        if (runs === 1) {
+          await context.step('first-run-only', async () => 'ok');
+        }
+      }, {});
+
+      expect(report.divergences).toContainEqual(expect.objectContaining({
+        kind: 'missing',
+        operationId: '2',
+        path: 'first-run-only'
+      }));
+    });
+
+    it('Property: Checker stability - For any input, a handler that only reads its event is deterministic', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.array(fc.integer({ min: -1000, max: 1000 }), { maxLength: 6 }),
+          async (values) => {
+            const report = await checkDeterminism(async (event, context) => {
+              const results = await context.map(event.values, async (ctx, value, index) =>
+                ctx.step(`square-${index}`, async () => value * value));
+              await context.wait({ seconds: 5 });
+              return results.getResults();
+            }, { values });
+
+            expect(report.deterministic).toBe(true);
+          }
+        ),
+        { numRuns: 20 }
+      );
+    });
+  });
+});
@@ -0,0 +1,164 @@
+import { describe, it, expect, vi } from 'vitest';
+import fc from 'fast-check';
+import { ChildContextError, StepError } from '@aws/durable-execution-sdk-js';
+import { aggregateWorkflowResults, processWorkItem } from '../../workflows/durable-function-example/lib/data-processor.mjs';
+import {
+  ItemFailureThresholdError,
+  batchResultSerdes,
+  exceedsTolerance,
+  getItemFailureTolerance,
+  toCompletionConfig
+} from '../../workflows/durable-function-example/lib/failure-tolerance.mjs';
+import { validateWorkflowInput } from '../../workflows/durable-function-example/lib/input-validation.mjs';
+import { runExampleWorkflow, testEvent, useExampleWorkflowEnvironment } from '../helpers/example-workflow.mjs';
+
+vi.mock('../../workflows/durable-function-example/lib/data-processor.mjs', async (importOriginal) => {
+  const actual = await importOriginal();
+  return { ...actual, processWorkItem: vi.fn(actual.processWorkItem) };
+});
+
+const ITEMS = ['Import orders', 'corrupt: Import refunds', 'Import invoices', 'corrupt: Import returns'];
+
+/** Run the example to its end, approving the callback, with items starting "corrupt" failing */
+async function runBatch(options = {}) {
+  const actual = await vi.importActual('../../workflows/durable-function-example/lib/data-processor.mjs');
+  processWorkItem.mockImplementation((item, index) => {
+    if (item.data.startsWith('corrupt')) {
+      throw new TypeError(`Unreadable record: ${item.data}`);
+    }
+    return actual.processWorkItem(item, index);
+  });
+
+  return runExampleWorkflow({ ...testEvent, inputData: { items: ITEMS }, ...options });
+}
+
+describe('Item Failure Tolerance', () => {
+  useExampleWorkflowEnvironment({ runner: true });
+
+  describe('example workflow', () => {
+    it('should finish the batch with failed items recorded by default', async () => {
+      const execution = await runBatch();
+
+      expect(execution.status).toBe('SUCCEEDED');
+      const { result } = execution;
+      expect(result.itemsProcessed).toBe(4);
+      expect(result.successfulItems).toBe(2);
+      expect(result.successRate).toBe(0.5);
+      expect(result.processedItems.map(item => item.transformedData)).toEqual(['processed-Import orders', 'processed-Import invoices']);
+      expect(result.failedItems).toEqual([
+        { index: 1, item: ITEMS[1], error: { message: 'Unreadable record: corrupt: Import refunds' } },
+        { index: 3, item: ITEMS[3], error: { message: 'Unreadable record: corrupt: Import returns' } }
+      ]);
+      expect(result.operationCount.map).toBe(4);
+    });
+
+    it('should fail the execution once failures go over the tolerated count', async () => {
+      const execution = await runBatch({ itemFailureTolerance: { toleratedFailureCount: 1 } });
+
+      expect(execution.status).toBe('FAILED');
+      // The parallel stage has registered its compensation by then, so the failure is compensated
+      expect(execution.error.errorType).toBe('CompensatedWorkflowError');
+      expect(JSON.parse(execution.error.errorData).error.type).toBe('ItemFailureThresholdError');
+      expect(execution.error.errorMessage).toMatch(/^2 of 4 items failed, more than the tolerated 1 failures:\n- processItem-1: /);
+      expect(execution.operations.some(operation => operation.Name === 'aggregateResults')).toBe(false);
+    });
+
+    it('should succeed while failures stay within the tolerated percentage', async () => {
+      const execution = await runBatch({ itemFailureTolerance: { toleratedFailurePercentage: 50 } });
+
+      expect(execution.status).toBe('SUCCEEDED');
+      expect(execution.result.failedItems.map(item => item.index)).toEqual([1, 3]);
+    });
+
+    it('should fail the execution once failures go over the tolerated percentage', async () => {
+      const execution = await runBatch({ itemFailureTolerance: { toleratedFailurePercentage: 25 } });
+
+      expect(execution.status).toBe('FAILED');
+      expect(execution.error.errorType).toBe('CompensatedWorkflowError');
+      expect(execution.error.errorMessage).toMatch(/^2 of 4 items failed, more than the tolerated 25%:/);
+    });
+  });
+
+  it('should reject a tolerance the input schema does not allow', () => {
+    expect(() => validateWorkflowInput({ ...testEvent, itemFailureTolerance: { toleratedFailureCount: -1, toleratedFailurePercentage: 150 } }))
+      .toThrow('- itemFailureTolerance.toleratedFailureCount must be >= 0\n- itemFailureTolerance.toleratedFailurePercentage must be <= 100');
+    expect(() => validateWorkflowInput({ ...testEvent, itemFailureTolerance: { maxFailures: 1 } }))
+      .toThrow('- itemFailureTolerance.maxFailures is not allowed');
+  });
+
+  it('should tolerate every failure when no tolerance is set', () => {
+    expect(getItemFailureTolerance(testEvent)).toEqual({});
+    expect(toCompletionConfig({})).toEqual({ toleratedFailurePercentage: 100 });
+    expect(toCompletionConfig(getItemFailureTolerance({ itemFailureTolerance: { toleratedFailureCount: 0 } })))
+      .toEqual({ toleratedFailureCount: 0 });
+  });
+
+  it('should give each map only the failures the tolerance has left', () => {
+    expect(toCompletionConfig({ toleratedFailureCount: 3, toleratedFailurePercentage: 50 }, 4, 1)).toEqual({ toleratedFailureCount: 1 });
+    expect(toCompletionConfig({ toleratedFailurePercentage: 25 }, 10)).toEqual({ toleratedFailureCount: 2 });
+    expect(toCompletionConfig({ toleratedFailureCount: 1 }, 10, 2)).toEqual({ toleratedFailureCount: 0 });
+  });
+
+  it('should count the failures a map may have in items, not batches', () => {
+    expect(toCompletionConfig({ toleratedFailureCount: 5 }, 10, 0, 2)).toEqual({ toleratedFailureCount: 2 });
+    expect(toCompletionConfig({ toleratedFailureCount: 3 }, 10, 1, 3)).toEqual({ toleratedFailureCount: 0 });
+    expect(toCompletionConfig({ toleratedFailurePercentage: 50 }, 12, 0, 3)).toEqual({ toleratedFailureCount: 2 });
+  });
+
+  it('should checkpoint failed map items with their error messages', async () => {
+    const failed = new ChildContextError('Unreadable record', new StepError('Unreadable record'));
+    const payload = await batchResultSerdes.serialize({
+      all: [{ index: 0, status: 'SUCCEEDED', result: 'a' }, { index: 1, status: 'FAILED', error: failed }],
+      completionReason: 'ALL_COMPLETED'
+    });
+
+    expect(await batchResultSerdes.deserialize(payload)).toEqual({
+      all: [
+        { index: 0, status: 'SUCCEEDED', result: 'a' },
+        { index: 1, status: 'FAILED', error: { ErrorType: 'ChildContextError', ErrorMessage: 'Unreadable record' } }
+      ],
+      completionReason: 'ALL_COMPLETED'
+    });
+    expect(await batchResultSerdes.serialize(undefined)).toBeUndefined();
+  });
+
+  it('should exceed a tolerance exactly when either limit is crossed', () => {
+    fc.assert(fc.property(
+      fc.integer({ min: 1, max: 50 }),
+      fc.nat(),
+      fc.option(fc.nat({ max: 50 }), { nil: undefined }),
+      fc.option(fc.integer({ min: 0, max: 100 }), { nil: undefined }),
+      (total, failures, toleratedFailureCount, toleratedFailurePercentage) => {
+        const failureCount = failures % (total + 1);
+        const tolerance = getItemFailureTolerance({ itemFailureTolerance: { toleratedFailureCount, toleratedFailurePercentage } });
+        const overCount = toleratedFailureCount !== undefined && failureCount > toleratedFailureCount;
+        const overPercentage = toleratedFailurePercentage !== undefined && failureCount * 100 > toleratedFailurePercentage * total;
+
+        expect(exceedsTolerance(failureCount, total, tolerance)).toBe(overCount || overPercentage);
+      }
+    ), { numRuns: 200 });
+  });
+
+  it('should name both limits and every failed item in the threshold error', () => {
+    const error = new ItemFailureThresholdError(
+      [{ index: 0, item: 'a', error: { message: 'boom' } }],
+      2,
+      { toleratedFailureCount: 0, toleratedFailurePercentage: 10 }
+    );
+
+    expect(error.name).toBe('ItemFailureThresholdError');
+    expect(error.message).toBe('1 of 2 items failed, more than the tolerated 0 failures or 10%:\n- processItem-0: boom');
+  });
+
+  it('should still aggregate map results that are already arrays', () => {
+    const context = { executionContext: { durableExecutionArn: 'arn:aws:lambda:local:000000000000:function:example/durable-execution/exec-1' } };
+    const result = aggregateWorkflowResults(context, testEvent, [
+      { index: 0, processed: true, processingTime: 50 },
+      { index: 1, processed: false, data: 'b' }
+    ], null, null);
+
+    expect(result.successRate).toBe(0.5);
+    expect(result.failedItems).toEqual([{ index: 1, item: 'b', error: { message: 'Item was not processed' } }]);
+    expect(result.parallelResults).toEqual([]);
+  });
+});
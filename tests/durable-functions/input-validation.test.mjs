@@ -0,0 +1,134 @@
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import {
+  INPUT_SCHEMAS,
+  InputValidationError,
+  LATEST_INPUT_SCHEMA_VERSION,
+  validateWorkflowInput
+} from '../../workflows/durable-function-example/lib/input-validation.mjs';
+import { validateSchema } from '../../workflows/durable-function-example/lib/json-schema.mjs';
+import { CALLBACK_SUBMITTER_TYPES } from '../../workflows/durable-function-example/lib/callback-submitters.mjs';
+import { CALLBACK_TIMEOUT_BEHAVIORS } from '../../workflows/durable-function-example/lib/callback-helper.mjs';
+import { runExampleWorkflow, testEvent, useExampleWorkflowEnvironment } from '../helpers/example-workflow.mjs';
+
+const BAD_BATCH = {
+  workflowId: ' ',
+  inputData: { items: ['Validate inventory records', 42, ''] },
+  startTime: 'yesterday',
+  onCallbackTimout: 'fail',
+  metadata: { ...testEvent.metadata, priority: 'urgent' }
+};
+
+/** Violation messages of an event, or [] when it is valid */
+function violationsOf(event) {
+  try {
+    validateWorkflowInput(event);
+    return [];
+  } catch (error) {
+    expect(error).toBeInstanceOf(InputValidationError);
+    return error.violations.map(violation => violation.message);
+  }
+}
+
+describe('Workflow Input Validation', () => {
+  it('should accept the sample event against the latest schema', () => {
+    expect(validateWorkflowInput(testEvent)).toEqual({ schemaVersion: LATEST_INPUT_SCHEMA_VERSION });
+    expect(validateWorkflowInput({ ...testEvent, schemaVersion: 1, startTime: '2024-01-01T00:00:00Z' })).toEqual({ schemaVersion: 1 });
+  });
+
+  it('should list every violation of a bad batch', () => {
+    expect(violationsOf(BAD_BATCH)).toEqual([
+      'workflowId must match the pattern \\S',
+      'inputData.items[1] must be a string',
+      'inputData.items[2] must not be empty',
+      'startTime must be an integer >= 0 or a date-time string',
+      'onCallbackTimout is not allowed',
+      'metadata.priority must be one of: low, normal, high'
+    ]);
+  });
+
+  it('should report missing fields and a non-object event', () => {
+    expect(violationsOf({ workflowId: 'batch-1' })).toEqual(['inputData is required']);
+    expect(violationsOf({ workflowId: 'batch-1', inputData: {} })).toEqual(['inputData.items is required']);
+    expect(violationsOf({ workflowId: 'batch-1', inputData: { items: [] } })).toEqual(['inputData.items must have at least 1 item']);
+    expect(violationsOf(null)).toEqual(['input must be an object']);
+  });
+
+  it('should reject an unknown schema version', () => {
+    expect(violationsOf({ ...testEvent, schemaVersion: 7 })).toEqual(['schemaVersion must be one of: 1']);
+    expect(() => validateWorkflowInput({ ...testEvent, schemaVersion: 7 })).toThrow(/^Invalid workflow input \(1 violation\):/);
+  });
+
+  it('should raise a non-retryable error whose message lists the violations', () => {
+    let error;
+    try {
+      validateWorkflowInput(BAD_BATCH);
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error.name).toBe('InputValidationError');
+    expect(error.retryable).toBe(false);
+    expect(error.schemaVersion).toBe(1);
+    expect(error.violations[1]).toEqual({ path: 'inputData.items[1]', keyword: 'type', message: 'inputData.items[1] must be a string' });
+    expect(error.message.split('\n')).toEqual([
+      'Invalid workflow input for schema v1 (6 violations):',
+      ...error.violations.map(violation => `- ${violation.message}`)
+    ]);
+  });
+
+  it('should point at the index of every item that is not a non-empty string', () => {
+    const badItem = fc.oneof(fc.integer(), fc.constant(''), fc.constant(null), fc.boolean());
+    fc.assert(fc.property(
+      fc.array(fc.string({ minLength: 1 }).filter(item => /\S/.test(item)), { minLength: 1, maxLength: 10 }),
+      fc.nat(),
+      badItem,
+      (items, position, item) => {
+        const index = position % (items.length + 1);
+        const withBadItem = [...items.slice(0, index), item, ...items.slice(index)];
+
+        expect(violationsOf({ ...testEvent, inputData: { items } })).toEqual([]);
+        expect(violationsOf({ ...testEvent, inputData: { items: withBadItem } }).map(message => message.split(' ')[0]))
+          .toEqual([`inputData.items[${index}]`]);
+      }
+    ), { numRuns: 100 });
+  });
+
+  it('should keep the schema enums in line with the workflow modules', () => {
+    const { properties } = INPUT_SCHEMAS[LATEST_INPUT_SCHEMA_VERSION];
+
+    expect(properties.onCallbackTimeout.enum).toEqual(CALLBACK_TIMEOUT_BEHAVIORS);
+    expect(properties.callbackSubmission.properties.type.enum).toEqual(CALLBACK_SUBMITTER_TYPES);
+  });
+
+  describe('validateSchema', () => {
+    it('should check const, date-time formats and nested additional properties', () => {
+      const schema = {
+        type: 'object',
+        properties: {
+          version: { const: 2 },
+          at: { type: 'string', format: 'date-time' },
+          tags: { type: 'object', additionalProperties: { type: 'string', maxLength: 3 } }
+        }
+      };
+
+      expect(validateSchema(schema, { version: 2, at: '2024-06-01T12:00:00.000+02:00', tags: { a: 'abc' } })).toEqual([]);
+      expect(validateSchema(schema, { version: '2', at: '2024-13-01T00:00:00Z', tags: { a: 'abcd' } }).map(violation => violation.message))
+        .toEqual(['version must be 2', 'at must be a date-time', 'tags.a must be at most 3 characters']);
+    });
+  });
+
+  describe('example workflow', () => {
+    useExampleWorkflowEnvironment({ runner: true });
+
+    it('should fail a bad batch on the first invocation before any step runs', async () => {
+      const execution = await runExampleWorkflow(BAD_BATCH);
+
+      expect(execution.status).toBe('FAILED');
+      expect(execution.error.errorType).toBe('InputValidationError');
+      expect(execution.error.errorMessage).toContain('- inputData.items[1] must be a string\n- inputData.items[2] must not be empty');
+      expect(execution.invocations).toHaveLength(1);
+      expect(execution.operations).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,261 @@
+import { describe, it, expect, vi } from 'vitest';
+import fc from 'fast-check';
+import { CallbackError, ChildContextError, StepError } from '@aws/durable-execution-sdk-js';
+import {
+  LocalDurableExecution,
+  NonDeterministicExecutionError
+} from '../../scripts/lib/local-durable-runtime.mjs';
+import { createLocalExecution, testEvent, useExampleWorkflowEnvironment } from '../helpers/example-workflow.mjs';
+
+describe('Local Durable Runtime', () => {
+  useExampleWorkflowEnvironment();
+
+  describe('example workflow end-to-end', () => {
+    it('should pause on the callback, the wait and the readiness polling, then complete', async () => {
+      const execution = createLocalExecution(testEvent, { executionId: 'durable-demo-001' });
+
+      await execution.run();
+      expect(execution.status).toBe('RUNNING');
+
+      const [callback] = execution.pendingCallbacks();
+      expect(callback.name).toBe('wait-for-external-callback');
+      expect(callback.callbackId).toMatch(/^callback-durable-demo-001-/);
+
+      await execution.sendCallbackSuccess(callback.callbackId, { approved: true });
+      expect(execution.status).toBe('RUNNING');
+      expect(execution.pendingCallbacks().map(({ name }) => name)).toEqual(['stop-request', 'stop-request']);
+
+      await execution.advanceTime({ seconds: 5 });
+      expect(execution.status).toBe('RUNNING');
+
+      await execution.run({ advanceTimers: true });
+      expect(execution.status).toBe('SUCCEEDED');
+
+      const result = execution.result;
+      expect(JSON.parse(result.callbackResult)).toEqual({ approved: true });
+      expect(result.advancedOperations.conditionResult.ready).toBe(true);
+      expect(result.advancedOperations.invokeResult.greeting).toBe('Greetings from durable function, DurableExecution-durable-demo-001!');
+      expect(result.advancedOperations.childContextResult.metadata.executionId).toBe('durable-demo-001');
+    });
+
+    it('should record every durable operation in the checkpoint log', async () => {
+      const execution = createLocalExecution();
+
+      await execution.run();
+      const [callback] = execution.pendingCallbacks();
+      await execution.sendCallbackSuccess(callback.callbackId, 'approved');
+      await execution.run({ advanceTimers: true });
+
+      const topLevel = execution.getOperations()
+        .filter(operation => operation.ParentId === undefined)
+        .map(({ Id, Type, SubType, Name }) => ({ Id, Type, SubType, Name }));
+
+      expect(topLevel).toEqual([
+        { Id: '1', Type: 'STEP', SubType: 'Step', Name: 'workflow-version' },
+        { Id: '2', Type: 'STEP', SubType: 'Step', Name: 'processInputData' },
+        { Id: '3', Type: 'CONTEXT', SubType: 'Parallel', Name: 'stoppable-external-callback' },
+        { Id: '4', Type: 'STEP', SubType: 'Step', Name: 'recordApproval' },
+        { Id: '5', Type: 'CONTEXT', SubType: 'Parallel', Name: 'stoppable-wait' },
+        { Id: '6', Type: 'CONTEXT', SubType: 'Parallel', Name: undefined },
+        { Id: '7', Type: 'CONTEXT', SubType: 'RunInChildContext', Name: 'process-work-items' },
+        { Id: '8', Type: 'CONTEXT', SubType: 'Parallel', Name: 'stoppable-condition' },
+        { Id: '9', Type: 'CHAINED_INVOKE', SubType: 'ChainedInvoke', Name: 'invoke-hello-world' },
+        { Id: '10', Type: 'CONTEXT', SubType: 'RunInChildContext', Name: 'isolated-operations' },
+        { Id: '11', Type: 'STEP', SubType: 'Step', Name: 'aggregateResults' }
+      ]);
+
+      const names = execution.getOperations().map(operation => operation.Name).filter(Boolean);
+      expect(names).toEqual(expect.arrayContaining([
+        'wait-for-external-callback',
+        'parallelTask1', 'parallelTask2', 'parallelTask3',
+        'processItem-0', 'processItem-4',
+        'processMetadata', 'validateConfiguration'
+      ]));
+
+      expect(execution.operations.get('8-1-1')).toMatchObject({ SubType: 'WaitForCondition', StepDetails: { Attempt: 3 } });
+      // Stop requests nobody sent stay open once their region has finished
+      const unfinished = execution.getOperations().filter(operation => operation.Status !== 'SUCCEEDED');
+      expect(unfinished.map(operation => operation.Name)).toEqual(Array(6).fill('stop-request'));
+      expect(execution.events.at(-1).EventType).toBe('ExecutionSucceeded');
+    });
+  });
+
+  describe('replay', () => {
+    it('should not run completed step bodies again when an invocation replays', async () => {
+      const body = vi.fn(async () => ({ value: 42 }));
+
+      const execution = new LocalDurableExecution(async (event, context) => {
+        const first = await context.step('first', body);
+        await context.wait({ seconds: 10 });
+        return await context.step('second', async () => first.value + 1);
+      }, {});
+
+      await execution.run();
+      expect(execution.status).toBe('RUNNING');
+
+      await execution.advanceTime({ seconds: 10 });
+
+      expect(execution.status).toBe('SUCCEEDED');
+      expect(execution.result).toBe(43);
+      expect(execution.invocations).toHaveLength(2);
+      expect(body).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fail the execution when a replay diverges from the checkpoint log', async () => {
+      let deployedVersion = 1;
+
+      const execution = new LocalDurableExecution(async (event, context) => {
+        await context.step(deployedVersion === 1 ? 'original' : 'renamed', async () => 'done');
+        await context.wait({ seconds: 1 });
+      }, {});
+
+      await execution.run();
+      deployedVersion = 2;
+      await execution.advanceTime({ seconds: 1 });
+
+      expect(execution.status).toBe('FAILED');
+      expect(execution.error).toBeInstanceOf(NonDeterministicExecutionError);
+      expect(execution.error.operationId).toBe('1');
+    });
+
+    it('Property: map replays - For any item list, every item step runs once and replays return the same results', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.array(fc.string({ maxLength: 20 }), { minLength: 1, maxLength: 8 }),
+          async (items) => {
+            const body = vi.fn(async (item) => `processed-${item}`);
+
+            const execution = new LocalDurableExecution(async (event, context) => {
+              const results = await context.map(event.items, async (ctx, item, index) =>
+                ctx.step(`item-${index}`, () => body(item)));
+              await context.wait({ seconds: 1 });
+              return results.getResults();
+            }, { items });
+
+            await execution.run({ advanceTimers: true });
+
+            expect(execution.status).toBe('SUCCEEDED');
+            expect(execution.result).toEqual(items.map(item => `processed-${item}`));
+            expect(body).toHaveBeenCalledTimes(items.length);
+          }
+        ),
+        { numRuns: 25 }
+      );
+    });
+  });
+
+  describe('operations', () => {
+    it('should retry failing steps after the retry delay', async () => {
+      let calls = 0;
+
+      const execution = new LocalDurableExecution(async (event, context) => {
+        return await context.step('flaky', async () => {
+          calls++;
+          if (calls < 3) throw new Error('temporary failure');
+          return 'ok';
+        });
+      }, {});
+
+      await execution.run();
+      expect(execution.status).toBe('RUNNING');
+      expect(execution.operations.get('1').Status).toBe('PENDING');
+
+      await execution.run({ advanceTimers: true });
+      expect(execution.status).toBe('SUCCEEDED');
+      expect(execution.operations.get('1').StepDetails.Attempt).toBe(3);
+    });
+
+    it('should surface a failed step as a StepError', async () => {
+      const execution = new LocalDurableExecution(async (event, context) => {
+        try {
+          await context.step('broken', async () => {
+            throw new Error('bad input');
+          }, { retryStrategy: () => ({ shouldRetry: false }) });
+        } catch (error) {
+          return { type: error.constructor.name, message: error.message, cause: error.cause.name };
+        }
+      }, {});
+
+      await execution.run();
+
+      expect(execution.result).toEqual({ type: StepError.name, message: 'bad input', cause: 'Error' });
+    });
+
+    it('should surface a failed callback as a ChildContextError caused by a CallbackError', async () => {
+      let caught;
+
+      const execution = new LocalDurableExecution(async (event, context) => {
+        try {
+          await context.waitForCallback('approval', async () => {});
+        } catch (error) {
+          caught = error;
+          return 'rejected';
+        }
+      }, {});
+
+      await execution.run();
+      const [callback] = execution.pendingCallbacks();
+      await execution.sendCallbackFailure(callback.callbackId, { ErrorType: 'Rejected', ErrorMessage: 'User rejected' });
+
+      expect(execution.result).toBe('rejected');
+      expect(caught).toBeInstanceOf(ChildContextError);
+      expect(caught.cause).toBeInstanceOf(CallbackError);
+      expect(caught.message).toBe('User rejected');
+    });
+
+    it('should reject callbacks that are unknown or already completed', async () => {
+      const execution = new LocalDurableExecution(async (event, context) => {
+        return await context.waitForCallback(async () => {});
+      }, {});
+
+      await execution.run();
+      const [callback] = execution.pendingCallbacks();
+
+      await expect(execution.sendCallbackSuccess('callback-unknown', 'x'))
+        .rejects.toMatchObject({ name: 'ResourceNotFoundException' });
+
+      await execution.sendCallbackSuccess(callback.callbackId, 'first');
+      expect(execution.result).toBe('first');
+
+      await expect(execution.sendCallbackSuccess(callback.callbackId, 'second'))
+        .rejects.toMatchObject({ name: 'InvalidParameterValueException' });
+    });
+
+    it('should return batch results from parallel with per-branch status', async () => {
+      const execution = new LocalDurableExecution(async (event, context) => {
+        const batch = await context.parallel([
+          async (ctx) => ctx.step('ok', async () => 1),
+          { name: 'failing', func: async () => { throw new Error('branch failed'); } }
+        ], { completionConfig: { toleratedFailureCount: 1 } });
+
+        return {
+          results: batch.getResults(),
+          failureCount: batch.failureCount,
+          status: batch.status,
+          completionReason: batch.completionReason
+        };
+      }, {});
+
+      await execution.run();
+
+      expect(execution.result).toEqual({
+        results: [1],
+        failureCount: 1,
+        status: 'FAILED',
+        completionReason: 'ALL_COMPLETED'
+      });
+      expect(execution.operations.get('1-2')).toMatchObject({ Name: 'failing', SubType: 'ParallelBranch', Status: 'FAILED' });
+    });
+
+    it('should fail a chained invoke to an unknown function', async () => {
+      const execution = new LocalDurableExecution(async (event, context) => {
+        return await context.invoke('missing', 'arn:aws:lambda:local:000000000000:function:Missing', {});
+      }, {});
+
+      await execution.run();
+
+      expect(execution.status).toBe('FAILED');
+      expect(execution.error.message).toBe('Function not found: arn:aws:lambda:local:000000000000:function:Missing');
+    });
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { formatOperationHistory, getOperationHistory } from '../helpers/operation-history.mjs';
+import { createLocalExecution, runExampleWorkflow, useExampleWorkflowEnvironment } from '../helpers/example-workflow.mjs';
+
+const GOLDEN_HEADER = [
+  'Operation history of workflows/durable-function-example/index.mjs against test-event.json',
+  'Executions already in flight replay against this order, names and types.',
+  'Accept an intended change with: npm run test:update-history'
+];
+
+describe('Operation History Snapshots', () => {
+  useExampleWorkflowEnvironment({ runner: true });
+
+  it('should match the golden operation history of the example workflow', async () => {
+    const execution = await runExampleWorkflow();
+    expect(execution.status).toBe('SUCCEEDED');
+
+    await expect(formatOperationHistory(execution.operations, GOLDEN_HEADER))
+      .toMatchFileSnapshot('./__golden__/example-workflow.history.txt');
+  });
+
+  // The crash harness, determinism checker and CLI tools run on the local runtime, so it must
+  // checkpoint the same operations as the SDK
+  it('should record the same history on the local runtime as on the SDK', async () => {
+    const execution = await runExampleWorkflow();
+    const local = createLocalExecution();
+    await local.runToCompletion(() => ({ approved: true }));
+
+    expect(local.status).toBe('SUCCEEDED');
+    expect(formatOperationHistory(local.getOperations())).toBe(formatOperationHistory(execution.operations));
+  });
+
+  it('should show a renamed operation as a single changed line', () => {
+    const operations = [
+      { Id: '1', Type: 'CONTEXT', SubType: 'Parallel' },
+      { Id: '1-1', ParentId: '1', Type: 'CONTEXT', SubType: 'ParallelBranch' },
+      { Id: '1-1-1', ParentId: '1-1', Type: 'STEP', SubType: 'Step', Name: 'parallelTask1' }
+    ];
+    const renamed = operations.map(operation =>
+      operation.Name ? { ...operation, Name: 'validateData' } : operation);
+
+    const before = formatOperationHistory(operations).split('\n');
+    const after = formatOperationHistory(renamed).split('\n');
+
+    expect(before).toEqual([
+      '1        CONTEXT/Parallel                 (unnamed)',
+      '  1-1      CONTEXT/ParallelBranch           (unnamed)',
+      '    1-1-1    STEP/Step                        parallelTask1',
+      ''
+    ]);
+    expect(after.filter((line, index) => line !== before[index])).toEqual([
+      '    1-1-1    STEP/Step                        validateData'
+    ]);
+  });
+
+  it('should keep names, types and parent context but no run-specific values', () => {
+    const history = getOperationHistory([
+      { Id: '2-1', ParentId: '2', Type: 'CALLBACK', SubType: 'Callback', Status: 'SUCCEEDED', CallbackDetails: { CallbackId: 'abc' } },
+      { Id: '2', Type: 'CONTEXT', SubType: 'WaitForCallback', Name: 'approval', StartTimestamp: new Date() }
+    ]);
+
+    expect(history).toEqual([
+      { id: '2', type: 'CONTEXT', subType: 'WaitForCallback', name: 'approval', parent: null },
+      { id: '2-1', type: 'CALLBACK', subType: 'Callback', name: null, parent: 'approval' }
+    ]);
+  });
+});
@@ -0,0 +1,156 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { WorkItemValidationError, processData, processWorkItem } from '../../workflows/durable-function-example/lib/data-processor.mjs';
+import {
+  PriorityBatchResult,
+  SCHEDULING_PROFILES,
+  batchStepName,
+  getSchedulingProfile,
+  planPrioritySchedule,
+  summarizePriorityClasses
+} from '../../workflows/durable-function-example/lib/priority-scheduling.mjs';
+import { INPUT_SCHEMAS, LATEST_INPUT_SCHEMA_VERSION } from '../../workflows/durable-function-example/lib/input-validation.mjs';
+import { runExampleWorkflow, testEvent, useExampleWorkflowEnvironment } from '../helpers/example-workflow.mjs';
+
+vi.mock('../../workflows/durable-function-example/lib/data-processor.mjs', async (importOriginal) => {
+  const actual = await importOriginal();
+  return { ...actual, processWorkItem: vi.fn(actual.processWorkItem) };
+});
+
+const ITEMS = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'];
+
+/** Run the example to its end with the callback approved */
+function runBatch(overrides = {}) {
+  return runExampleWorkflow({ ...testEvent, inputData: { items: ITEMS }, ...overrides });
+}
+
+describe('Priority Scheduling', () => {
+  useExampleWorkflowEnvironment({ runner: true });
+
+  beforeEach(() => {
+    processWorkItem.mockClear();
+  });
+
+  it('should pick the scheduling profile from metadata.priority, normal by default', () => {
+    expect(getSchedulingProfile(testEvent)).toEqual({ name: 'normal', ...SCHEDULING_PROFILES.normal });
+    expect(getSchedulingProfile({ ...testEvent, metadata: { priority: 'low' } }).lowPriorityBatchSize).toBe(3);
+    expect(getSchedulingProfile({ workflowId: 'x', inputData: { items: ['a'] } }).name).toBe('normal');
+    expect(Object.keys(SCHEDULING_PROFILES))
+      .toEqual(INPUT_SCHEMAS[LATEST_INPUT_SCHEMA_VERSION].properties.metadata.properties.priority.enum);
+  });
+
+  it('should plan the classes most urgent first and batch only priority 3 items', () => {
+    const schedule = planPrioritySchedule(processData({ items: ITEMS }), SCHEDULING_PROFILES.low);
+
+    expect(schedule.map(({ priority, concurrency, batchSize, batches }) => ({
+      priority, concurrency, batchSize, batches: batches.map(batchStepName)
+    }))).toEqual([
+      { priority: 1, concurrency: 2, batchSize: 1, batches: ['processItem-0', 'processItem-3', 'processItem-6'] },
+      { priority: 2, concurrency: 1, batchSize: 1, batches: ['processItem-1', 'processItem-4', 'processItem-7'] },
+      { priority: 3, concurrency: 1, batchSize: 3, batches: ['processItems-2-5'] }
+    ]);
+    expect(planPrioritySchedule(processData({ items: ['a'] }), SCHEDULING_PROFILES.normal).map(({ priority }) => priority))
+      .toEqual([1]);
+  });
+
+  describe('example workflow', () => {
+    it('should process every priority 1 item before priority 2 and 3 items', async () => {
+      const execution = await runBatch({ metadata: { priority: 'high' } });
+
+      expect(execution.status).toBe('SUCCEEDED');
+      expect(processWorkItem.mock.calls.map(([, index]) => index)).toEqual([0, 3, 6, 1, 4, 7, 2, 5]);
+      expect(execution.result.processedItems.map(item => item.index)).toEqual([0, 1, 2, 3, 4, 5, 6, 7]);
+    });
+
+    it('should batch low priority items into one step and report each class', async () => {
+      const execution = await runBatch({ metadata: { priority: 'low' } });
+
+      const steps = execution.operations.filter(operation => operation.Type === 'STEP').map(operation => operation.Name);
+      expect(steps).toContain('processItems-2-5');
+      expect(steps).not.toContain('processItem-2');
+
+      const { result } = execution;
+      expect(result.successfulItems).toBe(ITEMS.length);
+      expect(result.processedItems.filter(item => item.priority === 3).map(item => item.transformedData))
+        .toEqual(['processed-c', 'processed-f']);
+      expect(result.priorityClasses.map(({ durationMs, ...priorityClass }) => priorityClass)).toEqual([
+        { priority: 1, concurrency: 2, batchSize: 1, items: 3, succeeded: 3, failed: 0, completionReason: 'ALL_COMPLETED' },
+        { priority: 2, concurrency: 1, batchSize: 1, items: 3, succeeded: 3, failed: 0, completionReason: 'ALL_COMPLETED' },
+        { priority: 3, concurrency: 1, batchSize: 3, items: 2, succeeded: 2, failed: 0, completionReason: 'ALL_COMPLETED' }
+      ]);
+      expect(result.priorityClasses.every(({ durationMs }) => durationMs >= 0)).toBe(true);
+    });
+
+    it('should count a failing item of a batch on its own and keep the results of the others', async () => {
+      const actual = await vi.importActual('../../workflows/durable-function-example/lib/data-processor.mjs');
+      processWorkItem.mockImplementation((item, index) => {
+        if (index === 5) {
+          throw new WorkItemValidationError('Unreadable record');
+        }
+        return actual.processWorkItem(item, index);
+      });
+
+      const execution = await runBatch({ metadata: { priority: 'low' }, itemFailureTolerance: { toleratedFailureCount: 1 } });
+
+      expect(execution.status).toBe('SUCCEEDED');
+      expect(processWorkItem.mock.calls.filter(([, index]) => index === 2)).toHaveLength(1);
+      expect(execution.result.priorityClasses[2]).toMatchObject({ priority: 3, batchSize: 3, items: 2, succeeded: 1, failed: 1 });
+      expect(execution.result.processedItems.filter(item => item.priority === 3).map(item => item.transformedData))
+        .toEqual(['processed-c']);
+    });
+
+    it('should retry a batch whose item hit an error its retry policy retries', async () => {
+      const actual = await vi.importActual('../../workflows/durable-function-example/lib/data-processor.mjs');
+      let throttled = false;
+      processWorkItem.mockImplementation((item, index) => {
+        if (index === 5 && !throttled) {
+          throttled = true;
+          throw Object.assign(new Error('Rate exceeded'), { name: 'ThrottlingException' });
+        }
+        return actual.processWorkItem(item, index);
+      });
+
+      const execution = await runBatch({ metadata: { priority: 'low' } });
+
+      expect(execution.status).toBe('SUCCEEDED');
+      expect(execution.operations.find(operation => operation.Name === 'processItems-2-5').StepDetails.Attempt).toBe(2);
+      expect(execution.result.priorityClasses[2]).toMatchObject({ priority: 3, items: 2, succeeded: 2, failed: 0 });
+    });
+
+    it('should not start lower priority classes once the failure tolerance is used up', async () => {
+      const actual = await vi.importActual('../../workflows/durable-function-example/lib/data-processor.mjs');
+      processWorkItem.mockImplementation((item, index) => {
+        if (index === 3) {
+          throw new Error('Unreadable record');
+        }
+        return actual.processWorkItem(item, index);
+      });
+
+      const execution = await runBatch({ itemFailureTolerance: { toleratedFailureCount: 0 } });
+
+      expect(execution.status).toBe('FAILED');
+      expect(execution.error.errorType).toBe('CompensatedWorkflowError');
+      expect(JSON.parse(execution.error.errorData).error.type).toBe('ItemFailureThresholdError');
+      const names = execution.operations.map(operation => operation.Name);
+      expect(names).toContain('process-priority-1');
+      expect(names).not.toContain('process-priority-2');
+    });
+  });
+
+  it('should time each class from its first item start to its last item end', () => {
+    const processed = (index, processedAt, processingTime) => ({
+      index, status: 'SUCCEEDED', result: { index, processedAt, processingTime }
+    });
+    const mapResults = new PriorityBatchResult([
+      { priority: 1, concurrency: 2, batchSize: 1, completionReason: 'ALL_COMPLETED', items: [processed(0, 1000, 50), processed(2, 1010, 50)] },
+      { priority: 3, concurrency: 1, batchSize: 2, completionReason: 'FAILURE_TOLERANCE_EXCEEDED', items: [
+        { index: 1, status: 'FAILED', error: { message: 'boom' } }
+      ] }
+    ]);
+
+    expect(mapResults.all.map(item => item.index)).toEqual([0, 1, 2]);
+    expect(mapResults.failureCount).toBe(1);
+    expect(mapResults.completionReason).toBe('FAILURE_TOLERANCE_EXCEEDED');
+    expect(summarizePriorityClasses(mapResults).map(({ priority, durationMs, failed }) => ({ priority, durationMs, failed })))
+      .toEqual([{ priority: 1, durationMs: 60, failed: 0 }, { priority: 3, durationMs: null, failed: 1 }]);
+  });
+});
@@ -0,0 +1,220 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import fc from 'fast-check';
+import {
+  WorkItemValidationError,
+  processData,
+  processWorkItem,
+  validateWorkItem
+} from '../../workflows/durable-function-example/lib/data-processor.mjs';
+import { InputValidationError } from '../../workflows/durable-function-example/lib/input-validation.mjs';
+import {
+  ERROR_CLASSES,
+  RETRY_POLICIES,
+  classifyError,
+  createRetryPolicy,
+  retriesError,
+  retryConfigFor,
+  retryPolicyFor,
+  toAslRetry
+} from '../../workflows/durable-function-example/lib/retry-policies.mjs';
+import { runExampleWorkflow, testEvent, useExampleWorkflowEnvironment } from '../helpers/example-workflow.mjs';
+
+vi.mock('../../workflows/durable-function-example/lib/data-processor.mjs', async (importOriginal) => {
+  const actual = await importOriginal();
+  return { ...actual, processWorkItem: vi.fn(actual.processWorkItem) };
+});
+
+function namedError(name, message = 'failed', extra = {}) {
+  return Object.assign(new Error(message), { name, ...extra });
+}
+
+/** Run the example to its end with processWorkItem throwing error for item 0 on its first attempts */
+async function runWithFailingItem(error, failures) {
+  const actual = await vi.importActual('../../workflows/durable-function-example/lib/data-processor.mjs');
+  let attempts = 0;
+  processWorkItem.mockImplementation((item, index) => {
+    if (index === 0 && attempts++ < failures) {
+      throw error;
+    }
+    return actual.processWorkItem(item, index);
+  });
+
+  return runExampleWorkflow();
+}
+
+describe('Retry Policies', () => {
+  describe('classifyError', () => {
+    it('should classify throttling and timeouts by name, code, status and message', () => {
+      expect(classifyError(namedError('Lambda.TooManyRequestsException'))).toBe('throttling');
+      expect(classifyError(namedError('Error', 'failed', { code: 'ProvisionedThroughputExceededException' }))).toBe('throttling');
+      expect(classifyError(namedError('Error', 'failed', { $metadata: { httpStatusCode: 429 } }))).toBe('throttling');
+      expect(classifyError(new Error('Rate exceeded'))).toBe('throttling');
+      expect(classifyError(namedError('TimeoutError'))).toBe('timeout');
+      expect(classifyError(namedError('Error', 'failed', { statusCode: 504 }))).toBe('timeout');
+      expect(classifyError(new Error('Connection timed out'))).toBe('timeout');
+      expect(classifyError(new TypeError('undefined is not a function'))).toBe('unknown');
+      expect(classifyError(undefined)).toBe('unknown');
+    });
+
+    it('should classify validation errors from processData, validateWorkItem and the input schema', () => {
+      const errorOf = fn => {
+        try {
+          fn();
+        } catch (error) {
+          return error;
+        }
+      };
+
+      const badInput = errorOf(() => processData({}));
+      const badItem = errorOf(() => validateWorkItem({ id: 'a', data: 'x', priority: 7, status: 'pending' }));
+      expect(badInput).toBeInstanceOf(WorkItemValidationError);
+      expect(badItem.message).toBe('Work item priority must be a number between 1 and 3');
+      expect([badInput, badItem, new InputValidationError([], 1)].map(classifyError)).toEqual(['validation', 'validation', 'validation']);
+      expect(classifyError(namedError('ThrottlingException', 'throttled', { retryable: false }))).toBe('validation');
+    });
+  });
+
+  describe('policies', () => {
+    it('should back off exponentially up to the maximum delay and stop after maxAttempts', () => {
+      fc.assert(fc.property(
+        fc.integer({ min: 1, max: 10 }),
+        fc.integer({ min: 1, max: 10 }),
+        fc.integer({ min: 2, max: 8 }),
+        (attemptsMade, initialDelaySeconds, maxAttempts) => {
+          const retry = createRetryPolicy('exponential', { jitter: 'NONE', initialDelaySeconds, maxAttempts });
+          const decision = retry(namedError('ThrottlingException'), attemptsMade);
+
+          if (attemptsMade >= maxAttempts) {
+            expect(decision.shouldRetry).toBe(false);
+          } else {
+            const expected = Math.min(initialDelaySeconds * 2 ** (attemptsMade - 1), RETRY_POLICIES.exponential.maxDelaySeconds);
+            expect(decision).toEqual({ shouldRetry: true, delay: { seconds: expected } });
+          }
+        }
+      ), { numRuns: 100 });
+    });
+
+    it('should keep jittered delays within the exponential delay', () => {
+      const retry = createRetryPolicy('exponential');
+      for (let attempt = 1; attempt < RETRY_POLICIES.exponential.maxAttempts; attempt++) {
+        const { shouldRetry, delay } = retry(namedError('TimeoutError'), attempt);
+        expect(shouldRetry).toBe(true);
+        expect(delay.seconds).toBeGreaterThanOrEqual(1);
+        expect(delay.seconds).toBeLessThanOrEqual(2 * 2 ** (attempt - 1));
+      }
+    });
+
+    it('should retry at a fixed interval and never retry with the never policy', () => {
+      const fixed = createRetryPolicy('fixed');
+      expect([1, 2, 3].map(attempt => fixed(namedError('TimeoutError'), attempt))).toEqual([
+        { shouldRetry: true, delay: { seconds: 5 } },
+        { shouldRetry: true, delay: { seconds: 5 } },
+        { shouldRetry: false }
+      ]);
+      expect(createRetryPolicy('never')(namedError('ThrottlingException'), 1)).toEqual({ shouldRetry: false });
+    });
+
+    it('should fail validation errors at once and retry unknown errors unless the policy leaves them out', () => {
+      const validation = new WorkItemValidationError('Work item missing required fields: id');
+      const reset = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+
+      for (const name of Object.keys(RETRY_POLICIES)) {
+        expect(createRetryPolicy(name)(validation, 1)).toEqual({ shouldRetry: false });
+      }
+      expect(classifyError(reset)).toBe('unknown');
+      expect(createRetryPolicy('exponential')(reset, 1).shouldRetry).toBe(true);
+      expect(createRetryPolicy('fixed')(reset, 1)).toEqual({ shouldRetry: true, delay: { seconds: 5 } });
+      expect(createRetryPolicy('fixed', { retryOn: ['throttling', 'timeout'] })(reset, 1)).toEqual({ shouldRetry: false });
+      expect(() => createRetryPolicy('forever')).toThrow('Retry policy must be one of: exponential, fixed, never, persistent');
+    });
+
+    it('should attach policies to the example steps by name', () => {
+      expect(retryPolicyFor('processInputData')).toBe('never');
+      expect(retryPolicyFor('parallelTask2')).toBe('exponential');
+      expect(retryPolicyFor('processItem-12')).toBe('exponential');
+      expect(retryPolicyFor('processItems-2-5')).toBe('exponential');
+      expect(retryPolicyFor('validateConfiguration')).toBe('fixed');
+      expect(retryPolicyFor('compensate-revert-processed-items')).toBe('persistent');
+      expect(retryPolicyFor('cleanup-release-work-items')).toBeUndefined();
+      expect(retryConfigFor('cleanup-release-work-items')).toBeUndefined();
+      expect(retryConfigFor('aggregateResults').retryStrategy(namedError('TimeoutError'), 1)).toEqual({ shouldRetry: false });
+    });
+
+    it('should tell which errors a step retries by its policy', () => {
+      expect(retriesError('processItems-2-5', namedError('ThrottlingException'))).toBe(true);
+      expect(retriesError('processItems-2-5', new Error('socket hang up'))).toBe(true);
+      expect(retriesError('processItems-2-5', new WorkItemValidationError('Unreadable record'))).toBe(false);
+      expect(retriesError('aggregateResults', namedError('TimeoutError'))).toBe(false);
+      expect(retriesError('cleanup-release-work-items', new WorkItemValidationError('Unreadable record'))).toBe(true);
+    });
+  });
+
+  describe('ASL Retry blocks', () => {
+    // The same checks as Property 28 in tests/step-functions/error-retry.test.mjs, for the retriers that retry
+    it('should write every retrying policy as valid ASL retriers', () => {
+      for (const name of ['exponential', 'fixed', 'persistent']) {
+        const [validation, ...retriers] = toAslRetry(name, { retryOn: ['throttling', 'timeout', 'unknown'] });
+
+        expect(validation).toEqual({ ErrorEquals: ERROR_CLASSES.validation, MaxAttempts: 0 });
+        expect(retriers.length).toBeGreaterThan(0);
+        expect(retriers.at(-1).ErrorEquals).toEqual(['States.ALL']);
+        for (const config of retriers) {
+          expect(config).toHaveProperty('ErrorEquals');
+          expect(config).toHaveProperty('IntervalSeconds');
+          expect(config).toHaveProperty('MaxAttempts');
+          expect(config).toHaveProperty('BackoffRate');
+          expect(config.MaxAttempts).toBeGreaterThan(0);
+          expect(config.IntervalSeconds).toBeGreaterThan(0);
+          expect(config.BackoffRate).toBeGreaterThanOrEqual(1.0);
+        }
+      }
+    });
+
+    it('should list the retried error names and count retries rather than attempts', () => {
+      const exponential = { IntervalSeconds: 2, MaxAttempts: 5, BackoffRate: 2, MaxDelaySeconds: 60, JitterStrategy: 'FULL' };
+      expect(toAslRetry('exponential')).toEqual([
+        { ErrorEquals: ERROR_CLASSES.validation, MaxAttempts: 0 },
+        { ErrorEquals: [...ERROR_CLASSES.throttling, ...ERROR_CLASSES.timeout], ...exponential },
+        { ErrorEquals: ['States.ALL'], ...exponential }
+      ]);
+      expect(toAslRetry('fixed')[1]).toMatchObject({ MaxAttempts: 2, BackoffRate: 1, JitterStrategy: 'NONE' });
+      expect(toAslRetry('never')).toEqual([]);
+    });
+  });
+
+  describe('example workflow', () => {
+    useExampleWorkflowEnvironment({ runner: true });
+
+    beforeEach(() => {
+      processWorkItem.mockClear();
+    });
+
+    const itemAttempts = () => processWorkItem.mock.calls.filter(([, index]) => index === 0).length;
+
+    it('should retry a throttled item until it succeeds', async () => {
+      const execution = await runWithFailingItem(namedError('ThrottlingException', 'Rate exceeded'), 2);
+
+      expect(execution.status).toBe('SUCCEEDED');
+      expect(itemAttempts()).toBe(3);
+      expect(execution.result.failedItems).toEqual([]);
+    });
+
+    it('should retry an item that fails with a generic transient error', async () => {
+      const execution = await runWithFailingItem(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }), 2);
+
+      expect(execution.status).toBe('SUCCEEDED');
+      expect(itemAttempts()).toBe(3);
+      expect(execution.result.failedItems).toEqual([]);
+    });
+
+    it('should fail an invalid item on its first attempt', async () => {
+      const execution = await runWithFailingItem(new WorkItemValidationError('Work item missing required fields: data'), 10);
+
+      expect(execution.status).toBe('SUCCEEDED');
+      expect(itemAttempts()).toBe(1);
+      expect(execution.result.failedItems).toEqual([
+        { index: 0, item: testEvent.inputData.items[0], error: { message: 'Work item missing required fields: data' } }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,226 @@
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import { ChildContextError, createRetryStrategy, JitterStrategy } from '@aws/durable-execution-sdk-js';
+import { LocalDurableExecution, VirtualClock } from '../../scripts/lib/local-durable-runtime.mjs';
+import { checkSystemReadiness } from '../../workflows/durable-function-example/lib/advanced-operations.mjs';
+import { createLocalExecution, testEvent, useExampleWorkflowEnvironment } from '../helpers/example-workflow.mjs';
+
+const START = Date.parse('2024-01-01T00:00:00.000Z');
+
+describe('Virtual Clock', () => {
+  useExampleWorkflowEnvironment();
+
+  describe('clock', () => {
+    it('should only move when advanced and never go backwards', () => {
+      const clock = new VirtualClock(START);
+
+      expect(clock.now()).toBe(START);
+      clock.advance({ minutes: 1, seconds: 30 });
+      expect(clock.now()).toBe(START + 90000);
+      clock.advance(500);
+      expect(clock.now()).toBe(START + 90500);
+      clock.advanceTo(START);
+      expect(clock.now()).toBe(START + 90500);
+    });
+
+    it('should record requested delays by kind and operation', () => {
+      const clock = new VirtualClock(START);
+
+      expect(clock.schedule('1', 'wait', 5)).toEqual(new Date(START + 5000));
+      clock.schedule('2', 'poll', 3);
+      clock.schedule('2', 'poll', 6);
+
+      expect(clock.delays()).toEqual([5, 3, 6]);
+      expect(clock.delays('poll')).toEqual([3, 6]);
+      expect(clock.delays('poll', '1')).toEqual([]);
+    });
+  });
+
+  describe('example workflow', () => {
+    it('should run the 5 second wait and the readiness polling in virtual time', async () => {
+      const execution = createLocalExecution(testEvent, { startTime: START });
+
+      await execution.run();
+      const [callback] = execution.pendingCallbacks();
+      await execution.sendCallbackSuccess(callback.callbackId, { approved: true });
+      await execution.run({ advanceTimers: true });
+
+      expect(execution.status).toBe('SUCCEEDED');
+      expect(execution.clock.delays('wait')).toEqual([5]);
+      expect(execution.clock.delays('poll', '8-1-1')).toEqual([3, 3]);
+      expect(execution.clock.delays('callback-timeout')).toEqual([3600]);
+      expect(execution.now() - START).toBe(11000);
+
+      const waitSucceeded = execution.events.find(event => event.EventType === 'WaitSucceeded');
+      expect(waitSucceeded.EventTimestamp).toEqual(new Date(START + 5000));
+    });
+
+    it('should time out the external callback after 60 minutes', async () => {
+      const execution = createLocalExecution({ ...testEvent, onCallbackTimeout: 'fail' }, { startTime: START });
+
+      await execution.run();
+      const [callback] = execution.pendingCallbacks();
+
+      await execution.advanceTime({ minutes: 59, seconds: 59 });
+      expect(execution.status).toBe('RUNNING');
+      expect(execution.pendingCallbacks().map(({ name }) => name)).toEqual(['wait-for-external-callback', 'stop-request']);
+
+      await execution.advanceTime({ seconds: 1 });
+      expect(execution.status).toBe('FAILED');
+      expect(execution.error).toBeInstanceOf(ChildContextError);
+      expect(execution.error.message).toBe('Callback timed out');
+      expect(execution.events.find(event => event.EventType === 'CallbackTimedOut').EventTimestamp)
+        .toEqual(new Date(START + 3600000));
+
+      await expect(execution.sendCallbackSuccess(callback.callbackId, 'too late'))
+        .rejects.toMatchObject({ name: 'CallbackTimeoutException' });
+    });
+  });
+
+  describe('callback timeouts', () => {
+    it('should time out a callback whose heartbeats stop', async () => {
+      const execution = new LocalDurableExecution(async (event, context) => {
+        try {
+          return await context.waitForCallback('long-running-job', async () => {}, {
+            timeout: { hours: 1 },
+            heartbeatTimeout: { seconds: 30 }
+          });
+        } catch (error) {
+          return { failed: error.message, type: error.constructor.name };
+        }
+      }, {}, { startTime: START });
+
+      await execution.run();
+      const [callback] = execution.pendingCallbacks();
+
+      await execution.advanceTime({ seconds: 20 });
+      await execution.sendCallbackHeartbeat(callback.callbackId);
+      await execution.advanceTime({ seconds: 20 });
+      expect(execution.status).toBe('RUNNING');
+
+      await execution.advanceTime({ seconds: 10 });
+      expect(execution.status).toBe('SUCCEEDED');
+      expect(execution.result).toEqual({ failed: 'Callback timed out on heartbeat', type: 'ChildContextError' });
+      expect(execution.clock.delays('heartbeat-timeout')).toEqual([30, 30]);
+    });
+
+    it('should not fire callback timeouts while skipping timers', async () => {
+      const execution = new LocalDurableExecution(async (event, context) => {
+        await context.wait({ seconds: 10 });
+        return await context.waitForCallback('approval', async () => {}, { timeout: { seconds: 30 } });
+      }, {}, { startTime: START });
+
+      await execution.run({ advanceTimers: true });
+
+      expect(execution.status).toBe('RUNNING');
+      expect(execution.pendingCallbacks()).toHaveLength(1);
+      expect(execution.now() - START).toBe(10000);
+    });
+  });
+
+  describe('waitForCondition polling', () => {
+    it('should poll the external system every 3 seconds until it is ready on the 3rd attempt', async () => {
+      const execution = new LocalDurableExecution(async (event, context) => {
+        return await context.waitForCondition('system-readiness', async (state) => {
+          const readinessCheck = await checkSystemReadiness();
+          return {
+            ...state,
+            ready: readinessCheck.ready,
+            lastCheck: readinessCheck,
+            attempts: state.attempts + 1
+          };
+        }, {
+          initialState: { ready: false, systemId: 'external-system-1', attempts: 0 },
+          waitStrategy: (state) => state.ready
+            ? { shouldContinue: false }
+            : { shouldContinue: true, delay: { seconds: 3 } }
+        });
+      }, {}, { startTime: START });
+
+      await execution.run();
+      expect(execution.status).toBe('RUNNING');
+      expect(execution.operations.get('1').StepDetails.NextAttemptTimestamp).toEqual(new Date(START + 3000));
+
+      await execution.advanceTime({ seconds: 3 });
+      expect(execution.operations.get('1').StepDetails.Attempt).toBe(2);
+      expect(execution.status).toBe('RUNNING');
+
+      await execution.advanceTime({ seconds: 3 });
+      expect(execution.status).toBe('SUCCEEDED');
+      expect(execution.result).toMatchObject({
+        ready: true,
+        systemId: 'external-system-1',
+        attempts: 3,
+        lastCheck: { attempt: 3, note: 'System ready after 3 attempts' }
+      });
+      expect(execution.clock.delays('poll')).toEqual([3, 3]);
+      expect(execution.invocations).toHaveLength(3);
+    });
+
+    it('Property: Poll delays - For any backoff sequence, the clock records exactly the delays the waitStrategy asked for', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.array(fc.integer({ min: 1, max: 3600 }), { maxLength: 6 }),
+          async (delays) => {
+            const execution = new LocalDurableExecution(async (event, context) => {
+              return await context.waitForCondition(async (attempts) => attempts + 1, {
+                initialState: 0,
+                waitStrategy: (attempts) => attempts > delays.length
+                  ? { shouldContinue: false }
+                  : { shouldContinue: true, delay: { seconds: delays[attempts - 1] } }
+              });
+            }, {}, { startTime: START });
+
+            await execution.run({ advanceTimers: true });
+
+            expect(execution.result).toBe(delays.length + 1);
+            expect(execution.clock.delays('poll')).toEqual(delays);
+            expect(execution.now() - START).toBe(delays.reduce((sum, delay) => sum + delay, 0) * 1000);
+          }
+        ),
+        { numRuns: 25 }
+      );
+    });
+  });
+
+  describe('step retries', () => {
+    it('should back off with the default retry strategy', async () => {
+      let calls = 0;
+
+      const execution = new LocalDurableExecution(async (event, context) => {
+        return await context.step('flaky', async () => {
+          calls++;
+          if (calls < 4) throw new Error('temporary failure');
+          return 'ok';
+        });
+      }, {}, { startTime: START });
+
+      await execution.run({ advanceTimers: true });
+
+      expect(execution.result).toBe('ok');
+      expect(execution.clock.delays('retry')).toEqual([5, 10, 20]);
+      expect(execution.now() - START).toBe(35000);
+    });
+
+    it('should use the delays of a custom retry strategy and stop after its last attempt', async () => {
+      const execution = new LocalDurableExecution(async (event, context) => {
+        return await context.step('always-failing', async () => {
+          throw new Error('still down');
+        }, {
+          retryStrategy: createRetryStrategy({
+            maxAttempts: 3,
+            initialDelay: { seconds: 3 },
+            backoffRate: 1,
+            jitter: JitterStrategy.NONE
+          })
+        });
+      }, {}, { startTime: START });
+
+      await execution.run({ advanceTimers: true });
+
+      expect(execution.status).toBe('FAILED');
+      expect(execution.operations.get('1').StepDetails.Attempt).toBe(3);
+      expect(execution.clock.delays('retry')).toEqual([3, 3]);
+    });
+  });
+});
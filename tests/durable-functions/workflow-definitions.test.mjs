@@ -0,0 +1,231 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { withDurableExecution } from '@aws/durable-execution-sdk-js';
+import { workflow as examplePipeline } from '../../workflows/durable-function-example/pipeline.mjs';
+import { ACTIVITIES, createActivityRegistry } from '../../workflows/durable-function-example/lib/activity-registry.mjs';
+import {
+  WorkflowDefinitionError,
+  loadWorkflowDefinition,
+  validateWorkflowDefinition
+} from '../../workflows/durable-function-example/lib/workflow-definition.mjs';
+import { ConditionNotMetError, createDefinitionWorkflow } from '../../workflows/durable-function-example/lib/workflow-interpreter.mjs';
+import { runOnTestRunner, testEvent, useExampleWorkflowEnvironment } from '../helpers/example-workflow.mjs';
+
+const EXAMPLE_PIPELINE = new URL('../../workflows/durable-function-example/pipelines/example-pipeline.yaml', import.meta.url);
+
+/** Run a pipeline to its end on the SDK's test runner, approving its external callback */
+function runPipeline(workflow, event = testEvent) {
+  return runOnTestRunner(withDurableExecution(workflow), event);
+}
+
+function violationsOf(definition, activities = ACTIVITIES) {
+  try {
+    validateWorkflowDefinition(definition, activities);
+  } catch (error) {
+    expect(error).toBeInstanceOf(WorkflowDefinitionError);
+    return error.violations.map(violation => violation.message);
+  }
+  return [];
+}
+
+describe('Declarative Pipelines', () => {
+  useExampleWorkflowEnvironment({ runner: true });
+
+  describe('example pipeline', () => {
+    it('should run the 9-step example from its YAML definition', async () => {
+      const execution = await runPipeline(examplePipeline);
+
+      expect(execution.status).toBe('SUCCEEDED');
+      expect(execution.operations.filter(operation => operation.ParentId === undefined).map(operation => operation.Type))
+        .toEqual(['STEP', 'CONTEXT', 'WAIT', 'CONTEXT', 'CONTEXT', 'STEP', 'STEP', 'CHAINED_INVOKE', 'CONTEXT', 'STEP']);
+
+      const { result } = execution;
+      expect(result.workflowId).toBe(testEvent.workflowId);
+      expect(JSON.parse(result.callbackResult)).toEqual({ approved: true });
+      expect(result.parallelResults.map(task => task.type)).toEqual(['validation', 'enrichment', 'quality-check']);
+      expect(result.processedItems.map(item => item.checkpointId)).toEqual(
+        testEvent.inputData.items.map((item, index) => `checkpoint-work-item-${index + 1}-${index}`)
+      );
+      expect(result.summary).toMatchObject({ totalItems: 5, completedItems: 5, successRate: 1 });
+      expect(result.advancedOperations.conditionResult).toMatchObject({ ready: true, attempt: 3 });
+      expect(result.advancedOperations.invokeResult.statusCode).toBe(200);
+      expect(result.advancedOperations.childContextResult.valid).toBe(true);
+      expect(execution.operations.map(operation => operation.Name)).toContain('processItem-4');
+    });
+
+    it('should run an inline definition with a custom activity', async () => {
+      const definition = {
+        name: 'greeting',
+        steps: [
+          { type: 'step', name: 'prepare', activity: 'processData', args: ['$.input.inputData'], result: 'workItems' },
+          {
+            type: 'map',
+            name: 'greet-items',
+            items: '$.workItems',
+            steps: [{ type: 'step', name: 'greet-{$.item.id}', activity: 'greet', args: ['$.item.data', '$.input.workflowId'] }],
+            result: 'greetings'
+          }
+        ],
+        output: '$.greetings'
+      };
+      const workflow = createDefinitionWorkflow(definition, createActivityRegistry({
+        greet: async (data, workflowId) => `${workflowId}: ${data}`
+      }));
+
+      const execution = await runPipeline(workflow, { workflowId: 'wf-1', inputData: { items: ['a', 'b'] } });
+
+      expect(execution.status).toBe('SUCCEEDED');
+      expect(execution.result).toEqual(['wf-1: a', 'wf-1: b']);
+      expect(execution.operations.map(operation => operation.Name)).toEqual(
+        expect.arrayContaining(['greet-work-item-1', 'greet-work-item-2'])
+      );
+    });
+
+    it('should log the callback ID through the submitter context when a callback has no activity', async () => {
+      const logger = { info: vi.fn() };
+      const context = {
+        executionContext: { durableExecutionArn: 'arn:aws:lambda:local:000000000000:function:pipeline/durable-execution/wf-1' },
+        waitForCallback: vi.fn(async (name, submit) => {
+          await submit('callback-1', { logger });
+          return 'approved';
+        })
+      };
+      const workflow = createDefinitionWorkflow({ name: 'approval', steps: [{ type: 'callback', name: 'approve' }] });
+
+      expect(await workflow(testEvent, context)).toBe('approved');
+      expect(logger.info).toHaveBeenCalledWith('Waiting for callback approve: callback-1');
+      expect(console.log).not.toHaveBeenCalled();
+    });
+
+    it('should fail a condition that is still not met after maxAttempts', async () => {
+      const workflow = createDefinitionWorkflow({
+        name: 'never-ready',
+        steps: [{ type: 'condition', name: 'ready', activity: 'check', until: 'status.ready', delay: { seconds: 1 }, maxAttempts: 2 }]
+      }, { check: async () => ({ status: { ready: false } }) });
+
+      const execution = await runPipeline(workflow);
+
+      expect(execution.status).toBe('FAILED');
+      expect(execution.error.errorMessage).toBe(new ConditionNotMetError('ready', 'status.ready', 2).message);
+    });
+  });
+
+  describe('validation', () => {
+    it('should accept the example pipeline with the default activities', () => {
+      const definition = loadWorkflowDefinition(EXAMPLE_PIPELINE);
+      expect(validateWorkflowDefinition(definition, ACTIVITIES)).toBe(definition);
+      expect(definition.steps).toHaveLength(10);
+    });
+
+    it('should read the same definition from .json, .yaml and .yml files', () => {
+      const definition = loadWorkflowDefinition(EXAMPLE_PIPELINE);
+      const directory = mkdtempSync(join(tmpdir(), 'pipelines-'));
+      writeFileSync(join(directory, 'example.json'), JSON.stringify(definition));
+      writeFileSync(join(directory, 'example.yml'), 'name: example\nsteps:\n  - { type: wait, duration: { seconds: 5 } }\n');
+
+      expect(loadWorkflowDefinition(join(directory, 'example.json'))).toEqual(definition);
+      expect(loadWorkflowDefinition(join(directory, 'example.yml'))).toEqual({
+        name: 'example',
+        steps: [{ type: 'wait', duration: { seconds: 5 } }]
+      });
+      expect(() => loadWorkflowDefinition('pipelines/example-pipeline.toml'))
+        .toThrow('Workflow definition file must be one of: .json, .yaml, .yml (got pipelines/example-pipeline.toml)');
+      rmSync(directory, { recursive: true });
+    });
+
+    it('should reject unknown activities, node types and retry policies', () => {
+      expect(violationsOf({
+        name: 'typos',
+        steps: [
+          { type: 'step', name: 'load', activity: 'procesData' },
+          { type: 'sleep', seconds: 5 },
+          { type: 'step', name: 'save', activity: 'processData', retry: 'forever' }
+        ]
+      })).toEqual([
+        `steps[0].activity "procesData" is not registered; must be one of: ${Object.keys(ACTIVITIES).join(', ')}`,
+        'steps[1].type must be one of: step, wait, callback, parallel, map, condition, invoke, child',
+        'steps[2].retry must be one of: exponential, fixed, never, persistent'
+      ]);
+    });
+
+    it('should reject references to results that are not defined before them', () => {
+      expect(violationsOf({
+        name: 'references',
+        steps: [
+          { type: 'step', name: 'early', activity: 'performDataValidation', args: ['$.workItems.length'] },
+          { type: 'step', name: 'load', activity: 'processData', args: ['$.input.inputData'], result: 'workItems' },
+          {
+            type: 'parallel',
+            branches: [
+              { steps: [{ type: 'step', name: 'a', activity: 'performQualityCheck', result: 'quality' }] },
+              { steps: [{ type: 'step', name: 'b', activity: 'performDataValidation', args: ['$.quality'] }] }
+            ]
+          },
+          { type: 'map', name: 'items', items: '$.workItems', steps: [{ type: 'step', name: 'item-{$.position}', activity: 'processWorkItem' }] }
+        ],
+        output: { items: '$.workItems', check: '$.quality' }
+      })).toEqual([
+        'steps[0].args[0] references $.workItems.length, which is not defined before it',
+        'steps[2].branches[1].steps[0].args[0] references $.quality, which is not defined before it',
+        'steps[3].steps[0].name references {$.position}, which is not defined before it',
+        'output.check references $.quality, which is not defined by any step'
+      ]);
+    });
+
+    it('should list missing and unexpected fields of each node', () => {
+      expect(violationsOf({
+        steps: [
+          { type: 'wait', duration: {} },
+          { type: 'map', name: 'items', items: 'workItems', steps: [], concurrency: 2 },
+          { type: 'step', name: 'load', activity: 'processData', result: 'input' }
+        ]
+      })).toEqual([
+        'name is required',
+        'steps[0].duration must set days, hours, minutes or seconds',
+        'steps[1].steps must have at least 1 item',
+        'steps[1].concurrency is not allowed',
+        'steps[1].items must be a $. reference or an array',
+        'steps[2].result must not be one of: input, executionId, env'
+      ]);
+      expect(() => createDefinitionWorkflow({ name: 'empty', steps: [] }))
+        .toThrow('Invalid workflow definition "empty" (1 violation):\n- steps must have at least 1 item');
+    });
+  });
+
+  describe('environment', () => {
+    afterEach(() => {
+      delete process.env.GREETING;
+    });
+
+    it('should expose only the environment variables the definition lists', async () => {
+      process.env.GREETING = 'hello';
+      const workflow = createDefinitionWorkflow({
+        name: 'environment',
+        environment: ['GREETING'],
+        steps: [{ type: 'step', name: 'read-env', activity: 'echo', args: ['$.env'] }]
+      }, { echo: async (env) => env });
+
+      const execution = await runPipeline(workflow);
+
+      expect(execution.status).toBe('SUCCEEDED');
+      expect(execution.result).toEqual({ GREETING: 'hello' });
+    });
+
+    it('should reject $.env references to variables the definition does not list', () => {
+      expect(violationsOf({
+        name: 'secrets',
+        environment: ['HELLO_WORLD_FUNCTION_ARN'],
+        steps: [
+          { type: 'invoke', name: 'hello', function: '$.env.HELLO_WORLD_FUNCTION_ARN', result: 'greeting' },
+          { type: 'step', name: 'leak-{$.env.CALLBACK_SIGNING_SECRET}', activity: 'processData' }
+        ],
+        output: { secret: '$.env.AWS_SECRET_ACCESS_KEY' }
+      })).toEqual([
+        'steps[1].name references {$.env.CALLBACK_SIGNING_SECRET}, which is not listed in environment',
+        'output.secret references $.env.AWS_SECRET_ACCESS_KEY, which is not listed in environment'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,160 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { readFile } from 'node:fs/promises';
+import { WaitingOperationStatus } from '@aws/durable-execution-sdk-js-testing';
+import { recordApprovalDecision } from '../../workflows/durable-function-example/lib/callback-helper.mjs';
+import {
+  CURRENT_WORKFLOW_VERSION,
+  UnsupportedSdkError,
+  UnsupportedWorkflowVersionError,
+  getWorkflowVersion
+} from '../../workflows/durable-function-example/lib/versioning.mjs';
+import { formatOperationHistory } from '../helpers/operation-history.mjs';
+import { approve, createLocalExecution, runExampleWorkflow, testEvent, useExampleWorkflowEnvironment } from '../helpers/example-workflow.mjs';
+
+// The version of the code that is deployed; ignoreRecordedVersion stands in for code without the gates
+// and unversioned for code from before the workflow-version step
+let deployed = { version: CURRENT_WORKFLOW_VERSION, ignoreRecordedVersion: false, unversioned: false };
+
+vi.mock('../../workflows/durable-function-example/lib/versioning.mjs', async (importOriginal) => {
+  const actual = await importOriginal();
+  return {
+    ...actual,
+    getWorkflowVersion: vi.fn(async (context) => {
+      if (deployed.unversioned) {
+        return 1;
+      }
+      const version = await actual.getWorkflowVersion(context, deployed.version);
+      return deployed.ignoreRecordedVersion ? deployed.version : version;
+    })
+  };
+});
+
+const V1_HISTORY = new URL('./__golden__/example-workflow.v1.history.txt', import.meta.url);
+
+/** Context of a first run, whose SDK has no checkpoints to replay yet */
+function firstRunContext(step) {
+  return { step, _executionContext: { getStepData: () => undefined } };
+}
+
+function deploy(version, options = {}) {
+  deployed = { version, ignoreRecordedVersion: false, unversioned: false, ...options };
+}
+
+/**
+ * Run the example to its end, deploying the code returned by redeploy while the execution waits
+ * @param {Function} redeploy - Called once the approval is sent and the execution waits in stoppable-wait
+ */
+function runWithDeployInWait(redeploy) {
+  return runExampleWorkflow(testEvent, {
+    onCallback: async (operation, runner) => {
+      await approve(operation, { approved: true, approvedBy: 'ops' });
+      await runner.getOperation('stoppable-wait').waitForData(WaitingOperationStatus.STARTED);
+      redeploy();
+    }
+  });
+}
+
+const topLevelNames = execution => execution.operations
+  .filter(operation => operation.ParentId === undefined)
+  .map(operation => operation.Name);
+
+describe('Workflow Versioning', () => {
+  useExampleWorkflowEnvironment({ runner: true });
+
+  beforeEach(() => {
+    deploy(CURRENT_WORKFLOW_VERSION);
+  });
+
+  it('should checkpoint the version a run starts on and replay it after a deploy', async () => {
+    const context = firstRunContext(vi.fn(async (name, fn) => fn()));
+    expect(await getWorkflowVersion(context, 2)).toBe(2);
+    expect(context.step).toHaveBeenCalledWith('workflow-version', expect.any(Function));
+
+    const replay = firstRunContext(vi.fn(async () => 1));
+    expect(await getWorkflowVersion(replay, 2)).toBe(1);
+    await expect(getWorkflowVersion(firstRunContext(async () => 3), 2)).rejects.toThrow(
+      new UnsupportedWorkflowVersionError(3, 2).message
+    );
+  });
+
+  it('should fail loudly when the SDK does not expose the checkpoints being replayed', async () => {
+    const context = { step: vi.fn(async (name, fn) => fn()) };
+
+    await expect(getWorkflowVersion(context, 2)).rejects.toThrow(UnsupportedSdkError);
+    expect(context.step).not.toHaveBeenCalled();
+  });
+
+  describe('example workflow', () => {
+    it('should record the approval on executions started on version 2', async () => {
+      const execution = await runWithDeployInWait(() => {});
+
+      expect(execution.status).toBe('SUCCEEDED');
+      expect(topLevelNames(execution).slice(0, 4))
+        .toEqual(['workflow-version', 'processInputData', 'stoppable-external-callback', 'recordApproval']);
+      expect(execution.result.workflowVersion).toBe(2);
+      expect(execution.result.approval).toEqual({ approved: true, approvedBy: 'ops', timedOut: false });
+    });
+
+    it('should replay the version 1 path for an execution in flight when version 2 is deployed', async () => {
+      deploy(1);
+      const execution = await runWithDeployInWait(() => deploy(2));
+
+      expect(execution.status).toBe('SUCCEEDED');
+      expect(topLevelNames(execution).slice(0, 4))
+        .toEqual(['workflow-version', 'processInputData', 'stoppable-external-callback', 'stoppable-wait']);
+      expect(topLevelNames(execution)).not.toContain('recordApproval');
+      expect(execution.result.workflowVersion).toBe(1);
+      expect(execution.result).not.toHaveProperty('approval');
+    });
+
+    // Each invocation after the first replays the checkpoints so far, so the code from before the step
+    // starts the execution and the current code replays it once the approval arrives
+    it('should replay an execution started before the workflow-version step as version 1', async () => {
+      deploy(1, { unversioned: true });
+      const execution = await runExampleWorkflow(testEvent, {
+        onCallback: (operation) => {
+          deploy(CURRENT_WORKFLOW_VERSION);
+          return approve(operation);
+        }
+      });
+
+      const golden = (await readFile(V1_HISTORY, 'utf-8')).replace(/^#.*\n/gm, '');
+      expect(execution.status).toBe('SUCCEEDED');
+      expect(execution.result.workflowVersion).toBe(1);
+      expect(formatOperationHistory(execution.operations)).toBe(golden);
+    });
+
+    // The SDK terminates the invocation on a mismatch, so the test runner's execution never ends;
+    // the local runtime fails it instead
+    it('should break the same history when version 2 ignores the recorded version', async () => {
+      deploy(1);
+      const execution = createLocalExecution();
+      await execution.run();
+      const [approval] = execution.pendingCallbacks();
+      await execution.sendCallbackSuccess(approval.callbackId, { approved: true, approvedBy: 'ops' });
+      await execution.run();
+
+      deploy(2, { ignoreRecordedVersion: true });
+      await execution.run({ advanceTimers: true });
+
+      expect(execution.status).toBe('FAILED');
+      expect(execution.error.name).toBe('NonDeterministicExecutionError');
+      expect(execution.error.message).toContain('"recordApproval"');
+    });
+
+    it('should fail an execution started on a newer version after a rollback', async () => {
+      const execution = await runWithDeployInWait(() => deploy(1));
+
+      expect(execution.status).toBe('FAILED');
+      expect(execution.error.errorType).toBe('UnsupportedWorkflowVersionError');
+      expect(execution.error.errorMessage).toBe('Execution started on workflow version 2, but this code only runs versions up to 1');
+    });
+  });
+
+  it('should read the approval decision from an object, a JSON string or the timeout fallback', () => {
+    expect(recordApprovalDecision({ approved: true })).toEqual({ approved: true, approvedBy: null, timedOut: false });
+    expect(recordApprovalDecision('{"approved":false,"approvedBy":"ops"}')).toEqual({ approved: false, approvedBy: 'ops', timedOut: false });
+    expect(recordApprovalDecision('approved')).toEqual({ approved: false, approvedBy: null, timedOut: false });
+    expect(recordApprovalDecision({ timedOut: true, defaultValue: 'timeout-fallback' }).timedOut).toBe(true);
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Crash-and-resume fault injection harness
+ * Kills a durable handler's invocation right after its Nth checkpoint, lets the local
+ * runtime resume it from the saved checkpoints, and compares the outcome with an
+ * uninterrupted run
+ */
+
+import { isDeepStrictEqual } from 'node:util';
+import { LocalDurableExecution, operationPath } from '../../scripts/lib/local-durable-runtime.mjs';
+
+/**
+ * Step bodies that ran more than once for the same attempt even though the earlier run
+ * finished and was checkpointed. Bodies a crash interrupted mid-flight are expected to
+ * run again, since steps are at-least-once per retry.
+ */
+function findDuplicateBodies(execution) {
+  const completed = new Map();
+
+  for (const run of execution.bodyRuns.filter(bodyRun => bodyRun.completed)) {
+    const key = `${run.operationId}#${run.attempt}`;
+    completed.set(key, [...(completed.get(key) ?? []), run]);
+  }
+
+  return [...completed.values()]
+    .filter(runs => runs.length > 1)
+    .map(([run, ...others]) => ({
+      operationId: run.operationId,
+      path: operationPath(execution.operations, run.operationId),
+      attempt: run.attempt,
+      runs: others.length + 1
+    }));
+}
+
+/**
+ * Run a handler to completion, optionally crashing the invocation after checkpoint N
+ * @param {Function} handler - Durable handler body
+ * @param {object} event - Execution input
+ * @param {object} [options] - LocalDurableExecution options, plus:
+ * @param {number} [options.crashAfter] - Checkpoint number to crash after; omit for an uninterrupted run
+ * @param {Function} [options.resolveCallback] - Returns the success payload for a pending callback
+ * @param {Function} [options.beforeRun] - Called before the run starts, e.g. to reset module state
+ */
+export async function runWithCrash(handler, event, options = {}) {
+  const { crashAfter, resolveCallback, beforeRun, ...executionOptions } = options;
+  const checkpoints = [];
+
+  await beforeRun?.();
+
+  const execution = new LocalDurableExecution(handler, event, {
+    ...executionOptions,
+    onCheckpoint: (operation, checkpointNumber) => {
+      checkpoints.push({
+        checkpoint: checkpointNumber,
+        operationId: operation.Id,
+        path: operationPath(execution.operations, operation.Id),
+        type: operation.Type,
+        subType: operation.SubType,
+        status: operation.Status
+      });
+
+      if (checkpointNumber === crashAfter) {
+        execution.crash();
+      }
+    }
+  });
+
+  await execution.runToCompletion(resolveCallback);
+  await execution.settle();
+
+  return {
+    execution,
+    checkpoints,
+    crashedAt: checkpoints.find(checkpoint => checkpoint.checkpoint === crashAfter),
+    duplicateBodies: findDuplicateBodies(execution),
+    rerunBodies: execution.bodyRuns.filter(run => !run.completed).map(run => run.operationId)
+  };
+}
+
+/**
+ * Crash the handler once after every checkpoint of an uninterrupted run, resume each time,
+ * and report any run whose outcome differs or whose completed step bodies ran twice
+ * @param {Function} handler - Durable handler body
+ * @param {object} event - Execution input
+ * @param {object} [options] - runWithCrash options, plus:
+ * @param {Function} [options.normalize] - Maps a result before comparing, e.g. to drop timestamps
+ * @param {number[]} [options.crashPoints] - Checkpoint numbers to crash after, defaults to all of them
+ */
+export async function sweepCrashPoints(handler, event, options = {}) {
+  const { normalize = result => result, crashPoints, ...runOptions } = options;
+
+  const baseline = await runWithCrash(handler, event, runOptions);
+  const expected = normalize(baseline.execution.result);
+  const points = crashPoints ?? [...Array(baseline.execution.checkpointCount).keys()].map(index => index + 1);
+  const runs = [];
+
+  for (const crashAfter of points) {
+    const { execution, crashedAt, duplicateBodies, rerunBodies } = await runWithCrash(handler, event, {
+      ...runOptions,
+      crashAfter
+    });
+
+    const problems = [];
+    if (!crashedAt) {
+      problems.push(`never reached checkpoint ${crashAfter}`);
+    }
+    if (execution.status !== baseline.execution.status) {
+      problems.push(`status ${execution.status}, expected ${baseline.execution.status}`);
+    }
+    if (!isDeepStrictEqual(normalize(execution.result), expected)) {
+      problems.push('result differs from the uninterrupted run');
+    }
+    for (const duplicate of duplicateBodies) {
+      problems.push(`step body ${duplicate.path} attempt ${duplicate.attempt} ran ${duplicate.runs} times`);
+    }
+
+    runs.push({
+      crashAfter,
+      crashedAt,
+      status: execution.status,
+      result: execution.result,
+      invocations: execution.invocations.length,
+      rerunBodies,
+      problems
+    });
+  }
+
+  return {
+    baseline: baseline.execution,
+    checkpoints: baseline.execution.checkpointCount,
+    runs,
+    failures: runs.filter(run => run.problems.length > 0)
+  };
+}
@@ -0,0 +1,199 @@
+/**
+ * Replay determinism checker
+ * Runs a durable handler to completion on the local runtime, replays it against the
+ * recorded checkpoints and reruns it from scratch, then reports every operation whose
+ * type, name, order or input changed between runs
+ */
+
+import {
+  LocalDurableExecution,
+  NonDeterministicExecutionError,
+  compareOperationIds,
+  operationPath
+} from '../../scripts/lib/local-durable-runtime.mjs';
+
+async function runToCompletion(handler, event, options, resolveCallback) {
+  const execution = new LocalDurableExecution(handler, event, options);
+  return execution.runToCompletion(resolveCallback);
+}
+
+/**
+ * First time each operation ID was reached, keyed by ID
+ */
+function firstEncounters(trace) {
+  const encounters = new Map();
+
+  for (const entry of trace) {
+    if (!encounters.has(entry.Id)) {
+      encounters.set(entry.Id, entry);
+    }
+  }
+
+  return encounters;
+}
+
+function summarize(entry, operation) {
+  if (!entry && !operation) {
+    return undefined;
+  }
+
+  const { Type, SubType, Name } = entry ?? operation;
+  return {
+    Type,
+    SubType,
+    Name,
+    Input: entry?.Input,
+    Attempt: operation?.StepDetails?.Attempt
+  };
+}
+
+/**
+ * Compare the operations reached by a run against the recorded run's first encounters
+ */
+function compareTrace(phase, recorded, entries, operations) {
+  const divergences = [];
+
+  for (const entry of entries) {
+    const reference = recorded.get(entry.Id);
+    let kind;
+
+    if (!reference) {
+      kind = 'unexpected';
+    } else if (entry.Type !== reference.Type || entry.SubType !== reference.SubType) {
+      kind = 'type';
+    } else if (entry.Name !== reference.Name) {
+      kind = 'name';
+    } else if (entry.Input !== reference.Input) {
+      kind = 'input';
+    }
+
+    if (kind) {
+      divergences.push(createDivergence(phase, kind, entry.Id, operations, reference, entry));
+    }
+  }
+
+  return divergences;
+}
+
+function createDivergence(phase, kind, operationId, operations, recorded, replayed, details = {}) {
+  const path = operationPath(operations, operationId);
+  const before = summarize(recorded, details.recordedOperation);
+  const after = summarize(replayed, details.replayedOperation);
+
+  const messages = {
+    type: `operation type changed from ${before?.Type}/${before?.SubType} to ${after?.Type}/${after?.SubType}`,
+    name: `operation name changed from "${before?.Name ?? 'unnamed'}" to "${after?.Name ?? 'unnamed'}"`,
+    input: 'operation input changed between runs',
+    attempts: `attempt count changed from ${before?.Attempt} to ${after?.Attempt}`,
+    missing: 'operation was recorded but not reached',
+    unexpected: 'operation was reached but never recorded'
+  };
+
+  return {
+    phase,
+    kind,
+    operationId,
+    path,
+    recorded: before,
+    replayed: after,
+    message: `[${phase}] ${kind} at operation ${operationId} (${path}): ${messages[kind]}`
+  };
+}
+
+/**
+ * Run a durable handler, replay it and rerun it, and report where the runs diverged
+ * @param {Function} handler - Durable handler body, i.e. the function passed to withDurableExecution
+ * @param {object} event - Execution input
+ * @param {object} [options] - LocalDurableExecution options, plus:
+ * @param {Function} [options.resolveCallback] - Returns the success payload for a pending callback
+ * @param {boolean} [options.rerun] - Also compare against a fresh execution in the same process
+ * @returns {Promise<{deterministic: boolean, divergences: object[], execution: LocalDurableExecution}>}
+ */
+export async function checkDeterminism(handler, event, options = {}) {
+  const { resolveCallback = () => ({}), rerun = true, ...executionOptions } = options;
+
+  const execution = await runToCompletion(handler, event, executionOptions, resolveCallback);
+  const recorded = firstEncounters(execution.trace);
+  const operations = execution.operations;
+  const divergences = [];
+
+  // Replays that already happened while the recorded run moved from one invocation to the next
+  const laterEncounters = execution.trace.filter(entry => recorded.get(entry.Id) !== entry);
+  divergences.push(...compareTrace('replay', recorded, laterEncounters, operations));
+
+  // One more replay of the final checkpoint log
+  const replay = new LocalDurableExecution(handler, event, {
+    ...executionOptions,
+    executionId: execution.executionId,
+    checkpoints: execution.getOperations()
+  });
+  await replay.invoke();
+  divergences.push(...compareTrace('replay', recorded, replay.trace, operations));
+
+  if (!(replay.error instanceof NonDeterministicExecutionError)) {
+    const replayed = new Set(replay.trace.map(entry => entry.Id));
+
+    for (const operation of execution.getOperations()) {
+      if (operation.ParentId === undefined && !replayed.has(operation.Id)) {
+        divergences.push(createDivergence('replay', 'missing', operation.Id, operations, recorded.get(operation.Id)));
+      }
+    }
+  }
+
+  if (rerun) {
+    const fresh = await runToCompletion(handler, event, {
+      ...executionOptions,
+      executionId: execution.executionId
+    }, resolveCallback);
+    const reached = firstEncounters(fresh.trace);
+
+    divergences.push(...compareTrace('rerun', recorded, [...reached.values()], operations));
+
+    for (const [id, entry] of recorded) {
+      if (!reached.has(id)) {
+        divergences.push(createDivergence('rerun', 'missing', id, operations, entry));
+      }
+    }
+
+    for (const operation of execution.getOperations()) {
+      const other = fresh.operations.get(operation.Id);
+      if (other && other.Type === operation.Type && other.StepDetails?.Attempt !== operation.StepDetails?.Attempt) {
+        divergences.push(createDivergence('rerun', 'attempts', operation.Id, operations, recorded.get(operation.Id), reached.get(operation.Id), {
+          recordedOperation: operation,
+          replayedOperation: other
+        }));
+      }
+    }
+  }
+
+  const unique = new Map();
+  for (const divergence of divergences) {
+    const key = `${divergence.kind}:${divergence.operationId}`;
+    if (!unique.has(key)) {
+      unique.set(key, divergence);
+    }
+  }
+
+  const sorted = [...unique.values()]
+    .sort((a, b) => compareOperationIds(a.operationId, b.operationId));
+
+  return {
+    deterministic: sorted.length === 0,
+    divergences: sorted,
+    execution
+  };
+}
+
+/**
+ * Format a determinism report for assertion messages and console output
+ */
+export function formatDeterminismReport({ deterministic, divergences }) {
+  if (deterministic) {
+    return 'Deterministic: no divergences between recorded, replayed and rerun executions';
+  }
+
+  return [
+    `Non-deterministic: ${divergences.length} divergence(s)`,
+    ...divergences.map(divergence => `  - ${divergence.message}`)
+  ].join('\n');
+}
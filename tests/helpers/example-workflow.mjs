@@ -0,0 +1,164 @@
+/**
+ * Shared fixture for tests that run the durable function example
+ * Handler behaviour is tested on the SDK's LocalDurableTestRunner, so the real context runs every
+ * operation. The local runtime under scripts/lib only backs the tooling that needs what the runner
+ * cannot do: resuming after a crash, stopping and exporting executions, and the offline callback server.
+ */
+
+import { createHash } from 'node:crypto';
+import { afterAll, afterEach, beforeAll, beforeEach, vi } from 'vitest';
+import { LocalDurableTestRunner, WaitingOperationStatus } from '@aws/durable-execution-sdk-js-testing';
+import { LocalDurableExecution } from '../../scripts/lib/local-durable-runtime.mjs';
+import { handler, workflow } from '../../workflows/durable-function-example/index.mjs';
+import { resetSystemReadiness } from '../../workflows/durable-function-example/lib/advanced-operations.mjs';
+import { handler as helloWorld } from '../../functions/hello-world/index.mjs';
+import testEvent from '../../workflows/durable-function-example/test-event.json';
+
+export { testEvent };
+
+export const HELLO_WORLD_ARN = 'arn:aws:lambda:local:000000000000:function:HelloWorldFunction';
+export const APPROVAL_CALLBACK = 'wait-for-external-callback';
+
+/** Functions the example invokes, keyed by the ARN HELLO_WORLD_FUNCTION_ARN is set to */
+export const EXAMPLE_FUNCTIONS = { [HELLO_WORLD_ARN]: helloWorld };
+
+/**
+ * Register the per-test environment the example needs: HELLO_WORLD_FUNCTION_ARN pointing at the
+ * local hello-world function, a fresh readiness poll, and console.log and the SDK's INFO logs silenced.
+ * With { runner: true } the test runner's environment is also set up for the file, skipping waits
+ * and retry delays instead of sleeping through them. With { once: true } the environment is set up
+ * once for the suite, for suites that share one execution between their tests
+ */
+export function useExampleWorkflowEnvironment({ runner = false, once = false } = {}) {
+  if (runner) {
+    beforeAll(() => LocalDurableTestRunner.setupTestEnvironment({ skipTime: true }));
+    afterAll(() => LocalDurableTestRunner.teardownTestEnvironment());
+  }
+
+  (once ? beforeAll : beforeEach)(() => {
+    process.env.HELLO_WORLD_FUNCTION_ARN = HELLO_WORLD_ARN;
+    process.env.AWS_LAMBDA_LOG_LEVEL = 'WARN';
+    resetSystemReadiness();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  (once ? afterAll : afterEach)(() => {
+    vi.restoreAllMocks();
+    delete process.env.HELLO_WORLD_FUNCTION_ARN;
+    delete process.env.AWS_LAMBDA_LOG_LEVEL;
+  });
+}
+
+/** Complete the submitted external callback with an approval */
+export function approve(operation, decision = { approved: true }) {
+  return operation.sendCallbackSuccess(JSON.stringify(decision));
+}
+
+/**
+ * Run a durable handler to its end on the SDK's test runner
+ * @param {Function} durableHandler - Handler wrapped with withDurableExecution
+ * @param {object} event - Execution input
+ * @param {object} [options]
+ * @param {Object<string, Function>} [options.functions] - Functions context.invoke can call, keyed by
+ *   function ID; hello-world is registered unless functions are given
+ * @param {string|Function} [options.callback] - Name of the operation whose callback onCallback
+ *   answers, or a function returning that operation from the runner
+ * @param {string} [options.waitFor] - WaitingOperationStatus to wait for before answering; SUBMITTED
+ *   by default, for waitForCallback. A createCallback operation is only SUBMITTED once answered, so
+ *   answer those once STARTED
+ * @param {Function|null} [options.onCallback] - Called as (operation, runner) once that callback is
+ *   submitted; approves it by default. null leaves it to time out
+ * @returns {Promise<{status, result, error, operations, invocations, runner}>} error as the service
+ *   reports it ({ errorType, errorMessage, errorData }), operations with readable IDs (see toReadableOperations)
+ */
+export async function runOnTestRunner(durableHandler, event, options = {}) {
+  const {
+    callback = APPROVAL_CALLBACK,
+    waitFor = WaitingOperationStatus.SUBMITTED,
+    onCallback = operation => approve(operation),
+    functions = EXAMPLE_FUNCTIONS
+  } = options;
+  const runner = new LocalDurableTestRunner({ handlerFunction: durableHandler });
+  for (const [name, fn] of Object.entries(functions)) {
+    runner.registerFunction(name, fn);
+  }
+
+  const running = runner.run({ payload: event });
+  const callbackOperation = typeof callback === 'function' ? callback(runner) : runner.getOperation(callback);
+  const answered = onCallback && (async () => {
+    await callbackOperation.waitForData(waitFor);
+    await onCallback(callbackOperation, runner);
+  })().then(() => undefined, error => error);
+  const execution = await running;
+
+  // A run that ends before it reaches the callback never submits it
+  const callbackError = await answered;
+  if (callbackError && callbackOperation.getOperationData() !== undefined) {
+    throw callbackError;
+  }
+
+  const status = execution.getStatus();
+  return {
+    status,
+    result: status === 'SUCCEEDED' ? execution.getResult() : undefined,
+    error: status === 'SUCCEEDED' ? undefined : execution.getError(),
+    operations: toReadableOperations(execution.getOperations().map(operation => operation.getOperationData())),
+    invocations: execution.getInvocations(),
+    runner
+  };
+}
+
+/**
+ * Run the example workflow to its end on the SDK's test runner, approving its external callback
+ * @param {object} [event] - Execution input, test-event.json by default
+ * @param {object} [options] - runOnTestRunner options, plus handler to run in place of the example's
+ */
+export function runExampleWorkflow(event = testEvent, options = {}) {
+  return runOnTestRunner(options.handler ?? handler, event, options);
+}
+
+function hashOperationId(readableId) {
+  return createHash('md5').update(readableId).digest('hex').slice(0, 16);
+}
+
+/**
+ * The SDK checkpoints each operation under a hash of the ID it allocates in order ('1', '2', '3-1'
+ * for the first operation inside operation 3). Map the hashes back, so operations sort in replay
+ * order and compare with histories from the local runtime and the golden files
+ */
+export function toReadableOperations(operations) {
+  const readable = new Map();
+  const readableId = (operation) => {
+    if (!readable.has(operation.Id)) {
+      const parent = operations.find(candidate => candidate.Id === operation.ParentId);
+      const prefix = parent ? `${readableId(parent)}-` : '';
+      for (let counter = 1; counter <= operations.length; counter++) {
+        if (hashOperationId(`${prefix}${counter}`) === operation.Id) {
+          readable.set(operation.Id, `${prefix}${counter}`);
+          break;
+        }
+      }
+    }
+    return readable.get(operation.Id) ?? operation.Id;
+  };
+
+  return operations.map(operation => ({
+    ...operation,
+    Id: readableId(operation),
+    ...(operation.ParentId !== undefined && { ParentId: readable.get(operation.ParentId) ?? operation.ParentId })
+  }));
+}
+
+/**
+ * Local runtime execution of the example, for tests of the tooling built on it
+ * @param {object} [event] - Execution input, test-event.json by default
+ * @param {object} [options] - LocalDurableExecution options; hello-world is registered unless
+ *   functions are given
+ */
+export function createLocalExecution(event = testEvent, options = {}) {
+  return new LocalDurableExecution(options.handler ?? workflow, event, {
+    startTime: '2024-01-01T00:00:00Z',
+    functions: EXAMPLE_FUNCTIONS,
+    ...options
+  });
+}
@@ -0,0 +1,42 @@
+/**
+ * Operation history formatting for golden-file snapshots
+ * One line per operation in replay order, indented under its parent context, so a
+ * renamed, reordered, added or removed operation shows up as a one-line diff
+ */
+
+import { compareOperationIds } from '../../scripts/lib/local-durable-runtime.mjs';
+
+/**
+ * Ordered operation history without run-specific values (results, timestamps, callback IDs)
+ */
+export function getOperationHistory(operations) {
+  const byId = new Map(operations.map(operation => [operation.Id, operation]));
+
+  return [...operations]
+    .sort((a, b) => compareOperationIds(a.Id, b.Id))
+    .map(({ Id, Type, SubType, Name, ParentId }) => ({
+      id: Id,
+      type: Type,
+      subType: SubType,
+      name: Name ?? null,
+      parent: ParentId === undefined ? null : (byId.get(ParentId)?.Name ?? ParentId)
+    }));
+}
+
+function depthOf(id) {
+  return id.split('-').length - 1;
+}
+
+/**
+ * Render the history as text for a file snapshot
+ * @param {object[]} operations - Checkpoint log, e.g. execution.getOperations()
+ * @param {string[]} [header] - Comment lines written above the history
+ */
+export function formatOperationHistory(operations, header = []) {
+  const lines = getOperationHistory(operations).map(({ id, type, subType, name }) => {
+    const indent = '  '.repeat(depthOf(id));
+    return `${indent}${id.padEnd(8)} ${`${type}/${subType}`.padEnd(32)} ${name ?? '(unnamed)'}`.trimEnd();
+  });
+
+  return [...header.map(line => `# ${line}`), ...lines, ''].join('\n');
+}
@@ -0,0 +1,316 @@
+import { describe, it, expect, vi } from 'vitest';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import {
+  SendDurableExecutionCallbackFailureCommand,
+  SendDurableExecutionCallbackHeartbeatCommand,
+  SendDurableExecutionCallbackSuccessCommand,
+  TooManyRequestsException
+} from '@aws-sdk/client-lambda';
+import {
+  buildCallbackCommand,
+  formatResultReport,
+  parseCallbackRecords,
+  resumeCallbacks,
+  sendWithRetry,
+  toCallbackErrorObject,
+  validateCallbackRecord
+} from '../../scripts/lib/callback-batch.mjs';
+import { signCallbackId } from '../../workflows/durable-function-example/lib/callback-helper.mjs';
+
+const RESUME_SCRIPT = fileURLToPath(new URL('../../scripts/resume-workflow.mjs', import.meta.url));
+
+const throttled = () => new TooManyRequestsException({ message: 'Rate exceeded', $metadata: {} });
+const noSleep = async () => {};
+
+/** Client whose send() is answered by `respond(command, callIndex)` */
+function fakeClient(respond = () => ({})) {
+  const calls = [];
+  return {
+    calls,
+    async send(command) {
+      calls.push(command);
+      return respond(command, calls.length - 1);
+    }
+  };
+}
+
+function runCli(args, stdin) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [RESUME_SCRIPT, ...args], {
+      env: { ...process.env, AWS_REGION: 'us-east-1' },
+      timeout: 20000
+    });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', reject);
+    child.on('close', code => resolve({ code, stdout, stderr }));
+    child.stdin.end(stdin);
+  });
+}
+
+describe('Batch Callback Resumption', () => {
+  describe('parseCallbackRecords', () => {
+    it('should read one record per JSONL line and keep line numbers', () => {
+      const records = parseCallbackRecords([
+        '{"callbackId":"callback-a","action":"success","payload":{"approved":true}}',
+        '',
+        '{"callbackId":"callback-b","action":"failure","payload":"Rejected"}',
+        'not json',
+        '[1,2]'
+      ].join('\n'));
+
+      expect(records).toEqual([
+        { line: 1, callbackId: 'callback-a', action: 'success', payload: { approved: true } },
+        { line: 3, callbackId: 'callback-b', action: 'failure', payload: 'Rejected' },
+        { line: 4, parseError: expect.stringMatching(/^Invalid JSON: /) },
+        { line: 5, parseError: 'Record must be a JSON object' }
+      ]);
+    });
+
+    it('should read CSV with quoted JSON payloads', () => {
+      const records = parseCallbackRecords([
+        'callbackId,action,payload',
+        'callback-a,success,"{""approved"":true,""note"":""ok, thanks""}"',
+        'callback-b,failure,Rejected by reviewer',
+        'callback-c,,',
+        ''
+      ].join('\r\n'), 'csv');
+
+      expect(records).toEqual([
+        { line: 2, callbackId: 'callback-a', action: 'success', payload: '{"approved":true,"note":"ok, thanks"}' },
+        { line: 3, callbackId: 'callback-b', action: 'failure', payload: 'Rejected by reviewer' },
+        { line: 4, callbackId: 'callback-c' }
+      ]);
+    });
+
+    it('should reject CSV without a callbackId column and unknown formats', () => {
+      expect(() => parseCallbackRecords('id,action\ncallback-a,success', 'csv'))
+        .toThrow('CSV header must include a callbackId column');
+      expect(() => parseCallbackRecords('', 'xml')).toThrow('Record format must be one of: jsonl, csv');
+    });
+  });
+
+  describe('validateCallbackRecord', () => {
+    it('should parse JSON text payloads for success and default the action', () => {
+      expect(validateCallbackRecord({ line: 1, callbackId: 'callback-a', payload: '{"approved":true}' })).toEqual({
+        record: { line: 1, callbackId: 'callback-a', action: 'success', payload: { approved: true } }
+      });
+    });
+
+    it('should report what is wrong with a record', () => {
+      expect(validateCallbackRecord({ line: 1 }).error).toBe('callbackId must be a non-empty string');
+      expect(validateCallbackRecord({ callbackId: 'callback-a', action: 'approve' }).error)
+        .toBe('action must be one of: success, failure, heartbeat');
+      expect(validateCallbackRecord({ callbackId: 'callback-a', payload: '{oops' }).error)
+        .toBe('success payload must be valid JSON');
+      expect(validateCallbackRecord({ callbackId: 'callback-a', action: 'failure', payload: { reason: 'x' } }).error)
+        .toBe('failure payload may only contain: type, message, data, stack (got reason)');
+      expect(validateCallbackRecord({ callbackId: 'callback-a', action: 'heartbeat', payload: '{}' }).error)
+        .toBe('heartbeat records take no payload');
+      expect(validateCallbackRecord({ callbackId: 'callback-a' }, { secret: 'secret' }).error)
+        .toBe('Callback ID is not signed (CallbackIdSignatureError)');
+    });
+
+    it('should send the service callback ID a signed ID wraps', () => {
+      const signed = signCallbackId('service-callback-1', { executionId: 'exec-1', secret: 'secret' });
+
+      expect(validateCallbackRecord({ line: 1, callbackId: signed, action: 'heartbeat' }, { secret: 'secret' })).toEqual({
+        record: { line: 1, callbackId: 'service-callback-1', action: 'heartbeat', payload: undefined }
+      });
+    });
+  });
+
+  describe('buildCallbackCommand', () => {
+    it('should send success payloads as the encoded Result', () => {
+      const command = buildCallbackCommand({ callbackId: 'callback-a', action: 'success', payload: { approved: true } });
+
+      expect(command).toBeInstanceOf(SendDurableExecutionCallbackSuccessCommand);
+      expect(command.input.CallbackId).toBe('callback-a');
+      expect(JSON.parse(new TextDecoder().decode(command.input.Result))).toEqual({ approved: true });
+    });
+
+    it('should send failures as an error object', () => {
+      const command = buildCallbackCommand({ callbackId: 'callback-a', action: 'failure', payload: 'Rejected' });
+
+      expect(command).toBeInstanceOf(SendDurableExecutionCallbackFailureCommand);
+      expect(command.input).toEqual({ CallbackId: 'callback-a', Error: { ErrorMessage: 'Rejected' } });
+    });
+
+    it('should send heartbeats without a payload', () => {
+      const command = buildCallbackCommand({ callbackId: 'callback-a', action: 'heartbeat' });
+
+      expect(command).toBeInstanceOf(SendDurableExecutionCallbackHeartbeatCommand);
+      expect(command.input).toEqual({ CallbackId: 'callback-a' });
+    });
+  });
+
+  describe('toCallbackErrorObject', () => {
+    it('should map structured error data from JSON text or objects', () => {
+      const expected = {
+        ErrorType: 'ValidationRejected',
+        ErrorMessage: 'Year out of range',
+        ErrorData: '{"albumIndex":1}',
+        StackTrace: ['at review (reviewer.mjs:10)', 'at main (reviewer.mjs:2)']
+      };
+      const failure = {
+        type: 'ValidationRejected',
+        message: 'Year out of range',
+        data: { albumIndex: 1 },
+        stack: 'at review (reviewer.mjs:10)\nat main (reviewer.mjs:2)'
+      };
+
+      expect(toCallbackErrorObject(failure)).toEqual(expected);
+      expect(toCallbackErrorObject(JSON.stringify(failure))).toEqual(expected);
+    });
+
+    it('should treat anything that is not a JSON object as the message', () => {
+      expect(toCallbackErrorObject('User rejected validation')).toEqual({ ErrorMessage: 'User rejected validation' });
+      expect(toCallbackErrorObject('404')).toEqual({ ErrorMessage: '404' });
+      expect(toCallbackErrorObject()).toEqual({ ErrorMessage: 'Workflow failed via CLI script' });
+      expect(toCallbackErrorObject({ type: 'Rejected' })).toEqual({ ErrorType: 'Rejected', ErrorMessage: 'Workflow failed via CLI script' });
+    });
+
+    it('should reject malformed error data', () => {
+      expect(() => toCallbackErrorObject({ type: 42 })).toThrow('failure type must be a string');
+      expect(() => toCallbackErrorObject({ message: { text: 'x' } })).toThrow('failure message must be a string');
+      expect(() => toCallbackErrorObject({ stack: [1, 2] })).toThrow('failure stack must be a string or an array of strings');
+      expect(() => toCallbackErrorObject(['x'])).toThrow('failure payload must be an error message or an object');
+    });
+  });
+
+  describe('sendWithRetry', () => {
+    it('should retry throttled requests with exponential backoff', async () => {
+      const client = fakeClient((command, index) => {
+        if (index < 2) throw throttled();
+      });
+      const sleep = vi.fn(noSleep);
+
+      const attempts = await sendWithRetry(client, {}, { sleep, random: () => 1, baseDelayMs: 100 });
+
+      expect(attempts).toBe(3);
+      expect(sleep.mock.calls.map(([ms]) => ms)).toEqual([100, 200]);
+    });
+
+    it('should honour the retryAfterSeconds hint', async () => {
+      const client = fakeClient((command, index) => {
+        if (index === 0) throw Object.assign(throttled(), { retryAfterSeconds: '2' });
+      });
+      const sleep = vi.fn(noSleep);
+
+      await sendWithRetry(client, {}, { sleep });
+
+      expect(sleep).toHaveBeenCalledWith(2000);
+    });
+
+    it('should give up after maxRetries and not retry other errors', async () => {
+      const alwaysThrottled = fakeClient(() => { throw throttled(); });
+      await expect(sendWithRetry(alwaysThrottled, {}, { maxRetries: 2, sleep: noSleep }))
+        .rejects.toMatchObject({ name: 'TooManyRequestsException', attempts: 3 });
+
+      const notFound = fakeClient(() => { throw Object.assign(new Error('Callback not found'), { name: 'ResourceNotFoundException' }); });
+      await expect(sendWithRetry(notFound, {}, { sleep: noSleep })).rejects.toMatchObject({ attempts: 1 });
+      expect(notFound.calls).toHaveLength(1);
+    });
+  });
+
+  describe('resumeCallbacks', () => {
+    const records = [
+      { line: 1, callbackId: 'callback-a', action: 'success', payload: { approved: true } },
+      { line: 2, callbackId: 'callback-b', action: 'failure', payload: 'Rejected' },
+      { line: 3, callbackId: 'callback-a', action: 'success' },
+      { line: 4, callbackId: 'callback-c', action: 'approve' },
+      { line: 5, callbackId: 'callback-d' }
+    ];
+
+    it('should report a result per record in input order', async () => {
+      const client = fakeClient(command => {
+        if (command.input.CallbackId === 'callback-d') {
+          throw Object.assign(new Error('Callback not found'), { name: 'ResourceNotFoundException' });
+        }
+      });
+
+      const results = await resumeCallbacks(records, { client, sleep: noSleep });
+
+      expect(results).toEqual([
+        { line: 1, callbackId: 'callback-a', action: 'success', status: 'sent', attempts: 1 },
+        { line: 2, callbackId: 'callback-b', action: 'failure', status: 'sent', attempts: 1 },
+        { line: 3, callbackId: 'callback-a', action: 'success', status: 'invalid', attempts: 0, error: 'duplicate callbackId, first seen on line 1', exitCode: 2 },
+        { line: 4, callbackId: 'callback-c', action: 'approve', status: 'invalid', attempts: 0, error: 'action must be one of: success, failure, heartbeat', exitCode: 2 },
+        { line: 5, callbackId: 'callback-d', action: 'success', status: 'failed', attempts: 1, error: 'ResourceNotFoundException: Callback not found', exitCode: 6 }
+      ]);
+      expect(client.calls.map(command => command.input.CallbackId)).toEqual(['callback-a', 'callback-b', 'callback-d']);
+    });
+
+    it('should keep at most `concurrency` requests in flight', async () => {
+      let inFlight = 0;
+      let peak = 0;
+      const client = {
+        async send() {
+          peak = Math.max(peak, ++inFlight);
+          await new Promise(resolve => setTimeout(resolve, 5));
+          inFlight--;
+        }
+      };
+      const many = Array.from({ length: 12 }, (_, index) => ({ line: index + 1, callbackId: `callback-${index}` }));
+
+      const results = await resumeCallbacks(many, { client, concurrency: 3 });
+
+      expect(peak).toBe(3);
+      expect(results.every(result => result.status === 'sent')).toBe(true);
+    });
+
+    it('should only validate records in dry-run mode', async () => {
+      const client = fakeClient();
+
+      const results = await resumeCallbacks(records, { client, dryRun: true });
+
+      expect(client.calls).toHaveLength(0);
+      expect(results.map(result => result.status)).toEqual(['valid', 'valid', 'invalid', 'invalid', 'valid']);
+    });
+  });
+
+  describe('formatResultReport', () => {
+    it('should print one row per record and a summary', () => {
+      const report = formatResultReport([
+        { line: 1, callbackId: 'callback-a', action: 'success', status: 'sent', attempts: 2 },
+        { line: 2, callbackId: undefined, action: 'success', status: 'invalid', attempts: 0, error: 'callbackId must be a non-empty string' }
+      ]);
+
+      expect(report.split('\n')).toEqual([
+        'LINE   STATUS   ACTION   ATTEMPTS  CALLBACK ID',
+        '1      sent     success  2         callback-a',
+        '2      invalid  success  0         (missing)  - callbackId must be a non-empty string',
+        '',
+        '2 records: 1 sent, 1 invalid'
+      ]);
+    });
+  });
+
+  describe('resume-workflow script', () => {
+    it('should validate records from stdin in dry-run mode without calling AWS', async () => {
+      const { code, stdout } = await runCli(['--file', '-', '--format', 'csv', '--dry-run', '--json'], [
+        'callbackId,action,payload',
+        'callback-a,success,"{""approved"":true}"',
+        'callback-b,failure,Rejected'
+      ].join('\n'));
+
+      expect(code).toBe(0);
+      expect(JSON.parse(stdout)).toMatchObject({
+        dryRun: true,
+        summary: { total: 2, valid: 2 },
+        results: [{ callbackId: 'callback-a', status: 'valid' }, { callbackId: 'callback-b', status: 'valid' }]
+      });
+    });
+
+    it('should exit with the rejected code when a record is invalid', async () => {
+      const { code, stdout } = await runCli(['--file', '-', '--dry-run'], '{"callbackId":"callback-a","action":"approve"}\n');
+
+      expect(code).toBe(2);
+      expect(stdout).toContain('action must be one of: success, failure, heartbeat');
+      expect(stdout).toContain('1 record: 1 invalid');
+    });
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import {
+  CallbackTimeoutException,
+  InvalidParameterValueException,
+  KMSDisabledException,
+  ResourceNotFoundException,
+  ServiceException,
+  TooManyRequestsException
+} from '@aws-sdk/client-lambda';
+import { EXIT_CODES, batchExitCode, classifyCallbackError } from '../../scripts/lib/callback-errors.mjs';
+
+const awsError = (ErrorClass, message) => new ErrorClass({ message, $metadata: {} });
+
+describe('Callback Error Exit Codes', () => {
+  it('should give each AWS error type its own exit code', () => {
+    const errors = [
+      Object.assign(new Error('1 validation error detected'), { name: 'ValidationException' }),
+      awsError(InvalidParameterValueException, 'Invalid callback ID'),
+      awsError(ResourceNotFoundException, 'Callback not found'),
+      awsError(CallbackTimeoutException, 'Callback timed out'),
+      awsError(TooManyRequestsException, 'Rate exceeded'),
+      awsError(ServiceException, 'Internal error'),
+      awsError(KMSDisabledException, 'Key disabled')
+    ];
+
+    const codes = errors.map(error => classifyCallbackError(error).exitCode);
+
+    expect(codes).toEqual([
+      EXIT_CODES.VALIDATION,
+      EXIT_CODES.INVALID_PARAMETER,
+      EXIT_CODES.NOT_FOUND,
+      EXIT_CODES.TIMED_OUT,
+      EXIT_CODES.THROTTLED,
+      EXIT_CODES.SERVICE,
+      EXIT_CODES.KMS_DISABLED
+    ]);
+    expect(new Set(Object.values(EXIT_CODES)).size).toBe(Object.keys(EXIT_CODES).length);
+  });
+
+  it('should tell an already completed callback apart from an invalid one', () => {
+    const completed = awsError(InvalidParameterValueException, 'Callback callback-a is already SUCCEEDED');
+
+    expect(classifyCallbackError(completed)).toMatchObject({
+      exitCode: EXIT_CODES.ALREADY_COMPLETED,
+      reason: 'already-completed'
+    });
+    expect(classifyCallbackError(awsError(ResourceNotFoundException, 'Callback not found')).reason).toBe('not-found');
+  });
+
+  it('should fall back to the generic error code for anything else', () => {
+    expect(classifyCallbackError(new TypeError('fetch failed'))).toEqual({ exitCode: EXIT_CODES.ERROR, reason: 'error', hint: undefined });
+    expect(classifyCallbackError(undefined).exitCode).toBe(EXIT_CODES.ERROR);
+  });
+
+  it('should exit a batch with the code its problems share', () => {
+    expect(batchExitCode([{ status: 'sent' }])).toBe(EXIT_CODES.OK);
+    expect(batchExitCode([{ status: 'sent' }, { status: 'failed', exitCode: 6 }, { status: 'failed', exitCode: 6 }])).toBe(6);
+    expect(batchExitCode([{ status: 'failed', exitCode: 6 }, { status: 'invalid', exitCode: 2 }])).toBe(EXIT_CODES.ERROR);
+  });
+});
@@ -0,0 +1,314 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach } from 'vitest';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { LocalDurableExecution } from '../../scripts/lib/local-durable-runtime.mjs';
+import { startLocalCallbackServer } from '../../scripts/lib/local-callback-server.mjs';
+import {
+  INSPECT_EXIT_CODES,
+  buildOperationTree,
+  formatDuration,
+  formatExecutionList,
+  formatOperationTree
+} from '../../scripts/lib/execution-history.mjs';
+import { buildTimeline, parseHistoryExport } from '../../scripts/lib/execution-timeline.mjs';
+import { createLocalExecution, testEvent, useExampleWorkflowEnvironment } from '../helpers/example-workflow.mjs';
+
+const FUNCTION_NAME = 'DurableFunctionExampleFunction';
+const EXECUTIONS_SCRIPT = fileURLToPath(new URL('../../scripts/executions.mjs', import.meta.url));
+
+/** Run executions.mjs without AWS credentials */
+function runCli(args) {
+  const { AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY, AWS_SESSION_TOKEN, AWS_PROFILE, DURABLE_FUNCTION_NAME, ...baseEnv } = process.env;
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [EXECUTIONS_SCRIPT, ...args], {
+      env: { ...baseEnv, AWS_REGION: 'us-east-1', NODE_NO_WARNINGS: '1' },
+      timeout: 20000
+    });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', reject);
+    child.on('close', code => resolve({ code, stdout, stderr }));
+  });
+}
+
+/** Every node of an operation tree, parents before their children */
+const flatten = nodes => nodes.flatMap(node => [node, ...flatten(node.children)]);
+
+/** Run the example workflow to completion, approving its callback */
+async function runLocalExample(options = {}) {
+  const execution = createLocalExecution(testEvent, options);
+  await execution.run({ advanceTimers: true });
+  const [{ callbackId }] = execution.pendingCallbacks();
+  await execution.sendCallbackSuccess(callbackId, '{"approved":true}');
+  await execution.run({ advanceTimers: true });
+  return execution;
+}
+
+describe('Execution History', () => {
+  useExampleWorkflowEnvironment();
+
+  it('should nest parallel branches, map iterations and the child contexts under their parent', async () => {
+    const execution = await runLocalExample();
+    const tree = buildOperationTree(execution.events);
+
+    expect(tree.map(node => node.name ?? node.subType)).toEqual([
+      'workflow-version', 'processInputData', 'stoppable-external-callback', 'recordApproval', 'stoppable-wait', 'Parallel',
+      'process-work-items',
+      'stoppable-condition', 'invoke-hello-world', 'isolated-operations', 'aggregateResults'
+    ]);
+
+    const guarded = tree.find(node => node.name === 'stoppable-external-callback');
+    expect(guarded.children.map(branch => branch.name)).toEqual(['work', 'stop-request']);
+    expect(guarded.children[0].children[0]).toMatchObject({ name: 'wait-for-external-callback', status: 'SUCCEEDED' });
+    expect(guarded.children[1].children[0]).toMatchObject({ name: 'stop-request', type: 'CALLBACK', status: 'STARTED' });
+
+    const parallel = tree.find(node => node.subType === 'Parallel' && node.name === undefined);
+    expect(parallel.children.map(branch => branch.subType)).toEqual(['ParallelBranch', 'ParallelBranch', 'ParallelBranch']);
+    expect(parallel.children.map(branch => branch.children[0].name)).toEqual(['parallelTask1', 'parallelTask2', 'parallelTask3']);
+
+    const workItems = tree.find(node => node.name === 'process-work-items');
+    expect(workItems.children.map(map => map.name)).toEqual(['process-priority-1', 'process-priority-2', 'process-priority-3']);
+    expect(workItems.children.flatMap(map => map.children)).toHaveLength(testEvent.inputData.items.length);
+    expect(workItems.children[1].children[1].children[0].name).toBe('processItem-4');
+
+    const isolated = tree.find(node => node.name === 'isolated-operations');
+    expect(isolated.children.map(node => node.name)).toEqual(expect.arrayContaining(['processMetadata', 'validateConfiguration']));
+  });
+
+  it('should report durations from the virtual clock and polls as retries', async () => {
+    const execution = await runLocalExample();
+    const operations = flatten(buildOperationTree(execution.events));
+
+    const wait = operations.find(node => node.type === 'WAIT');
+    expect(wait).toMatchObject({ status: 'SUCCEEDED', durationMs: 5000 });
+
+    const condition = operations.find(node => node.subType === 'WaitForCondition');
+    expect(condition).toMatchObject({ status: 'SUCCEEDED', attempts: 3, retries: 2 });
+  });
+
+  it('should count retries of a step and show the pending retry with its error', async () => {
+    let calls = 0;
+    const execution = new LocalDurableExecution(async (event, context) => {
+      return await context.step('flaky', async () => {
+        calls++;
+        if (calls < 3) throw new Error('temporary failure');
+        return 'ok';
+      });
+    }, { startTime: '2024-01-01T00:00:00Z' });
+
+    await execution.run();
+    const [pending] = buildOperationTree(execution.events);
+    expect(pending).toMatchObject({
+      name: 'flaky',
+      status: 'PENDING',
+      retries: 0,
+      durationMs: undefined,
+      error: { ErrorMessage: 'temporary failure' }
+    });
+
+    await execution.run({ advanceTimers: true });
+    const [finished] = buildOperationTree(execution.events);
+    expect(finished).toMatchObject({ name: 'flaky', status: 'SUCCEEDED', attempts: 3, retries: 2, error: undefined });
+    expect(finished.durationMs).toBeGreaterThan(0);
+  });
+
+  it('should render the tree with the branch and iteration names the SDK gives', async () => {
+    const execution = await runLocalExample();
+    const lines = formatOperationTree(buildOperationTree(execution.events)).split('\n');
+
+    expect(lines[0]).toMatch(/^├─ workflow-version\s+STEP\/Step\s+SUCCEEDED\s+\d+ms\s+0 retries$/);
+    expect(lines[1]).toMatch(/^├─ processInputData\s+STEP\/Step\s+SUCCEEDED\s+\d+ms\s+0 retries$/);
+    expect(lines).toContainEqual(expect.stringMatching(/^│  ├─ parallel-branch-0\s+CONTEXT\/ParallelBranch\s+SUCCEEDED/));
+    expect(lines).toContainEqual(expect.stringMatching(/^│  │  └─ parallelTask1\s+STEP\/Step/));
+    expect(lines).toContainEqual(expect.stringMatching(/^│  └─ process-priority-3\s+CONTEXT\/Map\s/));
+    expect(lines).toContainEqual(expect.stringMatching(/^│  │  └─ map-item-1\s+CONTEXT\/MapIteration/));
+    expect(lines).toContainEqual(expect.stringMatching(/^│  │  └─ \(Wait\)\s+WAIT\/Wait\s+SUCCEEDED\s+5\.0s$/));
+    expect(lines).toContainEqual(expect.stringMatching(/^│  │  └─ \(WaitForCondition\)\s+STEP\/WaitForCondition\s+SUCCEEDED\s+\S+\s+2 retries$/));
+    expect(lines.at(-1)).toMatch(/^└─ aggregateResults/);
+  });
+
+  it('should format durations at every scale', () => {
+    expect(formatDuration(undefined)).toBe('-');
+    expect(formatDuration(850)).toBe('850ms');
+    expect(formatDuration(12345)).toBe('12.3s');
+    expect(formatDuration(245000)).toBe('4m 05s');
+    expect(formatDuration(7800000)).toBe('2h 10m');
+  });
+
+  it('should format an empty execution list', () => {
+    expect(formatExecutionList([])).toBe('No executions found');
+  });
+});
+
+describe('Executions CLI', () => {
+  let server;
+  let execution;
+
+  const inspect = (...args) => runCli(['--function', FUNCTION_NAME, '--endpoint', server.url, ...args]);
+
+  useExampleWorkflowEnvironment({ once: true });
+
+  beforeAll(async () => {
+    execution = await runLocalExample({ executionId: 'durable-demo-001', functionName: FUNCTION_NAME });
+    const running = createLocalExecution({ ...testEvent, workflowId: 'durable-demo-002' }, {
+      startTime: '2024-01-02T00:00:00Z',
+      executionId: 'durable-demo-002',
+      functionName: FUNCTION_NAME
+    });
+    await running.run({ advanceTimers: true });
+
+    server = await startLocalCallbackServer([execution, running]);
+  });
+
+  afterAll(async () => {
+    await server.close();
+  });
+
+  it('should list executions newest first', async () => {
+    const { code, stdout } = await inspect('list');
+
+    expect(code).toBe(INSPECT_EXIT_CODES.OK);
+    const lines = stdout.trim().split('\n');
+    expect(lines[0]).toMatch(/^NAME\s+STATUS\s+STARTED\s+DURATION$/);
+    expect(lines[1]).toMatch(/^durable-demo-002\s+RUNNING\s+2024-01-02T00:00:00.000Z\s+-$/);
+    expect(lines[2]).toMatch(/^durable-demo-001\s+SUCCEEDED\s+2024-01-01T00:00:00.000Z/);
+  });
+
+  it('should filter the list by status', async () => {
+    const { code, stdout } = await inspect('list', '--status', 'succeeded', '--json');
+
+    expect(code).toBe(INSPECT_EXIT_CODES.OK);
+    expect(JSON.parse(stdout)).toEqual([expect.objectContaining({ DurableExecutionName: 'durable-demo-001', Status: 'SUCCEEDED' })]);
+  });
+
+  it('should reject an unknown status', async () => {
+    const { code, stderr } = await inspect('list', '--status', 'DONE');
+
+    expect(code).toBe(INSPECT_EXIT_CODES.REJECTED);
+    expect(stderr).toContain('Status must be one of: RUNNING, SUCCEEDED, FAILED, TIMED_OUT, STOPPED (got DONE)');
+  });
+
+  it('should describe an execution by name with its input and output', async () => {
+    const { code, stdout } = await inspect('describe', 'durable-demo-001', '--json');
+
+    expect(code).toBe(INSPECT_EXIT_CODES.OK);
+    expect(JSON.parse(stdout)).toMatchObject({
+      name: 'durable-demo-001',
+      arn: execution.executionArn,
+      status: 'SUCCEEDED',
+      input: testEvent,
+      result: { callbackResult: '{"approved":true}' }
+    });
+  });
+
+  it('should print the operation tree of an execution', async () => {
+    const { code, stdout } = await inspect('history', execution.executionArn);
+
+    expect(code).toBe(INSPECT_EXIT_CODES.OK);
+    expect(stdout).toContain('📋 durable-demo-001 SUCCEEDED');
+    expect(stdout).toMatch(/│     └─ parallelTask3\s+STEP\/Step\s+SUCCEEDED/);
+    expect(stdout).toMatch(/├─ isolated-operations\s+CONTEXT\/RunInChildContext\s+SUCCEEDED/);
+    expect(stdout).toMatch(/│  └─ validateConfiguration\s+STEP\/Step\s+SUCCEEDED\s+\d+ms\s+0 retries/);
+  });
+
+  it('should export the raw history events for render-timeline.mjs', async () => {
+    const { code, stdout } = await inspect('history', 'durable-demo-001', '--events');
+
+    expect(code).toBe(INSPECT_EXIT_CODES.OK);
+    const timeline = buildTimeline(parseHistoryExport(stdout));
+    expect(timeline).toMatchObject({ status: 'SUCCEEDED', startedAt: Date.parse('2024-01-01T00:00:00Z') });
+    expect(timeline.rows.find(row => row.subType === 'WaitForCondition').attempts).toBe(3);
+  });
+
+  it('should exit with the not-found code for an unknown execution', async () => {
+    const { code, stderr } = await inspect('history', 'durable-demo-999');
+
+    expect(code).toBe(INSPECT_EXIT_CODES.NOT_FOUND);
+    expect(stderr).toContain(`No execution named durable-demo-999 for ${FUNCTION_NAME}`);
+  });
+});
+
+describe('Executions CLI stop', () => {
+  let server;
+  let execution;
+
+  const inspect = (...args) => runCli(['--function', FUNCTION_NAME, '--endpoint', server.url, ...args]);
+
+  useExampleWorkflowEnvironment();
+
+  beforeEach(async () => {
+    execution = createLocalExecution(testEvent, { executionId: 'durable-demo-001', functionName: FUNCTION_NAME });
+    await execution.run({ advanceTimers: true });
+
+    server = await startLocalCallbackServer(execution);
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  it('should cancel the execution at the callback wait and print the cancelled result', async () => {
+    const { code, stdout } = await inspect(
+      'stop', 'durable-demo-001', '--reason', 'Bad items in batch', '--requested-by', 'ops', '--wait', '--poll-interval', '0.05'
+    );
+
+    expect(code).toBe(INSPECT_EXIT_CODES.OK);
+    expect(stdout).toContain('🛑 Stop requested during stoppable-external-callback: Bad items in batch');
+    expect(stdout).toContain('✅ Execution finished: cancelled during stoppable-external-callback (Bad items in batch), 0 items processed before the stop');
+    expect(execution.result).toMatchObject({
+      status: 'cancelled',
+      cancellation: { reason: 'Bad items in batch', requestedBy: 'ops' },
+      cleanup: [{ name: 'release-work-items' }]
+    });
+  });
+
+  it('should cancel at the readiness check rather than at regions that already finished', async () => {
+    const [approval] = execution.pendingCallbacks();
+    await execution.sendCallbackSuccess(approval.callbackId, '{"approved":true}');
+    await execution.advanceTime({ seconds: 5 });
+
+    const { code, stdout } = await inspect('stop', execution.executionArn, '--reason', 'Downstream outage', '--json');
+
+    expect(code).toBe(INSPECT_EXIT_CODES.OK);
+    expect(JSON.parse(stdout)).toMatchObject({ mode: 'requested', region: 'stoppable-condition', request: { reason: 'Downstream outage' } });
+    expect(execution.result).toMatchObject({ status: 'cancelled', itemsProcessed: testEvent.inputData.items.length });
+  });
+
+  it('should stop the execution without cleanup when forced', async () => {
+    const { code, stdout } = await inspect('stop', 'durable-demo-001', '--force', '--reason', 'Runaway batch');
+
+    expect(code).toBe(INSPECT_EXIT_CODES.OK);
+    expect(stdout).toContain('without cleanup');
+    expect(execution.status).toBe('STOPPED');
+    expect(execution.getOperations().some(operation => operation.Name?.startsWith('cleanup-'))).toBe(false);
+
+    const described = await inspect('describe', 'durable-demo-001', '--json');
+    expect(JSON.parse(described.stdout)).toMatchObject({ status: 'STOPPED', error: { ErrorType: 'StopRequested', ErrorMessage: 'Runaway batch' } });
+  });
+
+  it('should refuse to stop an execution that already finished', async () => {
+    await execution.runToCompletion(() => ({ approved: true }));
+
+    const { code, stderr } = await inspect('stop', 'durable-demo-001');
+
+    expect(code).toBe(INSPECT_EXIT_CODES.NOT_RUNNING);
+    expect(stderr).toContain('Execution durable-demo-001 is already SUCCEEDED');
+  });
+
+  it('should ask for --force when the execution is not waiting at a stop point', async () => {
+    const plain = new LocalDurableExecution(async (event, context) => {
+      return await context.waitForCallback('approval', async () => {});
+    }, {}, { executionId: 'plain-001', functionName: FUNCTION_NAME });
+    await plain.run();
+    server.add(plain);
+
+    const { code, stderr } = await inspect('stop', 'plain-001');
+
+    expect(code).toBe(INSPECT_EXIT_CODES.NO_STOP_POINT);
+    expect(stderr).toContain('is not waiting where it can be stopped; pass --force');
+    expect(plain.status).toBe('RUNNING');
+  });
+});
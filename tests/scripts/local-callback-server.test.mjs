@@ -0,0 +1,133 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { startLocalCallbackServer } from '../../scripts/lib/local-callback-server.mjs';
+import { EXIT_CODES } from '../../scripts/lib/callback-errors.mjs';
+import { createLocalExecution, useExampleWorkflowEnvironment } from '../helpers/example-workflow.mjs';
+
+const RESUME_SCRIPT = fileURLToPath(new URL('../../scripts/resume-workflow.mjs', import.meta.url));
+
+/** Run resume-workflow.mjs without AWS credentials, optionally feeding stdin */
+function runCli(args, { env = {}, stdin = '' } = {}) {
+  const { AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY, AWS_SESSION_TOKEN, AWS_PROFILE, ...baseEnv } = process.env;
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [RESUME_SCRIPT, ...args], {
+      env: { ...baseEnv, AWS_REGION: 'us-east-1', NODE_NO_WARNINGS: '1', ...env },
+      timeout: 20000
+    });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', reject);
+    child.on('close', code => resolve({ code, stdout, stderr }));
+    child.stdin.end(stdin);
+  });
+}
+
+describe('Local Callback API Server', () => {
+  let execution;
+  let server;
+  let callbackId;
+
+  const resume = (...args) => runCli(['--endpoint', server.url, ...args]);
+
+  useExampleWorkflowEnvironment();
+
+  beforeEach(async () => {
+    execution = createLocalExecution();
+    await execution.run({ advanceTimers: true });
+    [{ callbackId }] = execution.pendingCallbacks();
+
+    server = await startLocalCallbackServer(execution);
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  it('should resume the example workflow through the CLI to completion', async () => {
+    const { code } = await resume(callbackId, 'success', '{"approved":true,"reviewer":"ops"}');
+
+    expect(code).toBe(EXIT_CODES.OK);
+    expect(execution.status).toBe('SUCCEEDED');
+    expect(JSON.parse(execution.result.callbackResult)).toEqual({ approved: true, reviewer: 'ops' });
+    expect(server.requests).toEqual([{ action: 'succeed', callbackId, status: 200 }]);
+  });
+
+  it('should deliver structured failures to the waiting workflow', async () => {
+    const { code } = await resume(callbackId, 'failure', JSON.stringify({
+      type: 'ValidationRejected',
+      message: 'Year out of range',
+      data: { albumIndex: 1 }
+    }));
+
+    expect(code).toBe(EXIT_CODES.OK);
+    expect(execution.status).toBe('FAILED');
+    expect(execution.error.message).toBe('Year out of range');
+    expect(execution.operations.get('3-1-1-1').CallbackDetails.Error).toEqual({
+      ErrorType: 'ValidationRejected',
+      ErrorMessage: 'Year out of range',
+      ErrorData: '{"albumIndex":1}'
+    });
+  });
+
+  it('should accept heartbeats for an open callback', async () => {
+    const { code, stdout } = await resume(callbackId, 'heartbeat');
+
+    expect(code).toBe(EXIT_CODES.OK);
+    expect(stdout).toContain('Heartbeat sent');
+    expect(execution.pendingCallbacks().map(({ name }) => name)).toEqual(['wait-for-external-callback', 'stop-request']);
+  });
+
+  it('should exit with the not-found code on ResourceNotFoundException', async () => {
+    const { code, stderr } = await resume('callback-unknown', 'success');
+
+    expect(code).toBe(EXIT_CODES.NOT_FOUND);
+    expect(stderr).toContain('ResourceNotFoundException: Callback callback-unknown not found');
+    expect(stderr).toContain('💡 The callback ID was not found');
+  });
+
+  it('should exit with the validation code on ValidationException', async () => {
+    const { code, stderr } = await resume('callback with spaces', 'success');
+
+    expect(code).toBe(EXIT_CODES.VALIDATION);
+    expect(stderr).toContain('ValidationException: 1 validation error detected');
+    expect(server.requests).toEqual([
+      { action: 'succeed', callbackId: 'callback with spaces', status: 400, errorType: 'ValidationException' }
+    ]);
+  });
+
+  it('should tell an already completed callback apart', async () => {
+    await resume(callbackId, 'success');
+    const { code, stderr } = await resume(callbackId, 'success');
+
+    expect(code).toBe(EXIT_CODES.ALREADY_COMPLETED);
+    expect(stderr).toContain('InvalidParameterValueException');
+  });
+
+  it('should exit with the timed-out code once the callback has timed out', async () => {
+    await execution.advanceTime({ minutes: 60 });
+
+    const { code } = await resume(callbackId, 'success');
+
+    expect(code).toBe(EXIT_CODES.TIMED_OUT);
+  });
+
+  it('should run a batch against the endpoint from AWS_ENDPOINT_URL_LAMBDA', async () => {
+    const { code, stdout } = await runCli(['--file', '-', '--json'], {
+      env: { AWS_ENDPOINT_URL_LAMBDA: server.url },
+      stdin: [
+        JSON.stringify({ callbackId, action: 'heartbeat' }),
+        JSON.stringify({ callbackId: 'callback-unknown', action: 'success' })
+      ].join('\n')
+    });
+
+    expect(code).toBe(EXIT_CODES.NOT_FOUND);
+    expect(JSON.parse(stdout).results).toMatchObject([
+      { callbackId, status: 'sent' },
+      { callbackId: 'callback-unknown', status: 'failed', exitCode: EXIT_CODES.NOT_FOUND }
+    ]);
+  });
+});
@@ -0,0 +1,192 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { spawn } from 'node:child_process';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { LocalDurableExecution } from '../../scripts/lib/local-durable-runtime.mjs';
+import {
+  buildTimeline,
+  parseHistoryExport,
+  renderMermaidGantt,
+  renderTimelineHtml
+} from '../../scripts/lib/execution-timeline.mjs';
+import { createLocalExecution, testEvent, useExampleWorkflowEnvironment } from '../helpers/example-workflow.mjs';
+
+const RENDER_SCRIPT = fileURLToPath(new URL('../../scripts/render-timeline.mjs', import.meta.url));
+const START = Date.parse('2024-01-01T00:00:00Z');
+
+/** Run render-timeline.mjs */
+function runCli(args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [RENDER_SCRIPT, ...args], {
+      env: { ...process.env, NODE_NO_WARNINGS: '1' },
+      timeout: 20000
+    });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', reject);
+    child.on('close', code => resolve({ code, stdout, stderr }));
+  });
+}
+
+/** Run the example workflow, approving its callback two minutes in, and export its history as JSON */
+async function exportExampleHistory() {
+  const execution = createLocalExecution(testEvent, { startTime: START });
+  await execution.run();
+  await execution.advanceTime({ minutes: 2 });
+  const [approval] = execution.pendingCallbacks();
+  await execution.sendCallbackSuccess(approval.callbackId, { approved: true });
+  await execution.run({ advanceTimers: true });
+  return JSON.stringify(execution.events);
+}
+
+describe('Execution Timeline', () => {
+  let history;
+
+  useExampleWorkflowEnvironment();
+
+  beforeEach(async () => {
+    history = await exportExampleHistory();
+  });
+
+  it('should time the callback wait, the 5 second wait, the parallel tasks and every map item', () => {
+    const timeline = buildTimeline(parseHistoryExport(history));
+    const row = label => timeline.rows.find(candidate => candidate.label === label);
+
+    expect(timeline).toMatchObject({ status: 'SUCCEEDED', startedAt: START, durationMs: 131000 });
+    expect(row('(Callback)')).toMatchObject({ section: '3', durationMs: 120000, status: 'SUCCEEDED' });
+    expect(row('(Wait)')).toMatchObject({ start: START + 120000, durationMs: 5000 });
+    expect(timeline.rows.filter(candidate => /^parallelTask\d$/.test(candidate.label)).map(candidate => candidate.section))
+      .toEqual(['6', '6', '6']);
+    expect(timeline.rows.filter(candidate => candidate.label.startsWith('processItem-'))).toHaveLength(testEvent.inputData.items.length);
+    expect(timeline.rows.some(candidate => candidate.subType === 'MapIteration' || candidate.subType === 'ParallelBranch')).toBe(false);
+  });
+
+  it('should split the readiness polling into attempts with the poll delays between them', () => {
+    const timeline = buildTimeline(parseHistoryExport(history));
+    const condition = timeline.rows.find(row => row.subType === 'WaitForCondition');
+
+    expect(condition.attempts).toBe(3);
+    expect(condition.segments.map(({ kind, attempt, end, start }) => [kind, attempt, end - start])).toEqual([
+      ['attempt', 1, 0],
+      ['delay', 2, 3000],
+      ['attempt', 2, 0],
+      ['delay', 3, 3000],
+      ['attempt', 3, 0]
+    ]);
+  });
+
+  it('should show failed attempts of a retried step and every replay as its own invocation', async () => {
+    let calls = 0;
+    const execution = new LocalDurableExecution(async (event, context) => {
+      return await context.step('flaky', async () => {
+        calls++;
+        if (calls < 3) throw new Error(`temporary failure ${calls}`);
+        return 'ok';
+      });
+    }, {}, { startTime: START });
+    await execution.run({ advanceTimers: true });
+
+    const timeline = buildTimeline(parseHistoryExport(JSON.stringify(execution.events)));
+    const [flaky] = timeline.rows;
+
+    expect(flaky.segments.filter(segment => segment.kind === 'attempt').map(segment => segment.status))
+      .toEqual(['FAILED', 'FAILED', 'SUCCEEDED']);
+    expect(flaky.segments[0].error).toMatchObject({ ErrorMessage: 'temporary failure 1' });
+    expect(flaky.segments.filter(segment => segment.kind === 'delay')).toHaveLength(2);
+    expect(timeline.invocations.map(invocation => invocation.number)).toEqual([1, 2, 3, 4, 5]);
+
+    const gantt = renderMermaidGantt(timeline);
+    expect(gantt).toContain('  flaky attempt 1 :crit, ');
+    expect(gantt).toContain('  flaky delay before attempt 2 :t');
+    expect(gantt).toContain('  invocation 3 (replay) :done, ');
+  });
+
+  it('should end operations that never finished with their parent', async () => {
+    const timeline = buildTimeline(parseHistoryExport(history));
+    const waitRegion = timeline.rows.find(row => row.label === 'stoppable-wait');
+    const openStopRequest = timeline.rows.find(row => row.section === waitRegion.id && row.type === 'Callback');
+
+    expect(openStopRequest).toMatchObject({ status: 'STARTED', end: waitRegion.end });
+  });
+
+  it('should accept API responses with epoch-second timestamps', () => {
+    const events = parseHistoryExport(JSON.stringify([{
+      Events: [
+        { EventId: 1, EventType: 'ExecutionStarted', Id: 'run', EventTimestamp: 1704067200 },
+        { EventId: 2, EventType: 'WaitStarted', SubType: 'Wait', Id: '1', EventTimestamp: 1704067200 }
+      ],
+      NextMarker: '2'
+    }, {
+      Events: [{ EventId: 3, EventType: 'WaitSucceeded', SubType: 'Wait', Id: '1', EventTimestamp: 1704067230.5 }]
+    }]));
+
+    const timeline = buildTimeline(events);
+    expect(timeline.rows[0]).toMatchObject({ label: '(Wait)', durationMs: 30500 });
+    expect(timeline).toMatchObject({ status: 'RUNNING', endedAt: undefined });
+  });
+
+  it('should reject input that is not a history', () => {
+    expect(() => parseHistoryExport('not json')).toThrow('History is not valid JSON');
+    expect(() => parseHistoryExport('{"items":[]}')).toThrow('History must be an array of events or an object with an Events array');
+    expect(() => parseHistoryExport('[]')).toThrow('History must be an array of events');
+  });
+
+  it('should write a self-contained HTML page with escaped operation names', () => {
+    const timeline = buildTimeline(parseHistoryExport(history));
+    timeline.rows[0].label = '<script>alert(1)</script>';
+    const html = renderTimelineHtml(timeline, { title: 'Slow run' });
+
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).not.toMatch(/<script|<link|src=/);
+    expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+    expect(html).toContain('(WaitForCondition) (3 attempts)');
+    expect(html).toContain('invocation 2 (replay)');
+    expect(html.match(/class="bar /g)).toHaveLength(
+      timeline.invocations.length + timeline.rows.reduce((count, row) => count + row.segments.length, 0)
+    );
+  });
+
+  describe('CLI', () => {
+    let directory;
+
+    beforeEach(async () => {
+      directory = await mkdtemp(join(tmpdir(), 'timeline-'));
+      await writeFile(join(directory, 'history.json'), history);
+    });
+
+    afterEach(async () => {
+      await rm(directory, { recursive: true, force: true });
+    });
+
+    it('should write a Mermaid code block for a Markdown file', async () => {
+      const out = join(directory, 'timeline.md');
+      const { code, stdout } = await runCli([join(directory, 'history.json'), '--out', out, '--title', 'Run: durable-demo-001']);
+
+      expect(code).toBe(0);
+      expect(stdout).toContain('📈 Wrote mermaid timeline');
+      const markdown = await readFile(out, 'utf-8');
+      expect(markdown).toMatch(/^```mermaid\ngantt\n {2}title Run durable-demo-001\n {2}dateFormat x\n/);
+      expect(markdown).toContain('  section stoppable-condition\n');
+      expect(markdown).toMatch(/ {2}processItem-4 :done, t\d+, \d+, \d+\n/);
+      expect(markdown.trimEnd()).toMatch(/```$/);
+    });
+
+    it('should print HTML to stdout by default', async () => {
+      const { code, stdout } = await runCli([join(directory, 'history.json')]);
+
+      expect(code).toBe(0);
+      expect(stdout).toMatch(/^<!DOCTYPE html>/);
+    });
+
+    it('should reject an unknown format', async () => {
+      const { code, stderr } = await runCli([join(directory, 'history.json'), '--format', 'svg']);
+
+      expect(code).toBe(2);
+      expect(stderr).toContain('Format must be one of: html, mermaid');
+    });
+  });
+});
@@ -0,0 +1,233 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { startLocalCallbackServer } from '../../scripts/lib/local-callback-server.mjs';
+import {
+  START_EXIT_CODES,
+  buildStartEvent,
+  executionNameFor,
+  executionOutcome,
+  formatResultSummary,
+  validateExecutionName,
+  waitForExecution
+} from '../../scripts/lib/start-execution.mjs';
+import { workflow } from '../../workflows/durable-function-example/index.mjs';
+import { EXAMPLE_FUNCTIONS, testEvent, useExampleWorkflowEnvironment } from '../helpers/example-workflow.mjs';
+
+const FUNCTION_NAME = 'DurableFunctionExampleFunction';
+const START_SCRIPT = fileURLToPath(new URL('../../scripts/start-workflow.mjs', import.meta.url));
+
+/** Run start-workflow.mjs without AWS credentials */
+function runCli(args, { env = {} } = {}) {
+  const { AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY, AWS_SESSION_TOKEN, AWS_PROFILE, DURABLE_FUNCTION_NAME, ...baseEnv } = process.env;
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [START_SCRIPT, ...args], {
+      env: { ...baseEnv, AWS_REGION: 'us-east-1', NODE_NO_WARNINGS: '1', ...env },
+      timeout: 20000
+    });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', reject);
+    child.on('close', code => resolve({ code, stdout, stderr }));
+  });
+}
+
+/** Fake client answering GetDurableExecution with the given responses in turn */
+function createPollingClient(responses) {
+  const send = vi.fn(async () => responses.shift());
+  return { send };
+}
+
+describe('Start Workflow Helpers', () => {
+  it('should use a valid workflowId as the execution name unchanged', () => {
+    expect(executionNameFor('durable-demo-001')).toBe('durable-demo-001');
+  });
+
+  it('should derive distinct valid names from workflowIds that are not valid names', () => {
+    const first = executionNameFor('orders/2024 06');
+    const second = executionNameFor('orders/2024:06');
+
+    expect(first).toMatch(/^orders-2024-06-[0-9a-f]{8}$/);
+    expect(second).toMatch(/^orders-2024-06-[0-9a-f]{8}$/);
+    expect(first).not.toBe(second);
+    expect(executionNameFor('x'.repeat(100))).toHaveLength(64);
+  });
+
+  it('should require a workflowId', () => {
+    expect(() => executionNameFor(undefined)).toThrow('workflowId is required to name the execution');
+    expect(() => executionNameFor('  ')).toThrow('workflowId is required');
+  });
+
+  it('should accept only execution names Lambda accepts', () => {
+    expect(validateExecutionName('nightly_run-2')).toBe('nightly_run-2');
+    expect(() => validateExecutionName('orders/2024')).toThrow('Execution name must be 1-64 letters, digits, hyphens or underscores: "orders/2024"');
+    expect(() => validateExecutionName('')).toThrow('Execution name must be');
+    expect(() => validateExecutionName('x'.repeat(65))).toThrow('Execution name must be');
+  });
+
+  it('should replace items and workflowId without changing the source event', () => {
+    const event = buildStartEvent({ event: testEvent, items: ['Only item'], workflowId: 'batch-1' });
+
+    expect(event.workflowId).toBe('batch-1');
+    expect(event.inputData.items).toEqual(['Only item']);
+    expect(event.metadata).toEqual(testEvent.metadata);
+    expect(testEvent.workflowId).toBe('durable-demo-001');
+  });
+
+  it('should reject events without items', () => {
+    expect(() => buildStartEvent({ event: { workflowId: 'empty', inputData: { items: [] } } }))
+      .toThrow('Event must have at least one item in inputData.items');
+  });
+
+  it('should reject an event that does not match the workflow input schema before calling AWS', () => {
+    expect(() => buildStartEvent({ event: { ...testEvent, metadata: { priority: 'urgent' } }, items: ['Valid item', ' '] }))
+      .toThrow('Invalid workflow input for schema v1 (2 violations):\n- inputData.items[1] must match the pattern \\S\n- metadata.priority must be one of: low, normal, high');
+  });
+
+  it('should poll until the execution leaves RUNNING', async () => {
+    const client = createPollingClient([
+      { Status: 'RUNNING' },
+      { Status: 'RUNNING' },
+      { Status: 'SUCCEEDED', Result: '{"itemsProcessed":1}' }
+    ]);
+    const sleep = vi.fn(async () => {});
+
+    const execution = await waitForExecution(client, 'arn', { pollIntervalMs: 1000, sleep });
+
+    expect(execution.Status).toBe('SUCCEEDED');
+    expect(client.send).toHaveBeenCalledTimes(3);
+    expect(sleep).toHaveBeenCalledTimes(2);
+  });
+
+  it('should give up with the still-running code after the timeout', async () => {
+    let now = 0;
+    const client = { send: vi.fn(async () => ({ Status: 'RUNNING', DurableExecutionName: 'slow' })) };
+
+    await expect(waitForExecution(client, 'arn', {
+      pollIntervalMs: 1000,
+      timeoutMs: 3000,
+      clock: () => now,
+      sleep: async ms => { now += ms; }
+    })).rejects.toMatchObject({
+      message: 'Execution slow is still running after 3s',
+      exitCode: START_EXIT_CODES.STILL_RUNNING
+    });
+    expect(client.send).toHaveBeenCalledTimes(4);
+  });
+
+  it('should map final statuses to exit codes and decode JSON results', () => {
+    expect(executionOutcome({ Status: 'SUCCEEDED', Result: '{"a":1}' })).toEqual({
+      status: 'SUCCEEDED', result: { a: 1 }, error: undefined, exitCode: START_EXIT_CODES.OK
+    });
+    expect(executionOutcome({ Status: 'SUCCEEDED', Result: 'plain' }).result).toBe('plain');
+    expect(executionOutcome({ Status: 'FAILED' }).exitCode).toBe(START_EXIT_CODES.FAILED);
+    expect(executionOutcome({ Status: 'TIMED_OUT' }).exitCode).toBe(START_EXIT_CODES.TIMED_OUT);
+    expect(executionOutcome({ Status: 'STOPPED' }).exitCode).toBe(START_EXIT_CODES.STOPPED);
+  });
+
+  it('should summarize the aggregated workflow result', () => {
+    expect(formatResultSummary({
+      itemsProcessed: 3,
+      successfulItems: 3,
+      successRate: 1,
+      parallelResults: [{}, {}, {}],
+      totalDuration: 1200
+    })).toBe('3/3 items processed (100%), 3 parallel tasks, took 1200ms');
+    expect(formatResultSummary({
+      itemsProcessed: 4,
+      successfulItems: 3,
+      successRate: 0.75,
+      failedItems: [{ index: 2 }],
+      parallelResults: [],
+      totalDuration: 900
+    })).toBe('3/4 items processed (75%, 1 failed), 0 parallel tasks, took 900ms');
+    expect(formatResultSummary('not an aggregate')).toBeUndefined();
+  });
+});
+
+describe('Start Workflow CLI', () => {
+  let server;
+
+  const start = (...args) => runCli(['--function', FUNCTION_NAME, '--endpoint', server.url, ...args]);
+
+  useExampleWorkflowEnvironment();
+
+  beforeEach(async () => {
+    server = await startLocalCallbackServer([], {
+      functions: {
+        [FUNCTION_NAME]: { handler: workflow, options: { functions: EXAMPLE_FUNCTIONS } }
+      }
+    });
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  it('should start an execution named after the workflowId', async () => {
+    const { code, stdout } = await start();
+
+    expect(code).toBe(START_EXIT_CODES.OK);
+    expect(stdout).toContain('🚀 Started execution durable-demo-001 (RUNNING)');
+    expect(server.executions).toHaveLength(1);
+    expect(server.executions[0].pendingCallbacks().map(({ name }) => name)).toEqual(['wait-for-external-callback', 'stop-request']);
+  });
+
+  it('should return the existing execution when the same event is submitted again', async () => {
+    await start();
+    const { code, stdout } = await start('--json');
+
+    expect(code).toBe(START_EXIT_CODES.OK);
+    expect(JSON.parse(stdout)).toEqual({
+      durableExecutionArn: server.executions[0].executionArn,
+      name: 'durable-demo-001',
+      status: 'RUNNING',
+      reused: true
+    });
+    expect(server.executions).toHaveLength(1);
+  });
+
+  it('should refuse a different input under the same workflowId', async () => {
+    await start();
+    const { code, stderr } = await start('--item', 'Something else');
+
+    expect(code).toBe(START_EXIT_CODES.NAME_CONFLICT);
+    expect(stderr).toContain('An execution named durable-demo-001 was already started with a different input');
+    expect(server.executions).toHaveLength(1);
+  });
+
+  it('should reject a missing function before calling the API', async () => {
+    const { code, stderr } = await runCli(['--endpoint', server.url]);
+
+    expect(code).toBe(START_EXIT_CODES.REJECTED);
+    expect(stderr).toContain('Pass --function or set DURABLE_FUNCTION_NAME');
+    expect(server.requests).toEqual([]);
+  });
+
+  it('should reject an invalid --name before calling the API', async () => {
+    const { code, stderr } = await start('--name', 'orders/2024 06');
+
+    expect(code).toBe(START_EXIT_CODES.REJECTED);
+    expect(stderr).toContain('Execution name must be 1-64 letters, digits, hyphens or underscores');
+    expect(server.requests).toEqual([]);
+  });
+
+  it('should wait for the execution and print the aggregated result', async () => {
+    const running = start('--workflow-id', 'wait-001', '--item', 'Only item', '--wait', '--poll-interval', '0.05');
+
+    await vi.waitFor(() => expect(server.executions[0]?.pendingCallbacks()).toHaveLength(2), { timeout: 10000 });
+    const [execution] = server.executions;
+    const [{ callbackId }] = execution.pendingCallbacks();
+    await execution.sendCallbackSuccess(callbackId, '{"approved":true}');
+    await execution.run({ advanceTimers: true });
+
+    const { code, stdout } = await running;
+
+    expect(code).toBe(START_EXIT_CODES.OK);
+    expect(stdout).toContain('✅ Execution wait-001 succeeded: ');
+    expect(stdout).toContain('"callbackResult": "{\\"approved\\":true}"');
+  });
+});
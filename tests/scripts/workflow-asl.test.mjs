@@ -0,0 +1,195 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { spawn } from 'node:child_process';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { extractWorkflowGraph } from '../../scripts/lib/workflow-graph.mjs';
+import { definitionToWorkflowGraph, toAslStateMachine } from '../../scripts/lib/workflow-asl.mjs';
+import { findUnsupportedAslFeatures } from '../../workflows/durable-function-example/lib/asl-translator.mjs';
+import { ERROR_CLASSES } from '../../workflows/durable-function-example/lib/retry-policies.mjs';
+import { loadWorkflowDefinition } from '../../workflows/durable-function-example/lib/workflow-definition.mjs';
+
+const GRAPH_SCRIPT = fileURLToPath(new URL('../../scripts/workflow-graph.mjs', import.meta.url));
+const EXAMPLE_HANDLER = 'workflows/durable-function-example/index.mjs';
+const EXAMPLE_PIPELINE = 'workflows/durable-function-example/pipelines/example-pipeline.yaml';
+const EXAMPLE_SOURCE = new URL('../../workflows/durable-function-example/index.mjs', import.meta.url);
+
+/** Run workflow-graph.mjs */
+function runCli(args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [GRAPH_SCRIPT, ...args], {
+      env: { ...process.env, NODE_NO_WARNINGS: '1' },
+      timeout: 20000
+    });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', reject);
+    child.on('close', code => resolve({ code, stdout, stderr }));
+  });
+}
+
+/** Every state of a machine and of the machines nested in its Parallel and Map states */
+function allStates(machine) {
+  return Object.values(machine.States).flatMap(state => [
+    state,
+    ...(state.Branches ?? []).flatMap(allStates),
+    ...(state.ItemProcessor ? allStates(state.ItemProcessor) : [])
+  ]);
+}
+
+/** Targets of a machine's Next, Default, Choices and Catch fields that are not states of the same machine */
+function danglingTargets(machine) {
+  return Object.values(machine.States).flatMap(state => [
+    ...[state.Next, state.Default, ...(state.Choices ?? []).map(rule => rule.Next), ...(state.Catch ?? []).map(catcher => catcher.Next)]
+      .filter(target => target !== undefined && !(target in machine.States)),
+    ...(state.Branches ?? []).flatMap(danglingTargets),
+    ...(state.ItemProcessor ? danglingTargets(state.ItemProcessor) : [])
+  ]);
+}
+
+/** The checks of tests/step-functions/state-machine-structure.test.mjs, for any exported machine */
+function expectAlbumStructure(machine) {
+  expect(machine).toHaveProperty('Comment');
+  expect(machine).toHaveProperty('StartAt');
+  expect(machine.States).toHaveProperty(machine.StartAt);
+  expect(danglingTargets(machine)).toEqual([]);
+
+  const states = allStates(machine);
+  const retriers = states.flatMap(state => state.Retry ?? []);
+  expect(retriers.length).toBeGreaterThan(0);
+  // A retrier with MaxAttempts 0 only stops the retriers after it from matching, so it has no backoff
+  for (const retrier of retriers.filter(retrier => retrier.MaxAttempts > 0)) {
+    expect(retrier).toEqual(expect.objectContaining({
+      ErrorEquals: expect.any(Array),
+      IntervalSeconds: expect.any(Number),
+      MaxAttempts: expect.any(Number),
+      BackoffRate: expect.any(Number)
+    }));
+  }
+
+  const { HandleError, ...operationStates } = machine.States;
+  for (const state of Object.values(operationStates).filter(state => ['Task', 'Parallel', 'Map'].includes(state.Type))) {
+    expect(state.Catch.at(-1)).toEqual({ ErrorEquals: ['States.ALL'], ResultPath: '$.error', Next: expect.any(String) });
+  }
+  expect(HandleError).toMatchObject({ Type: 'Task', Next: 'FailExecution' });
+  expect(machine.States.FailExecution.Type).toBe('Fail');
+
+  for (const map of states.filter(state => state.Type === 'Map')) {
+    expect(map).toHaveProperty('MaxConcurrency');
+  }
+  const callback = states.find(state => state.Resource === 'arn:aws:states:::lambda:invoke.waitForTaskToken');
+  expect(callback).toMatchObject({ Type: 'Task', TimeoutSeconds: 3600 });
+}
+
+describe('Workflow ASL Export', () => {
+  it('should export the example handler as a state machine with the album structure', async () => {
+    const machine = toAslStateMachine(extractWorkflowGraph(await readFile(EXAMPLE_SOURCE, 'utf-8')));
+
+    expectAlbumStructure(machine);
+    expect(Object.keys(machine.States)).toEqual([
+      'processInputData',
+      'wait-for-external-callback',
+      'callback-timeout-fallback',
+      'if-version-2',
+      'recordApproval',
+      'Wait',
+      'Parallel',
+      'process-work-items',
+      'WaitForCondition',
+      'WaitForCondition-Met',
+      'WaitForCondition-Delay',
+      'invoke-hello-world',
+      'isolated-operations',
+      'aggregateResults',
+      'HandleError',
+      'FailExecution'
+    ]);
+    expect(machine.States['wait-for-external-callback'].Catch).toEqual([
+      { ErrorEquals: ['States.ALL'], ResultPath: '$.error', Next: 'callback-timeout-fallback' }
+    ]);
+    expect(machine.States['if-version-2']).toMatchObject({ Type: 'Choice', Default: 'Wait' });
+    expect(machine.States.Parallel.Branches.map(branch => branch.StartAt)).toEqual(['parallelTask1', 'parallelTask2', 'parallelTask3']);
+    expect(machine.States['process-work-items'].Branches[0].States.loop.ItemProcessor.States['process-priority'])
+      .toMatchObject({ Type: 'Map', ItemsPath: '$.priorityClass.batches' });
+    expect(machine.States.aggregateResults.End).toBe(true);
+  });
+
+  it('should map retry policies to Retry blocks and leave never without one', async () => {
+    const machine = toAslStateMachine(definitionToWorkflowGraph(loadWorkflowDefinition(EXAMPLE_PIPELINE)));
+    const { parallelTask1 } = machine.States.Parallel.Branches[0].States;
+
+    expect(machine.States.processInputData).not.toHaveProperty('Retry');
+    expect(parallelTask1.Retry[0]).toEqual({ ErrorEquals: ERROR_CLASSES.validation, MaxAttempts: 0 });
+    expect(parallelTask1.Retry[1]).toMatchObject({ IntervalSeconds: 2, MaxAttempts: 5, BackoffRate: 2, MaxDelaySeconds: 60 });
+    expect(machine.States['isolated-operations'].Branches[0].States.processMetadata.Retry[1]).toMatchObject({ BackoffRate: 1 });
+
+    const unnamed = toAslStateMachine({ operations: [{ kind: 'step', name: 'load' }] });
+    expect(unnamed.States.load.Retry).toEqual([
+      { ErrorEquals: ['States.ALL'], IntervalSeconds: 5, MaxAttempts: 2, BackoffRate: 2, MaxDelaySeconds: 300, JitterStrategy: 'FULL' }
+    ]);
+  });
+
+  it('should export the example pipeline with its map concurrency and condition loop', () => {
+    const machine = toAslStateMachine(definitionToWorkflowGraph(loadWorkflowDefinition(EXAMPLE_PIPELINE)));
+
+    expectAlbumStructure(machine);
+    expect(machine.States['process-work-items']).toMatchObject({ Type: 'Map', ItemsPath: '$.workItems', MaxConcurrency: 3 });
+    expect(machine.States['invoke-hello-world'].Parameters.FunctionName).toBe('${HELLO_WORLD_FUNCTION_ARN}');
+    expect(machine.States.WaitForCondition.Next).toBe('WaitForCondition-Met');
+    expect(machine.States['WaitForCondition-Met']).toEqual({
+      Type: 'Choice',
+      Choices: [{ Variable: '$.ready', BooleanEquals: true, Next: 'createInvokePayload' }],
+      Default: 'WaitForCondition-Delay'
+    });
+    expect(machine.States['WaitForCondition-Delay']).toEqual({ Type: 'Wait', Seconds: 3, Next: 'WaitForCondition' });
+  });
+
+  it('should only use ASL features the translator maps back to durable operations', async () => {
+    const handler = toAslStateMachine(extractWorkflowGraph(await readFile(EXAMPLE_SOURCE, 'utf-8')));
+    const pipeline = toAslStateMachine(definitionToWorkflowGraph(loadWorkflowDefinition(EXAMPLE_PIPELINE)));
+
+    expect(findUnsupportedAslFeatures(handler)).toEqual([]);
+    expect(findUnsupportedAslFeatures(pipeline)).toEqual([]);
+  });
+
+  it('should end a Choice without a following state in a Succeed state', () => {
+    const machine = toAslStateMachine({
+      operations: [
+        { kind: 'step', name: 'load', retry: 'never' },
+        { kind: 'block', label: 'if order.express', alternative: false, operations: [{ kind: 'wait', duration: '1h 30m' }] }
+      ]
+    });
+
+    expect(machine.States['if-order.express']).toMatchObject({ Default: 'Done' });
+    expect(machine.States.Wait).toEqual({ Type: 'Wait', Seconds: 5400, End: true });
+    expect(machine.States.Done).toEqual({ Type: 'Succeed' });
+    expect(() => toAslStateMachine({ operations: [] })).toThrow('The workflow has no durable operations to export');
+  });
+
+  describe('CLI', () => {
+    let directory;
+
+    beforeEach(async () => {
+      directory = await mkdtemp(join(tmpdir(), 'workflow-asl-'));
+    });
+
+    afterEach(async () => {
+      await rm(directory, { recursive: true, force: true });
+    });
+
+    it('should write ASL for a .json file from a handler or a pipeline definition', async () => {
+      const out = join(directory, 'state-machine.asl.json');
+      const written = await runCli([EXAMPLE_PIPELINE, '--out', out]);
+      expect(written.code).toBe(0);
+      expect(written.stdout).toContain(`Wrote asl graph of 16 durable operations to ${out}`);
+      expect(JSON.parse(await readFile(out, 'utf-8')).Comment).toBe(`Exported from ${EXAMPLE_PIPELINE}`);
+
+      const printed = await runCli([EXAMPLE_HANDLER, '--format', 'asl']);
+      expect(printed.code).toBe(0);
+      expect(JSON.parse(printed.stdout).StartAt).toBe('processInputData');
+    });
+  });
+});
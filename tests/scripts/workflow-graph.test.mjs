@@ -0,0 +1,257 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { spawn } from 'node:child_process';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+  extractWorkflowGraph,
+  fenceDiagram,
+  renderDotGraph,
+  renderMermaidFlowchart,
+  replaceGeneratedSection
+} from '../../scripts/lib/workflow-graph.mjs';
+
+const GRAPH_SCRIPT = fileURLToPath(new URL('../../scripts/workflow-graph.mjs', import.meta.url));
+const EXAMPLE_HANDLER = 'workflows/durable-function-example/index.mjs';
+const EXAMPLE_SOURCE = new URL('../../workflows/durable-function-example/index.mjs', import.meta.url);
+const ARCHITECTURE_DOC = new URL('../../docs/ARCHITECTURE.md', import.meta.url);
+
+/** Run workflow-graph.mjs */
+function runCli(args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [GRAPH_SCRIPT, ...args], {
+      env: { ...process.env, NODE_NO_WARNINGS: '1' },
+      timeout: 20000
+    });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', reject);
+    child.on('close', code => resolve({ code, stdout, stderr }));
+  });
+}
+
+/** Operations as "kind name" lines, nested ones indented */
+function outline(operations, indent = '') {
+  return operations.flatMap(operation => {
+    const line = `${indent}${[operation.kind, operation.label ?? operation.name].filter(Boolean).join(' ')}`;
+    const branches = (operation.branches ?? []).flatMap((branch, index) =>
+      [`${indent}  branch ${branch.name ?? index + 1}`, ...outline(branch.operations, `${indent}    `)]);
+    return [line, ...branches, ...outline(operation.operations ?? [], `${indent}  `)];
+  });
+}
+
+const ORDER_HANDLER = `
+import { withDurableExecution } from '@aws/durable-execution-sdk-js';
+
+// context.step('commented-out', fn) is not an operation
+const hint = "context.wait({ seconds: 1 })";
+const sku = /context\\.step\\(/;
+
+async function shipOrder(ctx, order) {
+  await ctx.step('reserve-stock', async () => order.lines.map(line => line.sku));
+  return ctx.invoke('ship', process.env.SHIP_FUNCTION_ARN, order);
+}
+
+const priceLine = async (ctx, line) => ctx.step(\`price-\${line.sku}\`, async () => line.price);
+
+export const handler = withDurableExecution(async (event, context) => {
+  const skus = event.lines.map(line => line.sku);
+  if (event.priority === 'high') {
+    await context.wait('expedite', { hours: 1, minutes: 30 });
+  } else {
+    await context.step('queue', async () => skus.length);
+  }
+  await context.parallel('checks', [
+    { name: 'fraud', func: async (ctx) => ctx.step('fraud-check', async () => true) },
+    { name: 'credit', func: async (ctx) => ctx.waitForCallback('credit-approval', async () => {}) }
+  ]);
+  await context.map('lines', event.lines, priceLine);
+  await shipOrder(context, event);
+});
+`;
+
+describe('Workflow Graph', () => {
+  it('should find every durable operation of the example handler in order', async () => {
+    const workflow = extractWorkflowGraph(await readFile(EXAMPLE_SOURCE, 'utf-8'));
+
+    expect(outline(workflow.operations)).toEqual([
+      'step processInputData',
+      'waitForCallback wait-for-external-callback',
+      'block on error',
+      '  step callback-timeout-fallback',
+      'block if version >= 2',
+      '  step recordApproval',
+      'wait',
+      'parallel',
+      '  branch 1',
+      '    step parallelTask1',
+      '  branch 2',
+      '    step parallelTask2',
+      '  branch 3',
+      '    step parallelTask3',
+      'runInChildContext process-work-items',
+      '  block loop',
+      '    map process-priority-${priorityClass.priority}',
+      '      step ${batchStepName(batch)}',
+      'waitForCondition',
+      'invoke invoke-hello-world',
+      'runInChildContext isolated-operations',
+      '  step processMetadata',
+      '  step validateConfiguration',
+      'step aggregateResults'
+    ]);
+    expect(workflow.operations[4]).toMatchObject({ kind: 'wait', duration: '5s' });
+    expect(workflow.operations[6].operations[0].operations[0]).toMatchObject({ kind: 'map', items: 'priorityClass.batches' });
+  });
+
+  it('should follow functions declared in the file and skip comments, strings and Array.prototype.map', () => {
+    const workflow = extractWorkflowGraph(ORDER_HANDLER);
+
+    expect(outline(workflow.operations)).toEqual([
+      "block if event.priority === 'high'",
+      '  wait expedite',
+      'block else',
+      '  step queue',
+      'parallel checks',
+      '  branch fraud',
+      '    step fraud-check',
+      '  branch credit',
+      '    waitForCallback credit-approval',
+      'map lines',
+      '  step price-${line.sku}',
+      'step reserve-stock',
+      'invoke ship'
+    ]);
+    expect(workflow.operations[0].operations[0].duration).toBe('1h 30m');
+  });
+
+  it('should draw parallel as a fork and join, map and loops with back edges and child contexts as subgraphs', async () => {
+    const mermaid = renderMermaidFlowchart(extractWorkflowGraph(await readFile(EXAMPLE_SOURCE, 'utf-8')));
+    const lines = mermaid.split('\n');
+    const nodeId = label => lines.find(line => line.includes(`"${label}"`)).trim().match(/^\w+/)[0];
+
+    const [fork, join, loop, item] = ['parallel', 'join', 'map process-priority-${priorityClass.priority} over priorityClass.batches', 'step ${batchStepName(batch)}'].map(nodeId);
+    expect(lines[0]).toBe('flowchart TD');
+    expect(lines).toContain(`  ${fork} -->|"branch 2"| ${nodeId('step parallelTask2')}`);
+    expect(lines).toContain(`  ${nodeId('step parallelTask3')} --> ${join}`);
+    expect(lines).toContain(`  ${loop} -->|"each item"| ${item}`);
+    expect(lines).toContain(`  ${item} -.->|"next item"| ${loop}`);
+
+    // The priority loop runs inside process-work-items, so both its entry and its exit cross that subgraph
+    const priorityLoop = nodeId('for (const priorityClass of schedule)');
+    expect(mermaid).toMatch(new RegExp(`subgraph s\\d+ \\["runInChildContext process-work-items"\\]\\n {4}${priorityLoop}\\[`));
+    expect(lines).toContain(`  ${join} --> ${priorityLoop}`);
+    expect(lines).toContain(`  ${priorityLoop} -->|"each iteration"| ${loop}`);
+    expect(lines).toContain(`  ${loop} -.->|"next iteration"| ${priorityLoop}`);
+    expect(lines).toContain(`  ${priorityLoop} -->|"done"| ${nodeId('waitForCondition')}`);
+    expect(mermaid).toMatch(/ {2}subgraph s\d+ \["runInChildContext isolated-operations"\]\n {4}n\d+\["step processMetadata"\]\n {4}n\d+\["step validateConfiguration"\]\n {2}end\n/);
+    expect(lines).toContain(`  ${nodeId('waitForCallback wait-for-external-callback (timeout 60m)')} -.->|"on error"| ${nodeId('step callback-timeout-fallback')}`);
+  });
+
+  it('should branch an if/else chain off the same node and join both paths', () => {
+    const mermaid = renderMermaidFlowchart(extractWorkflowGraph(ORDER_HANDLER));
+
+    expect(mermaid).toContain(`  start -.->|"if event.priority === 'high'"| n1\n`);
+    expect(mermaid).toContain('  start -.->|"else"| n2\n');
+    expect(mermaid).toContain('  n1 --> n3\n  n2 --> n3\n');
+    expect(mermaid).not.toContain('start --> n3');
+  });
+
+  it('should render DOT with clusters for child contexts and a dashed back edge for map', async () => {
+    const dot = renderDotGraph(extractWorkflowGraph(await readFile(EXAMPLE_SOURCE, 'utf-8')));
+
+    expect(dot).toMatch(/^digraph workflow \{\n {2}rankdir=TB;\n/);
+    expect(dot).toMatch(/subgraph cluster_s\d+ \{\n {4}label="runInChildContext isolated-operations";/);
+    expect(dot).toMatch(/n\d+ -> n\d+ \[label="next item", style=dashed\];/);
+    expect(dot).toContain('[label="step ${batchStepName(batch)}", shape=box];');
+    expect(dot.trimEnd().endsWith('}')).toBe(true);
+  });
+
+  it('should keep the diagram in docs/ARCHITECTURE.md in sync with the handler (npm run docs:graph)', async () => {
+    const document = await readFile(ARCHITECTURE_DOC, 'utf-8');
+    const diagram = renderMermaidFlowchart(extractWorkflowGraph(await readFile(EXAMPLE_SOURCE, 'utf-8')));
+
+    expect(replaceGeneratedSection(document, EXAMPLE_HANDLER, fenceDiagram(diagram, 'mermaid'))).toBe(document);
+  });
+
+  it('should not mistake a durable call in a nested function argument for a following operation', () => {
+    const workflow = extractWorkflowGraph(`
+      export const handler = withDurableExecution(async (event, context) => {
+        for (const order of await context.step('load', async () => event.orders)) {
+          await context.step(\`ship-\${order.id}\`, async () => ({ text: '}' }));
+        }
+      });
+    `);
+
+    expect(outline(workflow.operations)).toEqual(['step load', 'block loop', '  step ship-${order.id}']);
+  });
+
+  it('should refuse to replace a section that is not marked', () => {
+    expect(() => replaceGeneratedSection('# Docs\n', EXAMPLE_HANDLER, 'graph'))
+      .toThrow(`No generated section for ${EXAMPLE_HANDLER}; add the lines <!-- workflow-graph: ${EXAMPLE_HANDLER} --> and <!-- /workflow-graph -->`);
+  });
+
+  describe('CLI', () => {
+    let directory;
+
+    beforeEach(async () => {
+      directory = await mkdtemp(join(tmpdir(), 'workflow-graph-'));
+    });
+
+    afterEach(async () => {
+      await rm(directory, { recursive: true, force: true });
+    });
+
+    it('should print a Mermaid flowchart by default and write DOT for a .dot file', async () => {
+      const printed = await runCli([EXAMPLE_HANDLER]);
+      expect(printed.code).toBe(0);
+      expect(printed.stdout).toMatch(/^flowchart TD\n/);
+
+      const out = join(directory, 'workflow.dot');
+      const written = await runCli([EXAMPLE_HANDLER, '--out', out]);
+      expect(written.code).toBe(0);
+      expect(written.stdout).toContain(`Wrote dot graph of 18 durable operations to ${out}`);
+      expect(await readFile(out, 'utf-8')).toMatch(/^digraph workflow \{/);
+    });
+
+    it('should rewrite only the marked section of a Markdown file and report drift with --check', async () => {
+      const out = join(directory, 'README.md');
+      await writeFile(out, `# Flow\n\n<!-- workflow-graph: ${EXAMPLE_HANDLER} -->\nstale\n<!-- /workflow-graph -->\n\nMore text\n`);
+
+      const stale = await runCli([EXAMPLE_HANDLER, '--out', out, '--check']);
+      expect(stale.code).toBe(3);
+      expect(stale.stderr).toContain(`${out} is out of date with ${EXAMPLE_HANDLER}`);
+
+      expect((await runCli([EXAMPLE_HANDLER, '--out', out])).code).toBe(0);
+      const markdown = await readFile(out, 'utf-8');
+      expect(markdown).toMatch(/^# Flow\n\n<!-- workflow-graph: .+ -->\n```mermaid\nflowchart TD\n/);
+      expect(markdown).toMatch(/```\n<!-- \/workflow-graph -->\n\nMore text\n$/);
+
+      const fresh = await runCli([EXAMPLE_HANDLER, '--out', out, '--check']);
+      expect(fresh.code).toBe(0);
+    });
+
+    it('should reject a file without durable operations', async () => {
+      const handler = join(directory, 'plain.mjs');
+      await writeFile(handler, 'export const handler = async (event) => event.items.map(item => item.id);\n');
+
+      const { code, stderr } = await runCli([handler]);
+
+      expect(code).toBe(2);
+      expect(stderr).toContain(`No durable operations found in ${handler}`);
+    });
+
+    it('should reject a file that is not valid JavaScript', async () => {
+      const handler = join(directory, 'broken.mjs');
+      await writeFile(handler, 'export const handler = withDurableExecution(async (event, context) => {\n');
+
+      const { code, stderr } = await runCli([handler]);
+
+      expect(code).toBe(2);
+      expect(stderr).toContain(`Cannot parse ${handler}: Unexpected token`);
+    });
+  });
+});
@@ -1,6 +1,48 @@
 import { withDurableExecution } from '@aws/durable-execution-sdk-js';
-import { processData, processWorkItem, aggregateWorkflowResults } from './lib/data-processor.mjs';
-import { performDataValidation, performDataEnrichment, performQualityCheck } from './lib/parallel-operations.mjs';
+import {
+  processData,
+  processWorkItem,
+  aggregateWorkflowResults,
+  releaseWorkItems,
+  revertProcessedItems
+} from './lib/data-processor.mjs';
+import {
+  createCallbackPayload,
+  getCallbackTimeoutBehavior,
+  handleTimeout,
+  isCallbackTimeout,
+  recordApprovalDecision,
+  signCallbackId
+} from './lib/callback-helper.mjs';
+import { createCallbackSubmitter, getCallbackSubmitterConfig } from './lib/callback-submitters.mjs';
+import { WorkflowCancelledError, createCancellationScope, createCancelledResult } from './lib/cancellation.mjs';
+import { CompensatedWorkflowError, createCompensationScope, isUnrecoverable } from './lib/compensation.mjs';
+import { getExecutionId } from './lib/execution-context.mjs';
+import {
+  batchResultSerdes,
+  checkItemFailureTolerance,
+  exceedsTolerance,
+  getItemFailureTolerance,
+  toCompletionConfig
+} from './lib/failure-tolerance.mjs';
+import { validateWorkflowInput } from './lib/input-validation.mjs';
+import {
+  PriorityBatchResult,
+  batchStepName,
+  getSchedulingProfile,
+  planPrioritySchedule,
+  recordClassRun,
+  summarizePriorityClasses
+} from './lib/priority-scheduling.mjs';
+import {
+  discardEnrichment,
+  performDataValidation,
+  performDataEnrichment,
+  performQualityCheck
+} from './lib/parallel-operations.mjs';
+import { retriesError, retryConfigFor } from './lib/retry-policies.mjs';
+import { simulateLatency } from './lib/simulated-latency.mjs';
+import { getWorkflowVersion } from './lib/versioning.mjs';
 import {
   checkSystemReadiness,
   createInvokePayload,
@@ -8,121 +50,260 @@ import {
   validateConfigurationInChild
 } from './lib/advanced-operations.mjs';
 
-export const handler = withDurableExecution(async (event, context) => {
+export const workflow = async (event, context) => {
   // Durable function example demonstrating all key durable operations
 
-  // Step 1: Initial step operation - process input data
-  const workItems = await context.step('processInputData', async () => {
-    return processData(event.inputData);
-  });
-
-  // Step 2: Wait for callback operation - pause for external event
-  // Wait for external callback with timeout handling
-  const callbackResult = await context.waitForCallback(
-    "wait-for-external-callback",
-    async (callbackId, ctx) => {
-      // Submit callback ID to external system (simulated)
-      ctx.logger.info(`Callback ID ${callbackId} submitted to external system`);
-      // In real implementation, this would call an external API
-      // await submitToExternalAPI(callbackId);
-    },
-    { timeout: { minutes: 60 } } // 1 hour timeout
-  );
-
-  // Step 3: Simple wait operation - demonstrate time-based wait
-  await context.wait({ seconds: 5 }); // Wait for 5 seconds
-
-  // Step 4: Parallel operations - process multiple work streams concurrently
-  const parallelResults = await context.parallel([
-    async (ctx) => ctx.step('parallelTask1', async () => {
-      return await performDataValidation(workItems.length);
-    }),
-    async (ctx) => ctx.step('parallelTask2', async () => {
-      return await performDataEnrichment(workItems.length);
-    }),
-    async (ctx) => ctx.step('parallelTask3', async () => {
-      return await performQualityCheck();
-    })
-  ]);
-  // Step 5: Map operation - iterate over collection with checkpoints
-  const mapResults = await context.map(workItems, async (ctx, item, index) => {
-    return await ctx.step(`processItem-${index}`, async () => {
-      const { processedItem, processingTime } = processWorkItem(item, index);
-
-      // Simulate processing time based on priority
-      await new Promise(resolve => setTimeout(resolve, processingTime));
-
-      return processedItem;
+  // Reject a bad event before the first step; it fails the execution with every violation listed
+  validateWorkflowInput(event);
+
+  // Version of the code this execution started on; changes to the operation sequence are gated on it
+  // so executions still in flight across a deploy replay the path they started on
+  const version = await getWorkflowVersion(context);
+  const executionId = getExecutionId(context);
+
+  // Stop requests cancel the run at its long waits; cleanups registered below then run as steps
+  const cancellation = createCancellationScope(context);
+  // Stages with side effects register a compensation; a later failure undoes them in reverse order
+  const compensations = createCompensationScope(context);
+  let mapResults;
+
+  try {
+    // Step 1: Initial step operation - process input data
+    const workItems = await context.step('processInputData', async () => {
+      return processData(event.inputData);
+    }, retryConfigFor('processInputData'));
+
+    // Items that were not processed yet are released if the run is stopped
+    cancellation.onCancel('release-work-items', async ({ reason }) => {
+      return releaseWorkItems(workItems, mapResults?.succeeded().map(item => item.result), reason);
     });
-  });
 
-  // Step 6: Wait for condition - poll until external system is ready
-  const conditionResult = await context.waitForCondition(
-    async (state, ctx) => {
-      const readinessCheck = await checkSystemReadiness();
-      return {
-        ...state,
-        ready: readinessCheck.ready
-      };
-    },
-    {
-      initialState: {
-        ready: false,
-      },
-      waitStrategy: (state) =>
-        state.ready
-          ? { shouldContinue: false }
-          : { shouldContinue: true, delay: { seconds: 3 } }
-    }
-  );
-
-  // Step 7: Invoke another Lambda function
-  const invokePayload = createInvokePayload(workItems.length, context.executionId);
-  const invokeResult = await context.invoke(
-    'invoke-hello-world',
-    process.env.HELLO_WORLD_FUNCTION_ARN,
-    invokePayload
-  );
-
-  // Step 8: Run operations in child context for isolation
-  const childContextResult = await context.runInChildContext('isolated-operations', async (childCtx) => {
-    // These operations run in isolation with their own checkpoint log
-    const metadata = await childCtx.step('processMetadata', async () => {
-      return await processMetadataInChild(context.executionId, workItems.length);
+    // Step 2: Wait for callback operation - pause for external event
+    // Wait for external callback with timeout handling; a stop request cancels the wait
+    const onCallbackTimeout = getCallbackTimeoutBehavior(event);
+    const callbackSubmitter = createCallbackSubmitter(getCallbackSubmitterConfig(event));
+    const signingSecret = process.env.CALLBACK_SIGNING_SECRET;
+
+    const callbackResult = await cancellation.guard('stoppable-external-callback', async (ctx) => {
+      try {
+        return await ctx.waitForCallback(
+          "wait-for-external-callback",
+          async (serviceCallbackId, submitterCtx) => {
+            // With a signing secret the external system gets a signed ID wrapping the service's callback ID
+            const callbackId = signingSecret
+              ? signCallbackId(serviceCallbackId, { executionId, secret: signingSecret })
+              : serviceCallbackId;
+
+            // Submit callback ID to the configured external system (webhook, queue, notifier, outbox)
+            const payload = createCallbackPayload(callbackId, {
+              workflowId: event.workflowId,
+              workItemsCount: workItems.length,
+              metadata: event.metadata
+            });
+
+            await callbackSubmitter.submit({ callbackId, executionId, payload }, submitterCtx);
+          },
+          { timeout: { minutes: 60 } } // 1 hour timeout
+        );
+      } catch (error) {
+        if (onCallbackTimeout === 'fail' || !isCallbackTimeout(error)) {
+          throw error;
+        }
+
+        // Checkpoint the fallback so replays carry on with the same default values
+        // The callback ID is gone once the wait has failed, so the fallback names the operation instead
+        return await ctx.step('callback-timeout-fallback', async () => {
+          return handleTimeout('wait-for-external-callback', 3600);
+        });
+      }
     });
 
-    const validation = await childCtx.step('validateConfiguration', async () => {
-      return await validateConfigurationInChild();
+    // Version 2: checkpoint the approval decision so the result reports it
+    let approval;
+    if (version >= 2) {
+      approval = await context.step('recordApproval', async () => {
+        return recordApprovalDecision(callbackResult);
+      });
+    }
+
+    // Step 3: Simple wait operation - demonstrate time-based wait
+    await cancellation.guard('stoppable-wait', async (ctx) => ctx.wait({ seconds: 5 })); // Wait for 5 seconds
+
+    // Step 4: Parallel operations - process multiple work streams concurrently
+    const parallelResults = await context.parallel([
+      async (ctx) => ctx.step('parallelTask1', async () => {
+        return await performDataValidation(workItems.length);
+      }, retryConfigFor('parallelTask1')),
+      async (ctx) => ctx.step('parallelTask2', async () => {
+        return await performDataEnrichment(workItems.length);
+      }, retryConfigFor('parallelTask2')),
+      async (ctx) => ctx.step('parallelTask3', async () => {
+        return await performQualityCheck();
+      }, retryConfigFor('parallelTask3'))
+    ]);
+    // Only enrichment that completed has anything to discard
+    const enrichment = parallelResults.all[1];
+    if (enrichment?.status === 'SUCCEEDED') {
+      compensations.register('discard-enrichment', async (failure) => {
+        return discardEnrichment(enrichment.result, failure);
+      });
+    }
+
+    // Step 5: Map operation - one map per priority class, most urgent first, each with the class's
+    // concurrency limit; a failed item is recorded and the batch only fails past its tolerance
+    const itemFailureTolerance = getItemFailureTolerance(event);
+    const schedule = planPrioritySchedule(workItems, getSchedulingProfile(event));
+    const classRuns = await context.runInChildContext('process-work-items', async (mapCtx) => {
+      const runs = [];
+      for (const priorityClass of schedule) {
+        const failureCount = new PriorityBatchResult(runs).failureCount;
+        if (exceedsTolerance(failureCount, workItems.length, itemFailureTolerance)) {
+          break;
+        }
+
+        const batchResult = await mapCtx.map(
+          `process-priority-${priorityClass.priority}`,
+          priorityClass.batches,
+          async (ctx, batch) => processBatch(ctx, batch),
+          {
+            maxConcurrency: priorityClass.concurrency,
+            serdes: batchResultSerdes,
+            completionConfig: toCompletionConfig(itemFailureTolerance, workItems.length, failureCount, priorityClass.batchSize)
+          }
+        );
+        runs.push(recordClassRun(priorityClass, batchResult));
+      }
+      return runs;
+    });
+    mapResults = new PriorityBatchResult(classRuns);
+    checkItemFailureTolerance(mapResults, event.inputData.items, itemFailureTolerance, workItems.length);
+    compensations.register('revert-processed-items', async (failure) => {
+      return revertProcessedItems(mapResults.succeeded().map(item => item.result), failure);
     });
 
-    return {
-      metadata,
-      validation,
-      childExecutionId: childCtx.executionId,
-      completedAt: Date.now()
-    };
-  });
-
-  // Step 9: Final aggregation step
-  const finalResult = await context.step('aggregateResults', async () => {
-    const baseResult = aggregateWorkflowResults(context, event, mapResults, parallelResults, callbackResult);
-
-    // Add results from advanced operations
-    return {
-      ...baseResult,
-      advancedOperations: {
-        conditionResult,
-        invokeResult,
-        childContextResult
+    // Step 6: Wait for condition - poll until external system is ready, unless a stop request comes first
+    const conditionResult = await cancellation.guard('stoppable-condition', async (ctx) => ctx.waitForCondition(
+      async (state, conditionCtx) => {
+        const readinessCheck = await checkSystemReadiness();
+        return {
+          ...state,
+          ready: readinessCheck.ready
+        };
       },
-      operationCount: {
-        ...baseResult.operationCount,
-        waitForCondition: 1,
-        invoke: 1,
-        childContext: 1
+      {
+        initialState: {
+          ready: false,
+        },
+        waitStrategy: (state) =>
+          state.ready
+            ? { shouldContinue: false }
+            : { shouldContinue: true, delay: { seconds: 3 } }
+      }
+    ));
+
+    // Step 7: Invoke another Lambda function
+    const invokePayload = createInvokePayload(workItems.length, executionId);
+    const invokeResult = await context.invoke(
+      'invoke-hello-world',
+      process.env.HELLO_WORLD_FUNCTION_ARN,
+      invokePayload
+    );
+
+    // Step 8: Run operations in child context for isolation
+    const childContextResult = await context.runInChildContext('isolated-operations', async (childCtx) => {
+      // These operations run in isolation with their own checkpoint log
+      const metadata = await childCtx.step('processMetadata', async () => {
+        return await processMetadataInChild(executionId, workItems.length);
+      }, retryConfigFor('processMetadata'));
+
+      const validation = await childCtx.step('validateConfiguration', async () => {
+        return await validateConfigurationInChild();
+      }, retryConfigFor('validateConfiguration'));
+
+      return {
+        metadata,
+        validation,
+        childExecutionId: getExecutionId(childCtx),
+        completedAt: Date.now()
+      };
+    });
+
+    // Step 9: Final aggregation step
+    const finalResult = await context.step('aggregateResults', async () => {
+      const baseResult = aggregateWorkflowResults(context, event, mapResults, parallelResults, callbackResult);
+
+      // Add results from advanced operations
+      return {
+        ...baseResult,
+        workflowVersion: version,
+        ...(approval && { approval }),
+        advancedOperations: {
+          conditionResult,
+          invokeResult,
+          childContextResult
+        },
+        priorityClasses: summarizePriorityClasses(mapResults),
+        operationCount: {
+          ...baseResult.operationCount,
+          waitForCondition: 1,
+          invoke: 1,
+          childContext: 1
+        }
+      };
+    }, retryConfigFor('aggregateResults'));
+
+    return finalResult;
+  } catch (error) {
+    if (!(error instanceof WorkflowCancelledError)) {
+      if (compensations.size === 0 || isUnrecoverable(error)) {
+        throw error;
       }
-    };
-  });
+      throw new CompensatedWorkflowError(error, await compensations.compensate(error));
+    }
+
+    const cleanup = await cancellation.cleanUp(error);
+    return createCancelledResult(context, event, error, { mapResults, cleanup });
+  }
+};
+
+export const handler = withDurableExecution(workflow);
+
+/**
+ * Process one { index, workItem } from the priority schedule
+ */
+async function processScheduledItem({ index, workItem }) {
+  const { processedItem, processingTime } = processWorkItem(workItem, index);
 
-  return finalResult;
-});
\ No newline at end of file
+  // Simulate processing time based on priority
+  await simulateLatency(processingTime);
+
+  return processedItem;
+}
+
+/**
+ * Process one batch of { index, workItem } from the priority schedule as a single step
+ * A batch of one returns the processed item and fails the step when it fails, so the item is retried.
+ * A larger batch returns { status, result?, error? } for each item in order. An item error the
+ * step's retry policy retries fails the step, so the batch is retried with the policy's backoff;
+ * any other item error is recorded on that item, and its siblings keep their results
+ */
+async function processBatch(ctx, batch) {
+  return await ctx.step(batchStepName(batch), async () => {
+    if (batch.length === 1) {
+      return processScheduledItem(batch[0]);
+    }
+
+    const itemResults = [];
+    for (const entry of batch) {
+      try {
+        itemResults.push({ status: 'SUCCEEDED', result: await processScheduledItem(entry) });
+      } catch (error) {
+        if (retriesError(batchStepName(batch), error)) {
+          throw error;
+        }
+        itemResults.push({ status: 'FAILED', error: { message: error.message } });
+      }
+    }
+    return itemResults;
+  }, retryConfigFor(batchStepName(batch)));
+}
@@ -0,0 +1,45 @@
+/**
+ * Activity registry for declarative pipelines
+ * A pipeline definition names the body of each step and condition by activity; the registry maps
+ * those names to functions. The defaults are the business functions of the durable function
+ * example, so a definition can rebuild the example without a hand-written handler.
+ */
+
+import { aggregateResults, processData, processWorkItem } from './data-processor.mjs';
+import { performDataEnrichment, performDataValidation, performQualityCheck } from './parallel-operations.mjs';
+import {
+  checkSystemReadiness,
+  createInvokePayload,
+  processMetadataInChild,
+  validateConfigurationInChild
+} from './advanced-operations.mjs';
+
+/**
+ * Activities every pipeline can use, by name
+ * Each is called with the step's resolved args and may return a promise
+ */
+export const ACTIVITIES = Object.freeze({
+  processData,
+  // The example handler waits out processingTime itself; a pipeline only needs the processed item
+  processWorkItem: (item, index) => processWorkItem(item, index).processedItem,
+  aggregateResults,
+  performDataValidation,
+  performDataEnrichment,
+  performQualityCheck,
+  checkSystemReadiness,
+  createInvokePayload,
+  processMetadataInChild,
+  validateConfigurationInChild
+});
+
+/**
+ * Registry of the default activities plus the given ones, which replace defaults of the same name
+ */
+export function createActivityRegistry(activities = {}) {
+  for (const [name, activity] of Object.entries(activities)) {
+    if (typeof activity !== 'function') {
+      throw new TypeError(`Activity "${name}" must be a function`);
+    }
+  }
+  return Object.freeze({ ...ACTIVITIES, ...activities });
+}
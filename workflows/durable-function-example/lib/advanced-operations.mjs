@@ -3,6 +3,8 @@
  * Contains examples of waitForCondition, invoke, and runInChildContext
  */
 
+import { simulateLatency } from './simulated-latency.mjs';
+
 // Global state to track attempts
 let checkAttempts = 0;
 
@@ -14,7 +16,7 @@ export async function checkSystemReadiness() {
   checkAttempts++;
 
   // Simulate some async work (like network call)
-  await new Promise(resolve => setTimeout(resolve, 50));
+  await simulateLatency(50);
 
   // System becomes ready on the 3rd attempt
   const isReady = checkAttempts >= 3;
@@ -53,7 +55,7 @@ export function createInvokePayload(workItemsCount, executionId) {
  */
 export async function processMetadataInChild(executionId, workItemsCount) {
   // Simulate metadata processing that should be isolated
-  await new Promise(resolve => setTimeout(resolve, 50));
+  await simulateLatency(50);
 
   return {
     executionId,
@@ -72,7 +74,7 @@ export async function processMetadataInChild(executionId, workItemsCount) {
  */
 export async function validateConfigurationInChild() {
   // Simulate configuration validation
-  await new Promise(resolve => setTimeout(resolve, 30));
+  await simulateLatency(30);
 
   return {
     valid: true,
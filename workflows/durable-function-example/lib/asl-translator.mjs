@@ -0,0 +1,808 @@
+/**
+ * Amazon States Language translator for durable function example
+ * Runs a Step Functions definition directly on a durable context, so the album state machine in
+ * workflows/step-functions can be compared with the durable version operation by operation.
+ * Task states become steps (or callbacks for waitForTaskToken), Parallel and Map states become
+ * parallel and map operations named after the state, and Wait states become waits. Choice, Pass,
+ * Succeed and Fail states are evaluated in the handler and create no operation. Each Task's work
+ * is done by an integration registered under its Lambda FunctionName or its Resource ARN.
+ */
+
+import { DurableOperationError, JitterStrategy, createRetryStrategy } from '@aws/durable-execution-sdk-js';
+import { getCallbackTimeout } from './callback-helper.mjs';
+import { getExecutionArn } from './execution-context.mjs';
+
+const LAMBDA_INVOKE = 'arn:aws:states:::lambda:invoke';
+const WAIT_FOR_TASK_TOKEN = '.waitForTaskToken';
+const MISSING = Symbol('missing');
+
+const PATH = /^\$(?:\.[A-Za-z_$][\w$-]*|\[\d+\]|\['[^']*'\])*$/;
+const SEGMENT = /\.([A-Za-z_$][\w$-]*)|\[(\d+)\]|\['([^']*)'\]/g;
+
+const IO_FIELDS = ['Type', 'Comment', 'InputPath', 'OutputPath'];
+const FLOW_FIELDS = ['Next', 'End'];
+const STATE_FIELDS = {
+  Task: [...IO_FIELDS, ...FLOW_FIELDS, 'Resource', 'Parameters', 'ResultSelector', 'ResultPath', 'Retry', 'Catch', 'TimeoutSeconds', 'HeartbeatSeconds'],
+  Parallel: [...IO_FIELDS, ...FLOW_FIELDS, 'Branches', 'Parameters', 'ResultSelector', 'ResultPath', 'Catch'],
+  Map: [...IO_FIELDS, ...FLOW_FIELDS, 'ItemsPath', 'ItemSelector', 'Parameters', 'Iterator', 'ItemProcessor', 'MaxConcurrency', 'ResultSelector', 'ResultPath', 'Catch'],
+  Wait: [...IO_FIELDS, ...FLOW_FIELDS, 'Seconds', 'SecondsPath'],
+  Choice: [...IO_FIELDS, 'Choices', 'Default'],
+  Pass: [...IO_FIELDS, ...FLOW_FIELDS, 'Result', 'Parameters', 'ResultPath'],
+  Succeed: IO_FIELDS,
+  Fail: ['Type', 'Comment', 'Error', 'Cause', 'ErrorPath', 'CausePath']
+};
+
+// Why a field has no durable equivalent, for the fields users are most likely to hit
+const UNSUPPORTED_REASONS = {
+  Retry: 'parallel and map operations are not retried as a whole; retry the Tasks inside them',
+  Timestamp: 'a wait until a timestamp depends on the current time; use Seconds',
+  TimestampPath: 'a wait until a timestamp depends on the current time; use SecondsPath',
+  ItemReader: 'distributed maps are not supported',
+  ItemBatcher: 'distributed maps are not supported',
+  ResultWriter: 'distributed maps are not supported',
+  ToleratedFailureCount: 'a failed iteration fails the Map state',
+  ToleratedFailurePercentage: 'a failed iteration fails the Map state',
+  Arguments: 'JSONata is not supported',
+  Output: 'JSONata is not supported',
+  Assign: 'variables are not supported'
+};
+
+const INTRINSICS = {
+  'States.Format': (template, ...values) => {
+    let next = 0;
+    return String(template).replace(/\{\}/g, () => {
+      const value = values[next++];
+      return typeof value === 'string' ? value : JSON.stringify(value);
+    });
+  },
+  'States.StringToJson': text => JSON.parse(text),
+  'States.JsonToString': value => JSON.stringify(value),
+  'States.Array': (...values) => values,
+  'States.ArrayLength': array => array.length,
+  'States.ArrayGetItem': (array, index) => array[index],
+  'States.MathAdd': (left, right) => left + right
+};
+
+const COMPARISON_TYPES = {
+  String: { accepts: value => typeof value === 'string', compare: (a, b) => (a < b ? -1 : a > b ? 1 : 0) },
+  Numeric: { accepts: value => typeof value === 'number', compare: (a, b) => a - b },
+  Boolean: { accepts: value => typeof value === 'boolean', compare: (a, b) => (a === b ? 0 : NaN) },
+  Timestamp: { accepts: value => typeof value === 'string' && !Number.isNaN(Date.parse(value)), compare: (a, b) => Date.parse(a) - Date.parse(b) }
+};
+const RELATIONS = {
+  Equals: order => order === 0,
+  LessThan: order => order < 0,
+  GreaterThan: order => order > 0,
+  LessThanEquals: order => order <= 0,
+  GreaterThanEquals: order => order >= 0
+};
+const TYPE_TESTS = {
+  IsNull: value => value === null,
+  IsNumeric: value => typeof value === 'number',
+  IsString: value => typeof value === 'string',
+  IsBoolean: value => typeof value === 'boolean',
+  IsTimestamp: value => COMPARISON_TYPES.Timestamp.accepts(value)
+};
+const COMPARISON_OPERATORS = Object.keys(COMPARISON_TYPES).flatMap(type => Object.keys(RELATIONS)
+  .filter(relation => type !== 'Boolean' || relation === 'Equals')
+  .flatMap(relation => [`${type}${relation}`, `${type}${relation}Path`]));
+const CHOICE_OPERATORS = [...COMPARISON_OPERATORS, 'StringMatches', 'IsPresent', ...Object.keys(TYPE_TESTS)];
+
+/**
+ * A state failed with an ASL error name (Error) and description (Cause)
+ * Catch and Retry match on the name; uncaught, it fails the execution with it
+ */
+export class StatesError extends Error {
+  constructor(error, cause) {
+    super(cause ?? error);
+    this.name = error;
+    this.error = error;
+    this.cause = cause;
+  }
+}
+
+/**
+ * The definition uses ASL features that cannot run on a durable context, or has Tasks without an
+ * integration: issues holds every { path, feature, message }
+ */
+export class AslTranslationError extends Error {
+  constructor(issues) {
+    const count = issues.length === 1 ? '1 issue' : `${issues.length} issues`;
+    super(`ASL definition cannot be translated (${count}):\n${issues.map(issue => `- ${issue.message}`).join('\n')}`);
+    this.name = 'AslTranslationError';
+    this.issues = issues;
+    this.retryable = false;
+  }
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isPath(path) {
+  return typeof path === 'string' && PATH.test(path.startsWith('$$') ? path.slice(1) : path);
+}
+
+function pathMembers(path) {
+  return [...path.matchAll(SEGMENT)].map(([, key, index, quoted]) => key ?? quoted ?? Number(index));
+}
+
+/** Value at a path ($ for the data, $$ for the context object), or MISSING */
+function readPath(data, path, contextObject) {
+  let current = path.startsWith('$$') ? contextObject : data;
+  for (const member of pathMembers(path.startsWith('$$') ? path.slice(2) : path.slice(1))) {
+    if (current === null || typeof current !== 'object' || !Object.hasOwn(current, member)) {
+      return MISSING;
+    }
+    current = current[member];
+  }
+  return current;
+}
+
+function mustReadPath(data, path, contextObject) {
+  const value = readPath(data, path, contextObject);
+  if (value === MISSING) {
+    throw new StatesError('States.Runtime', `The path ${path} could not be found in the input`);
+  }
+  return value;
+}
+
+/**
+ * Parse an intrinsic function call into { name, args }, where each arg is a literal, a path or
+ * another call. Throws a SyntaxError for anything else
+ */
+function parseIntrinsic(text) {
+  let index = 0;
+  const fail = () => {
+    throw new SyntaxError(`Invalid intrinsic function ${text}`);
+  };
+  const skipSpace = () => {
+    while (text[index] === ' ') {
+      index++;
+    }
+  };
+
+  const parseArgument = () => {
+    const rest = text.slice(index);
+    if (rest.startsWith("'")) {
+      let value = '';
+      for (index++; index < text.length && text[index] !== "'"; index++) {
+        if (text[index] === '\\') {
+          index++;
+        }
+        value += text[index];
+      }
+      if (text[index] !== "'") {
+        fail();
+      }
+      index++;
+      return { type: 'literal', value };
+    }
+    if (rest.startsWith('States.')) {
+      return parseCall();
+    }
+
+    const token = rest.match(/^[^,)\s]+/)?.[0] ?? fail();
+    index += token.length;
+    if (isPath(token)) {
+      return { type: 'path', path: token };
+    }
+    if (/^-?\d+(\.\d+)?$/.test(token) || ['true', 'false', 'null'].includes(token)) {
+      return { type: 'literal', value: JSON.parse(token) };
+    }
+    return fail();
+  };
+
+  const parseCall = () => {
+    const name = text.slice(index).match(/^States\.[A-Za-z]+/)?.[0] ?? fail();
+    index += name.length;
+    skipSpace();
+    if (text[index] !== '(') {
+      fail();
+    }
+    index++;
+    skipSpace();
+
+    const args = [];
+    while (text[index] !== ')') {
+      args.push(parseArgument());
+      skipSpace();
+      if (text[index] === ',') {
+        index++;
+        skipSpace();
+      } else if (text[index] !== ')') {
+        fail();
+      }
+    }
+    index++;
+    return { type: 'call', name, args };
+  };
+
+  const call = parseCall();
+  skipSpace();
+  return index === text.length ? call : fail();
+}
+
+function intrinsicNames(call) {
+  return [call.name, ...call.args.filter(arg => arg.type === 'call').flatMap(intrinsicNames)];
+}
+
+function evaluateArgument(arg, data, contextObject) {
+  if (arg.type === 'literal') {
+    return arg.value;
+  }
+  if (arg.type === 'path') {
+    return mustReadPath(data, arg.path, contextObject);
+  }
+
+  const values = arg.args.map(item => evaluateArgument(item, data, contextObject));
+  try {
+    return INTRINSICS[arg.name](...values);
+  } catch (error) {
+    throw new StatesError('States.IntrinsicFailure', `${arg.name} failed: ${error.message}`);
+  }
+}
+
+/** Value of a "key.$" field: a path or an intrinsic function */
+function evaluateExpression(expression, data, contextObject) {
+  return isPath(expression)
+    ? mustReadPath(data, expression, contextObject)
+    : evaluateArgument(parseIntrinsic(expression), data, contextObject);
+}
+
+/** Parameters, ItemSelector or ResultSelector applied to the data */
+function resolveTemplate(template, data, contextObject) {
+  if (Array.isArray(template)) {
+    return template.map(item => resolveTemplate(item, data, contextObject));
+  }
+  if (isObject(template)) {
+    return Object.fromEntries(Object.entries(template).map(([key, value]) => (key.endsWith('.$')
+      ? [key.slice(0, -2), evaluateExpression(value, data, contextObject)]
+      : [key, resolveTemplate(value, data, contextObject)])));
+  }
+  return template;
+}
+
+function applyInputPath(input, state) {
+  if (state.InputPath === null) {
+    return {};
+  }
+  return state.InputPath === undefined ? input : mustReadPath(input, state.InputPath);
+}
+
+function applyOutputPath(output, state) {
+  if (state.OutputPath === null) {
+    return {};
+  }
+  return state.OutputPath === undefined ? output : mustReadPath(output, state.OutputPath);
+}
+
+/** The state's raw input with the result placed at resultPath */
+function applyResultPath(input, result, resultPath) {
+  if (resultPath === null) {
+    return input;
+  }
+  if (resultPath === undefined || resultPath === '$') {
+    return result;
+  }
+  if (!isObject(input)) {
+    throw new StatesError('States.Runtime', `ResultPath ${resultPath} cannot be applied to a non-object input`);
+  }
+
+  const output = structuredClone(input);
+  const members = pathMembers(resultPath.slice(1));
+  let target = output;
+  for (const member of members.slice(0, -1)) {
+    if (!isObject(target[member])) {
+      target[member] = {};
+    }
+    target = target[member];
+  }
+  target[members.at(-1)] = result;
+  return output;
+}
+
+/** Whether an ASL error name matches ErrorEquals */
+function errorMatches(errorEquals, errorName) {
+  return errorEquals.some(name => name === 'States.ALL'
+    || name === errorName
+    || (name === 'States.TaskFailed' && errorName !== 'States.Timeout'));
+}
+
+/**
+ * ASL error of a failed durable operation
+ * The SDK wraps the error thrown in a step or sent to a callback; its name survives as the cause's.
+ * A callback that timed out has no error name and becomes States.Timeout or States.HeartbeatTimeout
+ */
+function toStatesError(error) {
+  if (error instanceof StatesError) {
+    return error;
+  }
+
+  const original = error instanceof DurableOperationError && error.cause ? error.cause : error;
+  const timeout = getCallbackTimeout(error);
+  if (timeout) {
+    return new StatesError(timeout === 'heartbeat' ? 'States.HeartbeatTimeout' : 'States.Timeout', original.message);
+  }
+  return new StatesError(original.name, original.message);
+}
+
+/**
+ * Step retry strategy from an ASL Retry field
+ * The first retrier matching the error decides, with its own backoff. The SDK counts attempts per
+ * step rather than per retrier, so MaxAttempts limits the step's attempts in total
+ */
+function createAslRetryStrategy(retriers) {
+  const strategies = retriers.map(retrier => ({
+    errorEquals: retrier.ErrorEquals,
+    backoff: createRetryStrategy({
+      maxAttempts: (retrier.MaxAttempts ?? 3) + 1,
+      initialDelay: { seconds: retrier.IntervalSeconds ?? 1 },
+      maxDelay: { seconds: retrier.MaxDelaySeconds ?? 31_622_400 },
+      backoffRate: retrier.BackoffRate ?? 2,
+      jitter: JitterStrategy[retrier.JitterStrategy ?? 'NONE']
+    })
+  }));
+
+  return (error, attemptsMade) => {
+    const match = strategies.find(({ errorEquals }) => errorMatches(errorEquals, error?.name ?? 'Error'));
+    return match ? match.backoff(error, attemptsMade) : { shouldRetry: false };
+  };
+}
+
+function matchesWildcard(value, pattern) {
+  const source = pattern.split(/(\\\*|\\\\|\*)/).map(part => {
+    if (part === '*') {
+      return '.*';
+    }
+    return (part === '\\*' ? '*' : part === '\\\\' ? '\\' : part).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }).join('');
+  return new RegExp(`^${source}$`, 's').test(value);
+}
+
+function evaluateChoiceRule(rule, data, contextObject) {
+  if (rule.And) {
+    return rule.And.every(item => evaluateChoiceRule(item, data, contextObject));
+  }
+  if (rule.Or) {
+    return rule.Or.some(item => evaluateChoiceRule(item, data, contextObject));
+  }
+  if (rule.Not) {
+    return !evaluateChoiceRule(rule.Not, data, contextObject);
+  }
+
+  const operator = CHOICE_OPERATORS.find(name => Object.hasOwn(rule, name));
+  const value = readPath(data, rule.Variable, contextObject);
+  if (operator === 'IsPresent') {
+    return (value !== MISSING) === rule.IsPresent;
+  }
+  if (value === MISSING) {
+    throw new StatesError('States.Runtime', `Choice variable ${rule.Variable} could not be found in the input`);
+  }
+  if (TYPE_TESTS[operator]) {
+    return TYPE_TESTS[operator](value) === rule[operator];
+  }
+  if (operator === 'StringMatches') {
+    return typeof value === 'string' && matchesWildcard(value, rule.StringMatches);
+  }
+
+  const [, type, relation, byPath] = operator.match(/^(String|Numeric|Boolean|Timestamp)(\w+?)(Path)?$/);
+  const expected = byPath ? mustReadPath(data, rule[operator], contextObject) : rule[operator];
+  const { accepts, compare } = COMPARISON_TYPES[type];
+  return accepts(value) && accepts(expected) && RELATIONS[relation](compare(value, expected));
+}
+
+/**
+ * Integration key of a Task state: the FunctionName of a Lambda invoke, otherwise the Resource
+ * without its .waitForTaskToken suffix
+ */
+function integrationKey(state) {
+  const resource = state.Resource.endsWith(WAIT_FOR_TASK_TOKEN)
+    ? state.Resource.slice(0, -WAIT_FOR_TASK_TOKEN.length)
+    : state.Resource;
+  return resource === LAMBDA_INVOKE ? state.Parameters?.FunctionName : resource;
+}
+
+function parseCallbackOutput(output) {
+  if (typeof output !== 'string') {
+    return output;
+  }
+  try {
+    return JSON.parse(output);
+  } catch {
+    return output;
+  }
+}
+
+async function runTask(name, state, input, ctx, run) {
+  const integration = run.integrations[integrationKey(state)];
+  const isLambdaInvoke = state.Resource.startsWith(LAMBDA_INVOKE);
+  const retryConfig = state.Retry ? { retryStrategy: createAslRetryStrategy(state.Retry) } : undefined;
+  // A Lambda invoke passes its Payload to the function and wraps the function's output
+  const call = async (contextObject) => {
+    const parameters = state.Parameters === undefined ? input : resolveTemplate(state.Parameters, input, contextObject);
+    return integration(isLambdaInvoke ? parameters.Payload : parameters, { stateName: name });
+  };
+
+  if (state.Resource.endsWith(WAIT_FOR_TASK_TOKEN)) {
+    // Like waitForCallback, but the callback's error is settled inside the child context so
+    // States.Timeout and SendTaskFailure error names survive it
+    return raiseSettled(await ctx.runInChildContext(name, async (taskCtx) => settle(async () => {
+      try {
+        const [callback, callbackId] = await taskCtx.createCallback(name, {
+          ...(state.TimeoutSeconds && { timeout: { seconds: state.TimeoutSeconds } }),
+          ...(state.HeartbeatSeconds && { heartbeatTimeout: { seconds: state.HeartbeatSeconds } })
+        });
+        await taskCtx.step(async () => {
+          await call({ ...run.contextObject(name), Task: { Token: callbackId } });
+        }, retryConfig);
+        return parseCallbackOutput(await callback);
+      } catch (error) {
+        throw toStatesError(error);
+      }
+    })));
+  }
+
+  try {
+    const output = await ctx.step(name, async () => call(run.contextObject(name)), retryConfig);
+    return isLambdaInvoke ? { StatusCode: 200, Payload: output } : output;
+  } catch (error) {
+    throw toStatesError(error);
+  }
+}
+
+/**
+ * Run a branch, iteration or task token wait, settling an ASL error into its result
+ * The SDK does not carry error names out of a child context, so the state raises the settled
+ * error again to keep it catchable by name
+ */
+async function settle(runMachine) {
+  try {
+    return { output: await runMachine() };
+  } catch (error) {
+    if (error instanceof StatesError) {
+      return { error: { Error: error.error, Cause: error.cause } };
+    }
+    throw error;
+  }
+}
+
+/** Output of a settled run, or its ASL error raised again */
+function raiseSettled(outcome) {
+  if (outcome.error) {
+    throw new StatesError(outcome.error.Error, outcome.error.Cause);
+  }
+  return outcome.output;
+}
+
+/** Outputs of a parallel or map operation whose branches settled their errors */
+function raiseSettledBatch(batchResult) {
+  batchResult.throwIfError();
+  const outcomes = batchResult.getResults();
+  outcomes.filter(outcome => outcome.error).slice(0, 1).forEach(raiseSettled);
+  return outcomes.map(outcome => outcome.output);
+}
+
+/** Result of one state and the state to go to next (undefined when the machine ends) */
+async function runState(name, state, rawInput, ctx, run) {
+  const contextObject = run.contextObject(name);
+  const input = applyInputPath(rawInput, state);
+  // Task Parameters are resolved with the task token, Map Parameters per item (as ItemSelector)
+  const effective = state.Parameters !== undefined && ['Parallel', 'Pass'].includes(state.Type)
+    ? resolveTemplate(state.Parameters, input, contextObject)
+    : input;
+  const finish = (result, next = state.End ? undefined : state.Next) => {
+    const selected = state.ResultSelector ? resolveTemplate(state.ResultSelector, result, contextObject) : result;
+    return { output: applyOutputPath(applyResultPath(rawInput, selected, state.ResultPath), state), next };
+  };
+
+  switch (state.Type) {
+    case 'Task':
+      return finish(await runTask(name, state, input, ctx, run));
+
+    case 'Parallel':
+      return finish(raiseSettledBatch(await ctx.parallel(name, state.Branches.map(branch => async (branchCtx) => {
+        return settle(() => runStateMachine(branch, effective, branchCtx, run));
+      }))));
+
+    case 'Map': {
+      const items = state.ItemsPath === undefined ? input : mustReadPath(input, state.ItemsPath, contextObject);
+      if (!Array.isArray(items)) {
+        throw new StatesError('States.Runtime', `Map state ${name} ItemsPath must select an array`);
+      }
+      const processor = state.ItemProcessor ?? state.Iterator;
+      const selector = state.ItemSelector ?? state.Parameters;
+      return finish(raiseSettledBatch(await ctx.map(name, items, async (itemCtx, item, index) => settle(() => {
+        const itemInput = selector === undefined
+          ? item
+          : resolveTemplate(selector, input, { ...contextObject, Map: { Item: { Index: index, Value: item } } });
+        return runStateMachine(processor, itemInput, itemCtx, run);
+      }), state.MaxConcurrency ? { maxConcurrency: state.MaxConcurrency } : undefined)));
+    }
+
+    case 'Wait': {
+      const seconds = state.SecondsPath === undefined ? state.Seconds : mustReadPath(input, state.SecondsPath, contextObject);
+      if (!Number.isInteger(seconds) || seconds < 0) {
+        throw new StatesError('States.Runtime', `Wait state ${name} needs a non-negative whole number of seconds, got ${seconds}`);
+      }
+      await ctx.wait(name, { seconds });
+      return { output: applyOutputPath(input, state), next: state.End ? undefined : state.Next };
+    }
+
+    case 'Choice': {
+      const choice = state.Choices.find(rule => evaluateChoiceRule(rule, input, contextObject));
+      const next = choice?.Next ?? state.Default;
+      if (next === undefined) {
+        throw new StatesError('States.NoChoiceMatched', `No choice rule of ${name} matched and it has no Default`);
+      }
+      return { output: applyOutputPath(input, state), next };
+    }
+
+    case 'Pass':
+      return finish(state.Result === undefined ? effective : state.Result);
+
+    case 'Succeed':
+      return { output: applyOutputPath(input, state), next: undefined };
+
+    case 'Fail':
+      throw new StatesError(
+        state.ErrorPath ? evaluateExpression(state.ErrorPath, rawInput, contextObject) : state.Error ?? 'States.Fail',
+        state.CausePath ? evaluateExpression(state.CausePath, rawInput, contextObject) : state.Cause
+      );
+  }
+}
+
+async function runStateMachine(machine, input, ctx, run) {
+  let name = machine.StartAt;
+  let data = input;
+
+  while (true) {
+    const state = machine.States[name];
+    let outcome;
+    try {
+      outcome = await runState(name, state, data, ctx, run);
+    } catch (error) {
+      const catcher = error instanceof StatesError && state.Catch?.find(({ ErrorEquals }) => errorMatches(ErrorEquals, error.error));
+      if (!catcher) {
+        throw error;
+      }
+      data = applyResultPath(data, { Error: error.error, Cause: error.cause }, catcher.ResultPath ?? '$');
+      name = catcher.Next;
+      continue;
+    }
+
+    if (outcome.next === undefined) {
+      return outcome.output;
+    }
+    data = outcome.output;
+    name = outcome.next;
+  }
+}
+
+function checkExpression(expression, path, issue) {
+  if (typeof expression !== 'string') {
+    issue('syntax', path, 'must be a path or an intrinsic function');
+    return;
+  }
+  if (isPath(expression)) {
+    return;
+  }
+  if (expression.startsWith('$')) {
+    issue('path', path, `uses the path ${expression}; only $, $$, .member, [index] and ['member'] are supported`);
+    return;
+  }
+
+  try {
+    for (const name of intrinsicNames(parseIntrinsic(expression))) {
+      if (!INTRINSICS[name]) {
+        issue('intrinsic', path, `uses ${name}; supported intrinsic functions are: ${Object.keys(INTRINSICS).join(', ')}`);
+      }
+    }
+  } catch {
+    issue('syntax', path, `is not a valid path or intrinsic function: ${expression}`);
+  }
+}
+
+function checkTemplate(template, path, issue) {
+  if (Array.isArray(template)) {
+    template.forEach((item, index) => checkTemplate(item, `${path}[${index}]`, issue));
+  } else if (isObject(template)) {
+    for (const [key, value] of Object.entries(template)) {
+      if (key.endsWith('.$')) {
+        checkExpression(value, `${path}.${key}`, issue);
+      } else {
+        checkTemplate(value, `${path}.${key}`, issue);
+      }
+    }
+  }
+}
+
+function checkChoiceRule(rule, path, issue) {
+  for (const combinator of ['And', 'Or']) {
+    if (Array.isArray(rule[combinator])) {
+      rule[combinator].forEach((item, index) => checkChoiceRule(item, `${path}.${combinator}[${index}]`, issue));
+      return;
+    }
+  }
+  if (isObject(rule.Not)) {
+    checkChoiceRule(rule.Not, `${path}.Not`, issue);
+    return;
+  }
+
+  const operators = Object.keys(rule).filter(key => !['Variable', 'Next', 'Comment'].includes(key));
+  const unknown = operators.filter(key => !CHOICE_OPERATORS.includes(key));
+  if (unknown.length > 0 || operators.length !== 1) {
+    issue('choice', path, unknown.length > 0
+      ? `uses ${unknown.join(', ')}; supported comparisons are: ${CHOICE_OPERATORS.join(', ')}`
+      : 'must have exactly one comparison');
+    return;
+  }
+  if (!isPath(rule.Variable)) {
+    issue('path', `${path}.Variable`, 'must be a path');
+  }
+  if (operators[0].endsWith('Path') && !isPath(rule[operators[0]])) {
+    issue('path', `${path}.${operators[0]}`, 'must be a path');
+  }
+}
+
+function checkTask(state, path, issue, integrations) {
+  if (typeof state.Resource !== 'string') {
+    issue('resource', `${path}.Resource`, 'is required');
+    return;
+  }
+
+  const waitsForToken = state.Resource.endsWith(WAIT_FOR_TASK_TOKEN);
+  if (state.Resource.endsWith('.sync')) {
+    issue('resource', `${path}.Resource`, `uses ${state.Resource}; .sync integrations are not supported`);
+    return;
+  }
+  for (const field of ['TimeoutSeconds', 'HeartbeatSeconds']) {
+    if (state[field] !== undefined && !waitsForToken) {
+      issue(field, `${path}.${field}`, 'is only supported on waitForTaskToken Tasks, where it bounds the callback');
+    }
+  }
+
+  const key = integrationKey(state);
+  if (typeof key !== 'string') {
+    issue('integration', `${path}.Parameters.FunctionName`, 'must be a literal function name to look up its integration');
+  } else if (integrations && typeof integrations[key] !== 'function') {
+    issue('integration', `${path}.Resource`, `has no integration registered for ${key}`, { integration: key });
+  }
+}
+
+function checkState(state, path, names, issue, integrations) {
+  if (!isObject(state) || !STATE_FIELDS[state.Type]) {
+    issue('Type', `${path}.Type`, `must be one of: ${Object.keys(STATE_FIELDS).join(', ')}`);
+    return;
+  }
+
+  for (const field of Object.keys(state).filter(key => !STATE_FIELDS[state.Type].includes(key))) {
+    issue(field, `${path}.${field}`, `is not supported on ${state.Type} states${UNSUPPORTED_REASONS[field] ? `: ${UNSUPPORTED_REASONS[field]}` : ''}`);
+  }
+
+  const terminal = ['Choice', 'Succeed', 'Fail'].includes(state.Type);
+  if (!terminal && !state.End && !names.includes(state.Next)) {
+    issue('Next', `${path}.Next`, state.Next === undefined ? 'is required unless End is true' : `"${state.Next}" is not a state`);
+  }
+  for (const [index, catcher] of (state.Catch ?? []).entries()) {
+    if (!names.includes(catcher.Next)) {
+      issue('Next', `${path}.Catch[${index}].Next`, `"${catcher.Next}" is not a state`);
+    }
+    if (catcher.ResultPath !== undefined && catcher.ResultPath !== null && !PATH.test(catcher.ResultPath)) {
+      issue('path', `${path}.Catch[${index}].ResultPath`, 'must be a path into the state input');
+    }
+  }
+
+  for (const field of ['InputPath', 'OutputPath', 'ItemsPath', 'SecondsPath']) {
+    if (state[field] !== undefined && state[field] !== null && !isPath(state[field])) {
+      issue('path', `${path}.${field}`, `uses the path ${state[field]}; only $, $$, .member, [index] and ['member'] are supported`);
+    }
+  }
+  if (state.ResultPath !== undefined && state.ResultPath !== null && !PATH.test(state.ResultPath)) {
+    issue('path', `${path}.ResultPath`, 'must be a path into the state input');
+  }
+  for (const field of ['ErrorPath', 'CausePath']) {
+    if (state[field] !== undefined) {
+      checkExpression(state[field], `${path}.${field}`, issue);
+    }
+  }
+  for (const field of ['Parameters', 'ItemSelector', 'ResultSelector']) {
+    checkTemplate(state[field], `${path}.${field}`, issue);
+  }
+
+  switch (state.Type) {
+    case 'Task':
+      checkTask(state, path, issue, integrations);
+      break;
+    case 'Parallel':
+      (state.Branches ?? []).forEach((branch, index) => checkMachine(branch, `${path}.Branches[${index}]`, issue, integrations));
+      break;
+    case 'Map': {
+      const processor = state.ItemProcessor ?? state.Iterator;
+      const field = state.ItemProcessor ? 'ItemProcessor' : 'Iterator';
+      if (processor?.ProcessorConfig?.Mode === 'DISTRIBUTED') {
+        issue('ItemProcessor', `${path}.ItemProcessor.ProcessorConfig.Mode`, 'is DISTRIBUTED; distributed maps are not supported');
+      }
+      checkMachine(processor, `${path}.${field}`, issue, integrations);
+      break;
+    }
+    case 'Wait':
+      if ((state.Seconds === undefined) === (state.SecondsPath === undefined) && !state.Timestamp && !state.TimestampPath) {
+        issue('Wait', path, 'must set one of Seconds or SecondsPath');
+      }
+      break;
+    case 'Choice':
+      (state.Choices ?? []).forEach((rule, index) => {
+        checkChoiceRule(rule, `${path}.Choices[${index}]`, issue);
+        if (!names.includes(rule.Next)) {
+          issue('Next', `${path}.Choices[${index}].Next`, `"${rule.Next}" is not a state`);
+        }
+      });
+      if (state.Default !== undefined && !names.includes(state.Default)) {
+        issue('Next', `${path}.Default`, `"${state.Default}" is not a state`);
+      }
+      break;
+  }
+}
+
+function checkMachine(machine, path, issue, integrations) {
+  if (!isObject(machine) || !isObject(machine.States)) {
+    issue('States', `${path}.States`, 'is required');
+    return;
+  }
+
+  const names = Object.keys(machine.States);
+  if (!names.includes(machine.StartAt)) {
+    issue('StartAt', `${path}.StartAt`, `"${machine.StartAt}" is not a state`);
+  }
+  if (machine.QueryLanguage === 'JSONata') {
+    issue('QueryLanguage', `${path}.QueryLanguage`, 'is JSONata; only JSONPath definitions are supported');
+  }
+  for (const [name, state] of Object.entries(machine.States)) {
+    checkState(state, `${path}.States.${name}`, names, issue, integrations);
+  }
+}
+
+/**
+ * Every ASL feature of a definition that cannot run on a durable context
+ * Each issue is { path, feature, message }. With integrations, Tasks that have none registered
+ * are issues too, with the missing key as issue.integration
+ * @param {object} definition - Parsed ASL definition
+ * @param {object} [integrations] - Task integrations by FunctionName or Resource
+ */
+export function findUnsupportedAslFeatures(definition, integrations) {
+  const issues = [];
+  const issue = (feature, path, message, extra) => issues.push({ path, feature, message: `${path} ${message}`, ...extra });
+
+  if (isObject(definition) && definition.TimeoutSeconds !== undefined) {
+    issue('TimeoutSeconds', 'definition.TimeoutSeconds', 'is not supported; set DurableConfig.ExecutionTimeout on the function instead');
+  }
+  checkMachine(definition, 'definition', issue, integrations);
+  return issues;
+}
+
+/**
+ * Durable handler body that runs an ASL definition
+ * Throws AslTranslationError before any execution when the definition cannot be translated. An
+ * integration is called as integration(input, { stateName }): a Lambda invoke passes its Payload
+ * and gets back { StatusCode: 200, Payload: output }, other Resources pass their Parameters
+ * @param {object} definition - Parsed ASL definition, e.g. tests/durable-functions/__fixtures__/album-registration.asl.json
+ * @param {object} integrations - Task integrations by FunctionName or Resource
+ */
+export function createAslWorkflow(definition, integrations) {
+  const issues = findUnsupportedAslFeatures(definition, integrations ?? {});
+  if (issues.length > 0) {
+    throw new AslTranslationError(issues);
+  }
+
+  return async (event, context) => {
+    const run = {
+      integrations,
+      contextObject: stateName => ({
+        Execution: { Id: getExecutionArn(context), Input: event },
+        State: { Name: stateName }
+      })
+    };
+    return await runStateMachine(definition, event, context, run);
+  };
+}
@@ -3,13 +3,91 @@
  * Handles callback ID generation and management utilities
  */
 
-import { randomUUID } from 'node:crypto';
+import { createHmac, randomUUID, timingSafeEqual } from 'node:crypto';
+import { CallbackError } from '@aws/durable-execution-sdk-js';
+
+// Signed IDs look like callback-s1.<base64url claims>.<base64url HMAC-SHA256 of the claims>
+// and wrap the callback ID the service issued, which is what the callback API is sent
+const SIGNED_PREFIX = 'callback-s1.';
+const DEFAULT_PURPOSE = 'resume';
+const DEFAULT_TTL_SECONDS = 3600;
+
+/**
+ * Base class for callback ID errors
+ */
+export class CallbackIdError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+/**
+ * The callback ID is missing or not in a recognised format
+ */
+export class InvalidCallbackIdError extends CallbackIdError {}
+
+/**
+ * The callback ID's signature does not match its contents, or a signed ID was required
+ */
+export class CallbackIdSignatureError extends CallbackIdError {}
+
+/**
+ * The signed callback ID is past its expiry
+ */
+export class CallbackIdExpiredError extends CallbackIdError {
+  constructor(message, expiresAt) {
+    super(message);
+    this.expiresAt = expiresAt;
+  }
+}
+
+/**
+ * The signed callback ID was issued for a different purpose
+ */
+export class CallbackIdPurposeError extends CallbackIdError {}
+
+function sign(encodedClaims, secret) {
+  return createHmac('sha256', secret).update(encodedClaims).digest('base64url');
+}
+
+export function isSignedCallbackId(callbackId) {
+  return typeof callbackId === 'string' && callbackId.startsWith(SIGNED_PREFIX);
+}
 
 export function generateCallbackId(executionId) {
   // Generate a unique callback identifier for wait operations
   return `callback-${executionId}-${randomUUID()}`;
 }
 
+/**
+ * Wrap the callback ID the service issued in a signed ID to hand to an external system
+ * The signature is an HMAC over the service callback ID, the execution ID, an expiry and a purpose;
+ * unwrapCallbackId verifies it and returns the service callback ID
+ * @param {string} callbackId - Callback ID from waitForCallback or createCallback
+ * @param {object} options
+ * @param {string} options.executionId - Execution the callback belongs to
+ * @param {string} options.secret - Signing secret
+ * @param {string} [options.purpose] - What the ID may be used for, defaults to 'resume'
+ * @param {number} [options.ttlSeconds] - Lifetime of the signed ID, defaults to 1 hour
+ * @param {number} [options.now] - Current time in milliseconds
+ */
+export function signCallbackId(callbackId, { executionId, secret, purpose = DEFAULT_PURPOSE, ttlSeconds = DEFAULT_TTL_SECONDS, now = Date.now() }) {
+  if (!secret) {
+    throw new CallbackIdSignatureError('A signing secret is required to sign a callback ID');
+  }
+
+  const claims = {
+    callbackId,
+    executionId,
+    purpose,
+    expiresAt: Math.floor(now / 1000) + ttlSeconds
+  };
+  const encodedClaims = Buffer.from(JSON.stringify(claims)).toString('base64url');
+
+  return `${SIGNED_PREFIX}${encodedClaims}.${sign(encodedClaims, secret)}`;
+}
+
 export function createCallbackPayload(callbackId, data) {
   return {
     callbackId,
@@ -30,18 +108,158 @@ export function handleTimeout(callbackId, timeoutSeconds = 3600) {
   };
 }
 
-export function validateCallbackId(callbackId) {
+export const CALLBACK_TIMEOUT_BEHAVIORS = ['fallback', 'fail'];
+
+/**
+ * Read how a callback timeout should be handled for this execution
+ * 'fallback' continues with handleTimeout's default payload, 'fail' fails the execution
+ */
+export function getCallbackTimeoutBehavior(event) {
+  const behavior = event?.onCallbackTimeout ?? 'fallback';
+
+  if (!CALLBACK_TIMEOUT_BEHAVIORS.includes(behavior)) {
+    throw new Error(`onCallbackTimeout must be one of: ${CALLBACK_TIMEOUT_BEHAVIORS.join(', ')}`);
+  }
+
+  return behavior;
+}
+
+/**
+ * Messages a callback fails with when it times out, by timeout
+ * A timed-out callback has no error type. The SDK's test runner sets these messages; the service
+ * may send no error at all, which the SDK reports as 'Callback failed'
+ */
+export const CALLBACK_TIMEOUT_MESSAGES = {
+  timeout: 'Callback timed out',
+  heartbeat: 'Callback timed out on heartbeat'
+};
+
+const NO_ERROR_MESSAGE = 'Callback failed';
+
+// Names the SDK gives a callback error's cause when the failure had no error type
+const UNTYPED_CAUSES = ['Error', 'CallbackError'];
+
+/**
+ * Which timeout failed a callback: 'timeout', 'heartbeat', or undefined when the external system
+ * reported the failure
+ * The SDK does not expose the callback's TIMED_OUT status, so the CallbackError in the cause chain is
+ * read instead. External systems report failures with an error type; waitForCallback's child context
+ * replaces that type with 'CallbackError' but keeps the message, which a timeout sets to one of
+ * CALLBACK_TIMEOUT_MESSAGES or leaves as 'Callback failed'
+ */
+export function getCallbackTimeout(error) {
+  let callbackError = error;
+  while (callbackError && !(callbackError instanceof CallbackError)) {
+    callbackError = callbackError.cause;
+  }
+
+  if (!callbackError || (callbackError.cause && !UNTYPED_CAUSES.includes(callbackError.cause.name))) {
+    return undefined;
+  }
+  if (callbackError.message === NO_ERROR_MESSAGE) {
+    return 'timeout';
+  }
+  return Object.keys(CALLBACK_TIMEOUT_MESSAGES).find(kind => CALLBACK_TIMEOUT_MESSAGES[kind] === callbackError.message);
+}
+
+/**
+ * Check whether a waitForCallback error was caused by the callback timing out,
+ * as opposed to the external system reporting a failure
+ */
+export function isCallbackTimeout(error) {
+  return getCallbackTimeout(error) !== undefined;
+}
+
+/**
+ * Check the signature, expiry and purpose of a signed callback ID and return its claims
+ */
+function verifySignedCallbackId(callbackId, { secret, purpose = DEFAULT_PURPOSE, now = Date.now() }) {
+  const [encodedClaims, signature, ...rest] = callbackId.substring(SIGNED_PREFIX.length).split('.');
+
+  if (!encodedClaims || !signature || rest.length > 0) {
+    throw new InvalidCallbackIdError('Signed callback ID must have claims and a signature');
+  }
+
+  if (!secret) {
+    throw new CallbackIdSignatureError('A signing secret is required to verify a signed callback ID');
+  }
+
+  const expected = Buffer.from(sign(encodedClaims, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    throw new CallbackIdSignatureError('Callback ID signature is invalid');
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(encodedClaims, 'base64url').toString('utf-8'));
+  } catch {
+    throw new InvalidCallbackIdError('Signed callback ID claims are not valid JSON');
+  }
+
+  if (claims.expiresAt * 1000 <= now) {
+    throw new CallbackIdExpiredError(
+      `Callback ID expired at ${new Date(claims.expiresAt * 1000).toISOString()}`,
+      claims.expiresAt
+    );
+  }
+
+  if (claims.purpose !== purpose) {
+    throw new CallbackIdPurposeError(`Callback ID was issued for "${claims.purpose}", not "${purpose}"`);
+  }
+
+  if (!claims.callbackId || typeof claims.callbackId !== 'string') {
+    throw new InvalidCallbackIdError('Signed callback ID does not wrap a callback ID');
+  }
+
+  return claims;
+}
+
+/**
+ * Validate a callback ID
+ * Signed IDs are verified against options.secret; when a secret is given, unsigned IDs are rejected
+ * @param {string} callbackId
+ * @param {object} [options]
+ * @param {string} [options.secret] - Signing secret
+ * @param {string} [options.purpose] - Purpose the ID must have been issued for, defaults to 'resume'
+ * @param {number} [options.now] - Current time in milliseconds
+ */
+export function validateCallbackId(callbackId, options = {}) {
   if (!callbackId || typeof callbackId !== 'string') {
-    throw new Error('Callback ID must be a non-empty string');
+    throw new InvalidCallbackIdError('Callback ID must be a non-empty string');
   }
 
   if (!callbackId.startsWith('callback-')) {
-    throw new Error('Callback ID must start with "callback-" prefix');
+    throw new InvalidCallbackIdError('Callback ID must start with "callback-" prefix');
+  }
+
+  if (isSignedCallbackId(callbackId)) {
+    verifySignedCallbackId(callbackId, options);
+  } else if (options.secret) {
+    throw new CallbackIdSignatureError('Callback ID is not signed');
   }
 
   return true;
 }
 
+/**
+ * The service callback ID to send to the callback API for an ID an external system returned
+ * Signed IDs are verified and unwrapped; unsigned IDs pass through unless options.secret is set
+ * @param {string} callbackId
+ * @param {object} [options] - Same options as validateCallbackId
+ */
+export function unwrapCallbackId(callbackId, options = {}) {
+  if (isSignedCallbackId(callbackId)) {
+    return verifySignedCallbackId(callbackId, options).callbackId;
+  }
+
+  if (options.secret) {
+    throw new CallbackIdSignatureError('Callback ID is not signed');
+  }
+
+  return callbackId;
+}
+
 export function createCallbackResponse(callbackId, success = true, data = null, message = null) {
   return {
     callbackId,
@@ -53,8 +271,21 @@ export function createCallbackResponse(callbackId, success = true, data = null,
   };
 }
 
-export function parseCallbackId(callbackId) {
-  validateCallbackId(callbackId);
+export function parseCallbackId(callbackId, options = {}) {
+  validateCallbackId(callbackId, options);
+
+  if (isSignedCallbackId(callbackId)) {
+    const { callbackId: serviceCallbackId, executionId, purpose, expiresAt } = verifySignedCallbackId(callbackId, options);
+
+    return {
+      prefix: 'callback',
+      executionId,
+      callbackId: serviceCallbackId,
+      purpose,
+      expiresAt: new Date(expiresAt * 1000).toISOString(),
+      signed: true
+    };
+  }
 
   // Remove the 'callback-' prefix
   const withoutPrefix = callbackId.substring(9); // 'callback-'.length = 9
@@ -63,7 +294,7 @@ export function parseCallbackId(callbackId) {
   // UUIDs are typically 36 characters with 4 dashes, so we look for the pattern
   const parts = withoutPrefix.split('-');
   if (parts.length < 2) {
-    throw new Error('Invalid callback ID format');
+    throw new InvalidCallbackIdError('Invalid callback ID format');
   }
 
   // The UUID is typically the last 5 parts (standard UUID format: 8-4-4-4-12)
@@ -100,4 +331,26 @@ export function parseCallbackId(callbackId) {
       uuid
     };
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Approval decision in a callback result
+ * The callback API delivers the result as a JSON string; a timed-out callback carries the
+ * handleTimeout fallback instead and counts as not approved
+ */
+export function recordApprovalDecision(callbackResult) {
+  let decision = callbackResult;
+  if (typeof callbackResult === 'string') {
+    try {
+      decision = JSON.parse(callbackResult);
+    } catch {
+      decision = {};
+    }
+  }
+
+  return {
+    approved: decision?.approved === true,
+    approvedBy: decision?.approvedBy ?? null,
+    timedOut: decision?.timedOut === true
+  };
+}
@@ -0,0 +1,214 @@
+/**
+ * Callback submission adapters for the waitForCallback submitter
+ * Each adapter hands the callback ID, execution ID and a createCallbackPayload context
+ * payload to an external system that will later resume the workflow.
+ * Adapters expose submit({ callbackId, executionId, payload }, { logger }).
+ */
+
+import { appendFile, mkdir } from 'node:fs/promises';
+import { dirname } from 'node:path';
+
+export const CALLBACK_SUBMITTER_TYPES = ['log', 'webhook', 'queue', 'notifier', 'outbox'];
+
+/**
+ * Build the submitter configuration from environment variables
+ * An execution may pick the submitter type with event.callbackSubmission.type; destinations
+ * (URLs, headers, queues, addresses and paths) only come from the environment
+ */
+export function getCallbackSubmitterConfig(event = {}, env = process.env) {
+  const config = {
+    type: env.CALLBACK_SUBMITTER || 'log',
+    url: env.CALLBACK_WEBHOOK_URL,
+    queueUrl: env.CALLBACK_QUEUE_URL,
+    channel: env.CALLBACK_NOTIFY_CHANNEL || 'slack',
+    webhookUrl: env.CALLBACK_NOTIFY_WEBHOOK_URL,
+    to: env.CALLBACK_NOTIFY_EMAIL_TO,
+    from: env.CALLBACK_NOTIFY_EMAIL_FROM,
+    path: env.CALLBACK_OUTBOX_PATH || '/tmp/callback-outbox.jsonl'
+  };
+
+  return { ...config, type: event?.callbackSubmission?.type ?? config.type };
+}
+
+/**
+ * Submitter that only logs the callback ID, for runs where nothing external resumes the workflow
+ */
+export function createLogSubmitter() {
+  return {
+    type: 'log',
+    async submit({ callbackId }, { logger = console } = {}) {
+      logger.info(`Callback ID ${callbackId} submitted to external system`);
+      return { delivered: false };
+    }
+  };
+}
+
+/**
+ * POST the callback as JSON to an HTTP webhook
+ */
+export function createWebhookSubmitter({ url, headers = {}, fetch = globalThis.fetch } = {}) {
+  if (!url) {
+    throw new Error('Webhook callback submitter requires a url');
+  }
+
+  return {
+    type: 'webhook',
+    async submit(submission) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', ...headers },
+        body: JSON.stringify(submission)
+      });
+
+      if (!response.ok) {
+        throw new Error(`Callback webhook responded with status ${response.status}`);
+      }
+
+      return { delivered: true, status: response.status };
+    }
+  };
+}
+
+async function sendSqsMessage(message) {
+  const { SQSClient, SendMessageCommand } = await import('@aws-sdk/client-sqs');
+  return new SQSClient({}).send(new SendMessageCommand(message));
+}
+
+/**
+ * Send the callback as a message to an SQS-style queue
+ * FIFO queues get the execution ID as message group and the callback ID for deduplication
+ */
+export function createQueueSubmitter({ queueUrl, sendMessage = sendSqsMessage } = {}) {
+  if (!queueUrl) {
+    throw new Error('Queue callback submitter requires a queueUrl');
+  }
+
+  const fifo = queueUrl.endsWith('.fifo');
+
+  return {
+    type: 'queue',
+    async submit(submission) {
+      const output = await sendMessage({
+        QueueUrl: queueUrl,
+        MessageBody: JSON.stringify(submission),
+        MessageAttributes: {
+          callbackId: { DataType: 'String', StringValue: submission.callbackId },
+          executionId: { DataType: 'String', StringValue: submission.executionId }
+        },
+        ...(fifo && {
+          MessageGroupId: submission.executionId,
+          MessageDeduplicationId: submission.callbackId
+        })
+      });
+
+      return { delivered: true, messageId: output?.MessageId };
+    }
+  };
+}
+
+/**
+ * Human readable notification asking someone to resume the workflow
+ */
+export function formatCallbackNotification({ callbackId, executionId, payload }) {
+  const subject = `Workflow ${executionId} is waiting for a response`;
+  const lines = [
+    `Execution ${executionId} is paused until callback ${callbackId} is completed.`,
+    payload?.data ? `Context: ${JSON.stringify(payload.data)}` : undefined,
+    `Resume it with: node scripts/resume-workflow.mjs ${callbackId} success '{"approved":true}'`
+  ].filter(Boolean);
+
+  return { subject, text: lines.join('\n') };
+}
+
+async function sendSesEmail({ from, to, subject, text }) {
+  const { SESv2Client, SendEmailCommand } = await import('@aws-sdk/client-sesv2');
+  return new SESv2Client({}).send(new SendEmailCommand({
+    FromEmailAddress: from,
+    Destination: { ToAddresses: [].concat(to) },
+    Content: { Simple: { Subject: { Data: subject }, Body: { Text: { Data: text } } } }
+  }));
+}
+
+/**
+ * Notify a person through a Slack-style chat webhook or by email
+ */
+export function createNotifierSubmitter({
+  channel = 'slack',
+  webhookUrl,
+  to,
+  from,
+  fetch = globalThis.fetch,
+  sendEmail = sendSesEmail
+} = {}) {
+  if (channel === 'slack' && !webhookUrl) {
+    throw new Error('Slack callback notifier requires a webhookUrl');
+  }
+  if (channel === 'email' && (!to || !from)) {
+    throw new Error('Email callback notifier requires to and from addresses');
+  }
+  if (!['slack', 'email'].includes(channel)) {
+    throw new Error('Callback notifier channel must be one of: slack, email');
+  }
+
+  return {
+    type: 'notifier',
+    async submit(submission) {
+      const { subject, text } = formatCallbackNotification(submission);
+
+      if (channel === 'email') {
+        await sendEmail({ from, to, subject, text });
+        return { delivered: true, channel };
+      }
+
+      const response = await fetch(webhookUrl, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ text: `*${subject}*\n${text}` })
+      });
+
+      if (!response.ok) {
+        throw new Error(`Callback notifier webhook responded with status ${response.status}`);
+      }
+
+      return { delivered: true, channel };
+    }
+  };
+}
+
+/**
+ * Append the callback as one JSON line to a local outbox file, for development
+ */
+export function createOutboxSubmitter({ path } = {}) {
+  if (!path) {
+    throw new Error('Outbox callback submitter requires a path');
+  }
+
+  return {
+    type: 'outbox',
+    async submit(submission) {
+      await mkdir(dirname(path), { recursive: true });
+      await appendFile(path, `${JSON.stringify(submission)}\n`);
+      return { delivered: true, path };
+    }
+  };
+}
+
+/**
+ * Create the submitter selected by config.type
+ */
+export function createCallbackSubmitter(config = {}) {
+  switch (config.type ?? 'log') {
+    case 'log':
+      return createLogSubmitter(config);
+    case 'webhook':
+      return createWebhookSubmitter(config);
+    case 'queue':
+      return createQueueSubmitter(config);
+    case 'notifier':
+      return createNotifierSubmitter(config);
+    case 'outbox':
+      return createOutboxSubmitter(config);
+    default:
+      throw new Error(`Callback submitter must be one of: ${CALLBACK_SUBMITTER_TYPES.join(', ')}`);
+  }
+}
@@ -0,0 +1,127 @@
+/**
+ * Cooperative cancellation for durable function example
+ * Lambda's StopDurableExecution ends an execution without running the handler again, so a stop
+ * that needs cleanup is requested through a callback instead. Every long wait races a
+ * `stop-request` callback; completing it (scripts/executions.mjs stop) cancels the workflow at that
+ * wait, runs the cleanup steps the handler registered and returns a `cancelled` result.
+ */
+
+import { getExecutionId } from './execution-context.mjs';
+
+export const STOP_REQUEST_CALLBACK = 'stop-request';
+
+const DEFAULT_STOP_REASON = 'Stop requested';
+
+/**
+ * A stop request arrived while the workflow was waiting in a cancellable region
+ */
+export class WorkflowCancelledError extends Error {
+  constructor(request, region) {
+    super(`Workflow cancelled during ${region}: ${request.reason}`);
+    this.name = 'WorkflowCancelledError';
+    this.request = request;
+    this.region = region;
+  }
+}
+
+/**
+ * Decode a stop-request callback result into { reason, requestedBy, requestedAt }
+ * Anything that is not a JSON object is taken as the reason itself
+ */
+export function parseStopRequest(payload) {
+  let request = payload;
+  if (typeof payload === 'string') {
+    try {
+      request = JSON.parse(payload);
+    } catch {
+      request = { reason: payload };
+    }
+  }
+
+  if (!request || typeof request !== 'object' || Array.isArray(request)) {
+    request = {};
+  }
+
+  return {
+    reason: typeof request.reason === 'string' && request.reason.trim() !== '' ? request.reason : DEFAULT_STOP_REASON,
+    requestedBy: request.requestedBy ?? null,
+    requestedAt: request.requestedAt ?? null
+  };
+}
+
+/**
+ * Cancellation scope for one workflow run
+ * - guard(name, work) runs `work` in a parallel branch next to a stop-request callback and returns
+ *   its result, or throws WorkflowCancelledError when the stop request completes first. The parallel
+ *   checkpoints which branch won, so replays take the same path.
+ * - onCancel(name, cleanup) registers a cleanup that runs as the step `cleanup-<name>` on cancellation
+ * - cleanUp(error) runs the registered cleanups, last registered first, and returns their results
+ */
+export function createCancellationScope(context) {
+  const cleanups = [];
+
+  return {
+    onCancel(name, cleanup) {
+      cleanups.push({ name, cleanup });
+    },
+
+    async guard(name, work) {
+      const batch = await context.parallel(name, [
+        { name: 'work', func: work },
+        {
+          name: STOP_REQUEST_CALLBACK,
+          func: async (ctx) => {
+            const [request] = await ctx.createCallback(STOP_REQUEST_CALLBACK);
+            try {
+              return parseStopRequest(await request);
+            } catch (error) {
+              // A failed stop-request callback is still a request to stop
+              return parseStopRequest({ reason: error.message });
+            }
+          }
+        }
+      ], {
+        completionConfig: { minSuccessful: 1, toleratedFailureCount: 0 }
+      });
+
+      batch.throwIfError();
+
+      // succeeded() leaves out branches without a result, and a guarded wait resolves to undefined
+      const winner = batch.all.find(item => item.status === 'SUCCEEDED');
+      if (winner.index === 1) {
+        throw new WorkflowCancelledError(winner.result, name);
+      }
+      return winner.result;
+    },
+
+    async cleanUp(error) {
+      const results = [];
+      for (const { name, cleanup } of [...cleanups].reverse()) {
+        const result = await context.step(`cleanup-${name}`, async () => cleanup(error.request));
+        results.push({ name, result });
+      }
+      return results;
+    }
+  };
+}
+
+/**
+ * Final result of a cancelled run
+ * mapResults holds the map items that had finished before the stop request arrived
+ */
+export function createCancelledResult(context, event, error, { mapResults, cleanup }) {
+  const finishedItems = mapResults ? mapResults.succeeded().map(item => item.result) : [];
+
+  return {
+    status: 'cancelled',
+    workflowId: event.workflowId,
+    executionId: getExecutionId(context),
+    cancellation: {
+      ...error.request,
+      region: error.region
+    },
+    mapResults: finishedItems,
+    itemsProcessed: finishedItems.length,
+    cleanup
+  };
+}
@@ -0,0 +1,86 @@
+/**
+ * Saga-style compensation for durable function example
+ * A stage with side effects registers a compensating action once it has completed. When a later
+ * stage fails the run, the registered compensations run last registered first, each as the
+ * checkpointed step `compensate-<name>` with the step's retry policy, so a crash part way through
+ * resumes with the compensations that are left. The run then fails with a CompensatedWorkflowError
+ * that lists the outcome of every compensation. Unrecoverable errors are the SDK's to handle: they
+ * are rethrown unchanged instead of compensated or recorded.
+ */
+
+import { DurableOperationError } from '@aws/durable-execution-sdk-js';
+import { retryConfigFor } from './retry-policies.mjs';
+
+/**
+ * The workflow failed and its registered compensations ran
+ * cause is the failure; compensations holds { name, status: 'compensated' | 'failed', result | error }
+ * in the order they ran. Both also travel in the execution's ErrorData as JSON
+ */
+export class CompensatedWorkflowError extends DurableOperationError {
+  errorType = 'CompensatedWorkflowError';
+
+  constructor(cause, compensations) {
+    const failed = compensations.filter(compensation => compensation.status === 'failed').length;
+    const outcome = failed === 0
+      ? `all ${compensations.length} compensations ran`
+      : `${failed} of ${compensations.length} compensations failed`;
+    const list = compensations
+      .map(({ name, status, error }) => `- compensate-${name}: ${status}${error ? ` (${error.message})` : ''}`)
+      .join('\n');
+    const failure = { type: cause?.name ?? 'Error', message: cause?.message ?? String(cause) };
+
+    super(`${failure.message}; ${outcome}:\n${list}`, cause, JSON.stringify({ error: failure, compensations }));
+    this.failure = failure;
+    this.compensations = compensations;
+  }
+}
+
+/**
+ * Whether the SDK marked an error as unrecoverable, such as a non-deterministic replay or a failed
+ * checkpoint. The SDK's own isUnrecoverableError is not exported, so this checks the same flag
+ */
+export function isUnrecoverable(error) {
+  return error?.isUnrecoverable === true;
+}
+
+/**
+ * Compensation scope for one workflow run
+ * - register(name, compensate) adds compensate({ type, message }) for the failure that triggered it
+ * - compensate(error) runs every registered compensation, last registered first, and returns their
+ *   outcomes. A compensation that still fails after its retries is recorded and the rest still run;
+ *   an unrecoverable error stops compensating and is rethrown
+ * - size is how many compensations are registered
+ */
+export function createCompensationScope(context) {
+  const compensations = [];
+
+  return {
+    register(name, compensate) {
+      compensations.push({ name, compensate });
+    },
+
+    get size() {
+      return compensations.length;
+    },
+
+    async compensate(error) {
+      const failure = { type: error?.name ?? 'Error', message: error?.message ?? String(error) };
+      const outcomes = [];
+
+      for (const { name, compensate } of [...compensations].reverse()) {
+        const stepName = `compensate-${name}`;
+        try {
+          const result = await context.step(stepName, async () => compensate(failure), retryConfigFor(stepName));
+          outcomes.push({ name, status: 'compensated', result });
+        } catch (compensationError) {
+          if (isUnrecoverable(compensationError)) {
+            throw compensationError;
+          }
+          outcomes.push({ name, status: 'failed', error: { message: compensationError.message } });
+        }
+      }
+
+      return outcomes;
+    }
+  };
+}
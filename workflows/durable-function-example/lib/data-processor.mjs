@@ -3,9 +3,24 @@
  * Handles processing input data and generating work items
  */
 
+import { getExecutionId } from './execution-context.mjs';
+import { describeFailedItems } from './failure-tolerance.mjs';
+
+/**
+ * A work item or the input it came from is malformed
+ * No retry can fix it, so retry policies fail the step straight away
+ */
+export class WorkItemValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+    this.retryable = false;
+  }
+}
+
 export function processData(inputData) {
   if (!inputData?.items) {
-    throw new Error('Invalid input data: items array is required');
+    throw new WorkItemValidationError('Invalid input data: items array is required');
   }
 
   // Generate work items from input data
@@ -34,6 +49,33 @@ export function aggregateResults(results) {
   };
 }
 
+/**
+ * Release work items that will not be processed because the workflow was cancelled
+ * Items already processed by the map are left alone
+ */
+export function releaseWorkItems(workItems, processedItems = [], reason) {
+  const processedIds = new Set(processedItems.map(item => item.id));
+  const released = workItems.filter(item => !processedIds.has(item.id));
+
+  return {
+    releasedItems: released.map(item => item.id),
+    status: 'released',
+    reason
+  };
+}
+
+/**
+ * Undo the processing of items the map finished, when a later stage fails the run
+ * Compensation for the map stage; returns the IDs it reverted
+ */
+export function revertProcessedItems(processedItems, failure) {
+  return {
+    revertedItems: processedItems.map(item => item.id),
+    status: 'reverted',
+    reason: failure.message
+  };
+}
+
 export function generateWorkItems(inputData) {
   // Alternative function name for clarity
   return processData(inputData);
@@ -44,16 +86,16 @@ export function validateWorkItem(workItem) {
   const missingFields = requiredFields.filter(field => !(field in workItem));
 
   if (missingFields.length > 0) {
-    throw new Error(`Work item missing required fields: ${missingFields.join(', ')}`);
+    throw new WorkItemValidationError(`Work item missing required fields: ${missingFields.join(', ')}`);
   }
 
   if (typeof workItem.priority !== 'number' || workItem.priority < 1 || workItem.priority > 3) {
-    throw new Error('Work item priority must be a number between 1 and 3');
+    throw new WorkItemValidationError('Work item priority must be a number between 1 and 3');
   }
 
   const validStatuses = ['pending', 'processing', 'completed', 'failed'];
   if (!validStatuses.includes(workItem.status)) {
-    throw new Error(`Work item status must be one of: ${validStatuses.join(', ')}`);
+    throw new WorkItemValidationError(`Work item status must be one of: ${validStatuses.join(', ')}`);
   }
 
   return true;
@@ -80,28 +122,66 @@ export function processWorkItem(item, index) {
   return { processedItem, processingTime };
 }
 
+/**
+ * Map items as { processed, failed, total } from a map BatchResult or, for callers that already
+ * unwrapped it, an array of processed items where failures have processed: false
+ */
+function collectMapItems(mapResults, inputItems) {
+  if (Array.isArray(mapResults)) {
+    return {
+      processed: mapResults.filter(item => item.processed),
+      failed: mapResults
+        .filter(item => !item.processed)
+        .map(item => ({ index: item.index, item: item.data, error: item.error ?? { message: 'Item was not processed' } })),
+      total: mapResults.length
+    };
+  }
+
+  if (typeof mapResults?.succeeded === 'function') {
+    return {
+      processed: mapResults.succeeded().map(item => item.result),
+      failed: describeFailedItems(mapResults, inputItems),
+      total: mapResults.totalCount
+    };
+  }
+
+  return { processed: [], failed: [], total: 0 };
+}
+
+/**
+ * Results of a parallel BatchResult, or an array of results as is
+ */
+function collectParallelResults(parallelResults) {
+  if (Array.isArray(parallelResults)) {
+    return parallelResults;
+  }
+  return typeof parallelResults?.getResults === 'function' ? parallelResults.getResults() : [];
+}
+
 /**
  * Aggregate final results from all workflow operations
+ * mapResults and parallelResults are the BatchResults of context.map and context.parallel.
+ * Failed map items are listed in failedItems with their error and count against successRate
  */
 export function aggregateWorkflowResults(context, event, mapResults, parallelResults, callbackResult) {
   const endTime = Date.now();
   const startTime = event.startTime || endTime;
 
-  // Ensure mapResults is an array
-  const mapResultsArray = Array.isArray(mapResults) ? mapResults : [];
-  const parallelResultsArray = Array.isArray(parallelResults) ? parallelResults : [];
+  const { processed, failed, total } = collectMapItems(mapResults, event.inputData?.items);
+  const parallelResultsArray = collectParallelResults(parallelResults);
 
   // Calculate comprehensive metrics
-  const totalProcessingTime = mapResultsArray.reduce((sum, item) => sum + (item.processingTime || 0), 0);
-  const avgProcessingTime = mapResultsArray.length > 0 ? totalProcessingTime / mapResultsArray.length : 0;
+  const totalProcessingTime = processed.reduce((sum, item) => sum + (item.processingTime || 0), 0);
+  const avgProcessingTime = processed.length > 0 ? totalProcessingTime / processed.length : 0;
 
   return {
     // Workflow identification
-    workflowId: context.executionId,
-    executionId: context.executionId,
+    workflowId: getExecutionId(context),
+    executionId: getExecutionId(context),
 
     // Operation results
-    processedItems: mapResultsArray,
+    processedItems: processed,
+    failedItems: failed,
     parallelResults: parallelResultsArray,
     callbackResult,
 
@@ -111,22 +191,22 @@ export function aggregateWorkflowResults(context, event, mapResults, parallelRes
     avgProcessingTime,
 
     // Checkpoint and operation counts
-    checkpointCount: mapResultsArray.length + parallelResultsArray.length + 4, // processInputData, waitForCallback, aggregateResults + map/parallel
+    checkpointCount: total + parallelResultsArray.length + 4, // processInputData, waitForCallback, aggregateResults + map/parallel
     operationCount: {
-      steps: mapResultsArray.length + parallelResultsArray.length + 3,
+      steps: total + parallelResultsArray.length + 3,
       parallel: parallelResultsArray.length,
-      map: mapResultsArray.length,
+      map: total,
       wait: 1
     },
 
     // Success metrics
-    itemsProcessed: mapResultsArray.length,
-    successfulItems: mapResultsArray.filter(item => item.processed).length,
-    successRate: mapResultsArray.length > 0 ? mapResultsArray.filter(item => item.processed).length / mapResultsArray.length : 0,
+    itemsProcessed: total,
+    successfulItems: processed.length,
+    successRate: total > 0 ? processed.length / total : 0,
 
     // Timestamps
     startTime: new Date(startTime).toISOString(),
     endTime: new Date(endTime).toISOString(),
     completedAt: new Date().toISOString()
   };
-}
\ No newline at end of file
+}
@@ -0,0 +1,20 @@
+/**
+ * Execution identity for durable function example
+ * The SDK exposes the running execution only as context.executionContext.durableExecutionArn. The
+ * execution ID the workflow reports, signs callbacks for and names its invoke after is the last
+ * segment of that ARN.
+ */
+
+/**
+ * ARN of the durable execution a context belongs to
+ */
+export function getExecutionArn(context) {
+  return context.executionContext.durableExecutionArn;
+}
+
+/**
+ * ID of the durable execution a context belongs to
+ */
+export function getExecutionId(context) {
+  return getExecutionArn(context).split('/').at(-1);
+}
@@ -0,0 +1,117 @@
+/**
+ * Per-item failure isolation for the map stage of durable function example
+ * A failing processItem-N step is recorded as a failed item instead of failing the execution.
+ * event.itemFailureTolerance sets how many failures a batch may have, as a count and/or a
+ * percentage of its items; crossing either stops the map and fails the workflow.
+ */
+
+import { DurableOperationError } from '@aws/durable-execution-sdk-js';
+
+/**
+ * More items failed than the execution tolerates
+ * failedItems holds { index, item, error: { message } } for every failed item
+ */
+export class ItemFailureThresholdError extends Error {
+  constructor(failedItems, totalItems, tolerance) {
+    const limits = [
+      tolerance.toleratedFailureCount !== undefined && `${tolerance.toleratedFailureCount} failures`,
+      tolerance.toleratedFailurePercentage !== undefined && `${tolerance.toleratedFailurePercentage}%`
+    ].filter(Boolean).join(' or ');
+    const list = failedItems.map(({ index, error }) => `- processItem-${index}: ${error.message}`).join('\n');
+
+    super(`${failedItems.length} of ${totalItems} items failed, more than the tolerated ${limits}:\n${list}`);
+    this.name = 'ItemFailureThresholdError';
+    this.failedItems = failedItems;
+    this.totalItems = totalItems;
+    this.tolerance = tolerance;
+  }
+}
+
+/**
+ * Read the tolerated item failures for this execution; the input schema has already checked them
+ * Returns { toleratedFailureCount?, toleratedFailurePercentage? }; an empty object tolerates every failure
+ */
+export function getItemFailureTolerance(event) {
+  const { toleratedFailureCount, toleratedFailurePercentage } = event?.itemFailureTolerance ?? {};
+
+  return Object.fromEntries(Object.entries({ toleratedFailureCount, toleratedFailurePercentage })
+    .filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Map completionConfig for a tolerance over a batch of totalItems items
+ * Without one the map would stop at the first failure, so an empty tolerance allows 100% failures
+ * and every item runs. Otherwise the map may fail as many items as the tolerance has left after
+ * the failureCount failures of earlier maps in the same batch. The map counts failed iterations,
+ * and an iteration that processes batchSize items fails all of them, so the items left are divided
+ * into whole iterations. Items an iteration records as failed without failing are counted once
+ * the map has finished, by checkItemFailureTolerance
+ */
+export function toCompletionConfig(tolerance, totalItems, failureCount = 0, batchSize = 1) {
+  const { toleratedFailureCount, toleratedFailurePercentage } = tolerance;
+  const limits = [
+    toleratedFailureCount,
+    toleratedFailurePercentage === undefined ? undefined : Math.floor((toleratedFailurePercentage * totalItems) / 100)
+  ].filter(limit => limit !== undefined);
+
+  if (limits.length === 0) {
+    return { toleratedFailurePercentage: 100 };
+  }
+  return { toleratedFailureCount: Math.floor(Math.max(Math.min(...limits) - failureCount, 0) / batchSize) };
+}
+
+/**
+ * Failed items of a map BatchResult as { index, item, error: { message } }
+ * items are the map's input, so each failure names the item it was processing. Only the message
+ * is kept: once checkpointed, the SDK replays an item's error as a ChildContextError
+ */
+export function describeFailedItems(mapResults, items = []) {
+  return mapResults.failed().map(({ index, error }) => ({
+    index,
+    item: items[index],
+    error: { message: error?.message ?? 'Unknown error' }
+  }));
+}
+
+/**
+ * Map serdes that checkpoints each failed item's error as an ErrorObject
+ * JSON drops an Error's message, so with the default serdes a map replayed from its checkpoint
+ * reports its failed items without one. The SDK turns ErrorObjects back into errors when it reads
+ * the result
+ */
+export const batchResultSerdes = {
+  serialize: async (result) => result === undefined ? undefined : JSON.stringify({
+    all: result.all.map(item => item.error ? { ...item, error: toErrorObject(item.error) } : item),
+    completionReason: result.completionReason
+  }),
+  deserialize: async (data) => data === undefined ? undefined : JSON.parse(data)
+};
+
+function toErrorObject(error) {
+  return error instanceof DurableOperationError
+    ? error.toErrorObject()
+    : { ErrorType: error.name, ErrorMessage: error.message };
+}
+
+/**
+ * Whether a batch with failureCount failed items out of totalItems crossed the tolerance
+ */
+export function exceedsTolerance(failureCount, totalItems, tolerance) {
+  const { toleratedFailureCount, toleratedFailurePercentage } = tolerance;
+
+  if (toleratedFailureCount !== undefined && failureCount > toleratedFailureCount) {
+    return true;
+  }
+  return toleratedFailurePercentage !== undefined && totalItems > 0
+    && (failureCount / totalItems) * 100 > toleratedFailurePercentage;
+}
+
+/**
+ * Throw ItemFailureThresholdError when the map's failures crossed the tolerance
+ * totalItems is the size of the whole batch when mapResults only covers the maps run so far
+ */
+export function checkItemFailureTolerance(mapResults, items, tolerance, totalItems = mapResults.totalCount) {
+  if (exceedsTolerance(mapResults.failureCount, totalItems, tolerance)) {
+    throw new ItemFailureThresholdError(describeFailedItems(mapResults, items), totalItems, tolerance);
+  }
+}
@@ -0,0 +1,57 @@
+/**
+ * Workflow input validation for durable function example
+ * The event is checked against a versioned JSON Schema (schemas/workflow-input.v<N>.json) before
+ * the first step, so a bad batch fails the execution straight away with every problem listed,
+ * instead of part way through the map.
+ */
+
+import { validateSchema } from './json-schema.mjs';
+import workflowInputV1 from '../schemas/workflow-input.v1.json' with { type: 'json' };
+
+/** Input schemas by version; events pick one with schemaVersion */
+export const INPUT_SCHEMAS = {
+  1: workflowInputV1
+};
+
+export const LATEST_INPUT_SCHEMA_VERSION = 1;
+
+/**
+ * The workflow input does not match its schema
+ * Retrying cannot fix the input, so the workflow checks it outside any step and the execution
+ * fails on the first invocation. violations holds every { path, keyword, message }
+ */
+export class InputValidationError extends Error {
+  constructor(violations, schemaVersion) {
+    const schema = schemaVersion === undefined ? '' : ` for schema v${schemaVersion}`;
+    const count = violations.length === 1 ? '1 violation' : `${violations.length} violations`;
+    super(`Invalid workflow input${schema} (${count}):\n${violations.map(violation => `- ${violation.message}`).join('\n')}`);
+    this.name = 'InputValidationError';
+    this.violations = violations;
+    this.schemaVersion = schemaVersion;
+    this.retryable = false;
+  }
+}
+
+/**
+ * Validate a workflow event against the schema version it names (default: the latest)
+ * Returns { schemaVersion } or throws InputValidationError listing every violation
+ */
+export function validateWorkflowInput(event) {
+  const schemaVersion = event?.schemaVersion ?? LATEST_INPUT_SCHEMA_VERSION;
+  const schema = INPUT_SCHEMAS[schemaVersion];
+
+  if (!schema) {
+    throw new InputValidationError([{
+      path: 'schemaVersion',
+      keyword: 'enum',
+      message: `schemaVersion must be one of: ${Object.keys(INPUT_SCHEMAS).join(', ')}`
+    }]);
+  }
+
+  const violations = validateSchema(schema, event);
+  if (violations.length > 0) {
+    throw new InputValidationError(violations, schemaVersion);
+  }
+
+  return { schemaVersion };
+}
@@ -0,0 +1,134 @@
+/**
+ * JSON Schema validation for durable function example
+ * Runs draft 2020-12 schemas through Ajv and reports every violation as { path, keyword, message },
+ * with messages written for the InputValidationError and WorkflowDefinitionError reports.
+ */
+
+import Ajv2020 from 'ajv/dist/2020.js';
+import addFormats from 'ajv-formats';
+
+const ajv = new Ajv2020({ allErrors: true, allowUnionTypes: true, verbose: true });
+addFormats(ajv, ['date-time']);
+
+const compiled = new WeakMap();
+
+const TYPE_NAMES = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'an integer',
+  boolean: 'a boolean',
+  object: 'an object',
+  array: 'an array',
+  null: 'null'
+};
+
+function plural(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/** Short description of a schema for anyOf messages, such as "an integer >= 0" */
+function describe(schema) {
+  if (schema.format) {
+    return `a ${schema.format} string`;
+  }
+  if (schema.enum) {
+    return `one of ${schema.enum.join(', ')}`;
+  }
+  const type = [].concat(schema.type ?? []).map(name => TYPE_NAMES[name]).join(' or ') || 'a valid value';
+  return schema.minimum === undefined ? type : `${type} >= ${schema.minimum}`;
+}
+
+function formatMessage(error) {
+  const { params, schema } = error;
+  switch (error.keyword) {
+    case 'type':
+      return `must be ${[].concat(params.type).map(type => TYPE_NAMES[type]).join(' or ')}`;
+    case 'required':
+      return 'is required';
+    case 'additionalProperties':
+      return 'is not allowed';
+    case 'enum':
+      return `must be one of: ${params.allowedValues.join(', ')}`;
+    case 'const':
+      return `must be ${JSON.stringify(params.allowedValue)}`;
+    case 'anyOf':
+      return `must be ${schema.map(describe).join(' or ')}`;
+    case 'minLength':
+      return params.limit === 1 ? 'must not be empty' : `must be at least ${plural(params.limit, 'character')}`;
+    case 'maxLength':
+      return `must be at most ${plural(params.limit, 'character')}`;
+    case 'pattern':
+      return `must match the pattern ${params.pattern}`;
+    case 'format':
+      return `must be a ${params.format}`;
+    case 'minimum':
+    case 'maximum':
+      return `must be ${params.comparison} ${params.limit}`;
+    case 'minItems':
+      return `must have at least ${plural(params.limit, 'item')}`;
+    case 'maxItems':
+      return `must have at most ${plural(params.limit, 'item')}`;
+    default:
+      return error.message;
+  }
+}
+
+/** Keys from the root of the value to the property an error is about */
+function errorKeys({ instancePath, params }) {
+  const keys = instancePath.split('/').slice(1).map(key => key.replace(/~1/g, '/').replace(/~0/g, '~'));
+  const property = params.missingProperty ?? params.additionalProperty;
+  return property === undefined ? keys : [...keys, property];
+}
+
+/** Dotted path with [index] for array items, and where each key sits in its parent, for ordering */
+function locate(value, keys, path) {
+  const position = [];
+  let current = value;
+  for (const key of keys) {
+    position.push(current !== null && typeof current === 'object' ? Object.keys(current).indexOf(key) : -1);
+    if (Array.isArray(current)) {
+      path = `${path}[${key}]`;
+    } else {
+      path = path ? `${path}.${key}` : key;
+    }
+    current = current?.[key];
+  }
+  return { path, position };
+}
+
+function comparePositions(a, b) {
+  for (let index = 0; index < Math.min(a.length, b.length); index++) {
+    if (a[index] !== b[index]) {
+      return a[index] - b[index];
+    }
+  }
+  return a.length - b.length;
+}
+
+/**
+ * Check a value against a schema
+ * Returns every violation as { path, keyword, message }, in the order of the value's keys, where path
+ * is dotted with [index] for array items (such as inputData.items[2]) and message starts with the
+ * path. Empty when valid
+ */
+export function validateSchema(schema, value, path = '') {
+  if (!compiled.has(schema)) {
+    compiled.set(schema, ajv.compile(schema));
+  }
+  const validate = compiled.get(schema);
+  if (validate(value)) {
+    return [];
+  }
+
+  // An anyOf reports the failures of each option too; only the anyOf itself is kept
+  const anyOfPaths = validate.errors.filter(error => error.keyword === 'anyOf').map(error => `${error.schemaPath}/`);
+  // An empty string only reports minLength, not the pattern it cannot match either
+  const emptyPaths = new Set(validate.errors.filter(error => error.keyword === 'minLength' && error.data === '').map(error => error.instancePath));
+
+  return validate.errors
+    .filter(error => !anyOfPaths.some(prefix => error.schemaPath.startsWith(prefix)))
+    .filter(error => !(error.keyword === 'pattern' && emptyPaths.has(error.instancePath)))
+    .map(error => ({ error, ...locate(value, errorKeys(error), path) }))
+    .sort((a, b) => comparePositions(a.position, b.position))
+    .map(({ error, path: at }) => ({ path: at, keyword: error.keyword, message: `${at || 'input'} ${formatMessage(error)}` }));
+}
@@ -3,12 +3,14 @@
  * Contains business logic for concurrent workflow operations
  */
 
+import { simulateLatency } from './simulated-latency.mjs';
+
 /**
  * Simulate data validation work stream
  */
 export async function performDataValidation(workItemsCount) {
   // Simulate work stream 1 - data validation
-  await new Promise(resolve => setTimeout(resolve, 100));
+  await simulateLatency(100);
 
   return {
     task: 1,
@@ -24,7 +26,7 @@ export async function performDataValidation(workItemsCount) {
  */
 export async function performDataEnrichment(workItemsCount) {
   // Simulate work stream 2 - data enrichment
-  await new Promise(resolve => setTimeout(resolve, 150));
+  await simulateLatency(150);
 
   return {
     task: 2,
@@ -35,12 +37,26 @@ export async function performDataEnrichment(workItemsCount) {
   };
 }
 
+/**
+ * Discard the enriched data of a run that failed later on
+ * Compensation for the data enrichment work stream
+ */
+export async function discardEnrichment(enrichment, failure) {
+  return {
+    task: enrichment.task,
+    type: 'enrichment',
+    result: 'discarded',
+    itemsDiscarded: enrichment.itemsEnriched,
+    reason: failure.message
+  };
+}
+
 /**
  * Simulate quality check work stream
  */
 export async function performQualityCheck() {
   // Simulate work stream 3 - quality check
-  await new Promise(resolve => setTimeout(resolve, 80));
+  await simulateLatency(80);
 
   return {
     task: 3,
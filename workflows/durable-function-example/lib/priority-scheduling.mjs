@@ -0,0 +1,148 @@
+/**
+ * Priority-aware scheduling of work items for durable function example
+ * The map stage runs one map per priority class, most urgent first (priority 1, then 2, then 3).
+ * metadata.priority on the event picks a scheduling profile: how many items of each class may run
+ * at once, and how many priority 3 items share one batch step.
+ */
+
+export const PRIORITY_CLASSES = [1, 2, 3];
+
+/**
+ * Scheduling profiles by event metadata.priority
+ * concurrency is the maxConcurrency of each class's map; lowPriorityBatchSize is how many
+ * priority 3 items one step processes (1 keeps a step per item)
+ */
+export const SCHEDULING_PROFILES = {
+  low: { concurrency: { 1: 2, 2: 1, 3: 1 }, lowPriorityBatchSize: 3 },
+  normal: { concurrency: { 1: 3, 2: 2, 3: 1 }, lowPriorityBatchSize: 2 },
+  high: { concurrency: { 1: 5, 2: 5, 3: 5 }, lowPriorityBatchSize: 1 }
+};
+
+export const DEFAULT_SCHEDULING_PROFILE = 'normal';
+
+/**
+ * Scheduling profile for an event, by its metadata.priority (default: normal)
+ * The input schema has already limited metadata.priority to the profile names
+ */
+export function getSchedulingProfile(event) {
+  const name = event?.metadata?.priority ?? DEFAULT_SCHEDULING_PROFILE;
+  return { name, ...SCHEDULING_PROFILES[name] };
+}
+
+function chunk(entries, size) {
+  const batches = [];
+  for (let start = 0; start < entries.length; start += size) {
+    batches.push(entries.slice(start, start + size));
+  }
+  return batches;
+}
+
+/**
+ * Plan the map stage: one entry per priority class that has items, most urgent first
+ * Each class lists its batches of { index, workItem }, where index is the item's position in
+ * the input so steps keep their processItem-<index> names
+ */
+export function planPrioritySchedule(workItems, profile) {
+  return PRIORITY_CLASSES
+    .map(priority => {
+      const entries = workItems
+        .map((workItem, index) => ({ index, workItem }))
+        .filter(({ workItem }) => workItem.priority === priority);
+      const batchSize = priority === 3 ? profile.lowPriorityBatchSize : 1;
+
+      return { priority, concurrency: profile.concurrency[priority], batchSize, batches: chunk(entries, batchSize) };
+    })
+    .filter(priorityClass => priorityClass.batches.length > 0);
+}
+
+/**
+ * Step name of a batch: processItem-<index> for a single item, processItems-<first>-<last> otherwise
+ */
+export function batchStepName(batch) {
+  return batch.length === 1
+    ? `processItem-${batch[0].index}`
+    : `processItems-${batch[0].index}-${batch[batch.length - 1].index}`;
+}
+
+/**
+ * Checkpointable record of one priority class's map: its limits, completionReason and items as
+ * { index, status, result?, error?: { message } } by input index
+ * A batch of several items reports each item's outcome, so failures are counted per item; a batch
+ * step that fails as a whole fails each of its items with the batch's error
+ */
+export function recordClassRun(priorityClass, batchResult) {
+  const items = batchResult.all.flatMap(({ index, status, result, error }) => {
+    const batch = priorityClass.batches[index];
+    return batch.map(({ index: itemIndex }, position) => {
+      if (status === 'SUCCEEDED' && batch.length > 1) {
+        return { index: itemIndex, ...result[position] };
+      }
+      return {
+        index: itemIndex,
+        status,
+        ...(result !== undefined && { result }),
+        ...(error !== undefined && { error: { message: error.message } })
+      };
+    });
+  });
+
+  return {
+    priority: priorityClass.priority,
+    concurrency: priorityClass.concurrency,
+    batchSize: priorityClass.batchSize,
+    completionReason: batchResult.completionReason,
+    items
+  };
+}
+
+/**
+ * Items of every priority class's map with the BatchResult methods the workflow reads
+ * (succeeded, failed, failureCount, totalCount, completionReason)
+ */
+export class PriorityBatchResult {
+  constructor(classRuns) {
+    this.classRuns = classRuns;
+    this.all = classRuns.flatMap(classRun => classRun.items).sort((a, b) => a.index - b.index);
+    this.completionReason = classRuns.find(classRun => classRun.completionReason !== 'ALL_COMPLETED')
+      ?.completionReason ?? 'ALL_COMPLETED';
+  }
+
+  succeeded() {
+    return this.all.filter(item => item.status === 'SUCCEEDED' && item.result !== undefined);
+  }
+
+  failed() {
+    return this.all.filter(item => item.status === 'FAILED' && item.error !== undefined);
+  }
+
+  get failureCount() {
+    return this.failed().length;
+  }
+
+  get totalCount() {
+    return this.all.length;
+  }
+}
+
+/**
+ * How each priority class ran: its limits, item counts and durationMs, from the first of its
+ * items to start until the last one finished (null when none of them succeeded)
+ */
+export function summarizePriorityClasses(mapResults) {
+  return mapResults.classRuns.map(({ items, ...classRun }) => {
+    const processed = items.filter(item => item.status === 'SUCCEEDED').map(item => item.result);
+    const startedAt = Math.min(...processed.map(item => item.processedAt));
+    const finishedAt = Math.max(...processed.map(item => item.processedAt + item.processingTime));
+
+    return {
+      priority: classRun.priority,
+      concurrency: classRun.concurrency,
+      batchSize: classRun.batchSize,
+      items: items.length,
+      succeeded: processed.length,
+      failed: items.filter(item => item.status === 'FAILED').length,
+      durationMs: processed.length > 0 ? finishedAt - startedAt : null,
+      completionReason: classRun.completionReason
+    };
+  });
+}
@@ -0,0 +1,199 @@
+/**
+ * Retry policies for the steps of durable function example
+ * Steps get a named policy by step name (STEP_RETRY_POLICIES). classifyError sorts each failure
+ * first: validation errors fail straight away, and the other classes are retried with the policy's
+ * backoff when the policy lists them in retryOn. Every retrying policy lists 'unknown', so a
+ * transient error nobody classified is retried too.
+ */
+
+import { JitterStrategy, createRetryStrategy } from '@aws/durable-execution-sdk-js';
+
+/**
+ * Error names (error.name or error.code) of each error class
+ * The names double as ErrorEquals when a policy is written as an ASL Retry block
+ */
+export const ERROR_CLASSES = {
+  throttling: [
+    'ThrottlingException',
+    'TooManyRequestsException',
+    'Lambda.TooManyRequestsException',
+    'ProvisionedThroughputExceededException',
+    'DynamoDB.ProvisionedThroughputExceededException',
+    'RequestLimitExceeded',
+    'DynamoDB.RequestLimitExceeded'
+  ],
+  timeout: ['TimeoutError', 'TimeoutException', 'RequestTimeout', 'States.Timeout', 'ETIMEDOUT'],
+  validation: ['InputValidationError', 'WorkItemValidationError', 'ValidationException', 'ValidationError']
+};
+
+const STATUS_CLASSES = { 429: 'throttling', 408: 'timeout', 504: 'timeout' };
+
+const MESSAGE_CLASSES = [
+  [/throttl|rate exceeded|too many requests/i, 'throttling'],
+  [/timed? ?out/i, 'timeout']
+];
+
+/**
+ * Class of a step error: 'throttling', 'timeout', 'validation' or 'unknown'
+ * Looks at the error's name and code, then its HTTP status, then its message. An error with
+ * retryable: false is a validation error whatever its name
+ */
+export function classifyError(error) {
+  if (error?.retryable === false) {
+    return 'validation';
+  }
+
+  const names = [error?.name, error?.code].filter(Boolean);
+  const byName = Object.keys(ERROR_CLASSES).find(errorClass => names.some(name => ERROR_CLASSES[errorClass].includes(name)));
+  if (byName) {
+    return byName;
+  }
+
+  const status = STATUS_CLASSES[error?.$metadata?.httpStatusCode ?? error?.statusCode];
+  if (status) {
+    return status;
+  }
+
+  return MESSAGE_CLASSES.find(([pattern]) => pattern.test(error?.message ?? ''))?.[1] ?? 'unknown';
+}
+
+/**
+ * Named retry policies
+ * maxAttempts counts the first attempt. Delays start at initialDelaySeconds, grow by backoffRate
+ * up to maxDelaySeconds, and jitter (an SDK JitterStrategy name) spreads them out
+ */
+export const RETRY_POLICIES = {
+  exponential: {
+    maxAttempts: 6,
+    initialDelaySeconds: 2,
+    maxDelaySeconds: 60,
+    backoffRate: 2,
+    jitter: 'FULL',
+    retryOn: ['throttling', 'timeout', 'unknown']
+  },
+  fixed: {
+    maxAttempts: 3,
+    initialDelaySeconds: 5,
+    maxDelaySeconds: 5,
+    backoffRate: 1,
+    jitter: 'NONE',
+    retryOn: ['throttling', 'timeout', 'unknown']
+  },
+  never: {
+    maxAttempts: 1,
+    retryOn: []
+  },
+  // Compensations must finish, so they get the most attempts
+  persistent: {
+    maxAttempts: 8,
+    initialDelaySeconds: 2,
+    maxDelaySeconds: 60,
+    backoffRate: 2,
+    jitter: 'FULL',
+    retryOn: ['throttling', 'timeout', 'unknown']
+  }
+};
+
+/**
+ * Retry policy of each step, matched by exact name or pattern in order
+ * Steps that match none keep the SDK's default retry strategy
+ */
+export const STEP_RETRY_POLICIES = [
+  // Pure transforms of the input: a failure is a bad input, which no retry fixes
+  { step: 'processInputData', policy: 'never' },
+  { step: 'aggregateResults', policy: 'never' },
+  // Calls to the systems the batch works against, which throttle and time out under load
+  { step: /^parallelTask\d+$/, policy: 'exponential' },
+  { step: /^processItems?-/, policy: 'exponential' },
+  { step: 'processMetadata', policy: 'fixed' },
+  { step: 'validateConfiguration', policy: 'fixed' },
+  // Saga compensations (see compensation.mjs)
+  { step: /^compensate-/, policy: 'persistent' }
+];
+
+function policyOptions(name, overrides = {}) {
+  const policy = RETRY_POLICIES[name];
+  if (!policy) {
+    throw new Error(`Retry policy must be one of: ${Object.keys(RETRY_POLICIES).join(', ')}`);
+  }
+  return { ...policy, ...overrides };
+}
+
+/**
+ * Retry strategy for context.step from a named policy, with optional overrides of its options
+ * Returns (error, attemptsMade) => { shouldRetry, delay }
+ */
+export function createRetryPolicy(name, overrides) {
+  const policy = policyOptions(name, overrides);
+  const backoff = createRetryStrategy({
+    maxAttempts: policy.maxAttempts,
+    initialDelay: { seconds: policy.initialDelaySeconds ?? 1 },
+    maxDelay: { seconds: policy.maxDelaySeconds ?? policy.initialDelaySeconds ?? 1 },
+    backoffRate: policy.backoffRate ?? 1,
+    jitter: JitterStrategy[policy.jitter ?? 'NONE']
+  });
+
+  return (error, attemptsMade) => {
+    if (!retriesErrorClass(policy, classifyError(error))) {
+      return { shouldRetry: false };
+    }
+    return backoff(error, attemptsMade);
+  };
+}
+
+function retriesErrorClass(policy, errorClass) {
+  return errorClass !== 'validation' && policy.retryOn.includes(errorClass);
+}
+
+/**
+ * Name of the retry policy for a step, or undefined when it keeps the SDK default
+ */
+export function retryPolicyFor(stepName) {
+  return STEP_RETRY_POLICIES.find(({ step }) => (step instanceof RegExp ? step.test(stepName) : step === stepName))?.policy;
+}
+
+/**
+ * Whether a step's retry policy retries an error, by the error's class
+ * Steps that keep the SDK default retry every error
+ */
+export function retriesError(stepName, error) {
+  const policy = retryPolicyFor(stepName);
+  return policy === undefined || retriesErrorClass(RETRY_POLICIES[policy], classifyError(error));
+}
+
+/**
+ * Step config with the step's retry policy, for context.step(name, fn, retryConfigFor(name))
+ */
+export function retryConfigFor(stepName) {
+  const policy = retryPolicyFor(stepName);
+  return policy ? { retryStrategy: createRetryPolicy(policy) } : undefined;
+}
+
+/**
+ * A policy as the Retry field of an ASL Task state
+ * ASL MaxAttempts counts retries, not attempts, so a policy that never retries has no retriers.
+ * Unclassified errors can only be matched with a trailing States.ALL retrier, so a first retrier
+ * with MaxAttempts 0 keeps validation errors from being retried by it
+ */
+export function toAslRetry(name, overrides) {
+  const policy = policyOptions(name, overrides);
+  if (policy.maxAttempts <= 1 || policy.retryOn.length === 0) {
+    return [];
+  }
+
+  const retrier = errorEquals => ({
+    ErrorEquals: errorEquals,
+    IntervalSeconds: policy.initialDelaySeconds,
+    MaxAttempts: policy.maxAttempts - 1,
+    BackoffRate: policy.backoffRate,
+    MaxDelaySeconds: policy.maxDelaySeconds,
+    JitterStrategy: policy.jitter === 'NONE' ? 'NONE' : 'FULL'
+  });
+  const named = policy.retryOn.filter(errorClass => errorClass !== 'unknown').flatMap(errorClass => ERROR_CLASSES[errorClass]);
+
+  return [
+    { ErrorEquals: ERROR_CLASSES.validation, MaxAttempts: 0 },
+    ...(named.length > 0 ? [retrier(named)] : []),
+    ...(policy.retryOn.includes('unknown') ? [retrier(['States.ALL'])] : [])
+  ];
+}
@@ -0,0 +1,12 @@
+/**
+ * Simulated latency for durable function example
+ * The example's business logic stands in for network calls and processing, so it waits a little
+ * before returning. Tests that replay the workflow many times mock this module to skip the waits.
+ */
+
+/**
+ * Wait for the given number of milliseconds, like the real work would take
+ */
+export function simulateLatency(milliseconds) {
+  return new Promise(resolve => setTimeout(resolve, milliseconds));
+}
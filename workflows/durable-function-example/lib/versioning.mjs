@@ -0,0 +1,87 @@
+/**
+ * Workflow versioning for durable function example
+ * Every invocation replays the handler against the checkpoints of the run so far, so the code must
+ * reach the same operations in the same order. Executions can wait in wait-for-external-callback
+ * for up to an hour, which means a deploy that adds, removes or reorders operations lands while
+ * older executions are still in flight. The first operation of each execution checkpoints the
+ * version of the code it started on, and changes to the operation sequence are gated on it with
+ * `if (version >= N)`, so an execution keeps replaying the path it started on. Executions started
+ * before the workflow-version step existed have no such checkpoint and replay as version 1.
+ */
+
+export const WORKFLOW_VERSION_STEP = 'workflow-version';
+
+/**
+ * Versions of the example's operation sequence, oldest first
+ * Add a version for every change that adds, removes, renames or reorders a durable operation, and
+ * gate the change on it. Keep the old path until no execution started before it is still running
+ */
+export const WORKFLOW_VERSIONS = [
+  { version: 1, description: 'Operations as listed under Workflow Steps in the README' },
+  { version: 2, description: 'recordApproval step after wait-for-external-callback' }
+];
+
+export const CURRENT_WORKFLOW_VERSION = WORKFLOW_VERSIONS.at(-1).version;
+
+/**
+ * The execution was started by a newer version of the code than the one replaying it,
+ * e.g. after a rollback. It cannot replay safely, so it fails instead of retrying
+ */
+export class UnsupportedWorkflowVersionError extends Error {
+  constructor(version, currentVersion) {
+    super(`Execution started on workflow version ${version}, but this code only runs versions up to ${currentVersion}`);
+    this.name = this.constructor.name;
+    this.version = version;
+    this.currentVersion = currentVersion;
+    this.retryable = false;
+  }
+}
+
+/**
+ * The SDK no longer exposes the checkpoints getWorkflowVersion reads. The SDK is pinned in
+ * package.json for this; check the lookup again before moving the pin
+ */
+export class UnsupportedSdkError extends Error {
+  constructor() {
+    super('Cannot read the checkpoints being replayed: the durable execution SDK has no context._executionContext.getStepData');
+    this.name = this.constructor.name;
+    this.retryable = false;
+  }
+}
+
+/**
+ * Checkpoint of the execution's first operation, undefined before it has one
+ * The SDK has no public API for the checkpoints it replays, so this reads its execution context.
+ * getStepData takes the ID the SDK allocates ('1' for the first operation) and looks up the md5
+ * hash the checkpoints are keyed by itself
+ */
+function firstCheckpoint(context) {
+  const executionContext = context._executionContext;
+  if (typeof executionContext?.getStepData !== 'function') {
+    throw new UnsupportedSdkError();
+  }
+  return executionContext.getStepData('1');
+}
+
+/**
+ * Version the execution started on
+ * The first run checkpoints currentVersion in the workflow-version step; replays return the
+ * checkpointed version whatever the code's version is now. An execution whose first checkpoint is
+ * another operation started before the step existed: it is version 1 and no step is added, so its
+ * operation IDs stay as they were. Call it before any other operation. Throws UnsupportedSdkError
+ * when the SDK does not expose the checkpoints
+ */
+export async function getWorkflowVersion(context, currentVersion = CURRENT_WORKFLOW_VERSION) {
+  const first = firstCheckpoint(context);
+  if (first && first.Name !== WORKFLOW_VERSION_STEP) {
+    return WORKFLOW_VERSIONS[0].version;
+  }
+
+  const version = await context.step(WORKFLOW_VERSION_STEP, async () => currentVersion);
+
+  if (version > currentVersion) {
+    throw new UnsupportedWorkflowVersionError(version, currentVersion);
+  }
+
+  return version;
+}
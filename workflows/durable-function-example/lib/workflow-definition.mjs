@@ -0,0 +1,293 @@
+/**
+ * Declarative pipeline definitions for durable function example
+ * A definition lists the pipeline's nodes in JSON or YAML; each node is one durable operation
+ * (step, wait, callback, parallel, map, condition, invoke or child). Values may reference the
+ * event ($.input), the execution ID ($.executionId), the environment variables the definition lists
+ * in environment ($.env) and the result of any earlier node that names one with result: a string that is exactly "$.workItems.length"
+ * takes that value, and "{$.index}" inside a longer string is replaced by it. Definitions are
+ * validated in full before they run, so a typo fails the deploy rather than an execution.
+ */
+
+import { readFileSync } from 'node:fs';
+import { extname } from 'node:path';
+import { parse as parseYaml } from 'yaml';
+import { validateSchema } from './json-schema.mjs';
+import { RETRY_POLICIES } from './retry-policies.mjs';
+
+/** File extensions loadWorkflowDefinition reads */
+export const DEFINITION_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+export const NODE_TYPES = ['step', 'wait', 'callback', 'parallel', 'map', 'condition', 'invoke', 'child'];
+
+/** Reference roots every node can use; result names may not shadow them */
+export const BUILT_IN_REFERENCES = ['input', 'executionId', 'env'];
+
+const REFERENCE = /^\$\.([A-Za-z_]\w*)((?:\.[\w-]+)*)$/;
+const PLACEHOLDER = /\{\$\.([A-Za-z_]\w*)((?:\.[\w-]+)*)\}/g;
+// Fields whose values may hold references; the others are literal settings
+const VALUE_FIELDS = ['name', 'args', 'items', 'payload', 'function'];
+const DURATION_FIELDS = ['duration', 'timeout', 'delay'];
+
+const NAME = { type: 'string', minLength: 1 };
+const IDENTIFIER = { type: 'string', pattern: '^[A-Za-z_][A-Za-z0-9_]*$' };
+const STEPS = { type: 'array', minItems: 1 };
+const DURATION = {
+  type: 'object',
+  properties: {
+    days: { type: 'integer', minimum: 0 },
+    hours: { type: 'integer', minimum: 0 },
+    minutes: { type: 'integer', minimum: 0 },
+    seconds: { type: 'integer', minimum: 0 }
+  },
+  additionalProperties: false
+};
+
+function nodeSchema(required, properties) {
+  return {
+    type: 'object',
+    required,
+    properties: { type: { type: 'string' }, result: IDENTIFIER, ...properties },
+    additionalProperties: false
+  };
+}
+
+const NODE_SCHEMAS = {
+  step: nodeSchema(['name', 'activity'], { name: NAME, activity: NAME, args: { type: 'array' }, retry: NAME }),
+  wait: nodeSchema(['duration'], { name: NAME, duration: DURATION }),
+  callback: nodeSchema(['name'], { name: NAME, timeout: DURATION, activity: NAME, args: { type: 'array' } }),
+  parallel: nodeSchema(['branches'], {
+    name: NAME,
+    branches: {
+      type: 'array',
+      minItems: 1,
+      items: { type: 'object', required: ['steps'], properties: { name: NAME, steps: STEPS }, additionalProperties: false }
+    }
+  }),
+  map: nodeSchema(['name', 'items', 'steps'], {
+    name: NAME,
+    items: { type: ['string', 'array'] },
+    steps: STEPS,
+    itemAs: IDENTIFIER,
+    indexAs: IDENTIFIER,
+    maxConcurrency: { type: 'integer', minimum: 1 }
+  }),
+  condition: nodeSchema(['activity', 'until', 'delay'], {
+    name: NAME,
+    activity: NAME,
+    args: { type: 'array' },
+    until: { type: 'string', pattern: '^[\\w-]+(\\.[\\w-]+)*$' },
+    delay: DURATION,
+    maxAttempts: { type: 'integer', minimum: 1 }
+  }),
+  invoke: nodeSchema(['name', 'function'], { name: NAME, function: NAME, payload: {} }),
+  child: nodeSchema(['name', 'steps'], { name: NAME, steps: STEPS })
+};
+
+const DEFINITION_SCHEMA = {
+  type: 'object',
+  required: ['name', 'steps'],
+  properties: {
+    name: NAME,
+    description: { type: 'string' },
+    version: { type: 'integer', minimum: 1 },
+    environment: { type: 'array', items: IDENTIFIER },
+    steps: STEPS,
+    output: {}
+  },
+  additionalProperties: false
+};
+
+/**
+ * The definition cannot run: violations holds every { path, keyword, message }
+ * A definition does not change between retries, so this is never retried
+ */
+export class WorkflowDefinitionError extends Error {
+  constructor(violations, name) {
+    const label = typeof name === 'string' ? ` "${name}"` : '';
+    const count = violations.length === 1 ? '1 violation' : `${violations.length} violations`;
+    super(`Invalid workflow definition${label} (${count}):\n${violations.map(violation => `- ${violation.message}`).join('\n')}`);
+    this.name = 'WorkflowDefinitionError';
+    this.violations = violations;
+    this.retryable = false;
+  }
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/** Every $. reference in a value, as { path, root, members, expression } */
+function findReferences(value, path) {
+  if (typeof value === 'string') {
+    const whole = value.match(REFERENCE);
+    if (whole) {
+      return [{ path, root: whole[1], members: whole[2], expression: value }];
+    }
+    return [...value.matchAll(PLACEHOLDER)].map(([expression, root, members]) => ({ path, root, members, expression }));
+  }
+  if (Array.isArray(value)) {
+    return value.flatMap((item, index) => findReferences(item, `${path}[${index}]`));
+  }
+  if (isObject(value)) {
+    return Object.entries(value).flatMap(([key, item]) => findReferences(item, `${path}.${key}`));
+  }
+  return [];
+}
+
+function lookup(scope, root, members) {
+  let current = scope[root];
+  for (const member of members.split('.').filter(Boolean)) {
+    current = current?.[member];
+  }
+  return current;
+}
+
+/**
+ * Resolve the references in a value against the results in scope
+ * A string that is one reference becomes the referenced value; placeholders in longer strings
+ * are replaced by the referenced value as text
+ */
+export function resolveValue(value, scope) {
+  if (typeof value === 'string') {
+    const whole = value.match(REFERENCE);
+    if (whole) {
+      return lookup(scope, whole[1], whole[2]);
+    }
+    return value.replace(PLACEHOLDER, (expression, root, members) => String(lookup(scope, root, members)));
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => resolveValue(item, scope));
+  }
+  if (isObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveValue(item, scope)]));
+  }
+  return value;
+}
+
+function checkNode(node, path, defined, activities, violations) {
+  const fail = (keyword, message, at = path) => violations.push({ path: at, keyword, message: `${at} ${message}` });
+
+  if (!isObject(node)) {
+    fail('type', 'must be an object');
+    return;
+  }
+  if (!NODE_TYPES.includes(node.type)) {
+    fail('enum', `must be one of: ${NODE_TYPES.join(', ')}`, `${path}.type`);
+    return;
+  }
+
+  const schemaViolations = validateSchema(NODE_SCHEMAS[node.type], node, path);
+  violations.push(...schemaViolations);
+  if (schemaViolations.some(violation => violation.keyword === 'type' && violation.path === path)) {
+    return;
+  }
+
+  for (const field of DURATION_FIELDS) {
+    if (isObject(node[field]) && Object.keys(node[field]).length === 0) {
+      fail('required', 'must set days, hours, minutes or seconds', `${path}.${field}`);
+    }
+  }
+  if (typeof node.activity === 'string' && !Object.hasOwn(activities, node.activity)) {
+    fail('activity', `"${node.activity}" is not registered; must be one of: ${Object.keys(activities).join(', ')}`, `${path}.activity`);
+  }
+  if (typeof node.retry === 'string' && !Object.hasOwn(RETRY_POLICIES, node.retry)) {
+    fail('retry', `must be one of: ${Object.keys(RETRY_POLICIES).join(', ')}`, `${path}.retry`);
+  }
+  if (BUILT_IN_REFERENCES.includes(node.result)) {
+    fail('result', `must not be one of: ${BUILT_IN_REFERENCES.join(', ')}`, `${path}.result`);
+  }
+  if (node.type === 'map' && typeof node.items === 'string' && !REFERENCE.test(node.items)) {
+    fail('reference', 'must be a $. reference or an array', `${path}.items`);
+  }
+
+  for (const field of VALUE_FIELDS) {
+    for (const reference of findReferences(node[field], `${path}.${field}`)) {
+      if (!defined.has(reference.root)) {
+        fail('reference', `references ${reference.expression}, which is not defined before it`, reference.path);
+      }
+    }
+  }
+
+  if (node.type === 'parallel' && Array.isArray(node.branches)) {
+    node.branches.forEach((branch, index) => {
+      if (Array.isArray(branch?.steps)) {
+        checkSequence(branch.steps, `${path}.branches[${index}].steps`, defined, activities, violations);
+      }
+    });
+  }
+  if (node.type === 'map' && Array.isArray(node.steps)) {
+    const iteration = new Set([...defined, node.itemAs ?? 'item', node.indexAs ?? 'index']);
+    checkSequence(node.steps, `${path}.steps`, iteration, activities, violations);
+  }
+  if (node.type === 'child' && Array.isArray(node.steps)) {
+    checkSequence(node.steps, `${path}.steps`, defined, activities, violations);
+  }
+}
+
+function checkSequence(nodes, path, scope, activities, violations) {
+  const defined = new Set(scope);
+  nodes.forEach((node, index) => {
+    checkNode(node, `${path}[${index}]`, defined, activities, violations);
+    if (typeof node?.result === 'string') {
+      defined.add(node.result);
+    }
+  });
+  return defined;
+}
+
+/**
+ * Check a definition's shape, activities, retry policies and references
+ * Returns the definition, or throws WorkflowDefinitionError listing every violation
+ * @param {object} definition - Parsed JSON or YAML definition
+ * @param {object} activities - Activity registry, see activity-registry.mjs
+ */
+export function validateWorkflowDefinition(definition, activities) {
+  if (!isObject(definition)) {
+    throw new WorkflowDefinitionError([{ path: '', keyword: 'type', message: 'definition must be an object' }]);
+  }
+
+  const violations = validateSchema(DEFINITION_SCHEMA, definition);
+  if (Array.isArray(definition.steps)) {
+    const defined = checkSequence(definition.steps, 'steps', BUILT_IN_REFERENCES, activities, violations);
+    for (const reference of findReferences(definition.output, 'output')) {
+      if (!defined.has(reference.root)) {
+        violations.push({
+          path: reference.path,
+          keyword: 'reference',
+          message: `${reference.path} references ${reference.expression}, which is not defined by any step`
+        });
+      }
+    }
+
+    const environment = Array.isArray(definition.environment) ? definition.environment : [];
+    for (const reference of [...findReferences(definition.steps, 'steps'), ...findReferences(definition.output, 'output')]) {
+      const variable = reference.members.split('.')[1];
+      if (reference.root === 'env' && variable !== undefined && !environment.includes(variable)) {
+        violations.push({
+          path: reference.path,
+          keyword: 'reference',
+          message: `${reference.path} references ${reference.expression}, which is not listed in environment`
+        });
+      }
+    }
+  }
+
+  if (violations.length > 0) {
+    throw new WorkflowDefinitionError(violations, definition.name);
+  }
+  return definition;
+}
+
+/**
+ * Read a definition from a .json, .yaml or .yml file
+ * The definition is parsed but not validated; createDefinitionWorkflow validates it
+ */
+export function loadWorkflowDefinition(file) {
+  const extension = extname(file instanceof URL ? file.pathname : file).toLowerCase();
+  if (!DEFINITION_EXTENSIONS.includes(extension)) {
+    throw new Error(`Workflow definition file must be one of: ${DEFINITION_EXTENSIONS.join(', ')} (got ${file})`);
+  }
+
+  const text = readFileSync(file, 'utf-8');
+  return extension === '.json' ? JSON.parse(text) : parseYaml(text);
+}
@@ -0,0 +1,133 @@
+/**
+ * Interpreter for declarative pipeline definitions
+ * Runs each node of a validated definition (see workflow-definition.mjs) as the matching durable
+ * operation, with step and condition bodies taken from the activity registry. A node's result is
+ * the operation's result; parallel and map results are arrays with one entry per branch or item,
+ * and a branch, map item or child context results in its last node's result.
+ */
+
+import { ACTIVITIES } from './activity-registry.mjs';
+import { getExecutionId } from './execution-context.mjs';
+import { createRetryPolicy } from './retry-policies.mjs';
+import { resolveValue, validateWorkflowDefinition } from './workflow-definition.mjs';
+
+/**
+ * A condition node stopped polling after maxAttempts without its until field becoming true
+ */
+export class ConditionNotMetError extends Error {
+  constructor(name, until, attempts) {
+    super(`Condition ${name ?? '(unnamed)'} was not met: ${until} still false after ${attempts} attempts`);
+    this.name = 'ConditionNotMetError';
+    this.until = until;
+    this.attempts = attempts;
+  }
+}
+
+/** Arguments for SDK calls whose operation name is optional */
+function named(name, ...rest) {
+  return name === undefined ? rest : [name, ...rest];
+}
+
+function batchResults(batchResult) {
+  batchResult.throwIfError();
+  return batchResult.getResults();
+}
+
+async function runSequence(nodes, scope, ctx, activities) {
+  const local = { ...scope };
+  let last;
+
+  for (const node of nodes) {
+    last = await runNode(node, local, ctx, activities);
+    if (node.result) {
+      local[node.result] = last;
+    }
+  }
+
+  return { scope: local, last };
+}
+
+async function runNode(node, scope, ctx, activities) {
+  const name = node.name === undefined ? undefined : resolveValue(node.name, scope);
+  const args = resolveValue(node.args ?? [], scope);
+
+  switch (node.type) {
+    case 'step': {
+      const activity = activities[node.activity];
+      const config = node.retry ? { retryStrategy: createRetryPolicy(node.retry) } : undefined;
+      return await ctx.step(name, async () => activity(...args), config);
+    }
+
+    case 'wait':
+      return await ctx.wait(...named(name, node.duration));
+
+    case 'callback': {
+      const submit = node.activity
+        ? async (callbackId) => activities[node.activity](callbackId, ...args)
+        : async (callbackId, submitterCtx) => submitterCtx.logger.info(`Waiting for callback ${name}: ${callbackId}`);
+      return await ctx.waitForCallback(
+        name,
+        submit,
+        node.timeout ? { timeout: node.timeout } : undefined
+      );
+    }
+
+    case 'parallel':
+      return batchResults(await ctx.parallel(...named(name, node.branches.map(branch => async (branchCtx) => {
+        return (await runSequence(branch.steps, scope, branchCtx, activities)).last;
+      }))));
+
+    case 'map': {
+      const items = resolveValue(node.items, scope);
+      const { itemAs = 'item', indexAs = 'index' } = node;
+      return batchResults(await ctx.map(name, items, async (itemCtx, item, index) => {
+        return (await runSequence(node.steps, { ...scope, [itemAs]: item, [indexAs]: index }, itemCtx, activities)).last;
+      }, node.maxConcurrency ? { maxConcurrency: node.maxConcurrency } : undefined));
+    }
+
+    case 'condition': {
+      const check = activities[node.activity];
+      const isMet = state => Boolean(resolveValue(`$.state.${node.until}`, { state }));
+      const state = await ctx.waitForCondition(...named(name, async () => check(...args), {
+        initialState: null,
+        waitStrategy: (current, attempt) => isMet(current) || (node.maxAttempts && attempt >= node.maxAttempts)
+          ? { shouldContinue: false }
+          : { shouldContinue: true, delay: node.delay }
+      }));
+      if (!isMet(state)) {
+        // Only a condition with maxAttempts stops polling before it is met
+        throw new ConditionNotMetError(name, node.until, node.maxAttempts);
+      }
+      return state;
+    }
+
+    case 'invoke':
+      return await ctx.invoke(name, resolveValue(node.function, scope), resolveValue(node.payload, scope));
+
+    case 'child':
+      return await ctx.runInChildContext(name, async (childCtx) => {
+        return (await runSequence(node.steps, scope, childCtx, activities)).last;
+      });
+  }
+}
+
+/**
+ * Durable handler body that runs a pipeline definition
+ * The definition is validated here, before any execution, and throws WorkflowDefinitionError when
+ * it cannot run. The handler returns the definition's output resolved against every top-level
+ * result, or the last node's result when the definition has no output
+ * @param {object} definition - Parsed definition, e.g. from loadWorkflowDefinition
+ * @param {object} [activities] - Activity registry, defaults to ACTIVITIES
+ */
+export function createDefinitionWorkflow(definition, activities = ACTIVITIES) {
+  validateWorkflowDefinition(definition, activities);
+
+  return async (event, context) => {
+    // Only the environment variables the definition lists, so a definition cannot read secrets
+    const env = Object.fromEntries((definition.environment ?? []).map(name => [name, process.env[name]]));
+    const scope = { input: event, executionId: getExecutionId(context), env };
+    const { scope: results, last } = await runSequence(definition.steps, scope, context, activities);
+
+    return definition.output === undefined ? last : resolveValue(definition.output, results);
+  };
+}
@@ -0,0 +1,15 @@
+import { withDurableExecution } from '@aws/durable-execution-sdk-js';
+import { loadWorkflowDefinition } from './lib/workflow-definition.mjs';
+import { createDefinitionWorkflow } from './lib/workflow-interpreter.mjs';
+
+// Generic durable handler for a declarative pipeline in pipelines/, picked by PIPELINE_DEFINITION.
+// The build copies pipelines/ next to the bundle (see Makefile), so the path resolves the same from
+// the source and from the deployed function. The definition is validated when the module loads, so
+// a bad one fails before any execution starts
+const definitionFile = process.env.PIPELINE_DEFINITION ?? 'example-pipeline.yaml';
+
+export const workflow = createDefinitionWorkflow(
+  loadWorkflowDefinition(new URL(`./pipelines/${definitionFile}`, import.meta.url))
+);
+
+export const handler = withDurableExecution(workflow);
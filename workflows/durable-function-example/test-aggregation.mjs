@@ -12,7 +12,7 @@ async function testAggregation() {
 
     // Mock context and event
     const mockContext = {
-      executionId: 'test-exec-123'
+      executionContext: { durableExecutionArn: 'arn:aws:lambda:us-east-1:123456789012:function:example/durable-execution/test-exec-123' }
     };
 
     const mockEvent = {